@@ -1,511 +1,1025 @@
 /**
-   * DJ Agent - AI-powered music curator (Full Version with YouTube)
-   * Uses LangChain + Song Catalog + Vector Search + YouTube Discovery
+   * DJ Agent - AI-powered music curator (LangGraph state machine)
+   * Uses LangChain tools + Song Catalog + Vector Search + Music Source Discovery
+   *
+   *   plan ──> nextIntent ──> request_song:  findExact -> semanticSearch -> textSearch -> sourceSearch -> vibeCheck
+   *                 ^                         (any song by artist: artistSearch -> vibeCheck)
+   *                 |         request_songs:     batchSearch (N songs by artist / in a mood)
+   *                 |         choose_option:     chooseOption -> vibeCheck ("the second one")
+   *                 |         skip_current_song: skip
+   *                 |         whats_next:        whatsNext
+   *                 |         remove_my_last_song: removeLast
+   *                 └──────── (each intent returns here)      no intents left: respond
+   *
+   * The planner uses tool calling, so "play X then Y and tell me what's next"
+   * becomes three intents handled in order. Each party is one graph thread;
+   * its conversation is checkpointed in Postgres (services/agentCheckpointer.js).
+   * Songs missing from the catalog are looked up in the enabled music sources
+   * (YouTube, the local library, ... - see services/musicSources.js), in order.
    */
 
-import { ChatOpenAI } from '@langchain/openai';
-import { searchSongsByText, findExactSong, searchSongsBySemantic, getSongsByMood, checkVibeMatch, addSongToCatalog } from '../services/songSearch.js';
-import { searchYouTube } from '../services/youtubeSearch.js';
-import { analyzeSong } from '../services/songAnalyzer.js';
+import { Annotation, StateGraph, START, END } from '@langchain/langgraph';
+import { getChatModel } from '../services/llmProvider.js';
+import { addSongToCatalog } from '../services/songSearch.js';
+import { agentCheckpointer } from '../services/agentCheckpointer.js';
+import { can } from '../middleware/partyPermissions.js';
+import { resolveChoice } from '../services/songOptions.js';
+import { getMusicSources, getMusicSourceLabel } from '../services/musicSources.js';
+import {
+    findExactSongTool,
+    searchSongsBySemanticTool,
+    searchSongsByTextTool,
+    getSongsByMoodTool,
+    searchMusicSourceTool,
+    analyzeSongTool,
+    checkVibeMatchTool,
+    getQueueTool
+} from './djTools.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
-console.log(' OpenRouter API Key loaded:', process.env.OPENROUTER_API_KEY ? 'YES' : 'NO');
-console.log(' YouTube API Key loaded:', process.env.YOUTUBE_API_KEY ? 'YES' : 'NO');
-
-const llm = new ChatOpenAI({
-    modelName: process.env.OPENROUTER_MODEL || 'google/gemini-2.0-flash-001',
-    temperature: 0.7,
-    configuration: {
-        apiKey: process.env.OPENROUTER_API_KEY,
-        baseURL: 'https://openrouter.ai/api/v1',
-        defaultHeaders: {
-            'HTTP-Referer': 'http://localhost:3000',
-            'X-Title': 'Mazaj AI DJ',
-        },
+console.log(' Music sources:', getMusicSources().map(source => source.name).join(', ') || 'none');
+
+const plannerLLM = getChatModel({ purpose: 'dj-planner', temperature: 0.2 });
+const responseLLM = getChatModel({ purpose: 'dj-response', temperature: 0.7 });
+
+const MAX_INTENTS = 5;        // per message
+const DEFAULT_BATCH = 3;      // "some Amr Diab"
+const MAX_BATCH = 10;         // songs per request_songs intent
+const MAX_SOURCE_FINDS = 5;   // finds per music source that may be turned down before moving on
+const MAX_CONVERSATION = 20;  // user/assistant turns kept in the checkpoint
+const PLANNER_CONTEXT = 6;    // of those, how many the planner sees
+
+
+// ============================================================================
+// Intents the planner can call
+// ============================================================================
+
+const INTENT_TOOLS = [
+    {
+        type: 'function',
+        function: {
+            name: 'request_song',
+            description: 'Queue a song. For "any song by <artist>" leave title empty.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string', description: 'Song title - omit for any song by the artist' },
+                    artist: { type: 'string', description: 'Artist name if mentioned' },
+                    searchVariations: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Alternative TITLES only (no artist): digits/words, corrected spelling, transliterations'
+                    }
+                }
+            }
+        }
     },
-});
-
-
-/**
-  * Parse song request from user message - returns multiple search variations
-  */
-async function parseSongRequest(userMessage, chatHistory = []) {
-    try {
-        // Build context from recent chat history
-        let contextMessages = [];
-
-        if (chatHistory && chatHistory.length > 0) {
-            // Get last 4 messages for context
-            const recentHistory = chatHistory.slice(-4);
-            contextMessages = recentHistory.map(msg => ({
-                role: msg.role === 'USER' ? 'user' : 'assistant',
-                content: msg.content
-            }));
+    {
+        type: 'function',
+        function: {
+            name: 'request_songs',
+            description: 'Queue several songs by an artist and/or in a mood ("three Fairuz songs", "some Amr Diab", "two calm songs")',
+            parameters: {
+                type: 'object',
+                properties: {
+                    artist: { type: 'string', description: 'Artist name if mentioned' },
+                    mood: { type: 'string', description: 'One mood if mentioned: happy, sad, energetic, romantic, melancholic, calm, nostalgic, angry, hopeful, dark, uplifting' },
+                    count: { type: 'integer', description: `How many songs ("some"/"a few" = ${DEFAULT_BATCH})` }
+                }
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'skip_current_song',
+            description: 'Skip the song that is playing now ("skip this", "next song please")',
+            parameters: { type: 'object', properties: {} }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'whats_next',
+            description: 'Tell the user which songs are coming up ("what\'s next?")',
+            parameters: { type: 'object', properties: {} }
         }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'remove_my_last_song',
+            description: 'Remove the most recent song this user queued that has not played yet',
+            parameters: { type: 'object', properties: {} }
+        }
+    }
+];
+
+// Only offered while options from the last reply are open
+const CHOOSE_OPTION_TOOL = {
+    type: 'function',
+    function: {
+        name: 'choose_option',
+        description: 'The user picked one of the options you offered in your last message',
+        parameters: {
+            type: 'object',
+            properties: { index: { type: 'integer', description: '1-based number of the option' } },
+            required: ['index']
+        }
+    }
+};
 
-        const response = await llm.invoke([
-            {
-                role: 'system',
-                content: `You are a music request parser. Extract song requests from user messages.
+const PLANNER_PROMPT = `You are the request planner for Mazaj, an AI DJ at a party.
+  Call one tool per thing the user asks for, in the order they asked:
+  - request_song for every song they want played ("play X then Y" → two calls), or with only an artist for ONE song by them ("any song by Adele")
+  - request_songs when they want a number of songs, or "some" songs, by an artist or in a mood ("queue three Fairuz songs and then some Amr Diab" → two calls)
+  - skip_current_song, whats_next, remove_my_last_song for queue actions
 
   IMPORTANT: Consider the conversation history! If user says things like:
-  - "yes", "ok", "go for it", "play that", "add it", "sure" → They're accepting a previously suggested song
+  - "yes", "ok", "go for it", "play that", "add it", "sure" → They're accepting a previously suggested song - call request_song for it
   - "no", "something else", "different one" → They want a different song
-  If user is accepting a previous suggestion, extract that song from the conversation history.
-
-  IMPORTANT: If the user mentions ANY song title or artist name, it IS a request. This includes:
-  - English songs
-  - Arabic songs (e.g., "El Leila", "Tamally Maak", "Nour El Ain")
-  - Spanish songs
-  - Any international music
-
-  Return ONLY valid JSON:
-  {
-    "title": "song title or null",
-    "artist": "artist name or null",
-    "isRequest": true,
-    "searchVariations": ["variation1", "variation2"]
-  }
+
+  IMPORTANT: If the user mentions ANY song title or artist name, it IS a request. This includes
+  English, Arabic (e.g., "El Leila", "Tamally Maak"), Spanish and any international music.
 
   For searchVariations, include TITLE alternatives only (no artist names):
   - Numbers as words/digits ("twenty two" → "22")
   - Correct spellings if misspelled
-  - Alternative song titles by same artist if user wants "any song"
-  - Transliterations for non-English titles
+  - Transliterations for non-English titles ("El Leila" → "الليلة", "El Lila")
 
-  DO NOT append artist name to variations - just the song title.
+  If the message is just casual chat, call NO tools.`;
 
-  If the message is just casual chat with NO song/artist mentioned and NOT a confirmation of a previous suggestion, return:
-  {"isRequest": false}
 
-  Examples:
-  - "play el leila by amr diab" → {"title": "El Leila", "artist": "Amr Diab", "isRequest": true, "searchVariations": ["الليلة", "El Lila"]}
-  - "how about break my heart" → {"title": "Break My Heart", "artist": null, "isRequest": true, "searchVariations": ["Break My Heart"]}
-  - "any sad song by Adele" → {"title": null, "artist": "Adele", "isRequest": true, "searchVariations": ["Someone Like You", "Hello", "Easy On Me"]}
-  - "this party is great!" → {"isRequest": false}
-  - "yes go for it" (after AI suggested a song) → extract that song from history`
-            },
-            ...contextMessages,
-            { role: 'user', content: userMessage }
-        ]);
+// ============================================================================
+// Graph state
+// ============================================================================
 
-        let jsonStr = response.content;
-        if (jsonStr.includes('```')) {
-            const match = jsonStr.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-            if (match) jsonStr = match[1];
-        }
-        return JSON.parse(jsonStr);
-    } catch {
-        return { isRequest: false };
-    }
+const DJState = Annotation.Root({
+    // Kept between turns (checkpointed per party)
+    conversation: Annotation({
+        reducer: (current, update) => [...current, ...update].slice(-MAX_CONVERSATION),
+        default: () => []
+    }),
+
+    // One turn - reset by every invokeDJAgent call
+    request: Annotation(),   // { userMessage, vibeDescription, vibeRules, vibeEmbedding, partyId, userId, role, queueMode, options, songAllowance }
+    intents: Annotation(),   // planned intents still to handle: [{ name, args }]
+    intent: Annotation(),    // the intent being handled
+    candidate: Annotation(), // { song, source } found for a request_song intent
+    outcomes: Annotation(),  // one per handled intent, in order
+    reply: Annotation()
+});
+
+const progress = (config, stage, message) => config.writer?.({ progress: { stage, message } });
+
+const addOutcome = (state, outcome) => ({
+    outcomes: [...state.outcomes, { intent: state.intent.name, request: state.intent.args, ...outcome }]
+});
+
+/**
+ * "Take Five" by Dave Brubeck / 3 calm songs by Fairuz / option 2
+ */
+function describeRequest({ title, artist, mood, count, index } = {}) {
+    if (index) return `option ${index}`;
+    const what = title
+        ? `"${title}"`
+        : [count || 'a', mood, count > 1 ? 'songs' : 'song'].filter(Boolean).join(' ');
+    return `${what}${artist ? ` by ${artist}` : ''}`;
 }
 
+const songKey = song => `${song.title.toLowerCase().trim()}|${song.artist.toLowerCase().trim()}`;
+
 /**
- * Generate AI response based on context
+ * Songs approved so far this turn (single requests and batches)
  */
-async function generateResponse(context) {
-    const { userMessage, vibeDescription, action, song, reason, suggestions, source } = context;
+function acceptedSongs(outcomes) {
+    return outcomes.flatMap(o => o.action === 'ACCEPT' ? [o.song] : (o.action === 'BATCH' ? o.songs : []));
+}
 
-    let prompt = '';
+/**
+ * How many more songs the sender may queue this turn (Infinity without a cap)
+ */
+function remainingAllowance(state) {
+    const { songAllowance = null } = state.request;
+    if (songAllowance === null) return Infinity;
+    return Math.max(0, songAllowance - acceptedSongs(state.outcomes).length);
+}
 
-    if (action === 'ACCEPT') {
-        const sourceText = source === 'youtube' ? ' (found it on YouTube!)' : '';
-        prompt = `User requested: "${userMessage}"
-  Song found: "${song.title}" by ${song.artist}${sourceText}
-  Result: APPROVED - matches the party vibe!
-  Generate a SHORT, excited response (1-2 sentences) confirming the song was added. Be fun and enthusiastic!`;
+/**
+ * Public song fields (what the chat route queues)
+ */
+function toQueuedSong(song) {
+    return {
+        title: song.title,
+        artist: song.artist,
+        coverUrl: song.coverUrl,
+        youtubeId: song.youtubeId,
+        localTrackId: song.localTrackId ?? null,
+        duration: song.duration ?? null,
+        mood: song.mood,
+        year: song.year
+    };
+}
+
+
+// ============================================================================
+// Planning
+// ============================================================================
+
+async function plan(state, config) {
+    const { userMessage, options } = state.request;
+    progress(config, 'parsing', 'Reading your request...');
+
+    // "number 2" / "the second one" / a title - no need to ask the model
+    const chosen = resolveChoice(userMessage, options);
+    if (chosen) {
+        return { intents: [{ name: 'choose_option', args: { index: chosen } }] };
     }
-    else if (action === 'DENY') {
-        prompt = `User requested: "${userMessage}"
-  Song found: "${song?.title || 'Unknown'}" by ${song?.artist || 'Unknown'}
-  Result: DENIED - ${reason}
-  Party vibe: ${vibeDescription}
-  ${context.suggestionText || 'Do NOT suggest any songs.'}
-  Generate a SHORT, playful response (1-2 sentences) explaining why it doesn't fit. Be friendly!
-  CRITICAL: Only mention songs from the verified alternatives above. NEVER suggest songs from your own knowledge.`;
+
+    const openOptions = options?.length
+        ? `\n\n  Options you offered in your last message (use choose_option if they pick one):\n  ${options.map((o, i) => `${i + 1}. "${o.title}" by ${o.artist}`).join('\n  ')}`
+        : '';
+
+    try {
+        const response = await plannerLLM.invoke([
+            { role: 'system', content: PLANNER_PROMPT + openOptions },
+            ...state.conversation.slice(-PLANNER_CONTEXT),
+            { role: 'user', content: userMessage }
+        ], { tools: options?.length ? [...INTENT_TOOLS, CHOOSE_OPTION_TOOL] : INTENT_TOOLS });
+
+        const intents = response.toolCalls.slice(0, MAX_INTENTS);
+        console.log(' Planned intents:', intents.map(i => i.name).join(', ') || 'chat');
+        return { intents };
+    } catch (error) {
+        console.error(' DJ planner error:', error.message);
+        return { intents: [] };
     }
+}
 
-    else if (action === 'NOT_FOUND') {
-        prompt = `User requested: "${userMessage}"
-  Result: Song not found anywhere (not in catalog, not on YouTube)
-  Party vibe: ${vibeDescription}
-  Generate a SHORT response (1-2 sentences) saying you couldn't find that song anywhere, and ask them to try another song.`;
+function nextIntent(state) {
+    const [intent = null, ...rest] = state.intents;
+    return { intent, intents: rest, candidate: null };
+}
+
+const SONG_INTENTS = ['request_song', 'request_songs', 'choose_option'];
+
+function routeIntent(state) {
+    if (SONG_INTENTS.includes(state.intent?.name) && remainingAllowance(state) === 0) {
+        return 'queueLimit';
     }
-    else {
-        prompt = `User message: "${userMessage}"
-  Party vibe: ${vibeDescription}
-  This is general chat (not a song request). Respond naturally as Mazaj, the AI DJ. Keep it SHORT (1-2 sentences).`;
+
+    switch (state.intent?.name) {
+        case 'request_song':
+            if (state.intent.args?.title) return 'findExact';
+            return state.intent.args?.artist ? 'artistSearch' : 'nextIntent';
+        case 'request_songs':
+            return state.intent.args?.artist || state.intent.args?.mood ? 'batchSearch' : 'nextIntent';
+        case 'choose_option':
+            return 'chooseOption';
+        case 'skip_current_song':
+            return 'skip';
+        case 'whats_next':
+            return 'whatsNext';
+        case 'remove_my_last_song':
+            return 'removeLast';
+        case undefined:
+            return 'respond';
+        default:
+            return 'nextIntent'; // Unknown tool call - ignore it
     }
+}
+
+/**
+ * Go to the vibe check once a song was found, otherwise to the next search
+ */
+const foundOr = next => state => state.candidate ? 'vibeCheck' : next;
 
-    const response = await llm.invoke([
-        {
-            role: 'system',
-            content: `You are Mazaj, a fun and friendly AI DJ. Keep responses SHORT and energetic. Use emojis sparingly.`
-        },
-        { role: 'user', content: prompt }
-    ]);
 
-    return response.content;
+// ============================================================================
+// Finding the requested song
+// ============================================================================
+
+function searchQueries({ title, searchVariations = [] }) {
+    return [...new Set([title, ...(searchVariations || [])].filter(Boolean))];
 }
 
+function isArtistMatch(foundArtist, requestedArtist) {
+    const found = foundArtist.toLowerCase();
+    const requested = requestedArtist.toLowerCase();
+    return found.includes(requested) ||
+        requested.includes(found) ||
+        requested.split(/\s+/).some(w => found.includes(w) && w.length > 2);
+}
+
+// At least half the requested title words, and the artist if one was given
+function isSemanticMatch(result, { title, artist }) {
+    const foundTitle = result.title.toLowerCase();
+
+    if (title) {
+        const titleWords = title.toLowerCase().split(/\s+/).filter(w => w.length > 2);
+        const matchingWords = titleWords.filter(w => foundTitle.includes(w));
+        if (matchingWords.length < titleWords.length * 0.5) return false;
+    }
+
+    return artist ? isArtistMatch(result.artist, artist) : true;
+}
+
+function isTextMatch(song, query, artist) {
+    const foundTitle = song.title.toLowerCase().trim();
+    const queryLower = query.toLowerCase().trim();
+
+    const titleMatch =
+        foundTitle === queryLower ||
+        foundTitle.startsWith(queryLower + ' ') ||
+        foundTitle.startsWith(queryLower + '(') ||
+        (queryLower.includes(foundTitle) && foundTitle.length > queryLower.length * 0.7);
+
+    if (!titleMatch) return false;
+    if (!artist) return true;
+
+    const requestedArtist = artist.toLowerCase();
+    const foundArtist = song.artist.toLowerCase();
+
+    if (foundArtist.includes(requestedArtist) || requestedArtist.includes(foundArtist)) {
+        return true;
+    }
+
+    const requestedWords = requestedArtist.split(/\s+/);
+    const foundWords = foundArtist.split(/\s+/);
+    return requestedWords.some(rw => foundWords.some(fw => fw.includes(rw) || rw.includes(fw)));
+}
 
 /**
- * Main DJ Agent function - processes user messages
+ * Analyze a music source find and add it to the catalog for future searches
+ * With requireVibe, finds that don't fit the vibe are dropped (judge: incl. the
+ * LLM judge for custom rules, as for catalog songs)
  */
-export async function invokeDJAgent({ userMessage, vibeDescription, vibeRules, chatHistory, partyId }) {
-    try {
-        console.log(' DJ Agent called with:', userMessage);
-        console.log(' Vibe rules:', vibeRules);
-
-        // Step 1: Parse if this is a song request
-        const parsed = await parseSongRequest(userMessage, chatHistory);
-        console.log(' Parsed request:', parsed);
-
-        // If not a song request, just chat
-        if (!parsed.isRequest) {
-            const message = await generateResponse({
-                userMessage,
-                vibeDescription,
-                action: 'CHAT'
-            });
-            return { message, type: 'CHAT', song: null };
+async function discoverSong(found, { vibeRules = null, vibeEmbedding = null, requireVibe = false, judge = false } = {}) {
+    const analysis = await analyzeSongTool.invoke({
+        title: found.title,
+        artist: found.artist,
+        year: found.year ?? null
+    });
+
+    const song = {
+        title: found.title,
+        artist: found.artist,
+        featuredArtists: found.featuredArtists ?? [],
+        album: found.album ?? null,
+        youtubeId: found.youtubeId ?? null,
+        localTrackId: found.localTrackId ?? null,
+        coverUrl: found.coverUrl ?? null,
+        year: found.year,
+        duration: found.duration ?? null,
+        mood: analysis.mood,
+        genre: analysis.genre,
+        energy: analysis.energy,
+        explicit: analysis.explicit,
+    };
+
+    if (requireVibe) {
+        const quick = await checkVibeMatchTool.invoke({ song, vibeRules, vibeEmbedding, judge: false });
+        if (!quick.matches) return null;
+        if (judge) {
+            const full = await checkVibeMatchTool.invoke({ song, vibeRules, vibeEmbedding, judge: true });
+            if (!full.matches) return null;
         }
+    }
 
-        let song = null;
-        let source = 'catalog';
-
-        // Handle "any song by artist" requests - find songs that MATCH the vibe first
-        if (!parsed.title && parsed.artist) {
-            console.log(`🎯 Searching for ${parsed.artist} songs that match the vibe...`);
+    await addSongToCatalog(song, analysis);
+    return song;
+}
 
-            // Search for songs by this artist in catalog
-            const artistSongs = await searchSongsByText(parsed.artist, 20);
+/**
+ * Try the enabled music sources in order - the first find that is discovered
+ * (and fits the vibe, with requireVibe) wins. Returns { song, source } or null.
+ * tried: "title|artist" keys to skip; every find is added to it, so a source
+ * that turned up a song that didn't fit is asked again for another one.
+ */
+async function searchSources(request, config, { tried = new Set(), ...discoverOptions } = {}) {
+    const sources = getMusicSources();
+    if (sources.length === 0) {
+        console.warn(' No music sources enabled (set YOUTUBE_API_KEY or LOCAL_MUSIC_DIR)');
+        return null;
+    }
 
-            // Filter to only songs that match ALL vibe rules
-            const matchingSongs = [];
-            for (const s of artistSongs) {
-                const vibeCheck = checkVibeMatch(s, vibeRules);
-                if (vibeCheck.matches) {
-                    matchingSongs.push(s);
-                }
-            }
+    for (const source of sources) {
+        progress(config, source.name, `Checking ${source.label}...`);
+        try {
+            for (let attempt = 0; attempt < MAX_SOURCE_FINDS; attempt++) {
+                const found = await searchMusicSourceTool.invoke({
+                    source: source.name,
+                    title: request.title ?? null,
+                    artist: request.artist ?? null,
+                    mood: request.mood ?? null,
+                    exclude: [...tried]
+                });
+                // Sources that can't exclude (YouTube) return the same find again
+                if (!found || tried.has(songKey(found))) break;
+                tried.add(songKey(found));
 
-            console.log(`🎵 Found ${matchingSongs.length} ${parsed.artist} songs matching the vibe`);
-
-            if (matchingSongs.length === 1) {
-                // Only one match - use it directly
-                song = matchingSongs[0];
-                source = 'catalog';
-                console.log(`✅ Only one match: "${song.title}" by ${song.artist}`);
-            } else if (matchingSongs.length > 1) {
-                // Multiple matches - let user choose
-                const options = matchingSongs.slice(0, 5).map(s => `"${s.title}"`).join(', ');
-                const message = `I found some ${parsed.artist} songs that fit the vibe! How about: ${options}? Which one do you want?`;
-                return {
-                    message,
-                    type: 'CHAT',
-                    song: null,
-                    options: matchingSongs.slice(0, 5)
-                };
-            } else {
-                // No catalog matches - try YouTube!
-                console.log(`🔍 No catalog matches, searching YouTube for ${parsed.artist}...`);
-
-                // Build search query based on vibe
-                const moodKeyword = vibeRules?.allowedMoods?.[0] || '';
-                const searchQuery = `${parsed.artist} ${moodKeyword} song`;
-
-                const youtubeResult = await searchYouTube(searchQuery);
-
-                if (youtubeResult) {
-                    const analysis = await analyzeSong(youtubeResult.title, youtubeResult.artist, youtubeResult.year);
-
-                    const tempSong = {
-                        title: youtubeResult.title,
-                        artist: youtubeResult.artist,
-                        youtubeId: youtubeResult.youtubeId,
-                        coverUrl: youtubeResult.coverUrl,
-                        year: youtubeResult.year,
-                        mood: analysis.mood,
-                        genre: analysis.genre,
-                        energy: analysis.energy,
-                    };
-
-                    // Check if YouTube result matches vibe
-                    const ytVibeCheck = checkVibeMatch(tempSong, vibeRules);
-
-                    if (ytVibeCheck.matches) {
-                        song = tempSong;
-                        source = 'youtube';
-                        await addSongToCatalog(song, analysis);
-                        console.log(`✅ YouTube find matches vibe: "${song.title}"`);
-                    } else {
-                        // YouTube result doesn't match either
-                        const message = `I searched everywhere but couldn't find a ${parsed.artist} song that fits this ${vibeDescription} vibe. Want to try a different artist?`;
-                        return { message, type: 'CHAT', song: null };
-                    }
-                } else {
-                    const message = `Couldn't find any ${parsed.artist} songs that match the vibe. Try another artist?`;
-                    return { message, type: 'CHAT', song: null };
-                }
+                const song = await discoverSong(found, discoverOptions);
+                if (song) return { song, source: found.source };
             }
+        } catch (error) {
+            // One broken source shouldn't keep the others from being asked
+            console.error(` ${source.label} search failed:`, error.message);
         }
+    }
+    return null;
+}
+
+// 1. Exact match first (fastest)
+async function findExact(state, config) {
+    const { title, artist } = state.intent.args;
+    progress(config, 'catalog', 'Searching the catalog...');
 
-        // Step 2: Search for the song in catalog
+    if (!artist) return {};
 
+    const song = await findExactSongTool.invoke({ title, artist });
+    if (song) console.log('✅ Found exact match in catalog');
+    return song ? { candidate: { song, source: 'catalog' } } : {};
+}
+
+// 2. Vector/semantic search (handles typos, variations, etc.)
+async function semanticSearch(state) {
+    const request = state.intent.args;
 
-        const searchQueries = [parsed.title];
-        if (parsed.searchVariations) {
-            searchQueries.push(...parsed.searchVariations);
+    for (const query of searchQueries(request)) {
+        const searchText = request.artist ? `${query} ${request.artist}` : query;
+        const results = await searchSongsBySemanticTool.invoke({ query: searchText, limit: 10 });
+
+        const song = results.find(result => isSemanticMatch(result, request));
+        if (song) {
+            console.log(`✅ Found via vector search: "${song.title}" by ${song.artist} (similarity: ${song.similarity})`);
+            return { candidate: { song, source: 'catalog' } };
         }
+    }
+    return {};
+}
 
-        console.log('🔎 Will try these searches:', searchQueries);
+// 3. Text search as fallback (songs without embeddings)
+async function textSearch(state) {
+    const request = state.intent.args;
 
-        // 1. Try exact match first (fastest)
-        if (parsed.artist && parsed.title) {
-            song = await findExactSong(parsed.title, parsed.artist);
-            if (song) {
-                console.log('✅ Found exact match in catalog');
-            }
+    for (const query of searchQueries(request)) {
+        const results = await searchSongsByTextTool.invoke({ query, limit: 5 });
+
+        const song = results.find(s => isTextMatch(s, query, request.artist));
+        if (song) {
+            console.log(`✅ Found via text search: "${song.title}" by ${song.artist}`);
+            return { candidate: { song, source: 'catalog' } };
         }
+    }
+    return {};
+}
 
-        // 2. Try VECTOR/SEMANTIC search (handles typos, variations, etc.)
-        if (!song) {
-            for (const query of searchQueries) {
-                if (!query) continue;
+// 4. Not in the catalog - try the music sources
+async function sourceSearch(state, config) {
+    const { title, artist } = state.intent.args;
 
-                const searchText = parsed.artist ? `${query} ${parsed.artist}` : query;
-                const semanticResults = await searchSongsBySemantic(searchText, 10); // Get more results to validate
+    const found = await searchSources({ title, artist }, config);
+    if (!found) {
+        console.log('🎶 Song not found:', describeRequest(state.intent.args));
+        return addOutcome(state, { action: 'NOT_FOUND' });
+    }
 
-                for (const result of semanticResults) {
-                    const foundTitle = result.title.toLowerCase();
-                    const foundArtist = result.artist.toLowerCase();
+    return { candidate: found };
+}
 
-                    let isValid = true;
+// "Any song by <artist>" - only songs that already match the vibe
+async function artistSearch(state, config) {
+    const { artist } = state.intent.args;
+    const { vibeRules, vibeEmbedding = null, vibeDescription } = state.request;
 
-                    // If specific title requested, verify title matches
-                    if (parsed.title) {
-                        const requestedTitle = parsed.title.toLowerCase();
-                        const titleWords = requestedTitle.split(/\s+/).filter(w => w.length > 2);
-                        const matchingWords = titleWords.filter(w => foundTitle.includes(w));
+    console.log(`🎯 Searching for ${artist} songs that match the vibe...`);
+    progress(config, 'catalog', `Looking for ${artist} songs that fit the vibe...`);
 
-                        // At least 50% of title words should match
-                        if (matchingWords.length < titleWords.length * 0.5) {
-                            console.log(`  ❌ Title mismatch: "${result.title}" doesn't match "${parsed.title}"`);
-                            isValid = false;
-                        }
-                    }
+    const artistSongs = await searchSongsByTextTool.invoke({ query: artist, limit: 20 });
+    const matchingSongs = [];
+    for (const song of artistSongs) {
+        const vibeCheck = await checkVibeMatchTool.invoke({ song, vibeRules, vibeEmbedding, judge: false });
+        if (vibeCheck.matches) matchingSongs.push(song);
+    }
 
-                    // If artist specified, verify artist matches
-                    if (isValid && parsed.artist) {
-                        const requestedArtist = parsed.artist.toLowerCase();
-                        const artistMatch = foundArtist.includes(requestedArtist) ||
-                            requestedArtist.includes(foundArtist) ||
-                            requestedArtist.split(/\s+/).some(w => foundArtist.includes(w) && w.length > 2);
-
-                        if (!artistMatch) {
-                            console.log(`  ❌ Artist mismatch: "${result.artist}" doesn't match "${parsed.artist}"`);
-                            isValid = false;
-                        }
-                    }
+    console.log(`🎵 Found ${matchingSongs.length} ${artist} songs matching the vibe`);
 
-                    if (isValid) {
-                        song = result;
-                        console.log(`✅ Found via vector search: "${song.title}" by ${song.artist} (similarity: ${song.similarity})`);
-                        break;
-                    }
-                }
+    if (matchingSongs.length === 1) {
+        return { candidate: { song: matchingSongs[0], source: 'catalog' } };
+    }
 
-                if (song) break;
-            }
+    if (matchingSongs.length > 1) {
+        // Multiple matches - let user choose
+        const options = matchingSongs.slice(0, 5);
+        return addOutcome(state, {
+            action: 'OPTIONS',
+            options,
+            message: `I found some ${artist} songs that fit the vibe! How about: ${options.map(s => `"${s.title}"`).join(', ')}? Which one do you want?`
+        });
+    }
+
+    // No catalog matches - try the music sources with a mood keyword
+    const moodKeyword = vibeRules?.allowedMoods?.[0] || null;
+    const found = await searchSources({ artist, mood: moodKeyword }, config, { vibeRules, vibeEmbedding, requireVibe: true });
+
+    if (!found) {
+        return addOutcome(state, {
+            action: 'INFO',
+            message: `I searched everywhere but couldn't find a ${artist} song that fits this ${vibeDescription} vibe. Want to try a different artist?`
+        });
+    }
+
+    console.log(`✅ ${getMusicSourceLabel(found.source)} find matches vibe: "${found.song.title}"`);
+    return { candidate: found };
+}
+
+// "Queue three Fairuz songs" - the first `count` catalog songs that fit the vibe,
+// topped up from the music sources if the catalog runs short
+async function batchSearch(state, config) {
+    const { artist = null, mood = null } = state.intent.args;
+    const requested = Math.min(Math.max(parseInt(state.intent.args.count) || DEFAULT_BATCH, 1), MAX_BATCH);
+    const count = Math.min(requested, remainingAllowance(state));
+    const { vibeRules, vibeEmbedding = null } = state.request;
+    const label = describeRequest({ artist, mood, count });
+
+    progress(config, 'catalog', `Looking for ${label}...`);
+    const found = artist
+        ? await searchSongsByTextTool.invoke({ query: artist, limit: 50 })
+        : await getSongsByMoodTool.invoke({ moods: [mood], limit: 50, vibeEmbedding });
+
+    // Skip songs already waiting/playing and ones approved earlier in this message
+    const queued = (await readQueue(state.request)).filter(s => s.status !== 'PLAYED');
+    const taken = new Set([...queued, ...acceptedSongs(state.outcomes)].map(songKey));
+
+    const candidates = found.filter(s =>
+        (!artist || isArtistMatch(s.artist, artist)) &&
+        (!mood || s.mood?.includes(mood)) &&
+        !taken.has(songKey(s))
+    );
+
+    progress(config, 'vibe', `Checking ${label} against the vibe...`);
+    const songs = [];
+    for (const song of candidates) {
+        if (songs.length >= count) break;
+
+        // Cheap rule check first, the LLM judge only for songs that pass it
+        const quick = await checkVibeMatchTool.invoke({ song, vibeRules, vibeEmbedding, judge: false });
+        if (!quick.matches) continue;
+        const full = await checkVibeMatchTool.invoke({ song, vibeRules, vibeEmbedding, judge: true });
+        if (!full.matches) continue;
+
+        songs.push(song);
+        taken.add(songKey(song));
+    }
+
+    // Top up from the music sources, with the same full check as catalog songs
+    const moodKeyword = mood || vibeRules?.allowedMoods?.[0] || null;
+    while (songs.length < count && artist) {
+        const found = await searchSources(
+            { artist, mood: moodKeyword },
+            config,
+            { vibeRules, vibeEmbedding, requireVibe: true, judge: true, tried: taken }
+        );
+        if (!found) break;
+        songs.push(found.song);
+    }
+
+    console.log(`🎵 Batch ${label}: ${songs.length} song(s) fit the vibe`);
+    if (songs.length === 0) {
+        return addOutcome(state, { action: 'NOT_FOUND' });
+    }
+    return addOutcome(state, { action: 'BATCH', songs, count, requested });
+}
+
+// A song from the options offered last time - already found, no search needed
+function chooseOption(state) {
+    const index = parseInt(state.intent.args?.index);
+    const option = state.request.options?.[index - 1];
+    return option ? { candidate: { song: option, source: 'catalog', optionIndex: index } } : {};
+}
+
+// 5. Does the song fit the vibe? (incl. LLM judge for custom rules)
+async function vibeCheck(state, config) {
+    const { song, source, optionIndex = null } = state.candidate;
+    const { vibeRules, vibeEmbedding = null } = state.request;
+    const { artist } = state.intent.args;
+
+    progress(config, 'vibe', `Checking if "${song.title}" fits the vibe...`);
+    const result = await checkVibeMatchTool.invoke({ song, vibeRules, vibeEmbedding, judge: true });
+    console.log('✅ Vibe check:', result);
+
+    if (result.matches) {
+        return addOutcome(state, { action: 'ACCEPT', song, source, optionIndex });
+    }
+
+    // Verified alternatives only: same artist first, then anything in an allowed mood
+    const suggestions = [];
+    const collect = async (songs) => {
+        for (const s of songs) {
+            if (suggestions.length >= 3) return;
+            const check = await checkVibeMatchTool.invoke({ song: s, vibeRules, vibeEmbedding, judge: false });
+            if (check.matches) suggestions.push(s);
         }
+    };
 
-        // 3. Text search as fallback (for edge cases)
-        if (!song) {
-            for (const query of searchQueries) {
-                if (!query) continue;
-                const results = await searchSongsByText(query, 5);
+    if (artist) {
+        await collect(await searchSongsByTextTool.invoke({ query: artist, limit: 20 }));
+    }
+    if (suggestions.length === 0 && vibeRules?.allowedMoods) {
+        await collect(await getSongsByMoodTool.invoke({ moods: vibeRules.allowedMoods, limit: 20, vibeEmbedding }));
+    }
 
-                song = results.find(s => {
-                    const foundTitle = s.title.toLowerCase().trim();
-                    const queryLower = query.toLowerCase().trim();
+    return addOutcome(state, {
+        action: 'DENY',
+        song,
+        reason: result.violations.length > 0
+            ? result.violations.map(v => v.message).join('; ')
+            : result.reason,
+        violations: result.violations,
+        suggestions
+    });
+}
 
-                    const titleMatch =
-                        foundTitle === queryLower ||
-                        foundTitle.startsWith(queryLower + ' ') ||
-                        foundTitle.startsWith(queryLower + '(') ||
-                        (queryLower.includes(foundTitle) && foundTitle.length > queryLower.length * 0.7);
 
-                    if (!titleMatch) return false;
-                    if (!parsed.artist) return true;
+// ============================================================================
+// Queue actions
+// ============================================================================
 
-                    const requestedArtist = parsed.artist.toLowerCase();
-                    const foundArtist = s.artist.toLowerCase();
+async function readQueue(request) {
+    if (!request.partyId) return [];
+    return getQueueTool.invoke({ partyId: request.partyId, mode: request.queueMode || null });
+}
 
-                    if (foundArtist.includes(requestedArtist) || requestedArtist.includes(foundArtist)) {
-                        return true;
-                    }
+async function skip(state) {
+    if (!can(state.request.role, 'playback.control')) {
+        return addOutcome(state, { action: 'INFO', message: 'Only the host or a co-host can skip songs.' });
+    }
 
-                    const requestedWords = requestedArtist.split(/\s+/);
-                    const foundWords = foundArtist.split(/\s+/);
-                    return requestedWords.some(rw => foundWords.some(fw => fw.includes(rw) || rw.includes(fw)));
-                });
+    const playing = (await readQueue(state.request)).find(s => s.status === 'PLAYING');
+    if (!playing) {
+        return addOutcome(state, { action: 'INFO', message: 'Nothing is playing right now.' });
+    }
 
-                if (song) {
-                    console.log(`✅ Found via text search: "${song.title}" by ${song.artist}`);
-                    break;
-                }
-            }
+    return addOutcome(state, {
+        action: 'SKIP',
+        song: playing,
+        message: `Skipping "${playing.title}"! ⏭️`
+    });
+}
+
+async function whatsNext(state) {
+    const pending = (await readQueue(state.request)).filter(s => s.status === 'PENDING');
+
+    // Songs accepted earlier in this message are queued after the reply is saved
+    const upcoming = [...pending, ...acceptedSongs(state.outcomes)].slice(0, 3);
+
+    return addOutcome(state, {
+        action: 'INFO',
+        upcoming: upcoming.map(toQueuedSong),
+        message: upcoming.length > 0
+            ? `Up next: ${upcoming.map(s => `"${s.title}" by ${s.artist}`).join(', then ')}.`
+            : 'The queue is empty - request something! 🎶'
+    });
+}
+
+// The sender already has as many songs waiting as the party allows (see requestLimits.js)
+function queueLimit(state) {
+    return addOutcome(state, {
+        action: 'LIMIT',
+        message: "You've hit your limit of songs waiting in the queue! 🎶 Let some of them play, then hit me with more."
+    });
+}
+
+async function removeLast(state) {
+    const mine = (await readQueue(state.request))
+        .filter(s => s.status === 'PENDING' && s.addedBy === state.request.userId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    if (mine.length === 0) {
+        return addOutcome(state, { action: 'INFO', message: "You don't have any songs waiting in the queue." });
+    }
+
+    return addOutcome(state, {
+        action: 'REMOVE',
+        song: mine[0],
+        message: `Removed "${mine[0].title}" by ${mine[0].artist} from the queue.`
+    });
+}
+
+
+// ============================================================================
+// Reply
+// ============================================================================
+
+/**
+ * Prompt for a single request outcome (or general chat)
+ */
+function outcomePrompt({ userMessage, vibeDescription }, outcome) {
+    if (!outcome) {
+        return `User message: "${userMessage}"
+  Party vibe: ${vibeDescription}
+  This is general chat (not a song request). Respond naturally as Mazaj, the AI DJ. Keep it SHORT (1-2 sentences).`;
+    }
+
+    const { action, song, source, reason, suggestions } = outcome;
+
+    if (action === 'ACCEPT') {
+        const sourceText = source !== 'catalog' ? ` (found it via ${getMusicSourceLabel(source)}!)` : '';
+        return `User requested: "${userMessage}"
+  Song found: "${song.title}" by ${song.artist}${sourceText}
+  Result: APPROVED - matches the party vibe!
+  Generate a SHORT, excited response (1-2 sentences) confirming the song was added. Be fun and enthusiastic!`;
+    }
+
+    if (action === 'DENY') {
+        return `User requested: "${userMessage}"
+  Song found: "${song?.title || 'Unknown'}" by ${song?.artist || 'Unknown'}
+  Result: DENIED - ${reason}
+  Party vibe: ${vibeDescription}
+  ${suggestionText(suggestions)}
+  Generate a SHORT, playful response (1-2 sentences) explaining why it doesn't fit. Be friendly!
+  CRITICAL: Only mention songs from the verified alternatives above. NEVER suggest songs from your own knowledge.`;
+    }
+
+    return `User requested: "${userMessage}"
+  Result: Song not found anywhere (not in the catalog or any music source)
+  Party vibe: ${vibeDescription}
+  Generate a SHORT response (1-2 sentences) saying you couldn't find that song anywhere, and ask them to try another song.`;
+}
+
+function suggestionText(suggestions = []) {
+    return suggestions.length > 0
+        ? `Verified alternatives that match ALL rules: ${suggestions.map(s => `"${s.title}" by ${s.artist}`).join(', ')}`
+        : 'No alternatives found that match the vibe. Ask them to try a different song.';
+}
+
+/**
+ * Prompt covering several outcomes of one message, in order
+ */
+function summaryPrompt({ userMessage, vibeDescription }, outcomes) {
+    const lines = outcomes.map((outcome) => {
+        switch (outcome.action) {
+            case 'ACCEPT':
+                return `- APPROVED: "${outcome.song.title}" by ${outcome.song.artist} added to the queue${outcome.source !== 'catalog' ? ` (found via ${getMusicSourceLabel(outcome.source)})` : ''}`;
+            case 'BATCH':
+                return `- APPROVED: ${outcome.songs.map(s => `"${s.title}" by ${s.artist}`).join(', ')} added to the queue` +
+                    (outcome.requested > outcome.count ? ` (asked for ${outcome.requested}, but they can only have ${outcome.count} more waiting in the queue)` : '') +
+                    (outcome.songs.length < outcome.count ? ` (asked for ${outcome.count}, only these fit the vibe)` : '');
+            case 'DENY':
+                return `- DENIED: "${outcome.song.title}" by ${outcome.song.artist} - ${outcome.reason}. ${suggestionText(outcome.suggestions)}`;
+            case 'NOT_FOUND':
+                return `- ${describeRequest(outcome.request)} not found anywhere (not in the catalog or any music source)`;
+            default:
+                return `- ${outcome.message}`;
         }
-        //  Step 3: If not in catalog, try YouTube!
-        if (!song) {
-            console.log(' Song not in catalog, searching YouTube...');
-
-            // Build a proper search query (handle null title)
-            let searchQuery;
-            if (parsed.title && parsed.artist) {
-                searchQuery = `${parsed.title} ${parsed.artist}`;
-            } else if (parsed.title) {
-                searchQuery = parsed.title;
-            } else if (parsed.artist) {
-                // No specific song, just artist - search for their popular songs
-                searchQuery = `${parsed.artist} official music video`;
-            } else {
-                searchQuery = null;
-            }
+    });
 
-            if (!searchQuery) {
-                console.log('⚠️ No valid search query, skipping YouTube');
-            }
+    return `User message: "${userMessage}"
+  Here is what happened, in order:
+  ${lines.join('\n  ')}
+  Party vibe: ${vibeDescription}
+  Generate a SHORT response (1-3 sentences) covering every result above, in order. Be fun!
+  CRITICAL: Only mention songs listed above. NEVER suggest songs from your own knowledge.`;
+}
+
+async function respond(state, config) {
+    const { request, outcomes } = state;
+    const emit = text => config.writer?.({ token: text });
+
+    let message;
+    if (outcomes.length === 1 && outcomes[0].message) {
+        // Canned reply - sent as a single token
+        message = outcomes[0].message;
+        emit(message);
+    } else {
+        const prompt = outcomes.length > 1 || outcomes[0]?.action === 'BATCH'
+            ? summaryPrompt(request, outcomes)
+            : outcomePrompt(request, outcomes[0]);
+
+        const messages = [
+            {
+                role: 'system',
+                content: `You are Mazaj, a fun and friendly AI DJ. Keep responses SHORT and energetic. Use emojis sparingly.`
+            },
+            ...(outcomes.length === 0 ? state.conversation.slice(-PLANNER_CONTEXT) : []),
+            { role: 'user', content: prompt }
+        ];
+
+        message = '';
+        for await (const chunk of responseLLM.stream(messages)) {
+            message += chunk;
+            emit(chunk);
+        }
+    }
+
+    return {
+        reply: message,
+        conversation: [
+            { role: 'user', content: request.userMessage },
+            { role: 'assistant', content: message }
+        ]
+    };
+}
+
+
+// ============================================================================
+// Graph
+// ============================================================================
+
+const builder = new StateGraph(DJState)
+    .addNode('plan', plan)
+    .addNode('nextIntent', nextIntent)
+    .addNode('findExact', findExact)
+    .addNode('semanticSearch', semanticSearch)
+    .addNode('textSearch', textSearch)
+    .addNode('sourceSearch', sourceSearch)
+    .addNode('artistSearch', artistSearch)
+    .addNode('batchSearch', batchSearch)
+    .addNode('chooseOption', chooseOption)
+    .addNode('vibeCheck', vibeCheck)
+    .addNode('skip', skip)
+    .addNode('whatsNext', whatsNext)
+    .addNode('removeLast', removeLast)
+    .addNode('queueLimit', queueLimit)
+    .addNode('respond', respond)
+    .addEdge(START, 'plan')
+    .addEdge('plan', 'nextIntent')
+    .addConditionalEdges('nextIntent', routeIntent,
+        ['findExact', 'artistSearch', 'batchSearch', 'chooseOption', 'skip', 'whatsNext', 'removeLast', 'queueLimit', 'nextIntent', 'respond'])
+    .addConditionalEdges('findExact', foundOr('semanticSearch'), ['vibeCheck', 'semanticSearch'])
+    .addConditionalEdges('semanticSearch', foundOr('textSearch'), ['vibeCheck', 'textSearch'])
+    .addConditionalEdges('textSearch', foundOr('sourceSearch'), ['vibeCheck', 'sourceSearch'])
+    .addConditionalEdges('sourceSearch', foundOr('nextIntent'), ['vibeCheck', 'nextIntent'])
+    .addConditionalEdges('artistSearch', foundOr('nextIntent'), ['vibeCheck', 'nextIntent'])
+    .addConditionalEdges('chooseOption', foundOr('nextIntent'), ['vibeCheck', 'nextIntent'])
+    .addEdge('vibeCheck', 'nextIntent')
+    .addEdge('batchSearch', 'nextIntent')
+    .addEdge('skip', 'nextIntent')
+    .addEdge('whatsNext', 'nextIntent')
+    .addEdge('removeLast', 'nextIntent')
+    .addEdge('queueLimit', 'nextIntent')
+    .addEdge('respond', END);
+
+const partyGraph = builder.compile({ checkpointer: agentCheckpointer });
+const statelessGraph = builder.compile(); // No party (no thread to keep)
+
+const turns = new Map(); // partyId -> promise of the running turn
 
-            const youtubeResult = searchQuery ? await searchYouTube(searchQuery) : null;
-
-            if (youtubeResult) {
-                source = 'youtube';
-
-                // Analyze the song to get mood/energy
-                const analysis = await analyzeSong(
-                    youtubeResult.title,
-                    youtubeResult.artist,
-                    youtubeResult.year
-                );
-
-                // Create song object with analysis data
-                song = {
-                    title: youtubeResult.title,
-                    artist: youtubeResult.artist,
-                    youtubeId: youtubeResult.youtubeId,
-                    coverUrl: youtubeResult.coverUrl,
-                    year: youtubeResult.year,
-                    mood: analysis.mood,
-                    genre: analysis.genre,
-                    energy: analysis.energy,
-                };
-
-                //  Add to catalog for future searches
-                await addSongToCatalog(song, analysis);
+/**
+ * Run a party's turns one at a time so each sees the previous conversation
+ */
+function withPartyTurn(partyId, fn) {
+    if (!partyId) return fn();
+
+    const previous = turns.get(partyId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn);
+    turns.set(partyId, run);
+    run.finally(() => {
+        if (turns.get(partyId) === run) turns.delete(partyId);
+    }).catch(() => {});
+    return run;
+}
+
+/**
+ * Per-song breakdown of the song requests in a message
+ * [{ request, status: ACCEPTED | DENIED | NOT_FOUND | LIMITED, song?, reason?, violations? }]
+ */
+function toResults(outcomes) {
+    return outcomes.flatMap((outcome) => {
+        const request = describeRequest(outcome.request);
+
+        switch (outcome.action) {
+            case 'ACCEPT':
+                return [{ request, status: 'ACCEPTED', song: toQueuedSong(outcome.song) }];
+            case 'BATCH': {
+                const accepted = outcome.songs.map(song => ({ request, status: 'ACCEPTED', song: toQueuedSong(song) }));
+                const missing = outcome.count - outcome.songs.length;
+                const overLimit = (outcome.requested || outcome.count) - outcome.count;
+                return [
+                    ...accepted,
+                    ...(missing > 0 ? [{ request, status: 'NOT_FOUND', reason: `Only ${outcome.songs.length} of ${outcome.count} songs fit the vibe` }] : []),
+                    ...(overLimit > 0 ? [{ request, status: 'LIMITED', reason: `Only ${outcome.count} more of your songs fit in the queue` }] : [])
+                ];
             }
+            case 'DENY':
+                return [{
+                    request,
+                    status: 'DENIED',
+                    song: toQueuedSong(outcome.song),
+                    reason: outcome.reason,
+                    violations: outcome.violations
+                }];
+            case 'NOT_FOUND':
+                return [{ request, status: 'NOT_FOUND' }];
+            case 'LIMIT':
+                return [{ request, status: 'LIMITED', reason: outcome.message }];
+            default:
+                return [];
         }
+    });
+}
+
+/**
+ * Agent result from the final graph state
+ * type: AI_ACCEPT if any song was approved, AI_REJECT if song requests all failed, else CHAT
+ */
+function toResult({ reply, outcomes }) {
+    const denied = outcomes.find(o => o.action === 'DENY');
+    const rejected = outcomes.some(o => ['DENY', 'NOT_FOUND', 'LIMIT'].includes(o.action));
+    const skipped = outcomes.find(o => o.action === 'SKIP');
+
+    const songs = acceptedSongs(outcomes).map(toQueuedSong);
+    return {
+        message: reply,
+        type: songs.length > 0 ? 'AI_ACCEPT' : (rejected ? 'AI_REJECT' : 'CHAT'),
+        song: songs[0] || null,
+        songs,
+        results: toResults(outcomes),
+        options: outcomes.find(o => o.action === 'OPTIONS')?.options || null,
+        suggestion: denied?.suggestions[0] || null,
+        violations: denied?.violations || [],
+        actions: {
+            chosenOption: outcomes.find(o => o.optionIndex)?.optionIndex || null,
+            skipSongId: skipped?.song.id || null,
+            removeSongIds: outcomes.filter(o => o.action === 'REMOVE').map(o => o.song.id)
+        }
+    };
+}
+
+/**
+ * Main DJ Agent function - processes user messages
+ *
+ * request: { userMessage, vibeDescription, vibeRules, vibeEmbedding, partyId, userId, role, queueMode, options, songAllowance }
+ * - vibeEmbedding: Party."vibeEmbedding" - vibe checks also gate on similarity to it
+ * - options: still-open options from the last reply (see songOptions.js)
+ * - songAllowance: how many more songs the sender may queue (null = no cap, see requestLimits.js)
+ * Without partyId the turn runs without conversation memory.
+ *
+ * Returns { message, type, song, songs, results, options, suggestion, violations, actions }
+ * - songs: approved songs to queue (song is the first one)
+ * - results: per-song accept/deny breakdown (see toResults)
+ * - actions: { chosenOption, skipSongId, removeSongIds } for the caller to apply
+ *
+ * Optional hooks for streaming clients:
+ *   onProgress({ stage, message }) - stage is parsing | catalog | vibe, or a music source (youtube | local)
+ *   onToken(text)                  - chunks of the reply as they are generated
+ *                                    (canned replies arrive as a single chunk)
+ */
+export async function invokeDJAgent({ onProgress = null, onToken = null, ...request }) {
+    const partyId = request.partyId || null;
+
+    return withPartyTurn(partyId, async () => {
+        let streamed = false;
 
-        console.log('🎶 Found song:', song ? `${song.title} by ${song.artist} (${source})` : 'NOT FOUND');
+        try {
+            console.log(' DJ Agent called with:', request.userMessage);
 
-        // Step 4: If still no song found
-        if (!song) {
-            const message = await generateResponse({
-                userMessage,
-                vibeDescription,
-                action: 'NOT_FOUND'
+            const graph = partyId ? partyGraph : statelessGraph;
+            const input = { request, intents: [], intent: null, candidate: null, outcomes: [], reply: null };
+            const stream = await graph.stream(input, {
+                configurable: partyId ? { thread_id: partyId } : {},
+                streamMode: ['custom', 'values'],
+                recursionLimit: 100
             });
-            return { message, type: 'AI_DENY', song: null };
-        }
 
-        // Step 5: Check if song matches vibe rules
-        const vibeCheck = checkVibeMatch(song, vibeRules);
-        console.log('✅ Vibe check:', vibeCheck);
-
-        if (!vibeCheck.matches) {
-            let suggestions = [];
-
-            // Try to find songs by same artist that FULLY match ALL vibe rules
-            if (parsed.artist) {
-                const artistSongs = await searchSongsByText(parsed.artist, 20);
-                for (const s of artistSongs) {
-                    const fullVibeCheck = checkVibeMatch(s, vibeRules);
-                    if (fullVibeCheck.matches) {
-                        suggestions.push(s);
-                        if (suggestions.length >= 3) break;
-                    }
+            let finalState = null;
+            for await (const [mode, chunk] of stream) {
+                if (mode === 'values') {
+                    finalState = chunk;
+                } else if (chunk.progress) {
+                    onProgress?.(chunk.progress);
+                } else if (chunk.token !== undefined) {
+                    streamed = true;
+                    onToken?.(chunk.token);
                 }
             }
 
-            // If no artist songs match, find ANY songs that fully match the vibe
-            if (suggestions.length === 0 && vibeRules?.allowedMoods) {
-                const moodSongs = await getSongsByMood(vibeRules.allowedMoods, 20);
-                for (const s of moodSongs) {
-                    const fullVibeCheck = checkVibeMatch(s, vibeRules);
-                    if (fullVibeCheck.matches) {
-                        suggestions.push(s);
-                        if (suggestions.length >= 3) break;
-                    }
-                }
+            if (partyId) {
+                await agentCheckpointer.pruneThread(partyId)
+                    .catch(err => console.error(' DJ checkpoint cleanup failed:', err.message));
             }
 
-            // Build suggestion text for AI - ONLY verified songs
-            const suggestionText = suggestions.length > 0
-                ? `Verified alternatives that match ALL rules: ${suggestions.map(s => `"${s.title}" by ${s.artist}`).join(', ')}`
-                : 'No alternatives found that match the vibe. Ask them to try a different song.';
-
-            const message = await generateResponse({
-                userMessage,
-                vibeDescription,
-                action: 'DENY',
-                song,
-                reason: vibeCheck.reason,
-                suggestions,
-                suggestionText  // Pass the verified text
-            });
+            return toResult(finalState);
 
+        } catch (error) {
+            console.error(' DJ Agent error:', error.message);
+            console.error(' Full error:', error);
+            const message = "Sorry, I'm having trouble processing that. Try again!";
+            if (onToken && !streamed) onToken(message);
             return {
                 message,
-                type: 'AI_DENY',
+                type: 'CHAT',
                 song: null,
-                suggestion: suggestions[0] || null
+                songs: [],
+                results: [],
+                options: null,
+                suggestion: null,
+                violations: [],
+                actions: { chosenOption: null, skipSongId: null, removeSongIds: [] }
             };
         }
-
-
-        // Step 6: Song approved!
-        const message = await generateResponse({
-            userMessage,
-            vibeDescription,
-            action: 'ACCEPT',
-            song,
-            source
-        });
-
-        return {
-            message,
-            type: 'AI_ACCEPT',
-            song: {
-                title: song.title,
-                artist: song.artist,
-                coverUrl: song.coverUrl,
-                youtubeId: song.youtubeId,
-                mood: song.mood,
-                year: song.year
-            }
-        };
-
-    } catch (error) {
-        console.error(' DJ Agent error:', error.message);
-        console.error(' Full error:', error);
-        return {
-            message: "Sorry, I'm having trouble processing that. Try again!",
-            type: 'CHAT',
-            song: null
-        };
-    }
+    });
 }
 
 export default { invokeDJAgent };
@@ -0,0 +1,180 @@
+/**
+  * DJ Tools
+  * LangChain tools the DJ graph runs as its steps
+  *
+  * Thin wrappers over the catalog, music source, analysis and queue services, so
+  * every step the agent takes goes through one named, schema-checked call.
+  */
+
+import { tool } from '@langchain/core/tools';
+import {
+    findExactSong,
+    searchSongsBySemantic,
+    searchSongsByText,
+    getSongsByMood,
+    checkVibeMatch,
+    checkVibeMatchWithJudge,
+    withVibeSimilarity
+} from '../services/songSearch.js';
+import { searchMusicSource } from '../services/musicSources.js';
+import { analyzeSong } from '../services/songAnalyzer.js';
+import { QUEUE_MODES, getQueue } from '../services/queueService.js';
+
+const text = description => ({ type: 'string', description });
+const limit = { type: 'integer', minimum: 1, maximum: 50, description: 'Max results' };
+
+
+// ============================================================================
+// Catalog
+// ============================================================================
+
+export const findExactSongTool = tool(
+    async ({ title, artist }) => findExactSong(title, artist),
+    {
+        name: 'find_exact_song',
+        description: 'Find a catalog song by its exact title and (part of) the artist name. Returns the song or null.',
+        schema: {
+            type: 'object',
+            properties: { title: text('Song title'), artist: text('Artist name') },
+            required: ['title', 'artist']
+        }
+    }
+);
+
+export const searchSongsBySemanticTool = tool(
+    async ({ query, limit = 10 }) => searchSongsBySemantic(query, limit),
+    {
+        name: 'search_songs_semantic',
+        description: 'Vector search over the catalog - tolerates typos and alternative titles. Returns songs with a similarity score.',
+        schema: {
+            type: 'object',
+            properties: { query: text('Title, optionally followed by the artist'), limit },
+            required: ['query']
+        }
+    }
+);
+
+export const searchSongsByTextTool = tool(
+    async ({ query, limit = 10 }) => searchSongsByText(query, limit),
+    {
+        name: 'search_songs_text',
+        description: 'Substring search over catalog titles and artists. Works for songs without embeddings.',
+        schema: {
+            type: 'object',
+            properties: { query: text('Title or artist'), limit },
+            required: ['query']
+        }
+    }
+);
+
+export const getSongsByMoodTool = tool(
+    async ({ moods, limit = 10, vibeEmbedding = null }) => getSongsByMood(moods, limit, { vibeEmbedding }),
+    {
+        name: 'get_songs_by_mood',
+        description: 'Catalog songs tagged with any of the given moods - closest to the party vibe first if vibeEmbedding is given, otherwise random.',
+        schema: {
+            type: 'object',
+            properties: {
+                moods: { type: 'array', items: { type: 'string' } },
+                limit,
+                vibeEmbedding: { type: ['string', 'null'], description: 'The party\'s vibe embedding (pgvector string)' }
+            },
+            required: ['moods']
+        }
+    }
+);
+
+
+// ============================================================================
+// Discovery
+// ============================================================================
+
+export const searchMusicSourceTool = tool(
+    async ({ source, title = null, artist = null, mood = null, exclude = [] }) =>
+        searchMusicSource(source, { title, artist, mood, exclude }),
+    {
+        name: 'search_music_source',
+        description: 'Find a song outside the catalog in one music source (youtube, local, ...) by title and/or artist. Returns { title, artist, year, source, youtubeId?, localTrackId?, ... } or null.',
+        schema: {
+            type: 'object',
+            properties: {
+                source: text('Music source name'),
+                title: { type: ['string', 'null'], description: 'Song title' },
+                artist: { type: ['string', 'null'], description: 'Artist name' },
+                mood: { type: ['string', 'null'], description: 'Mood keyword for artist-only searches' },
+                exclude: { type: 'array', items: { type: 'string' }, description: '"title|artist" keys to skip' }
+            },
+            required: ['source']
+        }
+    }
+);
+
+export const analyzeSongTool = tool(
+    async ({ title, artist, year = null }) => analyzeSong(title, artist, year),
+    {
+        name: 'analyze_song',
+        description: 'Estimate mood, genre, energy and explicitness of a song that is not in the catalog.',
+        schema: {
+            type: 'object',
+            properties: {
+                title: text('Song title'),
+                artist: text('Artist name'),
+                year: { type: ['integer', 'null'], description: 'Release year if known' }
+            },
+            required: ['title', 'artist']
+        }
+    }
+);
+
+
+// ============================================================================
+// Vibe and queue
+// ============================================================================
+
+export const checkVibeMatchTool = tool(
+    async ({ song, vibeRules, vibeEmbedding = null, judge = true }) => {
+        if (judge) return checkVibeMatchWithJudge(song, vibeRules, { vibeEmbedding });
+        return checkVibeMatch(await withVibeSimilarity(song, vibeEmbedding), vibeRules);
+    },
+    {
+        name: 'check_vibe_match',
+        description: 'Check a song against the party vibe rules (and its similarity to the vibe, if vibeEmbedding is given). judge=false skips the LLM judge for custom rules (fast, for filtering lists).',
+        schema: {
+            type: 'object',
+            properties: {
+                song: { type: 'object' },
+                vibeRules: { type: ['object', 'null'] },
+                vibeEmbedding: { type: ['string', 'null'] },
+                judge: { type: 'boolean' }
+            },
+            required: ['song']
+        }
+    }
+);
+
+export const getQueueTool = tool(
+    async ({ partyId, mode = null }) => getQueue(partyId, { mode }),
+    {
+        name: 'get_queue',
+        description: 'The party queue: played/playing songs first, then PENDING songs in play order.',
+        schema: {
+            type: 'object',
+            properties: {
+                partyId: text('Party id'),
+                mode: { type: ['string', 'null'], enum: [...QUEUE_MODES, null] }
+            },
+            required: ['partyId']
+        }
+    }
+);
+
+export default {
+    findExactSongTool,
+    searchSongsBySemanticTool,
+    searchSongsByTextTool,
+    getSongsByMoodTool,
+    searchMusicSourceTool,
+    analyzeSongTool,
+    checkVibeMatchTool,
+    getQueueTool
+};
@@ -0,0 +1,110 @@
+/**
+  * MAZAJ - AI DJ Party Backend
+  * Express app - middleware, routes and error handling
+  * (server.js connects the database and starts listening)
+  */
+
+// ============================================================================
+// 1. IMPORTS
+// ============================================================================
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import express from 'express';
+import cors from 'cors';
+import morgan from 'morgan';
+
+import partyRoutes from './routes/partyRoutes.js';
+import chatRoutes from './routes/chatRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import catalogRoutes from './routes/catalogRoutes.js';
+import libraryRoutes from './routes/libraryRoutes.js';
+import { requireAuth, requireAdmin } from './middleware/auth.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import pgclient, { getPoolStats } from './db.js';
+import { LLM_PROVIDER, EMBEDDING_PROVIDER, getTokenUsage } from './services/llmProvider.js';
+
+
+// ============================================================================
+// 2. EXPRESS APP SETUP
+// ============================================================================
+
+const app = express();
+
+
+// ============================================================================
+// 3. MIDDLEWARE
+// ============================================================================
+
+app.use(cors());
+if (process.env.NODE_ENV !== 'test') {
+    app.use(morgan('dev'));
+}
+
+// Catalog imports parse their own, larger bodies (see routes/catalogRoutes.js)
+const jsonBody = express.json();
+app.use((req, res, next) => (req.path === '/api/catalog/imports' ? next() : jsonBody(req, res, next)));
+app.use(express.urlencoded({ extended: true }));
+
+// Per user / IP request limit for the API (health checks are not counted)
+app.use('/api', rateLimit());
+
+
+// ============================================================================
+// 4. ROUTES
+// ============================================================================
+
+// Health Check
+app.get('/health', async (req, res) => {
+    let database = 'up';
+    try {
+        await pgclient.query('SELECT 1');
+    } catch {
+        database = 'down';
+    }
+
+    res.status(database === 'up' ? 200 : 503).json({
+        success: database === 'up',
+        message: ' Mazaj AI DJ Party Backend is running!',
+        timestamp: new Date().toISOString(),
+        database: { status: database, pool: getPoolStats() },
+        llm: {
+            provider: LLM_PROVIDER,
+            embeddingProvider: EMBEDDING_PROVIDER,
+            usage: getTokenUsage().totals
+        }
+    });
+});
+
+// API Routes (party & chat require a logged-in user, catalog an admin - see middleware/auth.js)
+app.use('/api/party', requireAuth, partyRoutes);
+app.use('/api/chat', requireAuth, chatRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/catalog', requireAuth, requireAdmin, catalogRoutes);
+app.use('/api/library', requireAuth, libraryRoutes);
+
+
+// ============================================================================
+// 5. ERROR HANDLING
+// ============================================================================
+
+// 404 Handler
+app.use((req, res) => {
+    res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: `Cannot ${req.method} ${req.path}`
+    });
+});
+
+// Global Error Handler
+app.use((err, req, res, next) => {
+    console.error('Error:', err);
+    res.status(err.status || 500).json({
+        success: false,
+        error: err.message || 'Internal Server Error'
+    });
+});
+
+export default app;
@@ -1,29 +1,112 @@
 /**
    * Database Connection Configuration
-   * Sets up PostgreSQL client connection using pg library
+   * PostgreSQL connection pool + transaction helpers using pg library
+   *
+   * The default export is a pg.Pool - pgclient.query() works like before, but
+   * each query borrows a connection, so requests don't wait on one socket and a
+   * dropped connection is replaced instead of taking the server down.
    */
 
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { envInt } from './services/envConfig.js';
 dotenv.config();
 
 /**
- * Create a new PostgreSQL client instance
+ * Create the PostgreSQL connection pool
  */
 
-const pgclient = new pg.Client({
+const pgclient = new pg.Pool({
     connectionString: process.env.DATABASE_URL,
+    max: envInt('DB_POOL_MAX', 10, { min: 1 }),
+    idleTimeoutMillis: envInt('DB_IDLE_TIMEOUT_MS', 30000),
+    connectionTimeoutMillis: envInt('DB_CONNECT_TIMEOUT_MS', 10000),
 });
 
 
 
 /**
  * Handle connection errors
- * This catches errors AFTER initial connection is established
+ * An idle connection died (network blip, database restart). The pool drops
+ * it and opens a new one on the next query - no need to exit.
  */
 pgclient.on('error', (err) => {
-    console.error('❌ Unexpected database error:', err);
-    process.exit(1); // Exit the application on database error
+    console.error('❌ Database connection lost (will reconnect):', err.message);
 });
 
+
+/**
+ * Run fn(client) on one dedicated connection (session state, advisory locks)
+ */
+export async function withClient(fn) {
+    const client = await pgclient.connect();
+    let broken;
+    try {
+        return await fn(client);
+    } catch (error) {
+        if (isConnectionError(error)) broken = error;
+        throw error;
+    } finally {
+        // Passing an error destroys the connection instead of reusing it
+        client.release(broken);
+    }
+}
+
+/**
+ * Run fn(client) inside BEGIN/COMMIT - rolls back if fn throws
+ * Use the client passed to fn for every query that must be atomic.
+ */
+export async function withTransaction(fn) {
+    const client = await pgclient.connect();
+    let broken;
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        try {
+            await client.query('ROLLBACK');
+        } catch (rollbackError) {
+            broken = rollbackError;
+        }
+        throw error;
+    } finally {
+        client.release(broken);
+    }
+}
+
+function isConnectionError(error) {
+    return ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', '57P01'].includes(error?.code) ||
+        /Connection terminated/i.test(error?.message || '');
+}
+
+/**
+ * Wait for the database at startup, retrying with backoff
+ */
+export async function connectWithRetry({ retries = 5, delayMs = 1000 } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await pgclient.query('SELECT 1');
+            return;
+        } catch (error) {
+            if (attempt > retries) throw error;
+            const wait = delayMs * 2 ** (attempt - 1);
+            console.warn(` Database not reachable (${error.message}) - retrying in ${wait}ms (${attempt}/${retries})`);
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+}
+
+/**
+ * Pool statistics for /health
+ */
+export function getPoolStats() {
+    return {
+        total: pgclient.totalCount,
+        idle: pgclient.idleCount,
+        waiting: pgclient.waitingCount
+    };
+}
+
 export default pgclient;
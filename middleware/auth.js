@@ -0,0 +1,72 @@
+/**
+  * Auth Middleware
+  * Resolves req.user from the Authorization: Bearer <accessToken> header
+  * and guards admin-only routes
+  */
+
+import pgclient from '../db.js';
+import { verifyAccessToken } from '../services/authService.js';
+
+/**
+ * Require a valid access token - responds 401 otherwise
+ * Sets req.user (id, email, name, avatarUrl) and req.isAdmin
+ */
+export async function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required'
+        });
+    }
+
+    let payload;
+    try {
+        payload = verifyAccessToken(token);
+    } catch {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid or expired token'
+        });
+    }
+
+    try {
+        const result = await pgclient.query(
+            'SELECT id, email, name, "avatarUrl", "isAdmin" FROM "User" WHERE id = $1',
+            [payload.sub]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(401).json({
+                success: false,
+                message: 'User no longer exists'
+            });
+        }
+
+        // isAdmin stays off req.user, which gets sent back in responses and events
+        const { isAdmin, ...user } = result.rows[0];
+        req.user = user;
+        req.isAdmin = isAdmin;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Require an admin user - use after requireAuth, responds 403 otherwise
+ * (admins are flagged in the database: UPDATE "User" SET "isAdmin" = true ...)
+ */
+export function requireAdmin(req, res, next) {
+    if (!req.isAdmin) {
+        return res.status(403).json({
+            success: false,
+            message: 'Admin access required'
+        });
+    }
+    next();
+}
+
+export default requireAuth;
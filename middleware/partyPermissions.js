@@ -0,0 +1,108 @@
+/**
+  * Party Permissions Middleware
+  * Resolves the caller's role in a party and checks it against an action
+  *
+  * Roles: HOST > CO_HOST > GUEST, BANNED can do nothing.
+  * The party's hostId is always treated as HOST.
+  */
+
+import pgclient from '../db.js';
+
+export const PARTY_ROLES = ['HOST', 'CO_HOST', 'GUEST', 'BANNED'];
+
+const HOSTS = ['HOST', 'CO_HOST'];
+const MEMBERS = ['HOST', 'CO_HOST', 'GUEST'];
+
+// action -> roles allowed to perform it
+export const PERMISSIONS = {
+    'party.view': MEMBERS,
+    'party.delete': ['HOST'],
+    'vibe.edit': HOSTS,
+    'queue.request': MEMBERS,
+    'queue.vote': MEMBERS,
+    'queue.manualAdd': HOSTS,
+    'queue.updateStatus': HOSTS,
+    'queue.changeMode': HOSTS,
+    'autopilot.edit': HOSTS,
+    'requestLimits.edit': HOSTS,
+    'playback.control': HOSTS,
+    'chat.read': MEMBERS,
+    'chat.deleteMessage': HOSTS,
+    'members.kick': HOSTS,
+    'members.ban': HOSTS,
+    'members.changeRole': ['HOST'],
+};
+
+/**
+ * Get a user's role in a party
+ * Returns { exists: false } if the party doesn't exist, role null if not a member
+ */
+export async function getPartyRole(partyId, userId) {
+    const result = await pgclient.query(
+        `SELECT p."hostId", pm.role
+           FROM "Party" p
+           LEFT JOIN "PartyMember" pm ON pm."partyId" = p.id AND pm."userId" = $2
+           WHERE p.id = $1`,
+        [partyId, userId]
+    );
+
+    if (result.rows.length === 0) return { exists: false, role: null };
+
+    const { hostId, role } = result.rows[0];
+    return { exists: true, role: hostId === userId ? 'HOST' : (role || null) };
+}
+
+/**
+ * Check if a role may perform an action
+ */
+export function can(role, action) {
+    return !!role && (PERMISSIONS[action] || []).includes(role);
+}
+
+/**
+ * Express middleware - 403 unless req.user may perform the action in the party
+ * Sets req.partyRole for the route handler.
+ */
+export function requirePartyPermission(action, getPartyId = req => req.params.id) {
+    return async (req, res, next) => {
+        try {
+            const partyId = getPartyId(req);
+
+            if (!partyId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'partyId is required'
+                });
+            }
+
+            const { exists, role } = await getPartyRole(partyId, req.user.id);
+
+            if (!exists) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Party not found'
+                });
+            }
+
+            if (!can(role, action)) {
+                let message = 'You do not have permission to do that';
+                if (role === 'BANNED') message = 'You are banned from this party';
+                else if (!role) message = 'Join the party first';
+                else if (PERMISSIONS[action]?.length === 1) message = 'Only the host can do that';
+                else if (PERMISSIONS[action]?.every(r => HOSTS.includes(r))) message = 'Only the host or co-hosts can do that';
+
+                return res.status(403).json({
+                    success: false,
+                    message
+                });
+            }
+
+            req.partyRole = role;
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+export default requirePartyPermission;
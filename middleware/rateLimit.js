@@ -0,0 +1,82 @@
+/**
+  * Rate Limit Middleware
+  * Fixed-window request limits for the whole API, per user (valid access
+  * token) or per IP address (no token). Counters live in memory, so each
+  * server process counts on its own.
+  *
+  * RATE_LIMIT_MAX requests per RATE_LIMIT_WINDOW_MS (RATE_LIMIT_MAX=0 turns it off)
+  */
+
+import { verifyAccessToken } from '../services/authService.js';
+import { envInt } from '../services/envConfig.js';
+
+export const DEFAULT_RATE_LIMIT = {
+    windowMs: envInt('RATE_LIMIT_WINDOW_MS', 60 * 1000, { min: 1 }),
+    max: envInt('RATE_LIMIT_MAX', 300)
+};
+
+/**
+ * user:<id> for a valid Bearer token, otherwise ip:<address>
+ * (the token is checked again by requireAuth - this only picks the counter)
+ */
+function clientKey(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Bearer' && token) {
+        try {
+            return `user:${verifyAccessToken(token).sub}`;
+        } catch {
+            // Invalid token - count it against the IP
+        }
+    }
+    return `ip:${req.ip}`;
+}
+
+/**
+ * Express middleware - 429 once a client made `max` requests in the current window
+ * Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset (seconds) on every
+ * response, and Retry-After when limited.
+ */
+export function rateLimit({ windowMs = DEFAULT_RATE_LIMIT.windowMs, max = DEFAULT_RATE_LIMIT.max } = {}) {
+    const hits = new Map(); // key -> { count, resetAt }
+    let nextSweep = Date.now() + windowMs;
+
+    return (req, res, next) => {
+        if (!max) return next();
+
+        const now = Date.now();
+
+        // Forget clients whose window ended, once per window
+        if (now >= nextSweep) {
+            for (const [key, hit] of hits) {
+                if (hit.resetAt <= now) hits.delete(key);
+            }
+            nextSweep = now + windowMs;
+        }
+
+        const key = clientKey(req);
+        let hit = hits.get(key);
+        if (!hit || hit.resetAt <= now) {
+            hit = { count: 0, resetAt: now + windowMs };
+            hits.set(key, hit);
+        }
+        hit.count++;
+
+        const resetSeconds = Math.ceil((hit.resetAt - now) / 1000);
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(0, max - hit.count)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (hit.count > max) {
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({
+                success: false,
+                message: `Too many requests - try again in ${resetSeconds} seconds`
+            });
+        }
+        next();
+    };
+}
+
+export default rateLimit;
@@ -0,0 +1,13 @@
+-- Migration 0001 (down): drop the initial schema
+-- The vector extension is left installed (other database objects may use it)
+
+DROP TABLE IF EXISTS public."SongCatalog" CASCADE;
+DROP TABLE IF EXISTS public."ChatMessage" CASCADE;
+DROP TABLE IF EXISTS public."Song" CASCADE;
+DROP TABLE IF EXISTS public."PartyMember" CASCADE;
+DROP TABLE IF EXISTS public."Party" CASCADE;
+DROP TABLE IF EXISTS public."User" CASCADE;
+
+DROP TYPE IF EXISTS "SongStatus";
+DROP TYPE IF EXISTS "MessageType";
+DROP TYPE IF EXISTS "SenderRole";
@@ -1,7 +1,8 @@
--- Mazaj Database Schema
--- PostgreSQL with pgvector extension
+-- Migration 0001: initial schema
+-- Mazaj Database Schema - PostgreSQL with pgvector extension
+-- Exactly the former schema.sql, so databases created from it can be baselined
 
--- Enable pgvector extension (run once)
+-- Enable pgvector extension
 CREATE EXTENSION IF NOT EXISTS vector;
 
 -- Custom ENUM types
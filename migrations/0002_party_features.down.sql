@@ -0,0 +1,24 @@
+-- Migration 0002 (down): party features
+
+DROP TABLE IF EXISTS public."SongVote";
+DROP INDEX IF EXISTS public.idx_song_one_playing;
+ALTER TABLE public."Song" DROP COLUMN IF EXISTS duration;
+
+DROP TABLE IF EXISTS public."PartyVibeHistory";
+
+ALTER TABLE public."PartyMember"
+  DROP CONSTRAINT IF EXISTS partymember_party_user_key,
+  DROP COLUMN IF EXISTS role;
+
+ALTER TABLE public."Party"
+  DROP COLUMN IF EXISTS "queueMode",
+  DROP COLUMN IF EXISTS "playbackStatus",
+  DROP COLUMN IF EXISTS "currentSongId",
+  DROP COLUMN IF EXISTS "playbackStartedAt",
+  DROP COLUMN IF EXISTS "playbackPositionMs";
+
+DROP TABLE IF EXISTS public."RefreshToken";
+
+DROP TYPE IF EXISTS "PartyRole";
+DROP TYPE IF EXISTS "PlaybackStatus";
+DROP TYPE IF EXISTS "QueueMode";
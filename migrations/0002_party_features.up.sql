@@ -0,0 +1,96 @@
+-- Migration 0002: party features
+-- Logins, the party vibe history, song voting, server-owned playback and
+-- party roles, added on top of the original schema.sql
+
+CREATE TYPE "QueueMode" AS ENUM ('fifo', 'votes', 'fair-rotation');
+CREATE TYPE "PlaybackStatus" AS ENUM ('STOPPED', 'PLAYING', 'PAUSED');
+CREATE TYPE "PartyRole" AS ENUM ('HOST', 'CO_HOST', 'GUEST', 'BANNED');
+
+-- ============================================================================
+-- Refresh Tokens Table (hashed, revocable login sessions)
+-- ============================================================================
+CREATE TABLE public."RefreshToken" (
+  id text NOT NULL DEFAULT (gen_random_uuid())::text,
+  "userId" text NOT NULL,
+  "tokenHash" text NOT NULL,
+  "expiresAt" timestamp without time zone NOT NULL,
+  "revokedAt" timestamp without time zone,
+  "createdAt" timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT RefreshToken_pkey PRIMARY KEY (id),
+  CONSTRAINT refreshtoken_userid_fkey FOREIGN KEY ("userId") REFERENCES public."User"(id)
+);
+
+CREATE INDEX idx_refreshtoken_userid ON public."RefreshToken"("userId");
+
+-- ============================================================================
+-- Party: queue ordering and playback state
+-- ============================================================================
+ALTER TABLE public."Party"
+  ADD COLUMN "queueMode" "QueueMode" NOT NULL DEFAULT 'fifo',
+  ADD COLUMN "playbackStatus" "PlaybackStatus" NOT NULL DEFAULT 'STOPPED',
+  ADD COLUMN "currentSongId" text,
+  ADD COLUMN "playbackStartedAt" timestamp without time zone,
+  ADD COLUMN "playbackPositionMs" integer NOT NULL DEFAULT 0;
+
+-- ============================================================================
+-- PartyMember: roles, one row per member
+-- ============================================================================
+DELETE FROM public."PartyMember" pm
+  USING public."PartyMember" earlier
+  WHERE earlier."partyId" = pm."partyId" AND earlier."userId" = pm."userId"
+    AND (earlier."joinedAt", earlier.id) < (pm."joinedAt", pm.id);
+
+ALTER TABLE public."PartyMember"
+  ADD COLUMN role "PartyRole" NOT NULL DEFAULT 'GUEST',
+  ADD CONSTRAINT partymember_party_user_key UNIQUE ("partyId", "userId");
+
+UPDATE public."PartyMember" pm SET role = 'HOST'
+  FROM public."Party" p
+  WHERE p.id = pm."partyId" AND p."hostId" = pm."userId";
+
+-- ============================================================================
+-- Party Vibe History Table (every version of the party's vibe rules)
+-- ============================================================================
+CREATE TABLE public."PartyVibeHistory" (
+  id text NOT NULL DEFAULT (gen_random_uuid())::text,
+  "partyId" text NOT NULL,
+  version integer NOT NULL,
+  "vibeDescription" text NOT NULL,
+  "vibeRules" jsonb,
+  "changedBy" text,
+  "createdAt" timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT PartyVibeHistory_pkey PRIMARY KEY (id),
+  CONSTRAINT partyvibehistory_partyid_fkey FOREIGN KEY ("partyId") REFERENCES public."Party"(id),
+  CONSTRAINT partyvibehistory_version_key UNIQUE ("partyId", version)
+);
+
+-- ============================================================================
+-- Song: track length and at most one PLAYING song per party
+-- ============================================================================
+ALTER TABLE public."Song" ADD COLUMN duration integer;
+
+-- Older parties could end up with several PLAYING songs - keep the newest
+UPDATE public."Song" s SET status = 'PLAYED'
+  WHERE s.status = 'PLAYING'
+    AND EXISTS (
+      SELECT 1 FROM public."Song" newer
+        WHERE newer."partyId" = s."partyId" AND newer.status = 'PLAYING'
+          AND (newer."createdAt", newer.id) > (s."createdAt", s.id)
+    );
+
+CREATE UNIQUE INDEX idx_song_one_playing ON public."Song"("partyId") WHERE status = 'PLAYING';
+
+-- ============================================================================
+-- Song Votes Table (one vote per member per queued song)
+-- ============================================================================
+CREATE TABLE public."SongVote" (
+  id text NOT NULL DEFAULT (gen_random_uuid())::text,
+  "songId" text NOT NULL,
+  "userId" text NOT NULL,
+  value smallint NOT NULL CHECK (value IN (-1, 1)),
+  "createdAt" timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT SongVote_pkey PRIMARY KEY (id),
+  CONSTRAINT songvote_songid_fkey FOREIGN KEY ("songId") REFERENCES public."Song"(id) ON DELETE CASCADE,
+  CONSTRAINT songvote_userid_fkey FOREIGN KEY ("userId") REFERENCES public."User"(id),
+  CONSTRAINT songvote_song_user_key UNIQUE ("songId", "userId")
+);
@@ -0,0 +1,4 @@
+-- Migration 0003 (down): agent checkpoints
+
+DROP TABLE IF EXISTS public."AgentCheckpointWrite";
+DROP TABLE IF EXISTS public."AgentCheckpoint";
@@ -0,0 +1,32 @@
+-- Migration 0003: agent checkpoints
+-- LangGraph state for the DJ agent - one thread per party (see services/agentCheckpointer.js)
+
+-- ============================================================================
+-- Agent Checkpoints Table (graph state after each step)
+-- ============================================================================
+CREATE TABLE public."AgentCheckpoint" (
+  "threadId" text NOT NULL,
+  "checkpointNs" text NOT NULL DEFAULT '',
+  "checkpointId" text COLLATE "C" NOT NULL,
+  "parentCheckpointId" text,
+  type text NOT NULL,
+  checkpoint bytea NOT NULL,
+  metadata bytea NOT NULL,
+  "createdAt" timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT AgentCheckpoint_pkey PRIMARY KEY ("threadId", "checkpointNs", "checkpointId")
+);
+
+-- ============================================================================
+-- Agent Checkpoint Writes Table (pending writes of a step in progress)
+-- ============================================================================
+CREATE TABLE public."AgentCheckpointWrite" (
+  "threadId" text NOT NULL,
+  "checkpointNs" text NOT NULL DEFAULT '',
+  "checkpointId" text COLLATE "C" NOT NULL,
+  "taskId" text NOT NULL,
+  idx integer NOT NULL,
+  channel text NOT NULL,
+  type text NOT NULL,
+  value bytea NOT NULL,
+  CONSTRAINT AgentCheckpointWrite_pkey PRIMARY KEY ("threadId", "checkpointNs", "checkpointId", "taskId", idx)
+);
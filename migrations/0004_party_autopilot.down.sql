@@ -0,0 +1,5 @@
+-- Migration 0004 (down): party autopilot
+
+ALTER TABLE public."Party"
+  DROP COLUMN IF EXISTS "autopilotMinPending",
+  DROP COLUMN IF EXISTS "autopilotEnabled";
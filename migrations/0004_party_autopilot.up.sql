@@ -0,0 +1,7 @@
+-- Migration 0004: party autopilot
+-- The DJ tops up the queue itself when it runs low (see services/autopilotService.js)
+
+ALTER TABLE public."Party"
+  ADD COLUMN "autopilotEnabled" boolean NOT NULL DEFAULT false,
+  ADD COLUMN "autopilotMinPending" integer NOT NULL DEFAULT 2
+    CONSTRAINT party_autopilot_min_pending_check CHECK ("autopilotMinPending" BETWEEN 1 AND 10);
@@ -0,0 +1,17 @@
+-- Migration 0005 (down): energy curve
+
+-- Enum values can't be dropped - recreate "QueueMode" without 'energy-curve'
+UPDATE public."Party" SET "queueMode" = 'fifo' WHERE "queueMode" = 'energy-curve';
+ALTER TABLE public."Party" ALTER COLUMN "queueMode" DROP DEFAULT;
+ALTER TYPE "QueueMode" RENAME TO "QueueMode_old";
+CREATE TYPE "QueueMode" AS ENUM ('fifo', 'votes', 'fair-rotation');
+ALTER TABLE public."Party" ALTER COLUMN "queueMode" TYPE "QueueMode" USING "queueMode"::text::"QueueMode";
+ALTER TABLE public."Party" ALTER COLUMN "queueMode" SET DEFAULT 'fifo';
+DROP TYPE "QueueMode_old";
+
+ALTER TABLE public."Party"
+  DROP COLUMN IF EXISTS "energyCurve",
+  DROP COLUMN IF EXISTS "plannedDurationMinutes";
+
+ALTER TABLE public."Song" DROP COLUMN IF EXISTS energy;
+ALTER TABLE public."SongCatalog" DROP COLUMN IF EXISTS energy;
@@ -0,0 +1,17 @@
+-- Migration 0005: energy curve
+-- Song energy (1-10, from the song analysis) and a per-party target energy curve
+-- for the 'energy-curve' queue mode (see services/energyCurve.js)
+
+ALTER TABLE public."SongCatalog"
+  ADD COLUMN energy smallint CONSTRAINT songcatalog_energy_check CHECK (energy BETWEEN 1 AND 10);
+
+ALTER TABLE public."Song"
+  ADD COLUMN energy smallint CONSTRAINT song_energy_check CHECK (energy BETWEEN 1 AND 10);
+
+-- energyCurve NULL means the default warm-up / peak / cool-down curve
+ALTER TABLE public."Party"
+  ADD COLUMN "plannedDurationMinutes" integer NOT NULL DEFAULT 240
+    CONSTRAINT party_planned_duration_check CHECK ("plannedDurationMinutes" BETWEEN 15 AND 1440),
+  ADD COLUMN "energyCurve" jsonb;
+
+ALTER TYPE "QueueMode" ADD VALUE IF NOT EXISTS 'energy-curve';
@@ -0,0 +1,6 @@
+-- Migration 0006 (down): catalog admin
+
+DROP TABLE IF EXISTS public."CatalogAuditLog";
+
+ALTER TABLE public."User"
+  DROP COLUMN IF EXISTS "isAdmin";
@@ -0,0 +1,20 @@
+-- Migration 0006: catalog admin
+-- Admin users can edit SongCatalog by hand (see routes/catalogRoutes.js);
+-- every change is recorded in CatalogAuditLog
+
+ALTER TABLE public."User"
+  ADD COLUMN "isAdmin" boolean NOT NULL DEFAULT false;
+
+-- catalogId has no FK - entries outlive the catalog song they describe
+CREATE TABLE public."CatalogAuditLog" (
+  id text NOT NULL DEFAULT (gen_random_uuid())::text,
+  "catalogId" text NOT NULL,
+  action text NOT NULL CONSTRAINT catalogauditlog_action_check CHECK (action IN ('CREATE', 'UPDATE', 'MERGE', 'DELETE')),
+  "userId" text,
+  changes jsonb NOT NULL DEFAULT '{}'::jsonb,
+  "createdAt" timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT CatalogAuditLog_pkey PRIMARY KEY (id),
+  CONSTRAINT catalogauditlog_userid_fkey FOREIGN KEY ("userId") REFERENCES public."User"(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_catalogauditlog_catalogid ON public."CatalogAuditLog"("catalogId");
@@ -0,0 +1,7 @@
+-- Migration 0007 (down): catalog import
+
+ALTER TABLE public."SongCatalog"
+  DROP COLUMN IF EXISTS "importError",
+  DROP COLUMN IF EXISTS "importJobId";
+
+DROP TABLE IF EXISTS public."CatalogImportJob";
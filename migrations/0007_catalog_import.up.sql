@@ -0,0 +1,32 @@
+-- Migration 0007: catalog import
+-- Bulk CSV/JSON imports into SongCatalog. Imported rows are inserted without
+-- an embedding and enriched (analysis + embedding) by a background job
+-- (see services/catalogImport.js) - a row is done once it has an embedding
+-- or an "importError", so an interrupted job resumes where it stopped.
+
+CREATE TABLE public."CatalogImportJob" (
+  id text NOT NULL DEFAULT (gen_random_uuid())::text,
+  status text NOT NULL DEFAULT 'QUEUED'
+    CONSTRAINT catalogimportjob_status_check CHECK (status IN ('QUEUED', 'RUNNING', 'DONE', 'FAILED')),
+  format text NOT NULL,
+  "userId" text,
+  total integer NOT NULL DEFAULT 0,      -- rows in the file
+  imported integer NOT NULL DEFAULT 0,   -- rows added to the catalog
+  duplicates integer NOT NULL DEFAULT 0, -- rows already in the catalog (or twice in the file)
+  invalid integer NOT NULL DEFAULT 0,    -- rows rejected by validation
+  processed integer NOT NULL DEFAULT 0,  -- imported rows enriched so far
+  failed integer NOT NULL DEFAULT 0,     -- imported rows that could not be enriched
+  errors jsonb NOT NULL DEFAULT '[]'::jsonb,
+  "createdAt" timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "finishedAt" timestamp without time zone,
+  CONSTRAINT CatalogImportJob_pkey PRIMARY KEY (id),
+  CONSTRAINT catalogimportjob_userid_fkey FOREIGN KEY ("userId") REFERENCES public."User"(id) ON DELETE SET NULL
+);
+
+ALTER TABLE public."SongCatalog"
+  ADD COLUMN "importJobId" text
+    CONSTRAINT songcatalog_importjobid_fkey REFERENCES public."CatalogImportJob"(id) ON DELETE SET NULL,
+  ADD COLUMN "importError" text;
+
+CREATE INDEX idx_songcatalog_importjobid ON public."SongCatalog"("importJobId") WHERE embedding IS NULL;
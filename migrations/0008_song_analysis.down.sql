@@ -0,0 +1,9 @@
+-- Migration 0008 (down): song analysis
+
+ALTER TABLE public."SongCatalog"
+  DROP COLUMN IF EXISTS "analyzerVersion",
+  DROP COLUMN IF EXISTS "analyzedAt",
+  DROP COLUMN IF EXISTS decade,
+  DROP COLUMN IF EXISTS explicit,
+  DROP COLUMN IF EXISTS "lyricsSummary",
+  DROP COLUMN IF EXISTS themes;
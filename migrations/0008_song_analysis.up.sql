@@ -0,0 +1,12 @@
+-- Migration 0008: song analysis
+-- Keep the whole analyzeSong result on catalog songs (energy was added in 0005),
+-- stamped with the analyzer prompt version so older analyses can be redone
+-- (see services/catalogReanalysis.js). NULL analyzerVersion = never analyzed.
+
+ALTER TABLE public."SongCatalog"
+  ADD COLUMN themes text[] NOT NULL DEFAULT '{}',
+  ADD COLUMN "lyricsSummary" text,
+  ADD COLUMN explicit boolean,
+  ADD COLUMN decade text,
+  ADD COLUMN "analyzedAt" timestamp without time zone,
+  ADD COLUMN "analyzerVersion" integer;
@@ -0,0 +1,9 @@
+-- Migration 0009 (down): local library
+
+ALTER TABLE public."Song"
+  DROP COLUMN IF EXISTS "localTrackId";
+
+ALTER TABLE public."SongCatalog"
+  DROP COLUMN IF EXISTS "localTrackId";
+
+DROP TABLE IF EXISTS public."LocalTrack";
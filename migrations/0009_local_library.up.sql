@@ -0,0 +1,30 @@
+-- Migration 0009: local library
+-- Audio files indexed from LOCAL_MUSIC_DIR (see services/localLibrary.js), so
+-- the DJ can find and play songs without YouTube. Songs and catalog entries
+-- found there point at their file through "localTrackId".
+
+CREATE TABLE public."LocalTrack" (
+  id text NOT NULL DEFAULT (gen_random_uuid())::text,
+  path text NOT NULL,                 -- relative to LOCAL_MUSIC_DIR
+  title text NOT NULL,
+  artist text NOT NULL,
+  album text,
+  year integer,
+  duration integer,                   -- seconds
+  format text,                        -- container, e.g. MPEG, FLAC
+  size bigint NOT NULL,
+  "modifiedAt" timestamp without time zone NOT NULL, -- file mtime when indexed
+  "indexedAt" timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT LocalTrack_pkey PRIMARY KEY (id),
+  CONSTRAINT localtrack_path_key UNIQUE (path)
+);
+
+CREATE INDEX idx_localtrack_artist ON public."LocalTrack"(lower(artist));
+
+ALTER TABLE public."SongCatalog"
+  ADD COLUMN "localTrackId" text
+    CONSTRAINT songcatalog_localtrackid_fkey REFERENCES public."LocalTrack"(id) ON DELETE SET NULL;
+
+-- No FK: a queued song keeps its id after the file is removed (playback then fails)
+ALTER TABLE public."Song"
+  ADD COLUMN "localTrackId" text;
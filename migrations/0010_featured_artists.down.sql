@@ -0,0 +1,4 @@
+-- Migration 0010 (down): featured artists
+
+ALTER TABLE public."SongCatalog"
+  DROP COLUMN IF EXISTS "featuredArtists";
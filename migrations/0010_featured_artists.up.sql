@@ -0,0 +1,6 @@
+-- Migration 0010: featured artists
+-- "feat." artists are kept apart from the main artist (parsed from YouTube
+-- titles, see services/youtubeSearch.js), so "Despacito" stays by Luis Fonsi.
+
+ALTER TABLE public."SongCatalog"
+  ADD COLUMN "featuredArtists" text[] NOT NULL DEFAULT '{}';
@@ -0,0 +1,4 @@
+-- Migration 0011 (down): track duration
+
+ALTER TABLE public."SongCatalog"
+  DROP COLUMN IF EXISTS duration;
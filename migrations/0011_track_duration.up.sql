@@ -0,0 +1,9 @@
+-- Migration 0011: track duration
+-- Length of catalog songs in seconds, captured when a song is discovered
+-- (YouTube videos endpoint, local file tags) and copied onto queued songs
+-- ("Song".duration, from 0002), so queues can estimate start times and
+-- parties can cap track length (vibeRules.maxDurationSeconds).
+
+ALTER TABLE public."SongCatalog"
+  ADD COLUMN duration integer
+    CONSTRAINT songcatalog_duration_check CHECK (duration > 0);
@@ -0,0 +1,6 @@
+-- Migration 0012 (down): request limits
+
+DROP TABLE IF EXISTS public."SongRequest";
+
+ALTER TABLE public."Party"
+  DROP COLUMN IF EXISTS "requestLimits";
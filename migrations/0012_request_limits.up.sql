@@ -0,0 +1,23 @@
+-- Migration 0012: request limits
+-- Per-party anti-spam limits on song requests (see services/requestLimits.js):
+-- "requestLimits" NULL means the defaults. Every request a member makes - a
+-- message to the DJ or a manual add - is logged in SongRequest so the limits
+-- can count requests per window and find the last denial.
+
+ALTER TABLE public."Party"
+  ADD COLUMN "requestLimits" jsonb;
+
+CREATE TABLE public."SongRequest" (
+  id text NOT NULL DEFAULT (gen_random_uuid())::text,
+  "partyId" text NOT NULL,
+  "userId" text NOT NULL,
+  source text NOT NULL
+    CONSTRAINT songrequest_source_check CHECK (source IN ('chat', 'manual')),
+  denied boolean NOT NULL DEFAULT false, -- the DJ turned a song down (vibe check)
+  "createdAt" timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT SongRequest_pkey PRIMARY KEY (id),
+  CONSTRAINT songrequest_partyid_fkey FOREIGN KEY ("partyId") REFERENCES public."Party"(id) ON DELETE CASCADE,
+  CONSTRAINT songrequest_userid_fkey FOREIGN KEY ("userId") REFERENCES public."User"(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_songrequest_party_user ON public."SongRequest"("partyId", "userId", "createdAt");
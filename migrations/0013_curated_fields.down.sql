@@ -0,0 +1,4 @@
+-- Migration 0013 (down): curated fields
+
+ALTER TABLE public."SongCatalog"
+  DROP COLUMN IF EXISTS "curatedFields";
@@ -0,0 +1,25 @@
+-- Migration 0013: curated fields
+-- Analyzer-owned fields (mood, genre, energy) an admin or an import file set
+-- by hand. Re-analysis overwrites the others and keeps these
+-- (see storeSongAnalysis in services/songSearch.js).
+
+ALTER TABLE public."SongCatalog"
+  ADD COLUMN "curatedFields" text[] NOT NULL DEFAULT '{}';
+
+-- Admin edits made so far, from the audit log (a later edit to null un-curates)
+UPDATE public."SongCatalog" sc
+   SET "curatedFields" = ARRAY(
+     SELECT field
+       FROM unnest(ARRAY['mood', 'genre', 'energy']) AS field
+       WHERE (
+         SELECT CASE a.action
+                  WHEN 'CREATE' THEN a.changes->'after'->field
+                  ELSE a.changes->field->'to'
+                END
+           FROM public."CatalogAuditLog" a
+           WHERE a."catalogId" = sc.id
+             AND (a.action = 'CREATE' OR (a.action = 'UPDATE' AND a.changes ? field))
+           ORDER BY a."createdAt" DESC
+           LIMIT 1
+       ) NOT IN ('null'::jsonb, '[]'::jsonb)
+   );
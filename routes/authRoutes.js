@@ -2,6 +2,15 @@
 // routes/authRoutes.js
 import express from 'express';
 import pgclient from '../db.js';
+import {
+    hashPassword,
+    isHashedPassword,
+    verifyPassword,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken
+} from '../services/authService.js';
+import { requireAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -10,6 +19,13 @@ router.post('/signup', async (req, res) => {
     try {
         const { email, password, name, avatarUrl } = req.body;
 
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'email and password are required'
+            });
+        }
+
         // Check if user exists
         const exists = await pgclient.query(
             'SELECT * FROM "User" WHERE email = $1',
@@ -23,15 +39,20 @@ router.post('/signup', async (req, res) => {
             });
         }
 
-        // Create user with avatar
+        // Create user with avatar (password is salted + hashed)
+        const passwordHash = await hashPassword(password);
         const result = await pgclient.query(
             'INSERT INTO "User" (email, password, name, "avatarUrl") VALUES ($1, $2, $3, $4) RETURNING id, email, name, "avatarUrl"',
-            [email, password, name, avatarUrl || null]
+            [email, passwordHash, name, avatarUrl || null]
         );
 
+        const user = result.rows[0];
+        const tokens = await issueTokens(user);
+
         res.status(201).json({
             success: true,
-            user: result.rows[0]
+            user,
+            ...tokens
         });
 
     } catch (error) {
@@ -48,21 +69,44 @@ router.post('/login', async (req, res) => {
     try {
         const { email, password } = req.body;
 
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'email and password are required'
+            });
+        }
+
         const result = await pgclient.query(
-            'SELECT id, email, name, "avatarUrl" FROM "User" WHERE email = $1 AND password = $2',
-            [email, password]
+            'SELECT id, email, name, "avatarUrl", password FROM "User" WHERE email = $1',
+            [email]
         );
 
-        if (result.rows.length === 0) {
+        const { password: stored, ...user } = result.rows[0] || {};
+
+        // Accounts created before hashing store plain text - accept once, then upgrade
+        const legacyMatch = result.rows.length > 0 && !isHashedPassword(stored) && stored === password;
+        const valid = legacyMatch || (result.rows.length > 0 && await verifyPassword(password, stored));
+
+        if (!valid) {
             return res.status(401).json({
                 success: false,
                 message: 'Invalid email or password'
             });
         }
 
+        if (legacyMatch) {
+            await pgclient.query(
+                'UPDATE "User" SET password = $1 WHERE id = $2',
+                [await hashPassword(password), user.id]
+            );
+        }
+
+        const tokens = await issueTokens(user);
+
         res.json({
             success: true,
-            user: result.rows[0]
+            user,
+            ...tokens
         });
 
     } catch (error) {
@@ -74,4 +118,79 @@ router.post('/login', async (req, res) => {
     }
 });
 
-export default router;
\ No newline at end of file
+// POST /api/auth/refresh
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'refreshToken is required'
+            });
+        }
+
+        const result = await rotateRefreshToken(refreshToken);
+
+        if (!result) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        res.json({
+            success: true,
+            user: result.user,
+            accessToken: result.accessToken,
+            refreshToken: result.refreshToken
+        });
+
+    } catch (error) {
+        console.error('Refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh token'
+        });
+    }
+});
+
+// POST /api/auth/logout
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'refreshToken is required'
+            });
+        }
+
+        await revokeRefreshToken(refreshToken);
+
+        // Always succeed - an unknown token is already logged out
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Logout failed'
+        });
+    }
+});
+
+// GET /api/auth/me
+router.get('/me', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        // Your own admin flag is fine to show; it's only kept off req.user
+        user: { ...req.user, isAdmin: req.isAdmin }
+    });
+});
+
+export default router;
@@ -0,0 +1,338 @@
+/**
+   * Catalog Routes
+   * Admin endpoints for fixing up SongCatalog by hand (see services/catalogService.js)
+   *
+   * Base URL: /api/catalog (admins only)
+   */
+
+import express from 'express';
+import {
+    MAX_PAGE_SIZE,
+    listCatalog,
+    getCatalogSong,
+    getAuditLog,
+    createCatalogSong,
+    updateCatalogSong,
+    mergeCatalogSongs,
+    deleteCatalogSong
+} from '../services/catalogService.js';
+import { createImportJob, getImportJob, listImportJobs } from '../services/catalogImport.js';
+import { startReanalysis, getReanalysisStatus } from '../services/catalogReanalysis.js';
+
+const router = express.Router();
+
+/**
+ * limit/offset query params, clamped to a sane page
+ */
+function getPage(query) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    return { limit, offset };
+}
+
+// ============================================================================
+// GET /api/catalog - Search and page through the catalog
+// ============================================================================
+// Query: ?q=&mood=&genre=&limit=&offset=
+router.get('/', async (req, res) => {
+    try {
+        const { q, mood, genre } = req.query;
+        const { limit, offset } = getPage(req.query);
+
+        const { songs, total } = await listCatalog({ q, mood, genre, limit, offset });
+
+        res.json({
+            success: true,
+            songs,
+            pagination: { total, limit, offset }
+        });
+
+    } catch (err) {
+        console.error('Error listing catalog:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list catalog'
+        });
+    }
+});
+
+
+// ============================================================================
+// GET /api/catalog/audit - Who changed what, newest first
+// ============================================================================
+// Query: ?catalogId=&limit=&offset=
+router.get('/audit', async (req, res) => {
+    try {
+        const { limit, offset } = getPage(req.query);
+
+        const { entries, total } = await getAuditLog({ catalogId: req.query.catalogId || null, limit, offset });
+
+        res.json({
+            success: true,
+            entries,
+            pagination: { total, limit, offset }
+        });
+
+    } catch (err) {
+        console.error('Error getting catalog audit log:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get audit log'
+        });
+    }
+});
+
+
+// ============================================================================
+// POST /api/catalog/imports - Bulk import songs from CSV or JSON
+// ============================================================================
+// Body: CSV text (Content-Type: text/csv) or JSON: [songs] / { songs: [...] }
+// Rows are added right away; analysis and embeddings run in the background.
+router.post('/imports', express.text({ type: 'text/csv', limit: '5mb' }), express.json({ limit: '5mb' }), async (req, res) => {
+    try {
+        const format = typeof req.body === 'string' ? 'csv' : 'json';
+        const job = await createImportJob(req.body, { format, userId: req.user.id });
+
+        res.status(202).json({
+            success: true,
+            job
+        });
+
+    } catch (err) {
+        console.error('Error importing catalog:', err);
+        res.status(err.status || 500).json({
+            success: false,
+            message: err.status ? err.message : 'Failed to import songs'
+        });
+    }
+});
+
+
+// ============================================================================
+// GET /api/catalog/imports - Import jobs, newest first
+// ============================================================================
+router.get('/imports', async (req, res) => {
+    try {
+        const { limit, offset } = getPage(req.query);
+
+        const { jobs, total } = await listImportJobs({ limit, offset });
+
+        res.json({
+            success: true,
+            jobs,
+            pagination: { total, limit, offset }
+        });
+
+    } catch (err) {
+        console.error('Error listing catalog imports:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list imports'
+        });
+    }
+});
+
+
+// ============================================================================
+// GET /api/catalog/imports/:jobId - Progress of one import
+// ============================================================================
+router.get('/imports/:jobId', async (req, res) => {
+    try {
+        const job = await getImportJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            job
+        });
+
+    } catch (err) {
+        console.error('Error getting catalog import:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get import'
+        });
+    }
+});
+
+
+// ============================================================================
+// GET /api/catalog/reanalysis - How many songs need (re-)analysis, and the current run
+// ============================================================================
+router.get('/reanalysis', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            reanalysis: await getReanalysisStatus()
+        });
+
+    } catch (err) {
+        console.error('Error getting reanalysis status:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get reanalysis status'
+        });
+    }
+});
+
+
+// ============================================================================
+// POST /api/catalog/reanalysis - Re-analyze songs from older analyzer versions (background)
+// ============================================================================
+router.post('/reanalysis', async (req, res) => {
+    try {
+        startReanalysis();
+
+        res.status(202).json({
+            success: true,
+            reanalysis: await getReanalysisStatus()
+        });
+
+    } catch (err) {
+        console.error('Error starting reanalysis:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start reanalysis'
+        });
+    }
+});
+
+
+// ============================================================================
+// GET /api/catalog/:id - One catalog song
+// ============================================================================
+router.get('/:id', async (req, res) => {
+    try {
+        const song = await getCatalogSong(req.params.id);
+
+        if (!song) {
+            return res.status(404).json({
+                success: false,
+                message: 'Catalog song not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            song
+        });
+
+    } catch (err) {
+        console.error('Error getting catalog song:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get catalog song'
+        });
+    }
+});
+
+
+// ============================================================================
+// POST /api/catalog - Add a song by hand
+// ============================================================================
+// Body: { title, artist, album?, lyrics?, year?, rank?, youtubeId?, coverUrl?, mood?, genre?, energy? }
+router.post('/', async (req, res) => {
+    try {
+        const song = await createCatalogSong(req.body, { userId: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            song
+        });
+
+    } catch (err) {
+        console.error('Error creating catalog song:', err);
+        res.status(err.status || 500).json({
+            success: false,
+            message: err.status ? err.message : 'Failed to create catalog song'
+        });
+    }
+});
+
+
+// ============================================================================
+// PATCH /api/catalog/:id - Edit a song (re-embeds if title/artist/mood/genre change)
+// ============================================================================
+// Body: any of the POST fields
+router.patch('/:id', async (req, res) => {
+    try {
+        const { song, changes } = await updateCatalogSong(req.params.id, req.body, { userId: req.user.id });
+
+        res.json({
+            success: true,
+            song,
+            changes
+        });
+
+    } catch (err) {
+        console.error('Error updating catalog song:', err);
+        res.status(err.status || 500).json({
+            success: false,
+            message: err.status ? err.message : 'Failed to update catalog song'
+        });
+    }
+});
+
+
+// ============================================================================
+// POST /api/catalog/:id/merge - Fold duplicates into this song and delete them
+// ============================================================================
+// Body: { duplicateIds: [catalog song ids] }
+router.post('/:id/merge', async (req, res) => {
+    try {
+        const { duplicateIds } = req.body;
+
+        if (!Array.isArray(duplicateIds)) {
+            return res.status(400).json({
+                success: false,
+                message: 'duplicateIds must be an array of catalog song ids'
+            });
+        }
+
+        const { song, merged } = await mergeCatalogSongs(req.params.id, duplicateIds, { userId: req.user.id });
+
+        res.json({
+            success: true,
+            song,
+            merged
+        });
+
+    } catch (err) {
+        console.error('Error merging catalog songs:', err);
+        res.status(err.status || 500).json({
+            success: false,
+            message: err.status ? err.message : 'Failed to merge catalog songs'
+        });
+    }
+});
+
+
+// ============================================================================
+// DELETE /api/catalog/:id - Remove a song from the catalog
+// ============================================================================
+router.delete('/:id', async (req, res) => {
+    try {
+        const song = await deleteCatalogSong(req.params.id, { userId: req.user.id });
+
+        res.json({
+            success: true,
+            message: 'Catalog song deleted',
+            song
+        });
+
+    } catch (err) {
+        console.error('Error deleting catalog song:', err);
+        res.status(err.status || 500).json({
+            success: false,
+            message: err.status ? err.message : 'Failed to delete catalog song'
+        });
+    }
+});
+
+export default router;
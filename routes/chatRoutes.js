@@ -6,28 +6,229 @@
   */
 
 import express from 'express';
-import pgclient from '../db.js';
+import pgclient, { withTransaction } from '../db.js';
 import { invokeDJAgent } from '../agents/djAgent.js';
+import { publishPartyEvent } from '../services/partyEvents.js';
+import { getQueue } from '../services/queueService.js';
+import { advance } from '../services/playbackService.js';
+import { topUpQueue } from '../services/autopilotService.js';
+import { toEnergyLevel } from '../services/energyCurve.js';
+import { checkVibeMatchWithJudge } from '../services/songSearch.js';
+import { toSongOption, resolveChoice, getOptionsMessage, getPendingOptions } from '../services/songOptions.js';
+import { checkRequestLimits, lockMemberRequests, reserveSongRequest, markRequestDenied } from '../services/requestLimits.js';
+import { requirePartyPermission } from '../middleware/partyPermissions.js';
 
 const router = express.Router();
 
 
+/**
+ * Add a song to the party queue as PENDING (inside a transaction)
+ */
+async function insertQueuedSong(client, song, { partyId, userId }) {
+    const result = await client.query(
+        `INSERT INTO "Song" (id, title, artist, "coverUrl", "youtubeId", "localTrackId", duration, energy, "addedBy", status, "partyId", "createdAt")
+           VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, 'PENDING', $9, clock_timestamp())
+           RETURNING *`,
+        [
+            song.title,
+            song.artist,
+            song.coverUrl || null,
+            song.youtubeId || null,
+            song.localTrackId || null,
+            song.duration ?? null,
+            toEnergyLevel(song.energy),
+            userId,
+            partyId
+        ]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Record which option was queued - returns false if one already was
+ */
+async function markOptionChosen(client, messageId, index) {
+    const result = await client.query(
+        `UPDATE "ChatMessage"
+           SET metadata = metadata || jsonb_build_object('chosenIndex', $1::int)
+           WHERE id = $2 AND NOT (metadata ? 'chosenIndex')
+           RETURNING id`,
+        [index, messageId]
+    );
+    return result.rows.length > 0;
+}
+
+/**
+ * 429 for a request over one of the party's limits, with the DJ's in-character
+ * reply as an unsaved aiResponse (nothing is saved or sent to the party)
+ */
+function sendLimited(res, limit) {
+    if (limit.retryAfterSeconds) res.set('Retry-After', String(limit.retryAfterSeconds));
+    return res.status(429).json({
+        success: false,
+        message: limit.message,
+        limit: { rule: limit.rule, retryAfterSeconds: limit.retryAfterSeconds },
+        aiResponse: { role: 'ASSISTANT', type: 'AI_REJECT', content: limit.reply }
+    });
+}
+
+/**
+ * Turn ACCEPTED results past the first `fits` into LIMITED (results list
+ * accepted songs in queue order)
+ */
+function limitAcceptedResults(results, fits) {
+    let accepted = 0;
+    return results.map((result) => {
+        if (result.status !== 'ACCEPTED' || accepted++ < fits) return result;
+        return { request: result.request, status: 'LIMITED', reason: 'Your other requests filled your queue spots first' };
+    });
+}
+
+/**
+ * Run a message through the AI DJ and save the result
+ * requestId: the sender's SongRequest from reserveSongRequest
+ * songAllowance: songs the sender may still queue (see requestLimits.js)
+ * Returns { userMessage, aiMessage, updatedQueue }; hooks are passed to invokeDJAgent
+ */
+async function processChatMessage({ party, user, role, content, requestId, songAllowance = null }, { onProgress = null, onToken = null } = {}) {
+    const partyId = party.id;
+    const senderId = user.id;
+
+    // Options from the DJ's last reply that nobody picked yet ("the second one")
+    const pendingOptions = await getPendingOptions(partyId);
+
+    // Call AI DJ Agent (before opening a transaction - LLM calls are slow)
+    // The agent keeps the party's conversation itself (checkpointed per party)
+    const aiResponse = await invokeDJAgent({
+        userMessage: content,
+        vibeDescription: party.vibeDescription,
+        vibeRules: party.vibeRules,
+        vibeEmbedding: party.vibeEmbedding,
+        partyId: partyId,
+        userId: senderId,
+        role,
+        queueMode: party.queueMode,
+        options: pendingOptions?.options || null,
+        songAllowance,
+        onProgress,
+        onToken
+    });
+
+    // Save user message, AI response and queue changes together - all or nothing
+    // (clock_timestamp() so the AI reply sorts after the user message)
+    const { userMessage, aiMessage, songs, removedIds } = await withTransaction(async (client) => {
+        // The sender's other requests may have queued songs while the DJ ran -
+        // re-check the pending cap under their lock and leave out what no longer fits
+        await lockMemberRequests(client, partyId, senderId);
+        const { songAllowance: room } = await checkRequestLimits(party, senderId, { rules: [], client });
+        const queuedSongs = room === null ? aiResponse.songs : aiResponse.songs.slice(0, room);
+        const results = limitAcceptedResults(aiResponse.results, queuedSongs.length);
+        const dropped = aiResponse.songs.length - queuedSongs.length;
+
+        const userMsgResult = await client.query(
+            `INSERT INTO "ChatMessage" (id, content, role, type, "senderId", "partyId", "createdAt")
+               VALUES (gen_random_uuid(), $1, 'USER', 'CHAT', $2, $3, clock_timestamp())
+               RETURNING *`,
+            [content, senderId, partyId]
+        );
+
+        // metadata.results: per-song accept/deny breakdown of the song requests
+        // metadata.options: songs the user can pick from (see songOptions.js)
+        const metadata = {};
+        if (results.length > 0) metadata.results = results;
+        if (aiResponse.options?.length > 0) metadata.options = aiResponse.options.map(toSongOption);
+
+        const aiMsgResult = await client.query(
+            `INSERT INTO "ChatMessage" (id, content, role, type, metadata, "senderId", "partyId", "createdAt")
+               VALUES (gen_random_uuid(), $1, 'ASSISTANT', $2, $3, NULL, $4, clock_timestamp())
+               RETURNING *`,
+            [
+                dropped > 0
+                    ? `${aiResponse.message}\n\n(Your other requests got there first - ${dropped} of these didn't fit in your queue spots.)`
+                    : aiResponse.message,
+                dropped > 0 && queuedSongs.length === 0 ? 'AI_REJECT' : aiResponse.type,
+                Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null,
+                partyId
+            ]
+        );
+
+        // The request was counted when it was reserved; a denial starts the cooldown
+        if (results.some(r => r.status === 'DENIED')) {
+            await markRequestDenied(client, requestId);
+        }
+
+        if (aiResponse.actions.chosenOption && pendingOptions) {
+            await markOptionChosen(client, pendingOptions.messageId, aiResponse.actions.chosenOption);
+        }
+
+        // Add every song the AI approved to the queue, in request order
+        const songRows = [];
+        for (const song of queuedSongs) {
+            songRows.push(await insertQueuedSong(client, song, { partyId, userId: senderId }));
+        }
+
+        // "Remove my last song" - only the sender's own songs that haven't played
+        let removed = [];
+        if (aiResponse.actions.removeSongIds.length > 0) {
+            const removedResult = await client.query(
+                `DELETE FROM "Song"
+                   WHERE id = ANY($1) AND "partyId" = $2 AND "addedBy" = $3 AND status = 'PENDING'
+                   RETURNING id`,
+                [aiResponse.actions.removeSongIds, partyId, senderId]
+            );
+            removed = removedResult.rows.map(row => row.id);
+        }
+
+        return { userMessage: userMsgResult.rows[0], aiMessage: aiMsgResult.rows[0], songs: songRows, removedIds: removed };
+    });
+
+    // Tell everyone in the party (only after the commit)
+    publishPartyEvent(partyId, 'chat.message', {
+        message: { ...userMessage, senderName: user.name, senderAvatar: user.avatarUrl }
+    });
+    publishPartyEvent(partyId, 'chat.message', { message: aiMessage });
+    songs.forEach(song => publishPartyEvent(partyId, 'song.added', { song }));
+    removedIds.forEach(songId => publishPartyEvent(partyId, 'song.removed', { songId, reason: 'request' }));
+    if (removedIds.length > 0) await topUpQueue(partyId);
+
+    // "Skip this" (the agent only asks for it when the role allows playback control)
+    // expectedSongId: don't skip a newer song if playback moved on meanwhile
+    if (aiResponse.actions.skipSongId) {
+        await advance(partyId, { expectedSongId: aiResponse.actions.skipSongId, reason: 'skip' });
+    }
+
+    // Get updated queue (with votes, in the party's queue order)
+    const updatedQueue = await getQueue(partyId, { userId: senderId, mode: party.queueMode });
+
+    return { userMessage, aiMessage, updatedQueue };
+}
+
+function writeStreamEvent(res, event, data) {
+    if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
+
+
 // ============================================================================
 // POST /api/chat/send - Send message to AI DJ
+// POST /api/chat/send?stream=1 - Same, streamed as server-sent events
 // ============================================================================
-router.post('/send', async (req, res) => {
+router.post('/send', requirePartyPermission('queue.request', req => req.body.partyId), async (req, res) => {
+    const stream = req.query.stream === '1' || req.query.stream === 'true';
+
     try {
-        const { partyId, senderId, content } = req.body;
+        const { partyId, content } = req.body;
 
         // Validation
-        if (!partyId || !senderId || !content) {
+        if (!partyId || !content) {
             return res.status(400).json({
                 success: false,
-                message: 'partyId, senderId, and content are required'
+                message: 'partyId and content are required'
             });
         }
 
-        // 1. Get party info (for vibe rules)
+        // Get party info (for vibe rules)
         const partyResult = await pgclient.query(
             'SELECT * FROM "Party" WHERE id = $1',
             [partyId]
@@ -40,77 +241,160 @@ router.post('/send', async (req, res) => {
             });
         }
 
+        // Anti-spam limits, before the DJ runs (the pending-songs cap is left to
+        // the DJ, so members at the cap can still chat or remove a song). The
+        // request is counted right away, so parallel sends can't all get through.
         const party = partyResult.rows[0];
+        const { limit, songAllowance, requestId } = await withTransaction(client => reserveSongRequest(client, party, req.user.id, {
+            source: 'chat',
+            rules: ['denialCooldownSeconds', 'maxRequests']
+        }));
+        if (limit) return sendLimited(res, limit);
 
-        // 2. Get recent chat history (last 20 messages)
-        const historyResult = await pgclient.query(
-            `SELECT * FROM "ChatMessage"
-               WHERE "partyId" = $1
-               ORDER BY "createdAt" DESC
-               LIMIT 20`,
-            [partyId]
-        );
-        const chatHistory = historyResult.rows.reverse(); // Oldest first
+        const message = { party, user: req.user, role: req.partyRole, content, requestId, songAllowance };
 
-        // 3. Save user message to database
-        const userMsgResult = await pgclient.query(
-            `INSERT INTO "ChatMessage" (id, content, role, type, "senderId", "partyId", "createdAt")
-               VALUES (gen_random_uuid(), $1, 'USER', 'CHAT', $2, $3, NOW())
-               RETURNING *`,
-            [content, senderId, partyId]
-        );
+        if (!stream) {
+            const { userMessage, aiMessage, updatedQueue } = await processChatMessage(message);
+            return res.json({
+                success: true,
+                userMessage,
+                aiResponse: aiMessage,
+                updatedQueue
+            });
+        }
 
-        // 4. Call AI DJ Agent
-        const aiResponse = await invokeDJAgent({
-            userMessage: content,
-            vibeDescription: party.vibeDescription,
-            vibeRules: party.vibeRules,
-            chatHistory: chatHistory,
-            partyId: partyId
+        // Streaming: progress -> token... -> done (or error)
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
         });
+        res.flushHeaders();
 
-        // 5. Save AI response to database
-        const aiMsgResult = await pgclient.query(
-            `INSERT INTO "ChatMessage" (id, content, role, type, "senderId", "partyId", "createdAt")
-               VALUES (gen_random_uuid(), $1, 'ASSISTANT', $2, NULL, $3, NOW())
-               RETURNING *`,
-            [aiResponse.message, aiResponse.type, partyId]
-        );
+        const { userMessage, aiMessage, updatedQueue } = await processChatMessage(message, {
+            onProgress: progress => writeStreamEvent(res, 'progress', progress),
+            onToken: text => writeStreamEvent(res, 'token', { text })
+        });
 
-        // 6. If AI approved a song, add it to queue
-        if (aiResponse.song && aiResponse.type === 'AI_ACCEPT') {
-            await pgclient.query(
-                `INSERT INTO "Song" (id, title, artist, "coverUrl", "youtubeId", "addedBy", status, "partyId", "createdAt")
-                   VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, 'PENDING', $6, NOW())`,
-                [
-                    aiResponse.song.title,
-                    aiResponse.song.artist,
-                    aiResponse.song.coverUrl || null,
-                    aiResponse.song.youtubeId || null,
-                    senderId,
-                    partyId
-                ]
-            );
+        writeStreamEvent(res, 'done', {
+            success: true,
+            userMessage,
+            aiResponse: aiMessage,
+            updatedQueue
+        });
+        res.end();
+
+    } catch (err) {
+        console.error('Error in chat:', err);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to process message'
+            });
         }
+        writeStreamEvent(res, 'error', {
+            success: false,
+            message: 'Failed to process message'
+        });
+        res.end();
+    }
+});
 
-        // 7. Get updated queue
-        const queueResult = await pgclient.query(
-            `SELECT * FROM "Song" WHERE "partyId" = $1 ORDER BY "createdAt" ASC`,
-            [partyId]
-        );
+
+// ============================================================================
+// POST /api/chat/:partyId/choose - Queue one of the options the DJ offered
+// ============================================================================
+// Body: { choice, messageId? }
+// - choice: 1-based number, or text like "the second one" or a song title
+// - messageId: the AI message with the options (default: the latest one, if still open)
+router.post('/:partyId/choose', requirePartyPermission('queue.request', req => req.params.partyId), async (req, res) => {
+    try {
+        const { partyId } = req.params;
+        const { choice, messageId } = req.body;
+
+        if (choice === undefined || choice === null || choice === '') {
+            return res.status(400).json({
+                success: false,
+                message: 'choice is required'
+            });
+        }
+
+        const offer = messageId
+            ? await getOptionsMessage(partyId, messageId)
+            : await getPendingOptions(partyId);
+
+        if (!offer) {
+            return res.status(404).json({
+                success: false,
+                message: 'No options to choose from'
+            });
+        }
+
+        if (offer.chosenIndex) {
+            return res.status(409).json({
+                success: false,
+                message: 'One of these options was already chosen'
+            });
+        }
+
+        const index = resolveChoice(choice, offer.options);
+        if (!index) {
+            return res.status(400).json({
+                success: false,
+                message: `choice must be 1-${offer.options.length} or one of the offered titles`
+            });
+        }
+
+        // The vibe may have changed since the options were offered
+        const option = offer.options[index - 1];
+        const partyResult = await pgclient.query('SELECT id, "vibeRules", "vibeEmbedding", "queueMode", "requestLimits" FROM "Party" WHERE id = $1', [partyId]);
+        const party = partyResult.rows[0];
+
+        // Picking an offered option finishes an earlier request - only the pending-songs cap applies
+        // (checked again with the insert below, in case songs were queued meanwhile)
+        const { limit } = await checkRequestLimits(party, req.user.id, { rules: ['maxPendingPerMember'] });
+        if (limit) return sendLimited(res, limit);
+
+        const vibeCheck = await checkVibeMatchWithJudge(option, party.vibeRules, { vibeEmbedding: party.vibeEmbedding });
+        if (!vibeCheck.matches) {
+            return res.status(409).json({
+                success: false,
+                message: `"${option.title}" no longer fits the vibe`,
+                violations: vibeCheck.violations
+            });
+        }
+
+        const { song, limit: queueFull } = await withTransaction(async (client) => {
+            await lockMemberRequests(client, partyId, req.user.id);
+            const check = await checkRequestLimits(party, req.user.id, { rules: ['maxPendingPerMember'], client });
+            if (check.limit) return { limit: check.limit };
+
+            if (!await markOptionChosen(client, offer.messageId, index)) {
+                const err = new Error('One of these options was already chosen');
+                err.status = 409;
+                throw err;
+            }
+            return { song: await insertQueuedSong(client, option, { partyId, userId: req.user.id }) };
+        });
+        if (queueFull) return sendLimited(res, queueFull);
+
+        publishPartyEvent(partyId, 'song.added', { song });
+
+        const updatedQueue = await getQueue(partyId, { userId: req.user.id, mode: party.queueMode });
 
         res.json({
             success: true,
-            userMessage: userMsgResult.rows[0],
-            aiResponse: aiMsgResult.rows[0],
-            updatedQueue: queueResult.rows
+            chosen: index,
+            song,
+            updatedQueue
         });
 
     } catch (err) {
-        console.error('Error in chat:', err);
-        res.status(500).json({
+        console.error('Error choosing option:', err);
+        res.status(err.status || 500).json({
             success: false,
-            message: 'Failed to process message'
+            message: err.status ? err.message : 'Failed to choose option'
         });
     }
 });
@@ -119,7 +403,7 @@ router.post('/send', async (req, res) => {
 // ============================================================================
 // GET /api/chat/:partyId/history - Get chat history
 // ============================================================================
-router.get('/:partyId/history', async (req, res) => {
+router.get('/:partyId/history', requirePartyPermission('chat.read', req => req.params.partyId), async (req, res) => {
     try {
         const { partyId } = req.params;
         const limit = parseInt(req.query.limit) || 50;
@@ -159,4 +443,42 @@ router.get('/:partyId/history', async (req, res) => {
     }
 });
 
+
+// ============================================================================
+// DELETE /api/chat/:partyId/messages/:messageId - Delete a message (host/co-host)
+// ============================================================================
+router.delete('/:partyId/messages/:messageId', requirePartyPermission('chat.deleteMessage', req => req.params.partyId), async (req, res) => {
+    try {
+        const { partyId, messageId } = req.params;
+
+        const result = await pgclient.query(
+            `DELETE FROM "ChatMessage"
+               WHERE id = $1 AND "partyId" = $2
+               RETURNING id`,
+            [messageId, partyId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        publishPartyEvent(partyId, 'chat.messageDeleted', { messageId });
+
+        res.json({
+            success: true,
+            message: 'Message deleted'
+        });
+
+    } catch (err) {
+        console.error('Error deleting message:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete message'
+        });
+    }
+});
+
 export default router;
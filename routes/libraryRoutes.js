@@ -0,0 +1,134 @@
+/**
+   * Library Routes
+   * The local music library (see services/localLibrary.js) - track info and audio
+   *
+   * Base URL: /api/library (logged-in users; scans are admin only)
+   */
+
+import express from 'express';
+import path from 'path';
+import { requireAdmin } from '../middleware/auth.js';
+import {
+    getLibraryDir,
+    isLocalLibraryEnabled,
+    startLibraryScan,
+    getLocalTrack,
+    getLibraryStatus
+} from '../services/localLibrary.js';
+
+const router = express.Router();
+
+// ============================================================================
+// GET /api/library - Is the library on, how many tracks, is a scan running
+// ============================================================================
+router.get('/', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            library: await getLibraryStatus()
+        });
+
+    } catch (err) {
+        console.error('Error getting library status:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get library status'
+        });
+    }
+});
+
+
+// ============================================================================
+// POST /api/library/scan - Re-index LOCAL_MUSIC_DIR (background, admins only)
+// ============================================================================
+router.post('/scan', requireAdmin, async (req, res) => {
+    try {
+        if (!isLocalLibraryEnabled()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Local library is not configured (LOCAL_MUSIC_DIR)'
+            });
+        }
+
+        startLibraryScan();
+
+        res.status(202).json({
+            success: true,
+            library: await getLibraryStatus()
+        });
+
+    } catch (err) {
+        console.error('Error starting library scan:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start library scan'
+        });
+    }
+});
+
+
+// ============================================================================
+// GET /api/library/tracks/:id - Tags of one track
+// ============================================================================
+router.get('/tracks/:id', async (req, res) => {
+    try {
+        const track = await getLocalTrack(req.params.id);
+
+        if (!track) {
+            return res.status(404).json({
+                success: false,
+                message: 'Track not found'
+            });
+        }
+
+        const { filePath, ...info } = track;
+        res.json({
+            success: true,
+            track: info
+        });
+
+    } catch (err) {
+        console.error('Error getting library track:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get track'
+        });
+    }
+});
+
+
+// ============================================================================
+// GET /api/library/tracks/:id/audio - Stream the file (supports Range requests)
+// ============================================================================
+router.get('/tracks/:id/audio', async (req, res) => {
+    try {
+        const track = await getLocalTrack(req.params.id);
+
+        // Never serve anything outside the library folder
+        const dir = getLibraryDir();
+        if (!track || !path.resolve(track.filePath).startsWith(dir + path.sep)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Track not found'
+            });
+        }
+
+        res.sendFile(track.filePath, { dotfiles: 'deny' }, (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({
+                    success: false,
+                    message: 'Audio file is missing - rescan the library'
+                });
+            }
+        });
+
+    } catch (err) {
+        console.error('Error streaming library track:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to stream track'
+        });
+    }
+});
+
+export default router;
@@ -6,11 +6,25 @@
    */
 
 import express from 'express';
-import pgclient from '../db.js';
-import { extractVibeRules } from '../services/vibeExtractor.js';
+import pgclient, { withTransaction } from '../db.js';
+import { extractVibeRules, embedVibe } from '../services/vibeExtractor.js';
+import { normalizeRuleEdits, evaluateVibeRules } from '../services/vibeRuleEngine.js';
+import { QUEUE_MODES, MAX_SONG_DURATION_SECONDS, getQueue, revalidatePendingQueue } from '../services/queueService.js';
+import { PLAYBACK_ACTIONS, play, advance, handlePlaybackAction, getNowPlaying, stopPlayback } from '../services/playbackService.js';
+import { MAX_MIN_PENDING, fillQueue, topUpQueue } from '../services/autopilotService.js';
+import { normalizeEnergyCurve } from '../services/energyCurve.js';
+import { normalizeRequestLimits, reserveSongRequest } from '../services/requestLimits.js';
+import { getPartyRole, requirePartyPermission } from '../middleware/partyPermissions.js';
+import { publishPartyEvent, getEventsSince, subscribeToParty, disconnectPartyMember, clearPartyEvents } from '../services/partyEvents.js';
 
 const router = express.Router();
 
+// Party rows as clients see them - vibeEmbedding is only for vibe matching
+function toPublicParty(party) {
+    const { vibeEmbedding, ...rest } = party;
+    return rest;
+}
+
 // ============================================================================
 // GET /api/party/user/:userId - Get all parties for a user (with members)
 // ============================================================================
@@ -38,7 +52,7 @@ router.get('/user/:userId', async (req, res) => {
                     [party.id]
                 );
                 return {
-                    ...party,
+                    ...toPublicParty(party),
                     members: membersResult.rows
                 };
             })
@@ -79,7 +93,7 @@ router.get('/:id', async (req, res) => {
 
         res.json({
             success: true,
-            party: result.rows[0]
+            party: toPublicParty(result.rows[0])
         });
 
     } catch (err) {
@@ -97,13 +111,14 @@ router.get('/:id', async (req, res) => {
 // ============================================================================
 router.post('/', async (req, res) => {
     try {
-        const { hostId, name, vibeDescription } = req.body;
+        const { name, vibeDescription } = req.body;
+        const hostId = req.user.id;
 
         // Validation
-        if (!hostId || !vibeDescription) {
+        if (!vibeDescription) {
             return res.status(400).json({
                 success: false,
-                message: 'hostId and vibeDescription are required'
+                message: 'vibeDescription is required'
             });
         }
 
@@ -113,25 +128,36 @@ router.post('/', async (req, res) => {
         // 🆕 Extract structured vibe rules from description using AI
         console.log(' Extracting vibe rules from:', vibeDescription);
         const vibeRules = await extractVibeRules(vibeDescription);
-
-        // Insert into database with vibe rules
-        const result = await pgclient.query(
-            `INSERT INTO "Party" (id, code, "hostId", "vibeDescription", "vibeRules", "isActive", "createdAt", "updatedAt")
-               VALUES (gen_random_uuid(), $1, $2, $3, $4, true, NOW(), NOW())
-               RETURNING *`,
-            [code, hostId, vibeDescription, JSON.stringify(vibeRules)]
-        );
-
-
-        // Auto-add host as party member
-        await pgclient.query(
-            'INSERT INTO "PartyMember" ("partyId", "userId") VALUES ($1, $2)',
-            [result.rows[0].id, hostId]
-        );
+        const vibeEmbedding = await embedVibe(vibeDescription);
+
+        // Party, host membership and first vibe version are created together or not at all
+        const party = await withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO "Party" (id, code, "hostId", "vibeDescription", "vibeRules", "vibeEmbedding", "isActive", "createdAt", "updatedAt")
+                   VALUES (gen_random_uuid(), $1, $2, $3, $4, $5::vector, true, NOW(), NOW())
+                   RETURNING *`,
+                [code, hostId, vibeDescription, JSON.stringify(vibeRules), vibeEmbedding]
+            );
+
+            // Auto-add host as party member
+            await client.query(
+                `INSERT INTO "PartyMember" ("partyId", "userId", role) VALUES ($1, $2, 'HOST')`,
+                [result.rows[0].id, hostId]
+            );
+
+            // Initial vibe is version 1 of the vibe history
+            await client.query(
+                `INSERT INTO "PartyVibeHistory" ("partyId", version, "vibeDescription", "vibeRules", "changedBy")
+                   VALUES ($1, 1, $2, $3, $4)`,
+                [result.rows[0].id, vibeDescription, JSON.stringify(vibeRules), hostId]
+            );
+
+            return result.rows[0];
+        });
 
         res.status(201).json({
             success: true,
-            party: result.rows[0],
+            party: toPublicParty(party),
             message: 'Party created successfully'
         });
 
@@ -165,7 +191,7 @@ router.get('/code/:code', async (req, res) => {
 
         res.json({
             success: true,
-            party: result.rows[0]
+            party: toPublicParty(result.rows[0])
         });
 
     } catch (err) {
@@ -178,26 +204,180 @@ router.get('/code/:code', async (req, res) => {
 });
 
 
-//QUEUE MANAGEMENT
+// ============================================================================
+// PATCH /api/party/:id/vibe - Change the party vibe (host/co-host)
+// ============================================================================
+// Body: { vibeDescription?, vibeRules?, autoRemove? }
+// - vibeDescription: re-extracts rules with AI
+// - vibeRules: direct edits, merged over the current (or re-extracted) rules
+//   (e.g. { maxDurationSeconds: 600 } caps track length; null removes the cap)
+// - autoRemove: remove PENDING songs that no longer fit
+router.patch('/:id/vibe', requirePartyPermission('vibe.edit'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { vibeDescription, vibeRules: ruleEdits, autoRemove = false } = req.body;
+
+        if (!vibeDescription && !ruleEdits) {
+            return res.status(400).json({
+                success: false,
+                message: 'vibeDescription or vibeRules is required'
+            });
+        }
+
+        // Unknown fields are dropped; bad values throw a 400
+        const validEdits = ruleEdits ? normalizeRuleEdits(ruleEdits) : null;
+        if (!vibeDescription && Object.keys(validEdits).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'vibeRules has no editable fields'
+            });
+        }
+
+        const partyResult = await pgclient.query(
+            'SELECT * FROM "Party" WHERE id = $1',
+            [id]
+        );
+
+        if (partyResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Party not found'
+            });
+        }
+
+        const party = partyResult.rows[0];
+
+        // New description -> fresh rules; otherwise edit the current ones
+        let vibeRules = party.vibeRules || {};
+        let vibeEmbedding = party.vibeEmbedding;
+        if (vibeDescription) {
+            console.log(' Re-extracting vibe rules from:', vibeDescription);
+            const previous = vibeRules;
+            vibeRules = await extractVibeRules(vibeDescription);
+            vibeEmbedding = await embedVibe(vibeDescription);
+
+            // A track length cap set by the host outlives a new description
+            if (!vibeRules.maxDurationSeconds && previous?.maxDurationSeconds) {
+                vibeRules.maxDurationSeconds = previous.maxDurationSeconds;
+            }
+        }
+        if (validEdits) {
+            vibeRules = { ...vibeRules, ...validEdits };
+        }
+
+        // Update + history row together; the UPDATE's row lock also keeps
+        // concurrent edits from picking the same version number
+        const { updatedParty, version } = await withTransaction(async (client) => {
+            const updatedResult = await client.query(
+                `UPDATE "Party"
+                   SET "vibeDescription" = $1, "vibeRules" = $2, "vibeEmbedding" = $3::vector, "updatedAt" = NOW()
+                   WHERE id = $4
+                   RETURNING *`,
+                [vibeDescription || party.vibeDescription, JSON.stringify(vibeRules), vibeEmbedding, id]
+            );
+
+            // Record the change in the vibe history
+            const historyResult = await client.query(
+                `INSERT INTO "PartyVibeHistory" ("partyId", version, "vibeDescription", "vibeRules", "changedBy")
+                   VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM "PartyVibeHistory" WHERE "partyId" = $1), $2, $3, $4)
+                   RETURNING version`,
+                [id, updatedResult.rows[0].vibeDescription, JSON.stringify(vibeRules), req.user.id]
+            );
+
+            return { updatedParty: updatedResult.rows[0], version: historyResult.rows[0].version };
+        });
+
+        // Re-check everything still waiting to play
+        const { checked, violating, removed } = await revalidatePendingQueue(id, vibeRules, { autoRemove, vibeEmbedding });
+
+        publishPartyEvent(id, 'party.vibeUpdated', {
+            vibeDescription: updatedParty.vibeDescription,
+            vibeRules,
+            version
+        });
+        removed.forEach(songId => publishPartyEvent(id, 'song.removed', { songId, reason: 'vibe' }));
+        if (removed.length > 0) await topUpQueue(id);
+
+        res.json({
+            success: true,
+            party: toPublicParty(updatedParty),
+            version,
+            revalidation: {
+                checked,
+                violating: violating.map(({ song, vibeCheck }) => ({
+                    song,
+                    reason: vibeCheck.reason,
+                    violations: vibeCheck.violations
+                })),
+                removed
+            }
+        });
+
+    } catch (err) {
+        console.error('Error updating vibe:', err);
+        res.status(err.status || 500).json({
+            success: false,
+            message: err.status ? err.message : 'Failed to update vibe'
+        });
+    }
+});
 
 // ============================================================================
-// GET /api/party/:id/queue - Get party's song queue
+// GET /api/party/:id/vibe/history - Get all versions of the party vibe
 // ============================================================================
-router.get('/:id/queue', async (req, res) => {
+router.get('/:id/vibe/history', requirePartyPermission('party.view'), async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Get all songs for this party, ordered by creation time
         const result = await pgclient.query(
-            `SELECT * FROM "Song"
-               WHERE "partyId" = $1
-               ORDER BY "createdAt" ASC`,
+            `SELECT h.version, h."vibeDescription", h."vibeRules", h."changedBy", h."createdAt",
+                    u.name as "changedByName"
+               FROM "PartyVibeHistory" h
+               LEFT JOIN "User" u ON h."changedBy" = u.id
+               WHERE h."partyId" = $1
+               ORDER BY h.version DESC`,
             [id]
         );
 
         res.json({
             success: true,
-            queue: result.rows
+            history: result.rows
+        });
+
+    } catch (err) {
+        console.error('Error getting vibe history:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get vibe history'
+        });
+    }
+});
+
+
+//QUEUE MANAGEMENT
+
+// ============================================================================
+// GET /api/party/:id/queue - Get party's song queue
+// ============================================================================
+// Query: ?mode= to preview another queue order without changing the party's
+router.get('/:id/queue', requirePartyPermission('party.view'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { mode = null } = req.query;
+
+        if (mode && !QUEUE_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid mode. Must be ${QUEUE_MODES.join(', ')}`
+            });
+        }
+
+        // Songs with vote counts, PENDING ones ordered by the party's queue mode
+        const queue = await getQueue(id, { userId: req.user.id, mode });
+
+        res.json({
+            success: true,
+            queue
         });
 
     } catch (err) {
@@ -211,32 +391,78 @@ router.get('/:id/queue', async (req, res) => {
 
 
 // ============================================================================
-// POST /api/party/:id/queue - Add song to queue (manual add, not AI)
+// POST /api/party/:id/queue - Add song to queue (manual add, not AI - host/co-host)
 // ============================================================================
-router.post('/:id/queue', async (req, res) => {
+router.post('/:id/queue', requirePartyPermission('queue.manualAdd'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { title, artist, coverUrl, youtubeId, addedBy } = req.body;
+        const { title, artist, coverUrl, youtubeId, duration, energy } = req.body;
+        const addedBy = req.user.id;
 
         // Validation
-        if (!title || !artist || !addedBy) {
+        if (!title || !artist) {
             return res.status(400).json({
                 success: false,
-                message: 'title, artist, and addedBy are required'
+                message: 'title and artist are required'
             });
         }
 
-        // Insert song into queue
-        const result = await pgclient.query(
-            `INSERT INTO "Song" (id, title, artist, "coverUrl", "youtubeId", "addedBy", status, "partyId", "createdAt")
-               VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, 'PENDING', $6, NOW())
-               RETURNING *`,
-            [title, artist, coverUrl || null, youtubeId || null, addedBy, id]
-        );
+        if (energy !== undefined && energy !== null && !(Number.isInteger(energy) && energy >= 1 && energy <= 10)) {
+            return res.status(400).json({
+                success: false,
+                message: 'energy must be an integer from 1 to 10'
+            });
+        }
+
+        const seconds = duration === undefined || duration === null ? null : Number(duration);
+        if (seconds !== null && !(Number.isInteger(seconds) && seconds >= 1 && seconds <= MAX_SONG_DURATION_SECONDS)) {
+            return res.status(400).json({
+                success: false,
+                message: `duration must be a whole number of seconds from 1 to ${MAX_SONG_DURATION_SECONDS}`
+            });
+        }
+
+        const partyResult = await pgclient.query('SELECT id, "requestLimits", "vibeRules" FROM "Party" WHERE id = $1', [id]);
+
+        // The party's track length cap applies to manual adds too
+        const { maxDurationSeconds = null, ruleSeverity } = partyResult.rows[0].vibeRules || {};
+        const lengthCheck = evaluateVibeRules({ title, artist, duration: seconds }, { maxDurationSeconds, ruleSeverity });
+        if (!lengthCheck.matches) {
+            return res.status(400).json({
+                success: false,
+                message: lengthCheck.violations[0].message
+            });
+        }
+
+        // Same per-member limits as requests to the DJ (see services/requestLimits.js),
+        // checked and counted together with the insert
+        const { song, limit } = await withTransaction(async (client) => {
+            const reservation = await reserveSongRequest(client, partyResult.rows[0], addedBy, { source: 'manual' });
+            if (reservation.limit) return { limit: reservation.limit };
+
+            const result = await client.query(
+                `INSERT INTO "Song" (id, title, artist, "coverUrl", "youtubeId", duration, energy, "addedBy", status, "partyId", "createdAt")
+                   VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, 'PENDING', $8, NOW())
+                   RETURNING *`,
+                [title, artist, coverUrl || null, youtubeId || null, seconds, energy ?? null, addedBy, id]
+            );
+            return { song: result.rows[0] };
+        });
+
+        if (limit) {
+            if (limit.retryAfterSeconds) res.set('Retry-After', String(limit.retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                message: limit.message,
+                limit: { rule: limit.rule, retryAfterSeconds: limit.retryAfterSeconds }
+            });
+        }
+
+        publishPartyEvent(id, 'song.added', { song });
 
         res.status(201).json({
             success: true,
-            song: result.rows[0],
+            song,
             message: 'Song added to queue'
         });
 
@@ -253,7 +479,9 @@ router.post('/:id/queue', async (req, res) => {
 // ============================================================================
 // PATCH /api/party/:id/queue/:songId - Update song status (PLAYING, PLAYED)
 // ============================================================================
-router.patch('/:id/queue/:songId', async (req, res) => {
+// PLAYING/PLAYED go through the playback state machine so only one song plays.
+// Prefer POST /api/party/:id/playback for new clients.
+router.patch('/:id/queue/:songId', requirePartyPermission('queue.updateStatus'), async (req, res) => {
     try {
         const { id, songId } = req.params;
         const { status } = req.body;
@@ -267,6 +495,35 @@ router.patch('/:id/queue/:songId', async (req, res) => {
             });
         }
 
+        const current = await getNowPlaying(id);
+
+        if (status === 'PLAYING') {
+            const nowPlaying = await play(id, songId);
+            return res.json({
+                success: true,
+                song: nowPlaying.song,
+                nowPlaying
+            });
+        }
+
+        if (current?.song?.id === songId) {
+            if (status === 'PENDING') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Song is currently playing - skip it first'
+                });
+            }
+
+            // Marking the current song PLAYED moves on to the next one
+            const nowPlaying = await advance(id, { expectedSongId: songId, reason: 'next' });
+            const playedResult = await pgclient.query('SELECT * FROM "Song" WHERE id = $1', [songId]);
+            return res.json({
+                success: true,
+                song: playedResult.rows[0],
+                nowPlaying
+            });
+        }
+
         // Update song status
         const result = await pgclient.query(
             `UPDATE "Song"
@@ -283,6 +540,9 @@ router.patch('/:id/queue/:songId', async (req, res) => {
             });
         }
 
+        publishPartyEvent(id, 'song.updated', { song: result.rows[0] });
+        if (status === 'PLAYED') await topUpQueue(id);
+
         res.json({
             success: true,
             song: result.rows[0]
@@ -290,9 +550,398 @@ router.patch('/:id/queue/:songId', async (req, res) => {
 
     } catch (err) {
         console.error('Error updating song:', err);
+        res.status(err.status || 500).json({
+            success: false,
+            message: err.status ? err.message : 'Failed to update song'
+        });
+    }
+});
+
+
+// ============================================================================
+// POST /api/party/:id/playback - Control playback (play, pause, skip, next - host/co-host)
+// ============================================================================
+// Body: { action, songId? }
+// - play: resume, or start songId / the next PENDING song
+// - skip: mark current song PLAYED and start the next one
+// - next: same as skip, for clients reporting the song ended (pass songId so
+//         a late report doesn't skip the following song)
+router.post('/:id/playback', requirePartyPermission('playback.control'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { action, songId } = req.body;
+
+        if (!PLAYBACK_ACTIONS.includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid action. Must be ${PLAYBACK_ACTIONS.join(', ')}`
+            });
+        }
+
+        const nowPlaying = await handlePlaybackAction(id, action, { songId });
+
+        if (!nowPlaying) {
+            return res.status(404).json({
+                success: false,
+                message: 'Party not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            nowPlaying
+        });
+
+    } catch (err) {
+        console.error('Error controlling playback:', err);
+        res.status(err.status || 500).json({
+            success: false,
+            message: err.status ? err.message : 'Failed to control playback'
+        });
+    }
+});
+
+
+// ============================================================================
+// GET /api/party/:id/now-playing - Current song, position and start time
+// ============================================================================
+router.get('/:id/now-playing', requirePartyPermission('party.view'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const nowPlaying = await getNowPlaying(id);
+
+        if (!nowPlaying) {
+            return res.status(404).json({
+                success: false,
+                message: 'Party not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            nowPlaying
+        });
+
+    } catch (err) {
+        console.error('Error getting now playing:', err);
         res.status(500).json({
             success: false,
-            message: 'Failed to update song'
+            message: 'Failed to get now playing'
+        });
+    }
+});
+
+
+// ============================================================================
+// POST /api/party/:id/queue/:songId/upvote   - Upvote a queued song
+// POST /api/party/:id/queue/:songId/downvote - Downvote a queued song
+// DELETE /api/party/:id/queue/:songId/vote   - Remove your vote
+// ============================================================================
+// One vote per member per song - voting again replaces the previous vote
+
+async function castVote(req, res, value) {
+    try {
+        const { id, songId } = req.params;
+        const userId = req.user.id;
+
+        const songResult = await pgclient.query(
+            'SELECT status FROM "Song" WHERE id = $1 AND "partyId" = $2',
+            [songId, id]
+        );
+
+        if (songResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Song not found'
+            });
+        }
+
+        if (songResult.rows[0].status !== 'PENDING') {
+            return res.status(400).json({
+                success: false,
+                message: 'Can only vote on songs that have not played yet'
+            });
+        }
+
+        if (value === 0) {
+            await pgclient.query(
+                'DELETE FROM "SongVote" WHERE "songId" = $1 AND "userId" = $2',
+                [songId, userId]
+            );
+        } else {
+            await pgclient.query(
+                `INSERT INTO "SongVote" ("songId", "userId", value)
+                   VALUES ($1, $2, $3)
+                   ON CONFLICT ("songId", "userId") DO UPDATE SET value = EXCLUDED.value, "createdAt" = NOW()`,
+                [songId, userId, value]
+            );
+        }
+
+        const countResult = await pgclient.query(
+            `SELECT COUNT(*) FILTER (WHERE value = 1)::int as upvotes,
+                    COUNT(*) FILTER (WHERE value = -1)::int as downvotes,
+                    COALESCE(SUM(value), 0)::int as "voteScore"
+               FROM "SongVote" WHERE "songId" = $1`,
+            [songId]
+        );
+        const votes = countResult.rows[0];
+
+        publishPartyEvent(id, 'song.voted', { songId, ...votes });
+
+        res.json({
+            success: true,
+            songId,
+            myVote: value,
+            ...votes
+        });
+
+    } catch (err) {
+        console.error('Error voting:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to vote'
+        });
+    }
+}
+
+router.post('/:id/queue/:songId/upvote', requirePartyPermission('queue.vote'), (req, res) => castVote(req, res, 1));
+router.post('/:id/queue/:songId/downvote', requirePartyPermission('queue.vote'), (req, res) => castVote(req, res, -1));
+router.delete('/:id/queue/:songId/vote', requirePartyPermission('queue.vote'), (req, res) => castVote(req, res, 0));
+
+
+// ============================================================================
+// PATCH /api/party/:id/queue-mode - Change how the queue is ordered (host/co-host)
+// ============================================================================
+router.patch('/:id/queue-mode', requirePartyPermission('queue.changeMode'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { mode } = req.body;
+
+        if (!QUEUE_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid mode. Must be ${QUEUE_MODES.join(', ')}`
+            });
+        }
+
+        const result = await pgclient.query(
+            `UPDATE "Party"
+               SET "queueMode" = $1, "updatedAt" = NOW()
+               WHERE id = $2
+               RETURNING *`,
+            [mode, id]
+        );
+
+        const queue = await getQueue(id, { userId: req.user.id, mode });
+        publishPartyEvent(id, 'party.queueModeChanged', { mode });
+
+        res.json({
+            success: true,
+            party: toPublicParty(result.rows[0]),
+            queue
+        });
+
+    } catch (err) {
+        console.error('Error changing queue mode:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change queue mode'
+        });
+    }
+});
+
+
+// ============================================================================
+// PATCH /api/party/:id/energy-curve - Plan the party's energy (host/co-host)
+// ============================================================================
+// Body: { plannedDurationMinutes?, energyCurve? }
+// - energyCurve: { start, peak, end, warmUp, coolDown } - merged over the current curve,
+//   null resets it to the default
+// Used by the 'energy-curve' queue mode.
+router.patch('/:id/energy-curve', requirePartyPermission('queue.changeMode'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { plannedDurationMinutes, energyCurve } = req.body;
+
+        if (plannedDurationMinutes === undefined && energyCurve === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'plannedDurationMinutes or energyCurve is required'
+            });
+        }
+
+        if (plannedDurationMinutes !== undefined &&
+            !(Number.isInteger(plannedDurationMinutes) && plannedDurationMinutes >= 15 && plannedDurationMinutes <= 1440)) {
+            return res.status(400).json({
+                success: false,
+                message: 'plannedDurationMinutes must be an integer from 15 to 1440'
+            });
+        }
+
+        if (energyCurve && (typeof energyCurve !== 'object' || Array.isArray(energyCurve))) {
+            return res.status(400).json({
+                success: false,
+                message: 'energyCurve must be an object'
+            });
+        }
+
+        const partyResult = await pgclient.query(
+            'SELECT "energyCurve", "plannedDurationMinutes", "queueMode" FROM "Party" WHERE id = $1',
+            [id]
+        );
+        const current = partyResult.rows[0];
+
+        let curve = current.energyCurve;
+        if (energyCurve === null) {
+            curve = null;
+        } else if (energyCurve) {
+            curve = normalizeEnergyCurve({ ...(current.energyCurve || {}), ...energyCurve });
+        }
+
+        const result = await pgclient.query(
+            `UPDATE "Party"
+               SET "plannedDurationMinutes" = $1, "energyCurve" = $2, "updatedAt" = NOW()
+               WHERE id = $3
+               RETURNING *`,
+            [plannedDurationMinutes ?? current.plannedDurationMinutes, curve && JSON.stringify(curve), id]
+        );
+
+        const queue = await getQueue(id, { userId: req.user.id, mode: current.queueMode });
+        publishPartyEvent(id, 'party.energyCurveChanged', {
+            plannedDurationMinutes: result.rows[0].plannedDurationMinutes,
+            energyCurve: result.rows[0].energyCurve
+        });
+
+        res.json({
+            success: true,
+            party: toPublicParty(result.rows[0]),
+            queue
+        });
+
+    } catch (err) {
+        console.error('Error updating energy curve:', err);
+        res.status(err.status || 500).json({
+            success: false,
+            message: err.status ? err.message : 'Failed to update energy curve'
+        });
+    }
+});
+
+
+// ============================================================================
+// PATCH /api/party/:id/autopilot - Let the DJ fill the queue when it runs low (host/co-host)
+// ============================================================================
+// Body: { enabled?, minPending? }
+// - minPending: top up whenever fewer PENDING songs than this are left (1-10)
+router.patch('/:id/autopilot', requirePartyPermission('autopilot.edit'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { enabled, minPending } = req.body;
+
+        if (enabled === undefined && minPending === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'enabled or minPending is required'
+            });
+        }
+
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'enabled must be true or false'
+            });
+        }
+
+        if (minPending !== undefined && (!Number.isInteger(minPending) || minPending < 1 || minPending > MAX_MIN_PENDING)) {
+            return res.status(400).json({
+                success: false,
+                message: `minPending must be an integer from 1 to ${MAX_MIN_PENDING}`
+            });
+        }
+
+        const result = await pgclient.query(
+            `UPDATE "Party"
+               SET "autopilotEnabled" = COALESCE($1, "autopilotEnabled"),
+                   "autopilotMinPending" = COALESCE($2, "autopilotMinPending"),
+                   "updatedAt" = NOW()
+               WHERE id = $3
+               RETURNING *`,
+            [enabled ?? null, minPending ?? null, id]
+        );
+        const party = result.rows[0];
+
+        publishPartyEvent(id, 'party.autopilotChanged', {
+            enabled: party.autopilotEnabled,
+            minPending: party.autopilotMinPending
+        });
+
+        // Turning it on with a short queue fills it right away
+        const added = await fillQueue(id);
+
+        res.json({
+            success: true,
+            party: toPublicParty(party),
+            added
+        });
+
+    } catch (err) {
+        console.error('Error updating autopilot:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update autopilot'
+        });
+    }
+});
+
+
+// ============================================================================
+// PATCH /api/party/:id/request-limits - Anti-spam limits on song requests (host/co-host)
+// ============================================================================
+// Body: { requestLimits }
+// - requestLimits: { maxPendingPerMember, maxRequests, windowMinutes, denialCooldownSeconds } -
+//   merged over the current limits (null turns a limit off); requestLimits: null resets the defaults
+router.patch('/:id/request-limits', requirePartyPermission('requestLimits.edit'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { requestLimits } = req.body;
+
+        if (requestLimits === undefined || (requestLimits !== null && (typeof requestLimits !== 'object' || Array.isArray(requestLimits)))) {
+            return res.status(400).json({
+                success: false,
+                message: 'requestLimits must be an object, or null for the defaults'
+            });
+        }
+
+        const partyResult = await pgclient.query('SELECT "requestLimits" FROM "Party" WHERE id = $1', [id]);
+        const current = partyResult.rows[0];
+
+        const limits = requestLimits === null
+            ? null
+            : normalizeRequestLimits({ ...(current.requestLimits || {}), ...requestLimits });
+
+        const result = await pgclient.query(
+            `UPDATE "Party"
+               SET "requestLimits" = $1, "updatedAt" = NOW()
+               WHERE id = $2
+               RETURNING *`,
+            [limits && JSON.stringify(limits), id]
+        );
+
+        const effective = normalizeRequestLimits(result.rows[0].requestLimits);
+        publishPartyEvent(id, 'party.requestLimitsChanged', { requestLimits: effective });
+
+        res.json({
+            success: true,
+            party: toPublicParty(result.rows[0]),
+            requestLimits: effective
+        });
+
+    } catch (err) {
+        console.error('Error updating request limits:', err);
+        res.status(err.status || 500).json({
+            success: false,
+            message: err.status ? err.message : 'Failed to update request limits'
         });
     }
 });
@@ -305,7 +954,7 @@ router.patch('/:id/queue/:songId', async (req, res) => {
 router.post('/:id/join', async (req, res) => {
     try {
         const { id } = req.params;
-        const { userId } = req.body;
+        const userId = req.user.id;
 
         // Check if party exists
         const partyResult = await pgclient.query(
@@ -326,25 +975,38 @@ router.post('/:id/join', async (req, res) => {
             [id, userId]
         );
 
+        if (existingMember.rows[0]?.role === 'BANNED') {
+            return res.status(403).json({
+                success: false,
+                message: 'You are banned from this party'
+            });
+        }
+
         if (existingMember.rows.length > 0) {
             // Already a member, just return success
             return res.json({
                 success: true,
                 message: 'Already a member',
-                party: partyResult.rows[0]
+                party: toPublicParty(partyResult.rows[0])
             });
         }
 
         // Add user to party
-        await pgclient.query(
-            'INSERT INTO "PartyMember" ("partyId", "userId") VALUES ($1, $2)',
+        const memberResult = await pgclient.query(
+            `INSERT INTO "PartyMember" ("partyId", "userId", role) VALUES ($1, $2, 'GUEST') RETURNING "joinedAt", role`,
             [id, userId]
         );
 
+        // Everyone in the party sees this - public profile fields only
+        const { name, avatarUrl } = req.user;
+        publishPartyEvent(id, 'member.joined', {
+            member: { id: userId, name, avatarUrl, ...memberResult.rows[0] }
+        });
+
         res.json({
             success: true,
             message: 'Joined party successfully',
-            party: partyResult.rows[0]
+            party: toPublicParty(partyResult.rows[0])
         });
 
     } catch (err) {
@@ -360,17 +1022,22 @@ router.post('/:id/join', async (req, res) => {
 // GET /api/party/:id/members - Get all party members
 // ============================================================================
 
-router.get('/:id/members', async (req, res) => {
+router.get('/:id/members', requirePartyPermission('party.view'), async (req, res) => {
     try {
         const { id } = req.params;
 
+        // Banned users are only listed for hosts/co-hosts (so they can unban)
+        const includeBanned = ['HOST', 'CO_HOST'].includes(req.partyRole);
+
         const result = await pgclient.query(
-            `SELECT u.id, u.name, u.email, u."avatarUrl", pm."joinedAt"
+            `SELECT u.id, u.name, u.email, u."avatarUrl", pm."joinedAt",
+                    CASE WHEN p."hostId" = u.id THEN 'HOST' ELSE pm.role::text END as role
                FROM "PartyMember" pm
                JOIN "User" u ON pm."userId" = u.id
-               WHERE pm."partyId" = $1
+               JOIN "Party" p ON pm."partyId" = p.id
+               WHERE pm."partyId" = $1 AND ($2 OR pm.role <> 'BANNED')
                ORDER BY pm."joinedAt" ASC`,
-            [id]
+            [id, includeBanned]
         );
 
         res.json({
@@ -389,46 +1056,298 @@ router.get('/:id/members', async (req, res) => {
 
 
 // ============================================================================
-// DELETE /api/party/:id - Delete a party and all related data
+// PATCH /api/party/:id/members/:userId/role - Promote/demote a member (host only)
 // ============================================================================
-
-router.delete('/:id', async (req, res) => {
+router.patch('/:id/members/:userId/role', requirePartyPermission('members.changeRole'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { userId } = req.body;
+        const { id, userId } = req.params;
+        const { role } = req.body;
 
-        // Verify the user is the host
-        const partyResult = await pgclient.query(
-            'SELECT * FROM "Party" WHERE id = $1',
-            [id]
+        // Host is fixed, banning has its own endpoint
+        if (!['CO_HOST', 'GUEST'].includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role. Must be CO_HOST or GUEST'
+            });
+        }
+
+        const target = await getPartyRole(id, userId);
+
+        if (!target.role || target.role === 'BANNED') {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        if (target.role === 'HOST') {
+            return res.status(400).json({
+                success: false,
+                message: 'The host role cannot be changed'
+            });
+        }
+
+        const result = await pgclient.query(
+            `UPDATE "PartyMember" SET role = $1
+               WHERE "partyId" = $2 AND "userId" = $3
+               RETURNING "userId", role`,
+            [role, id, userId]
         );
 
-        if (partyResult.rows.length === 0) {
+        publishPartyEvent(id, 'member.roleChanged', result.rows[0]);
+
+        res.json({
+            success: true,
+            member: result.rows[0]
+        });
+
+    } catch (err) {
+        console.error('Error changing member role:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change member role'
+        });
+    }
+});
+
+/**
+ * Hosts/co-hosts can act on guests; only the host can act on co-hosts
+ */
+function canModerate(actorRole, targetRole) {
+    if (targetRole === 'HOST') return false;
+    if (targetRole === 'CO_HOST') return actorRole === 'HOST';
+    return true;
+}
+
+// ============================================================================
+// DELETE /api/party/:id/members/:userId - Kick a member (host/co-host)
+// ============================================================================
+router.delete('/:id/members/:userId', requirePartyPermission('members.kick'), async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+
+        const target = await getPartyRole(id, userId);
+
+        if (!target.role || target.role === 'BANNED') {
             return res.status(404).json({
                 success: false,
-                message: 'Party not found'
+                message: 'Member not found'
             });
         }
 
-        if (partyResult.rows[0].hostId !== userId) {
+        if (!canModerate(req.partyRole, target.role)) {
+            return res.status(403).json({
+                success: false,
+                message: `You cannot kick a ${target.role === 'HOST' ? 'host' : 'co-host'}`
+            });
+        }
+
+        await pgclient.query(
+            'DELETE FROM "PartyMember" WHERE "partyId" = $1 AND "userId" = $2',
+            [id, userId]
+        );
+
+        publishPartyEvent(id, 'member.kicked', { userId });
+        disconnectPartyMember(id, userId);
+
+        res.json({
+            success: true,
+            message: 'Member kicked'
+        });
+
+    } catch (err) {
+        console.error('Error kicking member:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to kick member'
+        });
+    }
+});
+
+// ============================================================================
+// POST /api/party/:id/members/:userId/ban - Ban a user (host/co-host)
+// DELETE /api/party/:id/members/:userId/ban - Unban a user (host/co-host)
+// ============================================================================
+router.post('/:id/members/:userId/ban', requirePartyPermission('members.ban'), async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+
+        const target = await getPartyRole(id, userId);
+
+        if (target.role && !canModerate(req.partyRole, target.role)) {
             return res.status(403).json({
                 success: false,
-                message: 'Only the host can delete this party'
+                message: `You cannot ban a ${target.role === 'HOST' ? 'host' : 'co-host'}`
+            });
+        }
+
+        // Non-members can be banned ahead of time, but only if they exist
+        if (!target.role) {
+            const userResult = await pgclient.query('SELECT id FROM "User" WHERE id = $1', [userId]);
+            if (userResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+        }
+
+        // Banned users keep a membership row so they can't rejoin
+        await pgclient.query(
+            `INSERT INTO "PartyMember" ("partyId", "userId", role) VALUES ($1, $2, 'BANNED')
+               ON CONFLICT ("partyId", "userId") DO UPDATE SET role = 'BANNED'`,
+            [id, userId]
+        );
+
+        publishPartyEvent(id, 'member.banned', { userId });
+        disconnectPartyMember(id, userId);
+
+        res.json({
+            success: true,
+            message: 'User banned'
+        });
+
+    } catch (err) {
+        console.error('Error banning member:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to ban user'
+        });
+    }
+});
+
+router.delete('/:id/members/:userId/ban', requirePartyPermission('members.ban'), async (req, res) => {
+    try {
+        const { id, userId } = req.params;
+
+        const result = await pgclient.query(
+            `DELETE FROM "PartyMember"
+               WHERE "partyId" = $1 AND "userId" = $2 AND role = 'BANNED'
+               RETURNING id`,
+            [id, userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User is not banned'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'User unbanned - they can join again'
+        });
+
+    } catch (err) {
+        console.error('Error unbanning member:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unban user'
+        });
+    }
+});
+
+
+// ============================================================================
+// GET /api/party/:id/events - Real-time party updates (Server-Sent Events)
+// ============================================================================
+// Event types: chat.message, song.added, song.updated, member.joined, party.deleted
+// A kicked or banned user's streams close right after member.kicked/banned.
+// Reconnecting clients send the Last-Event-ID header (or ?lastEventId=) to
+// receive what they missed. If too much was missed, a "resync" event tells
+// them to refetch queue/members/history over REST.
+
+router.get('/:id/events', requirePartyPermission('party.view'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const sendEvent = (event) => {
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+
+        // Catch up on anything missed since the last seen event
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        const { events, complete } = getEventsSince(id, lastEventId);
+
+        if (!complete) {
+            res.write(`event: resync\ndata: ${JSON.stringify({ partyId: id })}\n\n`);
+        }
+        events.forEach(sendEvent);
+
+        // Kicking or banning the user closes the stream (after they get that event)
+        const unsubscribe = subscribeToParty(id, sendEvent, {
+            userId: req.user.id,
+            close: () => {
+                stop();
+                res.end();
+            }
+        });
+
+        // Keep proxies / mobile networks from closing an idle connection
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+        const stop = () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        };
+        req.on('close', stop);
+
+    } catch (err) {
+        console.error('Error opening event stream:', err);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to open event stream'
             });
+        } else {
+            res.end();
         }
+    }
+});
 
-        // Delete in order (due to foreign keys):
-        // 1. ChatMessages
-        await pgclient.query('DELETE FROM "ChatMessage" WHERE "partyId" = $1', [id]);
 
-        // 2. Songs
-        await pgclient.query('DELETE FROM "Song" WHERE "partyId" = $1', [id]);
+// ============================================================================
+// DELETE /api/party/:id - Delete a party and all related data
+// ============================================================================
 
-        // 3. PartyMembers
-        await pgclient.query('DELETE FROM "PartyMember" WHERE "partyId" = $1', [id]);
+router.delete('/:id', requirePartyPermission('party.delete'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Delete in order (due to foreign keys), all or nothing:
+        await withTransaction(async (client) => {
+            // 1. ChatMessages
+            await client.query('DELETE FROM "ChatMessage" WHERE "partyId" = $1', [id]);
+
+            // 2. DJ agent conversation (checkpoint thread = party id)
+            await client.query('DELETE FROM "AgentCheckpointWrite" WHERE "threadId" = $1', [id]);
+            await client.query('DELETE FROM "AgentCheckpoint" WHERE "threadId" = $1', [id]);
+
+            // 3. Vibe history
+            await client.query('DELETE FROM "PartyVibeHistory" WHERE "partyId" = $1', [id]);
+
+            // 4. Songs (votes cascade)
+            await client.query('DELETE FROM "Song" WHERE "partyId" = $1', [id]);
+
+            // 5. PartyMembers
+            await client.query('DELETE FROM "PartyMember" WHERE "partyId" = $1', [id]);
+
+            // 6. Party itself
+            await client.query('DELETE FROM "Party" WHERE id = $1', [id]);
+        });
 
-        // 4. Party itself
-        await pgclient.query('DELETE FROM "Party" WHERE id = $1', [id]);
+        stopPlayback(id);
+        publishPartyEvent(id, 'party.deleted', { partyId: id });
+        clearPartyEvents(id);
 
         res.json({
             success: true,
@@ -0,0 +1,67 @@
+/**
+  * Catalog Import CLI
+  *
+  * npm run catalog:import -- songs.csv            - import a CSV file (header: title,artist,album,year,lyrics,youtubeId,mood,genre)
+  * npm run catalog:import -- songs.json           - import a JSON array of songs
+  * npm run catalog:import -- songs.txt --format csv
+  * npm run catalog:import -- resume               - finish imports that were interrupted
+  *
+  * Rows are added first, then analyzed and embedded in rate-limited batches
+  * (CATALOG_IMPORT_BATCH_SIZE / CATALOG_IMPORT_DELAY_MS). Stopping the command
+  * is safe - "resume" (or the next server start) continues where it left off.
+  */
+
+import fs from 'fs';
+import path from 'path';
+import pgclient from '../db.js';
+import {
+    IMPORT_FORMATS,
+    createImportJob,
+    getImportJob,
+    startImportWorker,
+    resumeCatalogImports
+} from '../services/catalogImport.js';
+
+const [target, ...args] = process.argv.slice(2);
+
+function option(name, fallback) {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+}
+
+async function run() {
+    if (!target) {
+        throw new Error('Usage: npm run catalog:import -- <file.csv|file.json> [--format csv|json] | resume');
+    }
+
+    try {
+        if (target === 'resume') {
+            const count = await resumeCatalogImports();
+            if (count === 0) console.log('✅ No unfinished imports');
+            else await startImportWorker();
+            return;
+        }
+
+        const format = option('format', path.extname(target).slice(1).toLowerCase());
+        if (!IMPORT_FORMATS.includes(format)) {
+            throw new Error(`Unknown format "${format}" - use --format ${IMPORT_FORMATS.join(' or ')}`);
+        }
+
+        const job = await createImportJob(fs.readFileSync(target, 'utf8'), { format });
+        job.errors.forEach(e => console.log(`  [invalid]  row ${e.row}: ${e.message}`));
+
+        // createImportJob started the worker - wait for it in this process
+        await startImportWorker();
+
+        const done = await getImportJob(job.id);
+        done.failedSongs.forEach(s => console.log(`  [failed]   "${s.title}" by ${s.artist}: ${s.importError}`));
+        console.log(`✅ Imported ${done.imported} song(s): ${done.processed} enriched, ${done.failed} failed, ${done.duplicates} duplicate, ${done.invalid} invalid`);
+    } finally {
+        await pgclient.end();
+    }
+}
+
+run().catch((error) => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,92 @@
+/**
+  * Migration CLI
+  *
+  * npm run migrate                      - apply all pending migrations
+  * npm run migrate:rollback             - revert the last migration
+  * npm run migrate:rollback -- --steps 3
+  * npm run migrate:status               - list applied / pending migrations
+  * npm run migrate:create -- add_song_energy  - scaffold the next up/down pair
+  * node scripts/migrate.js baseline 0001 - mark 0001 applied on a database built from the old schema.sql
+  *                                        (then npm run migrate for the rest)
+  */
+
+import fs from 'fs';
+import path from 'path';
+import pgclient from '../db.js';
+import {
+    MIGRATIONS_DIR,
+    listMigrations,
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    baseline
+} from '../services/migrationService.js';
+
+const [command = 'up', ...args] = process.argv.slice(2);
+
+function option(name, fallback) {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : fallback;
+}
+
+/**
+ * Create the next numbered migration pair (no database needed)
+ */
+function createMigration(name) {
+    if (!name || !/^[a-z0-9_]+$/.test(name)) {
+        throw new Error('Usage: npm run migrate:create -- <name_in_snake_case>');
+    }
+
+    const last = listMigrations().at(-1);
+    const version = String((last ? parseInt(last.version) : 0) + 1).padStart(4, '0');
+
+    for (const direction of ['up', 'down']) {
+        const file = path.join(MIGRATIONS_DIR, `${version}_${name}.${direction}.sql`);
+        fs.writeFileSync(file, `-- Migration ${version}${direction === 'down' ? ' (down)' : ''}: ${name.replace(/_/g, ' ')}\n\n`);
+        console.log(` Created ${path.relative(process.cwd(), file)}`);
+    }
+}
+
+async function run() {
+    if (command === 'create') {
+        createMigration(args[0]);
+        return;
+    }
+
+    try {
+        if (command === 'up') {
+            const applied = await migrateUp();
+            console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+        }
+        else if (command === 'down') {
+            const steps = parseInt(option('steps', '1'));
+            if (!(steps > 0)) throw new Error('--steps must be a positive number');
+
+            const reverted = await migrateDown({ steps });
+            console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migration(s)` : 'Nothing to roll back');
+        }
+        else if (command === 'status') {
+            const { applied, pending, unknown } = await getMigrationStatus();
+            applied.forEach(m => console.log(`  [applied]  ${m.version}_${m.name} (${m.appliedAt.toISOString()})`));
+            pending.forEach(m => console.log(`  [pending]  ${m.version}_${m.name}`));
+            unknown.forEach(m => console.log(`  [unknown]  ${m.version}_${m.name} - not found in migrations/`));
+        }
+        else if (command === 'baseline') {
+            const version = args[0];
+            if (!/^\d{4}$/.test(version || '')) throw new Error('Usage: node scripts/migrate.js baseline <version>');
+
+            const marked = await baseline(version);
+            console.log(`✅ Marked ${marked.length} migration(s) as applied`);
+        }
+        else {
+            throw new Error(`Unknown command "${command}" - use up, down, status, create or baseline`);
+        }
+    } finally {
+        await pgclient.end();
+    }
+}
+
+run().catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
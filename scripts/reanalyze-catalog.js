@@ -0,0 +1,34 @@
+/**
+  * Catalog Re-analysis CLI
+  *
+  * npm run catalog:reanalyze   - analyze catalog songs that were never analyzed
+  *                               or were analyzed by an older analyzer version
+  *
+  * Runs in rate-limited batches (CATALOG_IMPORT_BATCH_SIZE / CATALOG_IMPORT_DELAY_MS).
+  * Stopping it is safe - finished songs are stamped and skipped next time.
+  */
+
+import pgclient from '../db.js';
+import { countStaleSongs, reanalyzeCatalog } from '../services/catalogReanalysis.js';
+import { ANALYZER_VERSION } from '../services/songAnalyzer.js';
+
+async function run() {
+    try {
+        const stale = await countStaleSongs();
+        if (stale === 0) {
+            console.log(`✅ Every catalog song is analyzed by version ${ANALYZER_VERSION}`);
+            return;
+        }
+
+        console.log(` Re-analyzing ${stale} song(s) with analyzer version ${ANALYZER_VERSION}...`);
+        const { analyzed, failed } = await reanalyzeCatalog();
+        console.log(`✅ ${analyzed} analyzed, ${failed} failed (failed songs are retried next run)`);
+    } finally {
+        await pgclient.end();
+    }
+}
+
+run().catch((error) => {
+    console.error('❌ Reanalysis failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,58 @@
+/**
+  * YouTube Fixture Recorder
+  *
+  * npm run youtube:record -- <name> "<title>" ["<artist>"]
+  *
+  * Runs the DJ's YouTube search for real (needs YOUTUBE_API_KEY) and saves the
+  * search + videos responses to test/fixtures/youtube/<name>.json, with what
+  * the parser picks today as "expected". Check that pick (fix "expected" by hand
+  * if it is wrong - that's the bug to fix), then the test suite keeps it working.
+  */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { searchUrl, videosUrl, pickBestResult } from '../services/youtubeSearch.js';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'test', 'fixtures', 'youtube');
+
+async function getJson(url) {
+    const data = await (await fetch(url)).json();
+    if (data.error) throw new Error(data.error.message);
+    return data;
+}
+
+async function run() {
+    const [name, title, artist = null] = process.argv.slice(2);
+    const key = process.env.YOUTUBE_API_KEY;
+
+    if (!name || !title) {
+        throw new Error('Usage: npm run youtube:record -- <name> "<title>" ["<artist>"]');
+    }
+    if (!key) throw new Error('YOUTUBE_API_KEY is not set');
+
+    // Same query the youtube music source builds
+    const query = artist ? `${title} ${artist}` : title;
+    const search = await getJson(searchUrl(query, key));
+    const ids = (search.items || []).map(item => item.id?.videoId).filter(Boolean);
+    const videos = ids.length ? await getJson(videosUrl(ids, key)) : { items: [] };
+
+    const request = { query, title, artist };
+    const best = pickBestResult(search, videos, request);
+    const { score, coverUrl, ...expected } = best || {};
+
+    const file = path.join(FIXTURE_DIR, `${name}.json`);
+    const fixture = { description: `Recorded for "${query}" - describe what it covers`, request, search, videos, expected: best ? expected : null };
+    await fs.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+
+    console.log(`✅ Saved ${path.relative(process.cwd(), file)} (${ids.length} results)`);
+    console.log(' Picked:', best ? JSON.stringify(expected) : 'nothing');
+}
+
+run().catch((error) => {
+    console.error('❌ Recording failed:', error.message);
+    process.exit(1);
+});
@@ -10,85 +10,36 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
-import express from 'express';
-import cors from 'cors';
-import morgan from 'morgan';
+import pgclient, { connectWithRetry } from './db.js';
+import { envInt } from './services/envConfig.js';
+import app from './app.js';
+import { resumePlaybackTimers } from './services/playbackService.js';
+import { assertSchemaUpToDate } from './services/migrationService.js';
+import { resumeCatalogImports } from './services/catalogImport.js';
+import { isLocalLibraryEnabled, startLibraryScan } from './services/localLibrary.js';
 
-import pgclient from './db.js';
-
-import partyRoutes from './routes/partyRoutes.js';
-import chatRoutes from './routes/chatRoutes.js';
-import authRoutes from './routes/authRoutes.js';
-
-
-// ============================================================================
-// 2. EXPRESS APP SETUP
-// ============================================================================
-
-const app = express();
 const PORT = process.env.PORT || 3000;
 
 
 // ============================================================================
-// 3. MIDDLEWARE
+// 2. DATABASE CONNECTION & SERVER START
 // ============================================================================
 
-app.use(cors());
-app.use(morgan('dev'));
-
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-
-// ============================================================================
-// 4. ROUTES
-// ============================================================================
-
-// Health Check
-app.get('/health', (req, res) => {
-    res.status(200).json({
-        success: true,
-        message: ' Mazaj AI DJ Party Backend is running!',
-        timestamp: new Date().toISOString()
-    });
-});
-
-// API Routes 
-app.use('/api/party', partyRoutes);
-app.use('/api/chat', chatRoutes);
-app.use('/api/auth', authRoutes);
-
-
-// ============================================================================
-// 5. ERROR HANDLING
-// ============================================================================
-
-// 404 Handler
-app.use((req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'Not Found',
-        message: `Cannot ${req.method} ${req.path}`
-    });
-});
+connectWithRetry({ retries: envInt('DB_CONNECT_RETRIES', 5) })
+    .then(async () => {
+        console.log(' Connected to PostgreSQL database');
 
-// Global Error Handler
-app.use((err, req, res, next) => {
-    console.error('Error:', err);
-    res.status(err.status || 500).json({
-        success: false,
-        error: err.message || 'Internal Server Error'
-    });
-});
+        // Refuse to run against a database that is missing migrations
+        await assertSchemaUpToDate();
 
+        // Re-arm auto-advance for parties that were playing before a restart
+        await resumePlaybackTimers();
 
-// ============================================================================
-// 6. DATABASE CONNECTION & SERVER START
-// ============================================================================
+        // Finish catalog imports that were still enriching songs
+        await resumeCatalogImports();
 
-pgclient.connect()
-    .then(() => {
-        console.log(' Connected to PostgreSQL database');
+        // Pick up files added to LOCAL_MUSIC_DIR while the server was down
+        if (isLocalLibraryEnabled()) startLibraryScan();
 
         app.listen(PORT, () => {
             console.log('\n🎵 ═══════════════════════════════════════');
@@ -100,13 +51,13 @@ pgclient.connect()
         });
     })
     .catch((err) => {
-        console.error(' Database connection failed:', err);
+        console.error(' Startup failed:', err.message);
         process.exit(1);
     });
 
 
 // ============================================================================
-// 7. GRACEFUL SHUTDOWN
+// 3. GRACEFUL SHUTDOWN
 // ============================================================================
 
 process.on('SIGINT', async () => {
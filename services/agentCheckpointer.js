@@ -0,0 +1,211 @@
+/**
+  * Agent Checkpointer
+  * LangGraph checkpoint saver backed by Postgres
+  *
+  * The DJ graph uses the party id as its thread_id, so each party keeps its
+  * own conversation state across requests and server restarts.
+  * Tables: "AgentCheckpoint" and "AgentCheckpointWrite" (migration 0003).
+  */
+
+import { BaseCheckpointSaver, WRITES_IDX_MAP, copyCheckpoint, getCheckpointId } from '@langchain/langgraph-checkpoint';
+import pgclient from '../db.js';
+
+const CHECKPOINT_COLUMNS = '"threadId", "checkpointNs", "checkpointId", "parentCheckpointId", type, checkpoint, metadata';
+
+export class PostgresCheckpointSaver extends BaseCheckpointSaver {
+    constructor(serde) {
+        super(serde);
+    }
+
+    /**
+     * Turn an "AgentCheckpoint" row (plus its pending writes) into a CheckpointTuple
+     */
+    async _toTuple(row) {
+        const { threadId, checkpointNs, checkpointId, parentCheckpointId } = row;
+
+        const writesResult = await pgclient.query(
+            `SELECT "taskId", channel, type, value FROM "AgentCheckpointWrite"
+               WHERE "threadId" = $1 AND "checkpointNs" = $2 AND "checkpointId" = $3
+               ORDER BY "taskId", idx`,
+            [threadId, checkpointNs, checkpointId]
+        );
+
+        const pendingWrites = await Promise.all(writesResult.rows.map(async (write) => [
+            write.taskId,
+            write.channel,
+            await this.serde.loadsTyped(write.type, write.value)
+        ]));
+
+        const tuple = {
+            config: { configurable: { thread_id: threadId, checkpoint_ns: checkpointNs, checkpoint_id: checkpointId } },
+            checkpoint: await this.serde.loadsTyped(row.type, row.checkpoint),
+            metadata: await this.serde.loadsTyped('json', row.metadata),
+            pendingWrites
+        };
+        if (parentCheckpointId) {
+            tuple.parentConfig = { configurable: { thread_id: threadId, checkpoint_ns: checkpointNs, checkpoint_id: parentCheckpointId } };
+        }
+        return tuple;
+    }
+
+    /**
+     * The checkpoint named in config, or the thread's latest one
+     */
+    async getTuple(config) {
+        const threadId = config.configurable?.thread_id;
+        const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+        const checkpointId = getCheckpointId(config);
+
+        const result = checkpointId
+            ? await pgclient.query(
+                `SELECT ${CHECKPOINT_COLUMNS} FROM "AgentCheckpoint"
+                   WHERE "threadId" = $1 AND "checkpointNs" = $2 AND "checkpointId" = $3`,
+                [threadId, checkpointNs, checkpointId]
+            )
+            : await pgclient.query(
+                `SELECT ${CHECKPOINT_COLUMNS} FROM "AgentCheckpoint"
+                   WHERE "threadId" = $1 AND "checkpointNs" = $2
+                   ORDER BY "checkpointId" DESC
+                   LIMIT 1`,
+                [threadId, checkpointNs]
+            );
+
+        return result.rows[0] ? this._toTuple(result.rows[0]) : undefined;
+    }
+
+    /**
+     * Checkpoints newest first, optionally for one thread/namespace
+     * options: { before, limit, filter } - filter matches metadata fields
+     */
+    async *list(config, options = {}) {
+        const { before, limit, filter } = options;
+        const conditions = [];
+        const params = [];
+
+        const addCondition = (sql, value) => {
+            params.push(value);
+            conditions.push(sql.replace('?', `$${params.length}`));
+        };
+
+        if (config.configurable?.thread_id) addCondition('"threadId" = ?', config.configurable.thread_id);
+        if (config.configurable?.checkpoint_ns !== undefined) addCondition('"checkpointNs" = ?', config.configurable.checkpoint_ns);
+        if (config.configurable?.checkpoint_id) addCondition('"checkpointId" = ?', config.configurable.checkpoint_id);
+        if (before?.configurable?.checkpoint_id) addCondition('"checkpointId" < ?', before.configurable.checkpoint_id);
+
+        const result = await pgclient.query(
+            `SELECT ${CHECKPOINT_COLUMNS} FROM "AgentCheckpoint"
+               ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+               ORDER BY "threadId", "checkpointNs", "checkpointId" DESC`,
+            params
+        );
+
+        let remaining = limit;
+        for (const row of result.rows) {
+            if (remaining !== undefined && remaining <= 0) break;
+
+            const tuple = await this._toTuple(row);
+            if (filter && !Object.entries(filter).every(([key, value]) => tuple.metadata?.[key] === value)) continue;
+
+            if (remaining !== undefined) remaining -= 1;
+            yield tuple;
+        }
+    }
+
+    /**
+     * Save a checkpoint - returns the config that points at it
+     */
+    async put(config, checkpoint, metadata) {
+        const threadId = config.configurable?.thread_id;
+        const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+
+        if (threadId === undefined) {
+            throw new Error('Failed to put checkpoint: config.configurable.thread_id is missing');
+        }
+
+        const [[type, serializedCheckpoint], [, serializedMetadata]] = await Promise.all([
+            this.serde.dumpsTyped(copyCheckpoint(checkpoint)),
+            this.serde.dumpsTyped(metadata)
+        ]);
+
+        await pgclient.query(
+            `INSERT INTO "AgentCheckpoint" (${CHECKPOINT_COLUMNS})
+               VALUES ($1, $2, $3, $4, $5, $6, $7)
+               ON CONFLICT ("threadId", "checkpointNs", "checkpointId")
+               DO UPDATE SET type = EXCLUDED.type, checkpoint = EXCLUDED.checkpoint, metadata = EXCLUDED.metadata`,
+            [
+                threadId,
+                checkpointNs,
+                checkpoint.id,
+                config.configurable?.checkpoint_id || null,
+                type,
+                Buffer.from(serializedCheckpoint),
+                Buffer.from(serializedMetadata)
+            ]
+        );
+
+        return { configurable: { thread_id: threadId, checkpoint_ns: checkpointNs, checkpoint_id: checkpoint.id } };
+    }
+
+    /**
+     * Save the writes of one task
+     * Special channels (errors, interrupts...) replace earlier writes, regular ones never do
+     */
+    async putWrites(config, writes, taskId) {
+        const threadId = config.configurable?.thread_id;
+        const checkpointNs = config.configurable?.checkpoint_ns ?? '';
+        const checkpointId = config.configurable?.checkpoint_id;
+
+        if (threadId === undefined || checkpointId === undefined) {
+            throw new Error('Failed to put writes: config.configurable.thread_id and checkpoint_id are required');
+        }
+
+        for (const [index, [channel, value]] of writes.entries()) {
+            const idx = WRITES_IDX_MAP[channel] ?? index;
+            const [type, serializedValue] = await this.serde.dumpsTyped(value);
+
+            await pgclient.query(
+                `INSERT INTO "AgentCheckpointWrite" ("threadId", "checkpointNs", "checkpointId", "taskId", idx, channel, type, value)
+                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                   ON CONFLICT ("threadId", "checkpointNs", "checkpointId", "taskId", idx)
+                   ${idx < 0 ? 'DO UPDATE SET channel = EXCLUDED.channel, type = EXCLUDED.type, value = EXCLUDED.value' : 'DO NOTHING'}`,
+                [threadId, checkpointNs, checkpointId, taskId, idx, channel, type, Buffer.from(serializedValue)]
+            );
+        }
+    }
+
+    async deleteThread(threadId) {
+        await pgclient.query('DELETE FROM "AgentCheckpointWrite" WHERE "threadId" = $1', [threadId]);
+        await pgclient.query('DELETE FROM "AgentCheckpoint" WHERE "threadId" = $1', [threadId]);
+    }
+
+    /**
+     * Keep only the newest `keep` checkpoints of a thread (per namespace)
+     * The agent only ever resumes from the latest one, so older steps are dead weight.
+     */
+    async pruneThread(threadId, { keep = 1 } = {}) {
+        await pgclient.query(
+            `DELETE FROM "AgentCheckpoint" c
+               WHERE c."threadId" = $1
+                 AND c."checkpointId" NOT IN (
+                   SELECT latest."checkpointId" FROM "AgentCheckpoint" latest
+                     WHERE latest."threadId" = c."threadId" AND latest."checkpointNs" = c."checkpointNs"
+                     ORDER BY latest."checkpointId" DESC
+                     LIMIT $2
+                 )`,
+            [threadId, keep]
+        );
+        await pgclient.query(
+            `DELETE FROM "AgentCheckpointWrite" w
+               WHERE w."threadId" = $1
+                 AND NOT EXISTS (
+                   SELECT 1 FROM "AgentCheckpoint" c
+                     WHERE c."threadId" = w."threadId" AND c."checkpointNs" = w."checkpointNs" AND c."checkpointId" = w."checkpointId"
+                 )`,
+            [threadId]
+        );
+    }
+}
+
+export const agentCheckpointer = new PostgresCheckpointSaver();
+
+export default { PostgresCheckpointSaver, agentCheckpointer };
@@ -0,0 +1,179 @@
+/**
+  * Auth Service
+  * Password hashing and access/refresh token handling
+  */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import pgclient from '../db.js';
+import { envInt } from './envConfig.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Tests may run without secrets; anywhere else tokens signed with a
+// well-known default could be forged
+if ((!process.env.JWT_ACCESS_SECRET || !process.env.JWT_REFRESH_SECRET) && process.env.NODE_ENV !== 'test') {
+    throw new Error('JWT_ACCESS_SECRET and JWT_REFRESH_SECRET must be set');
+}
+
+const ACCESS_TOKEN_SECRET = process.env.JWT_ACCESS_SECRET || 'mazaj-test-access-secret';
+const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET || 'mazaj-test-refresh-secret';
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = envInt('JWT_REFRESH_TTL_DAYS', 30, { min: 1 });
+
+const HASH_PREFIX = 'scrypt';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+function scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => {
+            if (err) reject(err);
+            else resolve(key);
+        });
+    });
+}
+
+/**
+ * Hash a password with a random salt
+ * Stored format: scrypt$<salt hex>$<hash hex>
+ */
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const key = await scrypt(password, salt);
+    return `${HASH_PREFIX}$${salt}$${key.toString('hex')}`;
+}
+
+/**
+ * Check if a stored password is already hashed (older accounts are plain text)
+ */
+export function isHashedPassword(stored) {
+    return typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`);
+}
+
+/**
+ * Verify a password against a stored hash
+ */
+export async function verifyPassword(password, stored) {
+    if (!isHashedPassword(stored)) return false;
+
+    const [, salt, hashHex] = stored.split('$');
+    const expected = Buffer.from(hashHex, 'hex');
+    const key = await scrypt(password, salt);
+
+    return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+/**
+ * Hash a refresh token before storing it (never store raw tokens)
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign a short-lived access token for a user
+ */
+export function signAccessToken(user) {
+    return jwt.sign(
+        { sub: user.id, email: user.email, type: 'access' },
+        ACCESS_TOKEN_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+/**
+ * Verify an access token and return its payload (throws if invalid/expired)
+ */
+export function verifyAccessToken(token) {
+    const payload = jwt.verify(token, ACCESS_TOKEN_SECRET);
+    if (payload.type !== 'access') {
+        throw new Error('Invalid token type');
+    }
+    return payload;
+}
+
+/**
+ * Issue a new access + refresh token pair and store the refresh token
+ */
+export async function issueTokens(user) {
+    const tokenId = crypto.randomUUID();
+    const refreshToken = jwt.sign(
+        { sub: user.id, jti: tokenId, type: 'refresh' },
+        REFRESH_TOKEN_SECRET,
+        { expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d` }
+    );
+
+    await pgclient.query(
+        `INSERT INTO "RefreshToken" (id, "userId", "tokenHash", "expiresAt", "createdAt")
+           VALUES ($1, $2, $3, NOW() + ($4 || ' days')::interval, NOW())`,
+        [tokenId, user.id, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    return {
+        accessToken: signAccessToken(user),
+        refreshToken
+    };
+}
+
+/**
+ * Revoke a refresh token if it is still active
+ * A single UPDATE, so two concurrent requests can't both use the same token.
+ * Returns the revoked token row, or null if invalid, expired or already revoked
+ */
+async function revokeActiveRefreshToken(refreshToken) {
+    let payload;
+    try {
+        payload = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET);
+    } catch {
+        return null;
+    }
+
+    if (payload.type !== 'refresh') return null;
+
+    const result = await pgclient.query(
+        `UPDATE "RefreshToken" SET "revokedAt" = NOW()
+           WHERE id = $1 AND "tokenHash" = $2
+             AND "revokedAt" IS NULL AND "expiresAt" > NOW()
+           RETURNING *`,
+        [payload.jti, hashToken(refreshToken)]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotates the refresh token)
+ */
+export async function rotateRefreshToken(refreshToken) {
+    const stored = await revokeActiveRefreshToken(refreshToken);
+    if (!stored) return null;
+
+    const userResult = await pgclient.query(
+        'SELECT id, email, name, "avatarUrl" FROM "User" WHERE id = $1',
+        [stored.userId]
+    );
+    if (userResult.rows.length === 0) return null;
+
+    const user = userResult.rows[0];
+    const tokens = await issueTokens(user);
+    return { user, ...tokens };
+}
+
+/**
+ * Revoke a refresh token (logout)
+ */
+export async function revokeRefreshToken(refreshToken) {
+    return (await revokeActiveRefreshToken(refreshToken)) !== null;
+}
+
+export default {
+    hashPassword,
+    isHashedPassword,
+    verifyPassword,
+    signAccessToken,
+    verifyAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken
+};
@@ -0,0 +1,196 @@
+/**
+  * Autopilot Service
+  * Keeps a party's queue from running dry when nobody requests anything
+  *
+  * With autopilot on, a party that has fewer than "autopilotMinPending"
+  * PENDING songs is topped up from the catalog: songs closest to the party's
+  * vibeEmbedding plus songs in its allowed moods, vibe-checked, never
+  * a song the party already played or queued, and spread across artists.
+  * Picks are queued as AUTOPILOT_USER_ID and announced in chat.
+  */
+
+import pgclient, { withTransaction } from '../db.js';
+import { CATALOG_SONG_COLUMNS, getSongsByMood, checkVibeMatch } from './songSearch.js';
+import { publishPartyEvent } from './partyEvents.js';
+import { toSongOption } from './songOptions.js';
+
+// "addedBy" of songs the DJ picked itself (Song."addedBy" has no user FK)
+export const AUTOPILOT_USER_ID = 'mazaj-dj';
+export const MAX_MIN_PENDING = 10;
+
+const CANDIDATE_LIMIT = 50;
+const RECENT_SONGS = 10; // songs that count towards artist balance
+
+const locks = new Map(); // partyId -> promise of the last fill
+
+/**
+ * Fill a party's queue one run at a time (two triggers must not both top it up)
+ * In-process only - the server is meant to run as a single instance
+ */
+function withPartyLock(partyId, fn) {
+    const previous = locks.get(partyId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn);
+    locks.set(partyId, run);
+    run.finally(() => {
+        if (locks.get(partyId) === run) locks.delete(partyId);
+    }).catch(() => {});
+    return run;
+}
+
+const songKey = song => `${song.title.toLowerCase().trim()}|${song.artist.toLowerCase().trim()}`;
+const artistKey = song => song.artist.toLowerCase().trim();
+
+/**
+ * Catalog songs that could fit the party - nearest to the vibe first, then by mood
+ */
+async function getCandidates(party) {
+    const candidates = [];
+
+    if (party.vibeEmbedding) {
+        const result = await pgclient.query(
+            `SELECT ${CATALOG_SONG_COLUMNS},
+                      1 - (embedding <=> $1::vector) as "vibeSimilarity"
+               FROM "SongCatalog"
+               WHERE embedding IS NOT NULL
+               ORDER BY embedding <=> $1::vector
+               LIMIT $2`,
+            [party.vibeEmbedding, CANDIDATE_LIMIT]
+        );
+        candidates.push(...result.rows);
+    }
+
+    const moods = party.vibeRules?.allowedMoods || [];
+    if (moods.length > 0) {
+        candidates.push(...await getSongsByMood(moods, CANDIDATE_LIMIT, { vibeEmbedding: party.vibeEmbedding }));
+    } else if (candidates.length === 0) {
+        // No vibe to go on - any catalog song, the vibe check still applies
+        const result = await pgclient.query(
+            `SELECT ${CATALOG_SONG_COLUMNS}
+               FROM "SongCatalog"
+               ORDER BY RANDOM()
+               LIMIT $1`,
+            [CANDIDATE_LIMIT]
+        );
+        candidates.push(...result.rows);
+    }
+
+    return candidates;
+}
+
+/**
+ * Pick `count` songs, preferring artists heard least recently
+ * Candidates are ranked, so ties keep their order.
+ */
+export function pickBalanced(candidates, count, recentArtists = []) {
+    const plays = new Map();
+    const bump = artist => plays.set(artist, (plays.get(artist) || 0) + 1);
+    recentArtists.forEach(bump);
+
+    const pool = [...candidates];
+    const picks = [];
+    while (picks.length < count && pool.length > 0) {
+        let best = 0;
+        for (let i = 1; i < pool.length; i++) {
+            if ((plays.get(artistKey(pool[i])) || 0) < (plays.get(artistKey(pool[best])) || 0)) best = i;
+        }
+        const [song] = pool.splice(best, 1);
+        picks.push(song);
+        bump(artistKey(song));
+    }
+    return picks;
+}
+
+function describePicks(songs) {
+    const names = songs.map(s => `"${s.title}" by ${s.artist}`);
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}` : names[0];
+}
+
+/**
+ * Top up the party's queue if autopilot is on and it is running low
+ * Returns the queued Song rows ([] if nothing was needed or nothing fits).
+ */
+export function fillQueue(partyId) {
+    return withPartyLock(partyId, async () => {
+        const partyResult = await pgclient.query(
+            'SELECT * FROM "Party" WHERE id = $1',
+            [partyId]
+        );
+        const party = partyResult.rows[0];
+        if (!party?.autopilotEnabled || !party.isActive) return [];
+
+        const songsResult = await pgclient.query(
+            `SELECT title, artist, "youtubeId", status FROM "Song"
+               WHERE "partyId" = $1
+               ORDER BY "createdAt" DESC`,
+            [partyId]
+        );
+        const partySongs = songsResult.rows;
+
+        const needed = party.autopilotMinPending - partySongs.filter(s => s.status === 'PENDING').length;
+        if (needed <= 0) return [];
+
+        // Never repeat a song the party already played or queued
+        const seen = new Set(partySongs.map(songKey));
+        const seenVideos = new Set(partySongs.map(s => s.youtubeId).filter(Boolean));
+
+        const candidates = [];
+        for (const song of await getCandidates(party)) {
+            if (seen.has(songKey(song)) || (song.youtubeId && seenVideos.has(song.youtubeId))) continue;
+            seen.add(songKey(song));
+            if (checkVibeMatch(song, party.vibeRules).matches) candidates.push(song);
+        }
+
+        const picks = pickBalanced(candidates, needed, partySongs.slice(0, RECENT_SONGS).map(artistKey));
+        if (picks.length === 0) {
+            console.log(`🎧 Autopilot: nothing in the catalog fits party ${partyId}`);
+            return [];
+        }
+
+        console.log(`🎧 Autopilot: queueing ${picks.length} song(s) for party ${partyId}`);
+
+        const { songs, message } = await withTransaction(async (client) => {
+            const songs = [];
+            for (const song of picks) {
+                const songResult = await client.query(
+                    `INSERT INTO "Song" (id, title, artist, "coverUrl", "youtubeId", "localTrackId", duration, energy, "addedBy", status, "partyId", "createdAt")
+                       VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, 'PENDING', $9, clock_timestamp())
+                       RETURNING *`,
+                    [song.title, song.artist, song.coverUrl || null, song.youtubeId || null, song.localTrackId || null, song.duration ?? null, song.energy ?? null, AUTOPILOT_USER_ID, partyId]
+                );
+                songs.push(songResult.rows[0]);
+            }
+
+            const messageResult = await client.query(
+                `INSERT INTO "ChatMessage" (id, content, role, type, metadata, "senderId", "partyId", "createdAt")
+                   VALUES (gen_random_uuid(), $1, 'ASSISTANT', 'AI_ACCEPT', $2, NULL, $3, clock_timestamp())
+                   RETURNING *`,
+                [
+                    `The queue was running low, so I added ${describePicks(picks)} to keep the vibe going!`,
+                    JSON.stringify({ autopilot: true, songs: picks.map(toSongOption) }),
+                    partyId
+                ]
+            );
+
+            return { songs, message: messageResult.rows[0] };
+        });
+
+        publishPartyEvent(partyId, 'chat.message', { message });
+        songs.forEach(song => publishPartyEvent(partyId, 'song.added', { song }));
+
+        return songs;
+    });
+}
+
+/**
+ * fillQueue for callers that must not fail because of it (playback, removals)
+ */
+export async function topUpQueue(partyId) {
+    try {
+        return await fillQueue(partyId);
+    } catch (err) {
+        console.error(' [Autopilot] Failed to fill queue:', err.message);
+        return [];
+    }
+}
+
+export default { AUTOPILOT_USER_ID, MAX_MIN_PENDING, pickBalanced, fillQueue, topUpQueue };
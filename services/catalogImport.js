@@ -0,0 +1,480 @@
+/**
+  * Catalog Import Service
+  * Bulk-load songs into SongCatalog from CSV or JSON
+  *
+  * An import runs in two steps:
+  * 1. createImportJob - parse, validate and de-duplicate the rows (against the
+  *    catalog and within the file), then insert them without an embedding,
+  *    tagged with the job id. Nothing is inserted if this step fails.
+  * 2. The background worker - for each of the job's rows, fill in missing
+  *    mood/genre with analyzeSong and generate the embedding, in batches of
+  *    CATALOG_IMPORT_BATCH_SIZE with CATALOG_IMPORT_DELAY_MS between batches
+  *    (to stay under LLM/embedding rate limits).
+  *
+  * Progress lives in the rows themselves (embedding or "importError" set), so a
+  * job interrupted by a restart picks up where it stopped (resumeCatalogImports).
+  */
+
+import pgclient, { withTransaction } from '../db.js';
+import { createEmbedding, toVectorString } from './llmProvider.js';
+import { analyzeSong } from './songAnalyzer.js';
+import { catalogEmbeddingText, storeSongAnalysis } from './songSearch.js';
+import { validateCatalogInput } from './catalogService.js';
+import { envInt } from './envConfig.js';
+
+export const IMPORT_FIELDS = ['title', 'artist', 'album', 'year', 'duration', 'lyrics', 'youtubeId', 'mood', 'genre'];
+export const IMPORT_FORMATS = ['csv', 'json'];
+export const MAX_IMPORT_ROWS = envInt('CATALOG_IMPORT_MAX_ROWS', 10000, { min: 1 });
+
+const BATCH_SIZE = envInt('CATALOG_IMPORT_BATCH_SIZE', 10, { min: 1 });
+const BATCH_DELAY_MS = envInt('CATALOG_IMPORT_DELAY_MS', 1000);
+const MAX_JOB_ERRORS = 100; // validation errors kept on the job
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const withPending = job => ({ ...job, pending: Math.max(job.imported - job.processed - job.failed, 0) });
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, "" and newlines)
+ * Returns an array of string arrays, one per line.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const input = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) throw httpError(400, 'CSV has an unterminated quoted field');
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// "YouTube ID", "youtube_id" and "youtubeId" all name the youtubeId column
+const headerKey = name => name.toLowerCase().replace(/[^a-z]/g, '');
+const FIELD_BY_HEADER = Object.fromEntries(IMPORT_FIELDS.map(field => [headerKey(field), field]));
+
+/**
+ * Parse an import file into plain row objects
+ * csv: a header line naming the columns, mood as "calm;happy"
+ * json: an array of songs, or { songs: [...] }
+ */
+export function parseImportFile(input, format) {
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw httpError(400, `format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    if (format === 'json') {
+        let data = input;
+        if (typeof input === 'string') {
+            try {
+                data = JSON.parse(input);
+            } catch {
+                throw httpError(400, 'Invalid JSON');
+            }
+        }
+        const songs = Array.isArray(data) ? data : data?.songs;
+        if (!Array.isArray(songs)) throw httpError(400, 'JSON must be an array of songs or { songs: [...] }');
+        return songs;
+    }
+
+    const [header, ...lines] = parseCsv(String(input));
+    if (!header) return [];
+
+    const columns = header.map(name => FIELD_BY_HEADER[headerKey(name)] || null);
+    if (!columns.includes('title') || !columns.includes('artist')) {
+        throw httpError(400, 'CSV header must include title and artist columns');
+    }
+
+    return lines.map(values => {
+        const row = {};
+        columns.forEach((field, i) => {
+            if (field && values[i] !== undefined) row[field] = values[i];
+        });
+        return row;
+    });
+}
+
+/**
+ * Coerce one parsed row (CSV gives strings) and validate it like an admin edit
+ * Throws an error with status 400 if the row is unusable.
+ */
+export function normalizeImportRow(row) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        throw httpError(400, 'row must be an object');
+    }
+
+    const song = {};
+    for (const field of IMPORT_FIELDS) {
+        let value = row[field];
+        if (typeof value === 'string') value = value.trim();
+        if (value === undefined || value === '') continue;
+
+        if (field === 'year' && typeof value === 'string') {
+            if (!/^\d{4}$/.test(value)) throw httpError(400, 'year must be a 4-digit year');
+            value = parseInt(value);
+        }
+        if (field === 'duration' && typeof value === 'string') {
+            // "225" seconds, "3:45" or "1:02:30"
+            if (!/^\d+(:\d{1,2}){0,2}$/.test(value)) throw httpError(400, 'duration must be seconds or m:ss');
+            value = value.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+        }
+        if (field === 'mood' && typeof value === 'string') {
+            value = value.split(/[;|,]/).map(m => m.trim()).filter(Boolean);
+        }
+        song[field] = value;
+    }
+
+    return validateCatalogInput(song, { create: true });
+}
+
+const songKey = song => `${song.title.toLowerCase()}|${song.artist.toLowerCase()}`;
+
+// ============================================================================
+// JOBS
+// ============================================================================
+
+/**
+ * Validate, de-duplicate and insert an import, then start enriching it
+ * input: CSV/JSON text, or already-parsed JSON (an array or { songs })
+ * Returns the job row.
+ */
+export async function createImportJob(input, { format, userId = null }) {
+    const rows = parseImportFile(input, format);
+    if (rows.length === 0) throw httpError(400, 'No songs to import');
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw httpError(400, `Too many songs - the limit is ${MAX_IMPORT_ROWS} per import`);
+    }
+
+    const songs = [];
+    const errors = [];
+    rows.forEach((row, i) => {
+        try {
+            songs.push(normalizeImportRow(row));
+        } catch (err) {
+            if (!err.status) throw err;
+            errors.push({ row: i + 1, title: row?.title ?? null, artist: row?.artist ?? null, message: err.message });
+        }
+    });
+
+    const job = await withTransaction(async (client) => {
+        // Same title + artist (case-insensitive) or same video = already in the catalog
+        const existing = await client.query(
+            `SELECT lower(title) as title, lower(artist) as artist, "youtubeId" FROM "SongCatalog"
+               WHERE (lower(title), lower(artist)) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+                  OR "youtubeId" = ANY($3)`,
+            [
+                songs.map(s => s.title.toLowerCase()),
+                songs.map(s => s.artist.toLowerCase()),
+                songs.map(s => s.youtubeId).filter(Boolean)
+            ]
+        );
+        const seen = new Set(existing.rows.map(songKey));
+        const seenVideos = new Set(existing.rows.map(s => s.youtubeId).filter(Boolean));
+
+        const fresh = songs.filter(song => {
+            if (seen.has(songKey(song)) || (song.youtubeId && seenVideos.has(song.youtubeId))) return false;
+            seen.add(songKey(song));
+            if (song.youtubeId) seenVideos.add(song.youtubeId);
+            return true;
+        });
+
+        const jobResult = await client.query(
+            `INSERT INTO "CatalogImportJob" (format, "userId", total, imported, duplicates, invalid, errors, status, "finishedAt")
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+               RETURNING *`,
+            [
+                format,
+                userId,
+                rows.length,
+                fresh.length,
+                songs.length - fresh.length,
+                errors.length,
+                JSON.stringify(errors.slice(0, MAX_JOB_ERRORS)),
+                fresh.length > 0 ? 'QUEUED' : 'DONE',
+                fresh.length > 0 ? null : new Date()
+            ]
+        );
+        const job = jobResult.rows[0];
+
+        for (const song of fresh) {
+            await client.query(
+                `INSERT INTO "SongCatalog" (title, artist, album, year, duration, lyrics, "youtubeId", mood, genre, "curatedFields", "importJobId", "createdAt")
+                   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, clock_timestamp())`,
+                [
+                    song.title,
+                    song.artist,
+                    song.album ?? null,
+                    song.year ?? null,
+                    song.duration ?? null,
+                    song.lyrics ?? null,
+                    song.youtubeId ?? null,
+                    song.mood ?? [],
+                    song.genre ?? null,
+                    // Moods/genres from the file are kept by the analyzer
+                    [song.mood?.length && 'mood', song.genre && 'genre'].filter(Boolean),
+                    job.id
+                ]
+            );
+        }
+
+        return job;
+    });
+
+    console.log(`📥 Import ${job.id}: ${job.imported} new, ${job.duplicates} duplicate, ${job.invalid} invalid`);
+
+    if (job.status === 'QUEUED') startImportWorker();
+    return job;
+}
+
+/**
+ * A job with its progress, or null
+ * pending: imported rows still waiting for analysis/embedding
+ * failedSongs: rows that could not be enriched (first 100)
+ */
+export async function getImportJob(id) {
+    const result = await pgclient.query('SELECT * FROM "CatalogImportJob" WHERE id = $1', [id]);
+    const job = result.rows[0];
+    if (!job) return null;
+
+    const failedResult = await pgclient.query(
+        `SELECT id, title, artist, "importError" FROM "SongCatalog"
+           WHERE "importJobId" = $1 AND "importError" IS NOT NULL
+           ORDER BY "createdAt"
+           LIMIT ${MAX_JOB_ERRORS}`,
+        [id]
+    );
+
+    return { ...withPending(job), failedSongs: failedResult.rows };
+}
+
+/**
+ * Import jobs, newest first - returns { jobs, total }
+ */
+export async function listImportJobs({ limit = 50, offset = 0 } = {}) {
+    const result = await pgclient.query(
+        `SELECT * FROM "CatalogImportJob"
+           ORDER BY "createdAt" DESC
+           LIMIT $1 OFFSET $2`,
+        [limit, offset]
+    );
+    const countResult = await pgclient.query('SELECT COUNT(*) FROM "CatalogImportJob"');
+
+    return {
+        jobs: result.rows.map(withPending),
+        total: parseInt(countResult.rows[0].count)
+    };
+}
+
+// ============================================================================
+// BACKGROUND ENRICHMENT
+// ============================================================================
+
+/**
+ * Fill in missing mood/genre (and the rest of the analysis) and embed one imported row
+ * Rows that came with mood and genre are not analyzed here - the re-analysis
+ * job picks them up (see catalogReanalysis.js). A fallback analysis throws, so
+ * the row is marked failed instead of stored with placeholder values; the
+ * re-analysis job retries it too (it is still unanalyzed).
+ */
+async function enrichSong(song) {
+    if (song.mood?.length && song.genre) {
+        const embedding = await createEmbedding(catalogEmbeddingText(song), { purpose: 'catalog' });
+        await pgclient.query(
+            'UPDATE "SongCatalog" SET embedding = $2::vector WHERE id = $1',
+            [song.id, toVectorString(embedding)]
+        );
+        return;
+    }
+
+    const analysis = await analyzeSong(song.title, song.artist, song.year);
+    if (analysis.fallback) {
+        throw new Error('Song analysis failed - the song will be retried by the next re-analysis run');
+    }
+
+    // Keeps a mood or genre the file gave (curatedFields) and embeds the row
+    await storeSongAnalysis(song.id, analysis);
+}
+
+/**
+ * Recount a job's progress from its rows
+ */
+async function updateJobProgress(jobId) {
+    await pgclient.query(
+        `UPDATE "CatalogImportJob" SET
+           processed = (SELECT COUNT(*) FROM "SongCatalog" WHERE "importJobId" = $1 AND embedding IS NOT NULL),
+           failed = (SELECT COUNT(*) FROM "SongCatalog" WHERE "importJobId" = $1 AND "importError" IS NOT NULL),
+           "updatedAt" = NOW()
+         WHERE id = $1`,
+        [jobId]
+    );
+}
+
+/**
+ * Enrich every remaining row of one job, a batch at a time
+ */
+export async function processImportJob(jobId, { batchSize = BATCH_SIZE, delayMs = BATCH_DELAY_MS } = {}) {
+    await pgclient.query(
+        `UPDATE "CatalogImportJob" SET status = 'RUNNING', "updatedAt" = NOW() WHERE id = $1`,
+        [jobId]
+    );
+
+    while (true) {
+        const batch = await pgclient.query(
+            `SELECT id, title, artist, year, mood, genre FROM "SongCatalog"
+               WHERE "importJobId" = $1 AND embedding IS NULL AND "importError" IS NULL
+               ORDER BY "createdAt", id
+               LIMIT $2`,
+            [jobId, batchSize]
+        );
+        if (batch.rows.length === 0) break;
+
+        for (const song of batch.rows) {
+            try {
+                await enrichSong(song);
+            } catch (err) {
+                console.error(` [Import] Failed to enrich "${song.title}" by ${song.artist}:`, err.message);
+                await pgclient.query(
+                    'UPDATE "SongCatalog" SET "importError" = $2 WHERE id = $1',
+                    [song.id, err.message || 'Enrichment failed']
+                );
+            }
+        }
+
+        await updateJobProgress(jobId);
+        if (delayMs > 0) await sleep(delayMs);
+    }
+
+    const result = await pgclient.query(
+        `UPDATE "CatalogImportJob" SET status = 'DONE', "finishedAt" = NOW(), "updatedAt" = NOW()
+           WHERE id = $1
+           RETURNING *`,
+        [jobId]
+    );
+    const job = result.rows[0];
+    console.log(`✅ Import ${jobId} done: ${job.processed} enriched, ${job.failed} failed`);
+    return job;
+}
+
+let worker = null;     // promise of the running worker
+let wakeUp = false;    // a job was queued while the worker was running
+
+/**
+ * Work through QUEUED/RUNNING jobs, oldest first, until none are left
+ */
+async function runQueuedJobs() {
+    while (true) {
+        const next = await pgclient.query(
+            `SELECT id FROM "CatalogImportJob"
+               WHERE status IN ('QUEUED', 'RUNNING')
+               ORDER BY "createdAt"
+               LIMIT 1`
+        );
+        if (next.rows.length === 0) return;
+
+        const jobId = next.rows[0].id;
+        try {
+            await processImportJob(jobId);
+        } catch (err) {
+            console.error(` [Import] Job ${jobId} failed:`, err.message);
+            await pgclient.query(
+                `UPDATE "CatalogImportJob"
+                   SET status = 'FAILED', errors = errors || $2::jsonb, "finishedAt" = NOW(), "updatedAt" = NOW()
+                   WHERE id = $1`,
+                [jobId, JSON.stringify([{ message: err.message }])]
+            );
+        }
+    }
+}
+
+/**
+ * Start the background worker (one per process) - returns its promise
+ * Safe to call any time; a running worker also picks up newly queued jobs.
+ */
+export function startImportWorker() {
+    wakeUp = true;
+    if (!worker) {
+        worker = (async () => {
+            while (wakeUp) {
+                wakeUp = false;
+                await runQueuedJobs();
+            }
+        })()
+            .catch(err => console.error(' [Import] Worker stopped:', err.message))
+            .finally(() => { worker = null; });
+    }
+    return worker;
+}
+
+/**
+ * Finish imports that were interrupted by a restart
+ */
+export async function resumeCatalogImports() {
+    const result = await pgclient.query(
+        `SELECT COUNT(*) FROM "CatalogImportJob" WHERE status IN ('QUEUED', 'RUNNING')`
+    );
+    const count = parseInt(result.rows[0].count);
+
+    if (count > 0) {
+        console.log(` Resuming ${count} catalog import(s)`);
+        startImportWorker();
+    }
+    return count;
+}
+
+export default {
+    IMPORT_FIELDS,
+    IMPORT_FORMATS,
+    MAX_IMPORT_ROWS,
+    parseCsv,
+    parseImportFile,
+    normalizeImportRow,
+    createImportJob,
+    getImportJob,
+    listImportJobs,
+    processImportJob,
+    startImportWorker,
+    resumeCatalogImports
+};
@@ -0,0 +1,104 @@
+/**
+  * Catalog Re-analysis Service
+  * Redo the analysis of catalog songs analyzed by an older analyzer version
+  *
+  * Songs are stale when "analyzerVersion" is NULL (never analyzed, or only a
+  * fallback guess) or lower than ANALYZER_VERSION. They are re-analyzed in
+  * rate-limited batches (same CATALOG_IMPORT_BATCH_SIZE / CATALOG_IMPORT_DELAY_MS
+  * as imports). Each song is stamped when done, so a stopped run resumes where
+  * it left off; a song whose analysis fails stays stale for the next run.
+  */
+
+import pgclient from '../db.js';
+import { ANALYZER_VERSION, analyzeSong } from './songAnalyzer.js';
+import { storeSongAnalysis } from './songSearch.js';
+import { envInt } from './envConfig.js';
+
+const BATCH_SIZE = envInt('CATALOG_IMPORT_BATCH_SIZE', 10, { min: 1 });
+const BATCH_DELAY_MS = envInt('CATALOG_IMPORT_DELAY_MS', 1000);
+
+const STALE_SQL = `("analyzerVersion" IS NULL OR "analyzerVersion" < ${ANALYZER_VERSION})`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let running = null; // { progress: { analyzed, failed, startedAt }, promise } of the current run
+
+/**
+ * Number of catalog songs waiting for (re-)analysis
+ */
+export async function countStaleSongs() {
+    const result = await pgclient.query(`SELECT COUNT(*) FROM "SongCatalog" WHERE ${STALE_SQL}`);
+    return parseInt(result.rows[0].count);
+}
+
+/**
+ * Re-analyze every stale song once - returns { analyzed, failed }
+ * progress (optional) is updated as batches finish.
+ */
+export async function reanalyzeCatalog({ batchSize = BATCH_SIZE, delayMs = BATCH_DELAY_MS, progress = {} } = {}) {
+    progress.analyzed = 0;
+    progress.failed = 0;
+    let lastId = '';
+
+    while (true) {
+        // Walk by id so a song that keeps failing is only tried once per run
+        const batch = await pgclient.query(
+            `SELECT id, title, artist, year FROM "SongCatalog"
+               WHERE ${STALE_SQL} AND id > $1
+               ORDER BY id
+               LIMIT $2`,
+            [lastId, batchSize]
+        );
+        if (batch.rows.length === 0) break;
+
+        for (const song of batch.rows) {
+            const analysis = await analyzeSong(song.title, song.artist, song.year);
+            if (await storeSongAnalysis(song.id, analysis)) {
+                progress.analyzed += 1;
+            } else {
+                progress.failed += 1;
+            }
+        }
+        lastId = batch.rows.at(-1).id;
+
+        console.log(` [Reanalysis] ${progress.analyzed} analyzed, ${progress.failed} failed so far`);
+        if (delayMs > 0) await sleep(delayMs);
+    }
+
+    return { analyzed: progress.analyzed, failed: progress.failed };
+}
+
+/**
+ * Start a background run unless one is going - returns its promise
+ */
+export function startReanalysis() {
+    if (!running) {
+        const progress = { analyzed: 0, failed: 0, startedAt: new Date() };
+        const promise = reanalyzeCatalog({ progress })
+            .then(result => {
+                console.log(`✅ Reanalysis done: ${result.analyzed} analyzed, ${result.failed} failed`);
+                return result;
+            })
+            .catch(err => console.error(' [Reanalysis] Stopped:', err.message))
+            .finally(() => { running = null; });
+        running = { progress, promise };
+    }
+    return running.promise;
+}
+
+/**
+ * { analyzerVersion, stale, running, analyzed, failed, startedAt }
+ * analyzed/failed/startedAt describe the current run (null when idle).
+ */
+export async function getReanalysisStatus() {
+    return {
+        analyzerVersion: ANALYZER_VERSION,
+        stale: await countStaleSongs(),
+        running: Boolean(running),
+        analyzed: running ? running.progress.analyzed : null,
+        failed: running ? running.progress.failed : null,
+        startedAt: running ? running.progress.startedAt : null
+    };
+}
+
+export default { countStaleSongs, reanalyzeCatalog, startReanalysis, getReanalysisStatus };
@@ -0,0 +1,417 @@
+/**
+  * Catalog Service
+  * Admin editing of SongCatalog - list, create, edit, merge and delete
+  *
+  * Every write is recorded in CatalogAuditLog (who, what, before/after) in the
+  * same transaction. Changing title, artist, mood or genre re-embeds the song,
+  * since those are what its embedding is built from (see catalogEmbeddingText).
+  */
+
+import pgclient, { withTransaction } from '../db.js';
+import { createEmbedding, toVectorString } from './llmProvider.js';
+import { catalogEmbeddingText, ANALYZED_FIELDS } from './songSearch.js';
+
+export const MAX_PAGE_SIZE = 100;
+
+// Columns an admin can set (embedding is derived, id/createdAt are fixed)
+export const EDITABLE_FIELDS = ['title', 'artist', 'album', 'lyrics', 'year', 'duration', 'rank', 'youtubeId', 'coverUrl', 'mood', 'genre', 'energy'];
+
+// Changing one of these re-embeds the song
+export const EMBEDDED_FIELDS = ['title', 'artist', 'mood', 'genre'];
+
+const SONG_COLUMNS = `id, title, artist, album, year, duration, rank, "youtubeId", "coverUrl", mood, genre, energy,
+                      themes, "lyricsSummary", explicit, decade, "analyzedAt", "analyzerVersion",
+                      "localTrackId", "featuredArtists", "curatedFields", "createdAt", embedding IS NOT NULL as "hasEmbedding"`;
+const SONG_DETAIL_COLUMNS = `${SONG_COLUMNS}, lyrics`; // lyrics are left out of listings
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const isBlank = value => typeof value !== 'string' || value.trim() === '';
+const isIntegerOrNull = value => value === null || Number.isInteger(value);
+const isStringOrNull = value => value === null || typeof value === 'string';
+
+/**
+ * Check admin input and keep only editable fields
+ * Throws an error with status 400 for a bad value.
+ * create: title and artist are required
+ */
+export function validateCatalogInput(input, { create = false } = {}) {
+    const fields = {};
+    for (const field of EDITABLE_FIELDS) {
+        if (input?.[field] !== undefined) fields[field] = input[field];
+    }
+
+    if (create && (isBlank(fields.title) || isBlank(fields.artist))) {
+        throw httpError(400, 'title and artist are required');
+    }
+    for (const field of ['title', 'artist']) {
+        if (field in fields && isBlank(fields[field])) {
+            throw httpError(400, `${field} must be a non-empty string`);
+        }
+        if (field in fields) fields[field] = fields[field].trim();
+    }
+    for (const field of ['album', 'lyrics', 'youtubeId', 'coverUrl', 'genre']) {
+        if (field in fields && !isStringOrNull(fields[field])) {
+            throw httpError(400, `${field} must be a string or null`);
+        }
+    }
+    for (const field of ['year', 'rank']) {
+        if (field in fields && !isIntegerOrNull(fields[field])) {
+            throw httpError(400, `${field} must be an integer or null`);
+        }
+    }
+    if ('energy' in fields && fields.energy !== null &&
+        (!Number.isInteger(fields.energy) || fields.energy < 1 || fields.energy > 10)) {
+        throw httpError(400, 'energy must be an integer from 1 to 10 or null');
+    }
+    if ('duration' in fields && fields.duration !== null && (!Number.isInteger(fields.duration) || fields.duration < 1)) {
+        throw httpError(400, 'duration must be a whole number of seconds or null');
+    }
+    if ('mood' in fields) {
+        if (fields.mood === null) fields.mood = [];
+        if (!Array.isArray(fields.mood) || fields.mood.some(isBlank)) {
+            throw httpError(400, 'mood must be an array of strings');
+        }
+        fields.mood = [...new Set(fields.mood.map(m => m.trim().toLowerCase()))];
+    }
+
+    return fields;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+async function embedCatalogSong(song) {
+    const embedding = await createEmbedding(catalogEmbeddingText(song), { purpose: 'catalog' });
+    return toVectorString(embedding);
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * { field: { from, to } } for every field that actually changes
+ */
+function diffFields(before, fields) {
+    const changes = {};
+    for (const [field, value] of Object.entries(fields)) {
+        if (!sameValue(before[field], value)) {
+            changes[field] = { from: before[field] ?? null, to: value };
+        }
+    }
+    return changes;
+}
+
+/**
+ * "curatedFields" after an admin sets some fields: analyzer fields given a value
+ * are kept by re-analysis from now on, ones cleared (null / no moods) are its again
+ */
+function curateFields(curated, fields) {
+    const next = new Set(curated || []);
+    for (const field of ANALYZED_FIELDS.filter(f => f in fields)) {
+        const value = fields[field];
+        if (value === null || (Array.isArray(value) && value.length === 0)) {
+            next.delete(field);
+        } else {
+            next.add(field);
+        }
+    }
+    return [...next];
+}
+
+function pickEditable(song) {
+    return Object.fromEntries(EDITABLE_FIELDS.map(field => [field, song[field] ?? null]));
+}
+
+async function writeAudit(client, { catalogId, action, userId, changes }) {
+    await client.query(
+        `INSERT INTO "CatalogAuditLog" ("catalogId", action, "userId", changes, "createdAt")
+           VALUES ($1, $2, $3, $4, clock_timestamp())`,
+        [catalogId, action, userId, JSON.stringify(changes)]
+    );
+}
+
+async function getSongForUpdate(client, id) {
+    const result = await client.query(
+        `SELECT ${SONG_DETAIL_COLUMNS} FROM "SongCatalog" WHERE id = $1 FOR UPDATE`,
+        [id]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * UPDATE a catalog song's fields (and embedding if given) - returns the new row
+ */
+async function updateSongRow(client, id, fields, embedding) {
+    const columns = Object.keys(fields);
+    const values = columns.map(field => fields[field]);
+    const sets = columns.map((field, i) => `"${field}" = $${i + 2}`);
+    if (embedding) {
+        values.push(embedding);
+        sets.push(`embedding = $${values.length + 1}::vector`);
+    }
+
+    const result = await client.query(
+        `UPDATE "SongCatalog" SET ${sets.join(', ')} WHERE id = $1 RETURNING ${SONG_DETAIL_COLUMNS}`,
+        [id, ...values]
+    );
+    return result.rows[0];
+}
+
+// ============================================================================
+// READ
+// ============================================================================
+
+/**
+ * Search and page through the catalog
+ * q matches title, artist or album; mood and genre filter exactly.
+ * Returns { songs, total }
+ */
+export async function listCatalog({ q = null, mood = null, genre = null, limit = 50, offset = 0 } = {}) {
+    const where = [];
+    const params = [];
+
+    if (q) {
+        params.push(`%${q}%`);
+        where.push(`(title ILIKE $${params.length} OR artist ILIKE $${params.length} OR album ILIKE $${params.length})`);
+    }
+    if (mood) {
+        params.push(mood.toLowerCase());
+        where.push(`$${params.length} = ANY(mood)`);
+    }
+    if (genre) {
+        params.push(genre);
+        where.push(`genre ILIKE $${params.length}`);
+    }
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+    const result = await pgclient.query(
+        `SELECT ${SONG_COLUMNS} FROM "SongCatalog"
+           ${whereSql}
+           ORDER BY artist, title, "createdAt"
+           LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+    );
+    const countResult = await pgclient.query(
+        `SELECT COUNT(*) FROM "SongCatalog" ${whereSql}`,
+        params
+    );
+
+    return { songs: result.rows, total: parseInt(countResult.rows[0].count) };
+}
+
+/**
+ * One catalog song (with lyrics) or null
+ */
+export async function getCatalogSong(id) {
+    const result = await pgclient.query(
+        `SELECT ${SONG_DETAIL_COLUMNS} FROM "SongCatalog" WHERE id = $1`,
+        [id]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Audit entries, newest first - all of them or one catalog song's
+ * Returns { entries, total }
+ */
+export async function getAuditLog({ catalogId = null, limit = 50, offset = 0 } = {}) {
+    const whereSql = catalogId ? 'WHERE a."catalogId" = $1' : '';
+    const params = catalogId ? [catalogId] : [];
+
+    const result = await pgclient.query(
+        `SELECT a.*, u.name as "userName", u.email as "userEmail"
+           FROM "CatalogAuditLog" a
+           LEFT JOIN "User" u ON a."userId" = u.id
+           ${whereSql}
+           ORDER BY a."createdAt" DESC
+           LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+    );
+    const countResult = await pgclient.query(
+        `SELECT COUNT(*) FROM "CatalogAuditLog" a ${whereSql}`,
+        params
+    );
+
+    return { entries: result.rows, total: parseInt(countResult.rows[0].count) };
+}
+
+// ============================================================================
+// WRITE
+// ============================================================================
+
+/**
+ * Add a song to the catalog by hand (embedded like any other)
+ */
+export async function createCatalogSong(input, { userId }) {
+    const fields = validateCatalogInput(input, { create: true });
+    const embedding = await embedCatalogSong(fields);
+    const row = { ...fields, curatedFields: curateFields([], fields) };
+
+    return withTransaction(async (client) => {
+        const columns = Object.keys(row);
+        const result = await client.query(
+            `INSERT INTO "SongCatalog" (${columns.map(c => `"${c}"`).join(', ')}, embedding)
+               VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}, $${columns.length + 1}::vector)
+               RETURNING ${SONG_DETAIL_COLUMNS}`,
+            [...columns.map(c => row[c]), embedding]
+        );
+        const song = result.rows[0];
+
+        await writeAudit(client, { catalogId: song.id, action: 'CREATE', userId, changes: { after: pickEditable(song) } });
+        return song;
+    });
+}
+
+/**
+ * Edit a catalog song - returns { song, changes }
+ * Nothing is written (or audited) if no field actually changes.
+ */
+export async function updateCatalogSong(id, input, { userId }) {
+    const fields = validateCatalogInput(input);
+    if (Object.keys(fields).length === 0) {
+        throw httpError(400, `Nothing to update - send one of: ${EDITABLE_FIELDS.join(', ')}`);
+    }
+
+    const before = await getCatalogSong(id);
+    if (!before) throw httpError(404, 'Catalog song not found');
+
+    const changes = diffFields(before, fields);
+    if (Object.keys(changes).length === 0) return { song: before, changes };
+
+    // Embed before the transaction - it's an API call
+    const reembed = EMBEDDED_FIELDS.some(field => field in changes);
+    const embedding = reembed ? await embedCatalogSong({ ...before, ...fields }) : null;
+
+    // A new title/artist is a different song - its analysis is redone by the re-analysis job
+    const columns = { ...fields };
+    if ('title' in changes || 'artist' in changes) columns.analyzerVersion = null;
+    if (ANALYZED_FIELDS.some(field => field in changes)) {
+        columns.curatedFields = curateFields(before.curatedFields, Object.fromEntries(
+            ANALYZED_FIELDS.filter(field => field in changes).map(field => [field, fields[field]])
+        ));
+    }
+
+    const song = await withTransaction(async (client) => {
+        if (!await getSongForUpdate(client, id)) throw httpError(404, 'Catalog song not found');
+
+        const updated = await updateSongRow(client, id, columns, embedding);
+        await writeAudit(client, { catalogId: id, action: 'UPDATE', userId, changes: { ...changes, reembedded: reembed } });
+        return updated;
+    });
+
+    return { song, changes };
+}
+
+/**
+ * Fold duplicates into one catalog song and delete them
+ * The target keeps its own values; empty fields are filled from the
+ * duplicates (in the order given) and moods are combined.
+ * Returns { song, merged: [duplicate ids] }
+ */
+export async function mergeCatalogSongs(targetId, duplicateIds, { userId }) {
+    const ids = [...new Set(duplicateIds)];
+    if (ids.length === 0 || ids.some(isBlank)) {
+        throw httpError(400, 'duplicateIds must be a non-empty array of catalog song ids');
+    }
+    if (ids.includes(targetId)) throw httpError(400, 'Cannot merge a song into itself');
+
+    const target = await getCatalogSong(targetId);
+    if (!target) throw httpError(404, 'Catalog song not found');
+
+    const duplicates = [];
+    for (const id of ids) {
+        const duplicate = await getCatalogSong(id);
+        if (!duplicate) throw httpError(404, `Duplicate ${id} not found`);
+        duplicates.push(duplicate);
+    }
+
+    const fields = {};
+    for (const field of EDITABLE_FIELDS.filter(f => f !== 'mood')) {
+        if (target[field] != null) continue;
+        const filler = duplicates.find(d => d[field] != null);
+        if (filler) fields[field] = filler[field];
+    }
+    const moods = [...new Set([target, ...duplicates].flatMap(s => s.mood || []))];
+    if (!sameValue(moods, target.mood || [])) fields.mood = moods;
+
+    const changes = diffFields(target, fields);
+
+    // Curated values stay curated on the merged song
+    const curated = [...new Set([target, ...duplicates].flatMap(s => s.curatedFields || []))];
+    if (!sameValue(curated, target.curatedFields || [])) fields.curatedFields = curated;
+    const reembed = EMBEDDED_FIELDS.some(field => field in changes) || !target.hasEmbedding;
+    const embedding = reembed ? await embedCatalogSong({ ...target, ...fields }) : null;
+
+    const song = await withTransaction(async (client) => {
+        if (!await getSongForUpdate(client, targetId)) throw httpError(404, 'Catalog song not found');
+
+        const deleted = await client.query(
+            'DELETE FROM "SongCatalog" WHERE id = ANY($1) RETURNING id',
+            [ids]
+        );
+        if (deleted.rows.length !== ids.length) {
+            throw httpError(409, 'A duplicate was changed or deleted meanwhile - try again');
+        }
+
+        const merged = Object.keys(fields).length > 0 || embedding
+            ? await updateSongRow(client, targetId, fields, embedding)
+            : await getSongForUpdate(client, targetId);
+
+        await writeAudit(client, {
+            catalogId: targetId,
+            action: 'MERGE',
+            userId,
+            changes: { ...changes, reembedded: reembed, merged: duplicates.map(d => ({ id: d.id, ...pickEditable(d) })) }
+        });
+        for (const duplicate of duplicates) {
+            await writeAudit(client, {
+                catalogId: duplicate.id,
+                action: 'DELETE',
+                userId,
+                changes: { before: pickEditable(duplicate), mergedInto: targetId }
+            });
+        }
+        return merged;
+    });
+
+    return { song, merged: ids };
+}
+
+/**
+ * Remove a catalog song - returns the deleted row
+ * (songs already queued in parties keep their own copy)
+ */
+export async function deleteCatalogSong(id, { userId }) {
+    return withTransaction(async (client) => {
+        const song = await getSongForUpdate(client, id);
+        if (!song) throw httpError(404, 'Catalog song not found');
+
+        await client.query('DELETE FROM "SongCatalog" WHERE id = $1', [id]);
+        await writeAudit(client, { catalogId: id, action: 'DELETE', userId, changes: { before: pickEditable(song) } });
+        return song;
+    });
+}
+
+export default {
+    MAX_PAGE_SIZE,
+    EDITABLE_FIELDS,
+    EMBEDDED_FIELDS,
+    validateCatalogInput,
+    listCatalog,
+    getCatalogSong,
+    getAuditLog,
+    createCatalogSong,
+    updateCatalogSong,
+    mergeCatalogSongs,
+    deleteCatalogSong
+};
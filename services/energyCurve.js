@@ -0,0 +1,138 @@
+/**
+  * Energy Curve Service
+  * Target energy over a party's planned duration, and queue sequencing to follow it
+  *
+  *   energy
+  *     peak |        ___________
+  *          |       /           \
+  *    start |______/             \______ end
+  *          0   warmUp        1 - coolDown   1   (fraction of plannedDurationMinutes)
+  *
+  * Used by the 'energy-curve' queue mode: PENDING songs are ordered so each
+  * one's energy is close to the target at the time it will play, without
+  * big jumps between neighbouring tracks.
+  */
+
+export const DEFAULT_ENERGY_CURVE = {
+    start: 3,     // energy when the party starts
+    peak: 8,      // energy held between warm-up and cool-down
+    end: 4,       // energy at the planned end
+    warmUp: 0.25, // fraction of the party spent ramping start -> peak
+    coolDown: 0.2 // fraction of the party spent ramping peak -> end
+};
+
+export const DEFAULT_SONG_SECONDS = 210; // for songs without a known duration
+
+const SMOOTHNESS_WEIGHT = 0.5; // cost per energy point of jump from the previous track
+const UNKNOWN_ENERGY_COST = 2; // songs without energy fit "somewhere in the middle"
+
+/**
+ * Round and clamp an energy value to 1-10 (null if unknown)
+ */
+export function toEnergyLevel(value) {
+    const energy = Number(value);
+    if (value === null || value === undefined || Number.isNaN(energy)) return null;
+    return Math.min(10, Math.max(1, Math.round(energy)));
+}
+
+/**
+ * Merge curve edits over the defaults and validate them
+ * Throws an error with status 400 if a field is out of range.
+ */
+export function normalizeEnergyCurve(curve) {
+    const merged = { ...DEFAULT_ENERGY_CURVE, ...(curve || {}) };
+
+    const invalid = message => {
+        const err = new Error(message);
+        err.status = 400;
+        return err;
+    };
+
+    for (const field of ['start', 'peak', 'end']) {
+        if (typeof merged[field] !== 'number' || merged[field] < 1 || merged[field] > 10) {
+            throw invalid(`energyCurve.${field} must be a number from 1 to 10`);
+        }
+    }
+    for (const field of ['warmUp', 'coolDown']) {
+        if (typeof merged[field] !== 'number' || merged[field] < 0 || merged[field] > 1) {
+            throw invalid(`energyCurve.${field} must be a fraction from 0 to 1`);
+        }
+    }
+    if (merged.warmUp + merged.coolDown > 1) {
+        throw invalid('energyCurve.warmUp + energyCurve.coolDown must not exceed 1');
+    }
+
+    return {
+        start: merged.start,
+        peak: merged.peak,
+        end: merged.end,
+        warmUp: merged.warmUp,
+        coolDown: merged.coolDown
+    };
+}
+
+/**
+ * Target energy at a point of the party (progress 0-1, clamped)
+ */
+export function targetEnergy(curve, progress) {
+    const { start, peak, end, warmUp, coolDown } = { ...DEFAULT_ENERGY_CURVE, ...(curve || {}) };
+    const p = Math.min(1, Math.max(0, progress));
+
+    if (warmUp > 0 && p < warmUp) {
+        return start + (peak - start) * (p / warmUp);
+    }
+    if (coolDown > 0 && p > 1 - coolDown) {
+        return peak + (end - peak) * ((p - (1 - coolDown)) / coolDown);
+    }
+    return peak;
+}
+
+/**
+ * Order songs to follow the curve, one slot at a time
+ * Each slot takes the song with the lowest cost:
+ *   |energy - target at that time| + SMOOTHNESS_WEIGHT * |energy - previous energy|
+ * Ties go to the song requested first, so pass songs in request order.
+ *
+ * plan: { curve, plannedMs, elapsedMs, previousEnergy }
+ * - elapsedMs: how far into the party the first slot starts
+ * - previousEnergy: energy of the song playing now (if known)
+ * Returns the songs in play order, each with its targetEnergy.
+ */
+export function sequenceByEnergy(songs, { curve = null, plannedMs, elapsedMs = 0, previousEnergy = null } = {}) {
+    const remaining = [...songs];
+    const ordered = [];
+    let atMs = elapsedMs;
+    let previous = previousEnergy;
+
+    while (remaining.length > 0) {
+        const target = targetEnergy(curve, plannedMs > 0 ? atMs / plannedMs : 0);
+
+        const costOf = (song) => {
+            if (song.energy == null) return UNKNOWN_ENERGY_COST;
+            const jump = previous == null ? 0 : Math.abs(song.energy - previous);
+            return Math.abs(song.energy - target) + SMOOTHNESS_WEIGHT * jump;
+        };
+
+        let best = 0;
+        for (let i = 1; i < remaining.length; i++) {
+            if (costOf(remaining[i]) < costOf(remaining[best])) best = i;
+        }
+
+        const [song] = remaining.splice(best, 1);
+        ordered.push({ ...song, targetEnergy: Math.round(target * 10) / 10 });
+
+        if (song.energy != null) previous = song.energy;
+        atMs += (song.duration || DEFAULT_SONG_SECONDS) * 1000;
+    }
+
+    return ordered;
+}
+
+export default {
+    DEFAULT_ENERGY_CURVE,
+    DEFAULT_SONG_SECONDS,
+    toEnergyLevel,
+    normalizeEnergyCurve,
+    targetEnergy,
+    sequenceByEnergy
+};
@@ -0,0 +1,36 @@
+/**
+  * Env Config
+  * Numeric settings from environment variables
+  *
+  * `parseInt(process.env.X) || fallback` turns a deliberate 0 into the
+  * fallback; these only fall back when the variable is unset, not a number,
+  * or below `min` (with a warning for the last two).
+  */
+
+function readNumber(name, fallback, min, parse) {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === '') return fallback;
+
+    const value = parse(raw);
+    if (Number.isNaN(value) || value < min) {
+        console.warn(` ${name}="${raw}" is not a number${min > -Infinity ? ` of at least ${min}` : ''} - using ${fallback}`);
+        return fallback;
+    }
+    return value;
+}
+
+/**
+ * Whole-number setting, e.g. envInt('LLM_MAX_RETRIES', 2) - 0 stays 0
+ */
+export function envInt(name, fallback, { min = 0 } = {}) {
+    return readNumber(name, fallback, min, raw => parseInt(raw, 10));
+}
+
+/**
+ * Decimal setting, e.g. envFloat('VIBE_SIMILARITY_MIN', 0.15)
+ */
+export function envFloat(name, fallback, { min = -Infinity } = {}) {
+    return readNumber(name, fallback, min, parseFloat);
+}
+
+export default { envInt, envFloat };
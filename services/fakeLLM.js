@@ -0,0 +1,244 @@
+/**
+  * Fake LLM Provider
+  * Deterministic, offline stand-ins for chat completions and embeddings
+  *
+  * Used when LLM_PROVIDER=fake (tests, offline dev). Each caller passes a
+  * "purpose" so the fake can answer in the format that caller expects.
+  * Tests can override any purpose with setFakeResponder().
+  */
+
+import crypto from 'crypto';
+
+export const FAKE_EMBEDDING_DIMENSIONS = 1536;
+
+const MOODS = ['happy', 'sad', 'energetic', 'romantic', 'melancholic', 'calm', 'nostalgic', 'angry', 'hopeful', 'dark', 'uplifting'];
+const GENRES = ['pop', 'rock', 'hip-hop', 'r&b', 'electronic', 'dance', 'indie', 'jazz', 'classical', 'country', 'latin', 'reggae', 'metal', 'punk', 'soul', 'funk', 'arabic'];
+
+const responders = new Map(); // purpose -> (messages, { tools }) => string | { content, toolCalls }
+
+/**
+ * Stable number from a string (same input -> same output, every run)
+ */
+function hashNumber(text) {
+    return crypto.createHash('sha256').update(String(text)).digest().readUInt32BE(0);
+}
+
+function lastUserMessage(messages) {
+    const users = messages.filter(m => m.role === 'user');
+    return users.length > 0 ? String(users[users.length - 1].content) : '';
+}
+
+function findWords(text, words) {
+    const lower = text.toLowerCase();
+    return words.filter(w => new RegExp(`(^|[^a-z])${w.replace(/[&]/g, '\\&')}([^a-z]|$)`).test(lower));
+}
+
+/**
+ * "play el leila by amr diab" -> { title: "el leila", artist: "amr diab", ... }
+ * Without the verb ("then so what by miles davis") only when bare is true
+ */
+function parseSongClause(clause, bare = false) {
+    const pattern = bare
+        ? /^(?:(?:play|queue|add|put on|how about)\s+)?(.+?)(?:\s+by\s+(.+?))?[.!?]*$/i
+        : /(?:play|queue|add|put on|how about)\s+(.+?)(?:\s+by\s+(.+?))?[.!?]*$/i;
+    const match = clause.match(pattern);
+    if (!match) return null;
+
+    const [, first, artist] = match;
+    const anyByArtist = first.match(/^(?:any|some|a)\s+(?:\w+\s+)?songs?$/i);
+
+    return {
+        title: anyByArtist ? null : first.trim(),
+        artist: artist ? artist.trim() : null,
+        searchVariations: anyByArtist ? [] : [first.trim()]
+    };
+}
+
+const COUNT_WORDS = { 'a couple of': 2, 'a few': 3, some: 3, several: 3, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const COUNT_PATTERN = `(\\d+|${Object.keys(COUNT_WORDS).join('|')})`;
+
+/**
+ * "queue three fairuz songs" -> { artist: "fairuz", count: 3 }
+ * "two chill songs" -> { mood: "calm", count: 2 }; "some amr diab" (bare) -> { artist: "amr diab", count: 3 }
+ */
+function parseBatchClause(clause, bare = false) {
+    const verb = `(?:(?:play|queue|add|put on)\\s+)${bare ? '?' : ''}`;
+    const withSongs = clause.match(new RegExp(`^${verb}${COUNT_PATTERN}\\s+(?:(.+?)\\s+)?songs?(?:\\s+by\\s+(.+?))?[.!?]*$`, 'i'));
+    const loose = clause.match(new RegExp(`^${verb}(some|a few|several|more)\\s+(?:songs?\\s+by\\s+)?(.+?)[.!?]*$`, 'i'));
+    if (!withSongs && !loose) return null;
+
+    const [, countWord, words, byArtist] = withSongs || [loose[0], loose[1], null, loose[2]];
+    const count = parseInt(countWord) || COUNT_WORDS[countWord.toLowerCase()] || 3;
+    const descriptor = words?.trim().toLowerCase() || null;
+    const mood = descriptor === 'chill' ? 'calm' : (MOODS.includes(descriptor) ? descriptor : null);
+    const artist = byArtist?.trim() || (mood ? null : words?.trim()) || null;
+
+    return artist || mood ? { artist, mood, count } : null;
+}
+
+/**
+ * Multi-intent planner - one tool call per clause
+ * "play Take Five then So What, what's next?" -> request_song, request_song, whats_next
+ * "queue three Fairuz songs and then some Amr Diab" -> request_songs, request_songs
+ */
+function planIntents(messages) {
+    const text = lastUserMessage(messages).trim();
+    const clauses = text
+        .split(/\s*(?:[,;]|\band then\b|\bthen\b|\band\b(?=\s+(?:play|queue|add|put on|skip|what|remove|undo)))\s*/i)
+        .filter(Boolean);
+
+    const toolCalls = [];
+    for (const clause of clauses) {
+        if (/^(?:please\s+)?(?:skip|next song)\b/i.test(clause)) {
+            toolCalls.push({ name: 'skip_current_song', args: {} });
+        } else if (/what(?:'s|s| is)\s+(?:up\s+)?(?:next|coming up)/i.test(clause)) {
+            toolCalls.push({ name: 'whats_next', args: {} });
+        } else if (/(?:remove|undo|cancel|delete)\s+my\s+(?:last\s+)?(?:song|request)/i.test(clause)) {
+            toolCalls.push({ name: 'remove_my_last_song', args: {} });
+        } else {
+            const bare = ['request_song', 'request_songs'].includes(toolCalls.at(-1)?.name);
+            const batch = parseBatchClause(clause, bare);
+            const request = !batch && parseSongClause(clause, bare);
+            if (batch) toolCalls.push({ name: 'request_songs', args: batch });
+            if (request) toolCalls.push({ name: 'request_song', args: request });
+        }
+    }
+
+    return { content: '', toolCalls };
+}
+
+/**
+ * Keyword-based vibe rules ("chill jazz, no explicit" -> jazz + calm + explicitAllowed false)
+ */
+function extractVibeRules(messages) {
+    const text = lastUserMessage(messages);
+    const genres = findWords(text, GENRES);
+    const moods = findWords(text, MOODS);
+    if (/\bchill\b/i.test(text) && !moods.includes('calm')) moods.push('calm');
+    const maxMinutes = text.match(/\b(?:over|longer than|max(?:imum)?)\s+(\d+)\s*min/i)?.[1];
+
+    return JSON.stringify({
+        allowedGenres: genres.length > 0 ? genres : null,
+        blockedGenres: [],
+        allowedMoods: moods.length > 0 ? moods : null,
+        blockedMoods: [],
+        explicitAllowed: !/no explicit|clean only|family/i.test(text),
+        blockedArtists: [],
+        priorityArtists: [],
+        customRules: [],
+        ...(maxMinutes ? { maxDurationSeconds: parseInt(maxMinutes) * 60 } : {})
+    });
+}
+
+/**
+ * Analysis derived from a hash of the prompt - stable per song
+ */
+function analyzeSong(messages) {
+    const text = lastUserMessage(messages);
+    const hash = hashNumber(text);
+
+    return JSON.stringify({
+        known: false,
+        mood: [MOODS[hash % MOODS.length], MOODS[(hash >>> 8) % MOODS.length]],
+        energy: (hash % 10) + 1,
+        themes: [],
+        lyricsSummary: '',
+        genre: GENRES[(hash >>> 16) % GENRES.length],
+        explicit: false,
+        decade: null
+    });
+}
+
+/**
+ * The fake judge lets every custom rule pass
+ */
+function judgeCustomRules(messages) {
+    const text = lastUserMessage(messages);
+    const rules = [...text.matchAll(/^\d+\.\s+(.+)$/gm)].map(m => m[1]);
+    return JSON.stringify({
+        results: rules.map(rule => ({ rule, passes: true, reason: 'fake judge' }))
+    });
+}
+
+function djResponse(messages) {
+    const text = lastUserMessage(messages);
+    if (text.includes('APPROVED')) return 'Added to the queue! 🎶';
+    if (text.includes('DENIED')) return "That one doesn't fit the vibe, try something else!";
+    if (text.includes('not found')) return "I couldn't find that song anywhere - try another one?";
+    return "I'm Mazaj, your AI DJ! Request a song anytime.";
+}
+
+const DEFAULT_RESPONDERS = {
+    'dj-planner': planIntents,
+    'vibe-extractor': extractVibeRules,
+    'song-analyzer': analyzeSong,
+    'vibe-judge': judgeCustomRules,
+    'dj-response': djResponse,
+};
+
+/**
+ * Override the fake answer for a purpose (tests)
+ * Pass a string for a fixed answer or a function (messages, { tools }) that
+ * returns a string or { content, toolCalls: [{ name, args }] }
+ */
+export function setFakeResponder(purpose, responder) {
+    responders.set(purpose, typeof responder === 'function' ? responder : () => responder);
+}
+
+export function resetFakeResponders() {
+    responders.clear();
+}
+
+/**
+ * Fake chat completion - returns { content, toolCalls, usage }
+ */
+export function fakeChatCompletion(purpose, messages, { tools = null } = {}) {
+    const responder = responders.get(purpose) || DEFAULT_RESPONDERS[purpose] || djResponse;
+    const answer = responder(messages, { tools });
+    const { content = '', toolCalls = [] } = typeof answer === 'string' ? { content: answer } : answer;
+    const promptText = messages.map(m => m.content).join(' ');
+
+    return {
+        content,
+        toolCalls,
+        usage: {
+            inputTokens: Math.ceil(promptText.length / 4),
+            outputTokens: Math.ceil((content.length + JSON.stringify(toolCalls).length) / 4)
+        }
+    };
+}
+
+/**
+ * Fake streamed completion - the same answer split into word-sized chunks
+ * Returns { chunks, usage }
+ */
+export function fakeChatStream(purpose, messages) {
+    const { content, usage } = fakeChatCompletion(purpose, messages);
+    return { chunks: content.match(/\S+\s*/g) || [content], usage };
+}
+
+/**
+ * Fake embedding - hashed bag of words, normalized, so texts sharing
+ * words get a higher cosine similarity
+ */
+export function fakeEmbedding(text) {
+    const vector = new Array(FAKE_EMBEDDING_DIMENSIONS).fill(0);
+    const words = String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+    for (const word of words) {
+        vector[hashNumber(word) % FAKE_EMBEDDING_DIMENSIONS] += 1;
+    }
+    if (words.length === 0) vector[0] = 1; // Zero vectors break cosine distance
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+}
+
+export default {
+    FAKE_EMBEDDING_DIMENSIONS,
+    setFakeResponder,
+    resetFakeResponders,
+    fakeChatCompletion,
+    fakeChatStream,
+    fakeEmbedding
+};
@@ -0,0 +1,270 @@
+/**
+  * LLM Provider
+  * Single place that creates chat models and embeddings for every service
+  *
+  * LLM_PROVIDER:       openrouter (default) | openai | local | fake
+  * EMBEDDING_PROVIDER: openai (default) | local | fake - defaults to fake when LLM_PROVIDER=fake
+  *
+  * "local" is any OpenAI-compatible server (Ollama, LM Studio, vLLM...) at LLM_BASE_URL.
+  * "fake" is deterministic and offline - see fakeLLM.js.
+  */
+
+import { ChatOpenAI } from '@langchain/openai';
+import OpenAI from 'openai';
+import { fakeChatCompletion, fakeChatStream, fakeEmbedding } from './fakeLLM.js';
+import { envInt } from './envConfig.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const PROVIDERS = {
+    openrouter: {
+        baseURL: 'https://openrouter.ai/api/v1',
+        apiKey: () => process.env.OPENROUTER_API_KEY,
+        defaultModel: 'google/gemini-2.0-flash-001',
+    },
+    openai: {
+        baseURL: undefined,
+        apiKey: () => process.env.OPENAI_API_KEY,
+        defaultModel: 'gpt-4o-mini',
+    },
+    local: {
+        baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: () => process.env.LLM_API_KEY || 'local',
+        defaultModel: 'llama3.1',
+    },
+    fake: {
+        defaultModel: 'fake',
+    },
+};
+
+export const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openrouter';
+export const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || (LLM_PROVIDER === 'fake' ? 'fake' : 'openai');
+
+if (!PROVIDERS[LLM_PROVIDER]) {
+    throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}" - use ${Object.keys(PROVIDERS).join(', ')}`);
+}
+if (!PROVIDERS[EMBEDDING_PROVIDER] || EMBEDDING_PROVIDER === 'openrouter') {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${EMBEDDING_PROVIDER}" - use openai, local or fake`);
+}
+
+const DEFAULT_MODEL = process.env.LLM_MODEL || process.env.OPENROUTER_MODEL || PROVIDERS[LLM_PROVIDER].defaultModel;
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+const DEFAULT_TIMEOUT_MS = envInt('LLM_TIMEOUT_MS', 30000, { min: 1 });
+const DEFAULT_MAX_RETRIES = envInt('LLM_MAX_RETRIES', 2);
+
+console.log(` LLM provider: ${LLM_PROVIDER} (${DEFAULT_MODEL}), embeddings: ${EMBEDDING_PROVIDER}`);
+
+
+// ============================================================================
+// Token usage accounting
+// ============================================================================
+
+const usage = {}; // "provider:model:purpose" -> { calls, inputTokens, outputTokens, errors }
+
+function recordUsage(provider, model, purpose, { inputTokens = 0, outputTokens = 0, error = false } = {}) {
+    const key = `${provider}:${model}:${purpose}`;
+    const entry = usage[key] || { provider, model, purpose, calls: 0, inputTokens: 0, outputTokens: 0, errors: 0 };
+    entry.calls += 1;
+    entry.inputTokens += inputTokens;
+    entry.outputTokens += outputTokens;
+    if (error) entry.errors += 1;
+    usage[key] = entry;
+}
+
+/**
+ * Token usage since the server started, per provider/model/purpose
+ */
+export function getTokenUsage() {
+    const entries = Object.values(usage);
+    return {
+        totals: entries.reduce((sum, e) => ({
+            calls: sum.calls + e.calls,
+            inputTokens: sum.inputTokens + e.inputTokens,
+            outputTokens: sum.outputTokens + e.outputTokens,
+            errors: sum.errors + e.errors,
+        }), { calls: 0, inputTokens: 0, outputTokens: 0, errors: 0 }),
+        byModel: entries
+    };
+}
+
+export function resetTokenUsage() {
+    Object.keys(usage).forEach(key => delete usage[key]);
+}
+
+
+// ============================================================================
+// Chat models
+// ============================================================================
+
+const chatModels = new Map(); // cache of ChatOpenAI instances per config
+
+function normalizeMessages(messages) {
+    return typeof messages === 'string' ? [{ role: 'user', content: messages }] : messages;
+}
+
+function getChatOpenAI({ model, temperature, timeout, maxRetries, title }) {
+    const key = JSON.stringify({ model, temperature, timeout, maxRetries, title });
+    if (chatModels.has(key)) return chatModels.get(key);
+
+    const provider = PROVIDERS[LLM_PROVIDER];
+    const chatModel = new ChatOpenAI({
+        modelName: model,
+        temperature,
+        timeout,
+        maxRetries,
+        configuration: {
+            apiKey: provider.apiKey(),
+            baseURL: provider.baseURL,
+            defaultHeaders: LLM_PROVIDER === 'openrouter' ? {
+                'HTTP-Referer': 'http://localhost:3000',
+                'X-Title': title,
+            } : undefined,
+        },
+    });
+
+    chatModels.set(key, chatModel);
+    return chatModel;
+}
+
+/**
+ * Get a chat model for a service
+ *
+ * purpose     - what the calls are for (usage accounting, fake responses)
+ * model       - override the default model
+ * temperature - sampling temperature
+ * timeout     - ms per call, maxRetries - retries on failure
+ *
+ * Returns { invoke(messages, overrides?), stream(messages, overrides?) }
+ * invoke resolves to { content, toolCalls, usage }; stream is an async iterator of text chunks.
+ * messages is a string or [{ role, content }]; overrides may change
+ * model/temperature/timeout/maxRetries for a single call.
+ * Pass tools (OpenAI function definitions or LangChain tools) to invoke to let
+ * the model call them - toolCalls is then [{ name, args }], otherwise [].
+ */
+export function getChatModel({
+    purpose = 'chat',
+    model = DEFAULT_MODEL,
+    temperature = 0.7,
+    timeout = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    title = 'Mazaj AI DJ',
+} = {}) {
+    const defaults = { model, temperature, timeout, maxRetries, title };
+
+    return {
+        async invoke(messages, { tools = null, ...overrides } = {}) {
+            const config = { ...defaults, ...overrides };
+            const normalized = normalizeMessages(messages);
+
+            if (LLM_PROVIDER === 'fake') {
+                const response = fakeChatCompletion(purpose, normalized, { tools });
+                recordUsage(LLM_PROVIDER, config.model, purpose, response.usage);
+                return response;
+            }
+
+            try {
+                const chatModel = getChatOpenAI(config);
+                const response = await (tools ? chatModel.bindTools(tools) : chatModel).invoke(normalized);
+                const tokens = response.usage_metadata || {};
+                recordUsage(LLM_PROVIDER, config.model, purpose, {
+                    inputTokens: tokens.input_tokens || 0,
+                    outputTokens: tokens.output_tokens || 0,
+                });
+                return {
+                    content: typeof response.content === 'string' ? response.content : String(response.content),
+                    toolCalls: (response.tool_calls || []).map(({ name, args }) => ({ name, args })),
+                    usage: { inputTokens: tokens.input_tokens || 0, outputTokens: tokens.output_tokens || 0 }
+                };
+            } catch (error) {
+                recordUsage(LLM_PROVIDER, config.model, purpose, { error: true });
+                throw error;
+            }
+        },
+
+        async *stream(messages, overrides = {}) {
+            const config = { ...defaults, ...overrides };
+            const normalized = normalizeMessages(messages);
+
+            if (LLM_PROVIDER === 'fake') {
+                const { chunks, usage } = fakeChatStream(purpose, normalized);
+                recordUsage(LLM_PROVIDER, config.model, purpose, usage);
+                yield* chunks;
+                return;
+            }
+
+            // Usage arrives on the last chunk (when the provider reports it)
+            const tokens = { inputTokens: 0, outputTokens: 0 };
+            try {
+                for await (const chunk of await getChatOpenAI(config).stream(normalized)) {
+                    if (chunk.usage_metadata) {
+                        tokens.inputTokens = chunk.usage_metadata.input_tokens || 0;
+                        tokens.outputTokens = chunk.usage_metadata.output_tokens || 0;
+                    }
+                    if (typeof chunk.content === 'string' && chunk.content) {
+                        yield chunk.content;
+                    }
+                }
+                recordUsage(LLM_PROVIDER, config.model, purpose, tokens);
+            } catch (error) {
+                recordUsage(LLM_PROVIDER, config.model, purpose, { error: true });
+                throw error;
+            }
+        }
+    };
+}
+
+
+// ============================================================================
+// Embeddings
+// ============================================================================
+
+let embeddingClient = null;
+
+function getEmbeddingClient() {
+    if (embeddingClient) return embeddingClient;
+
+    const provider = PROVIDERS[EMBEDDING_PROVIDER];
+    embeddingClient = new OpenAI({
+        apiKey: provider.apiKey(),
+        baseURL: provider.baseURL,
+        timeout: DEFAULT_TIMEOUT_MS,
+        maxRetries: DEFAULT_MAX_RETRIES,
+    });
+    return embeddingClient;
+}
+
+/**
+ * Generate an embedding vector for a piece of text
+ */
+export async function createEmbedding(text, { purpose = 'embedding', model = EMBEDDING_MODEL } = {}) {
+    if (EMBEDDING_PROVIDER === 'fake') {
+        recordUsage(EMBEDDING_PROVIDER, model, purpose, { inputTokens: Math.ceil(String(text).length / 4) });
+        return fakeEmbedding(text);
+    }
+
+    try {
+        const response = await getEmbeddingClient().embeddings.create({ model, input: text });
+        recordUsage(EMBEDDING_PROVIDER, model, purpose, { inputTokens: response.usage?.prompt_tokens || 0 });
+        return response.data[0].embedding;
+    } catch (error) {
+        recordUsage(EMBEDDING_PROVIDER, model, purpose, { error: true });
+        throw error;
+    }
+}
+
+/**
+ * Format an embedding for a pgvector query parameter
+ */
+export function toVectorString(embedding) {
+    return `[${embedding.join(',')}]`;
+}
+
+export default {
+    LLM_PROVIDER,
+    EMBEDDING_PROVIDER,
+    getChatModel,
+    createEmbedding,
+    toVectorString,
+    getTokenUsage,
+    resetTokenUsage
+};
@@ -0,0 +1,240 @@
+/**
+  * Local Library Service
+  * Indexes a folder of audio files (LOCAL_MUSIC_DIR) so a party can run offline
+  *
+  * scanLibrary walks the folder, reads each file's tags (ID3, Vorbis comments,
+  * MP4/RIFF tags - via music-metadata) and keeps the LocalTrack table in sync:
+  * new and changed files (by mtime/size) are parsed, deleted ones dropped.
+  * Files without tags fall back to their name ("Artist - Title.mp3").
+  */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseFile } from 'music-metadata';
+import pgclient from '../db.js';
+
+export const AUDIO_EXTENSIONS = ['.mp3', '.flac', '.ogg', '.oga', '.opus', '.m4a', '.aac', '.wav'];
+
+const SEARCH_LIMIT = 20;
+
+/**
+ * Absolute path of the music folder, or null if the library is off
+ */
+export function getLibraryDir() {
+    return process.env.LOCAL_MUSIC_DIR ? path.resolve(process.env.LOCAL_MUSIC_DIR) : null;
+}
+
+export function isLocalLibraryEnabled() {
+    return Boolean(getLibraryDir());
+}
+
+async function* walk(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            yield* walk(fullPath);
+        } else if (entry.isFile() && AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            yield fullPath;
+        }
+    }
+}
+
+/**
+ * Title/artist from a file name like "01 - Artist - Title.mp3"
+ */
+function parseFileName(filePath) {
+    const name = path.basename(filePath, path.extname(filePath))
+        .replace(/^\d{1,3}[\s.\-_]+/, '') // track number
+        .replace(/_/g, ' ')
+        .trim();
+
+    const parts = name.split(' - ');
+    return parts.length > 1
+        ? { artist: parts[0].trim(), title: parts.slice(1).join(' - ').trim() }
+        : { artist: null, title: name };
+}
+
+/**
+ * LocalTrack fields from a file's tags (file name as fallback)
+ */
+export function toTrack(filePath, metadata = null) {
+    const common = metadata?.common || {};
+    const format = metadata?.format || {};
+    const fromName = parseFileName(filePath);
+
+    return {
+        title: common.title?.trim() || fromName.title,
+        artist: common.artist?.trim() || common.albumartist?.trim() || fromName.artist || 'Unknown Artist',
+        album: common.album?.trim() || null,
+        year: Number.isInteger(common.year) ? common.year : null,
+        duration: format.duration ? Math.round(format.duration) : null,
+        format: format.container || null
+    };
+}
+
+/**
+ * Sync LocalTrack with the music folder - returns { added, updated, removed, failed, total }
+ */
+export async function scanLibrary({ dir = getLibraryDir() } = {}) {
+    if (!dir) throw new Error('LOCAL_MUSIC_DIR is not set');
+
+    const existingResult = await pgclient.query('SELECT id, path, size, "modifiedAt" FROM "LocalTrack"');
+    const existing = new Map(existingResult.rows.map(row => [row.path, row]));
+    const stats = { added: 0, updated: 0, removed: 0, failed: 0, total: 0 };
+
+    for await (const fullPath of walk(dir)) {
+        const relativePath = path.relative(dir, fullPath);
+        const known = existing.get(relativePath);
+        existing.delete(relativePath);
+
+        let fileStat;
+        try {
+            fileStat = await fs.stat(fullPath);
+        } catch {
+            continue; // deleted while scanning
+        }
+        stats.total += 1;
+
+        const modifiedAt = new Date(Math.floor(fileStat.mtimeMs));
+        if (known && Number(known.size) === fileStat.size && known.modifiedAt.getTime() === modifiedAt.getTime()) {
+            continue;
+        }
+
+        let metadata = null;
+        try {
+            metadata = await parseFile(fullPath, { duration: true, skipCovers: true });
+        } catch (err) {
+            // Unreadable tags - still index it by file name
+            console.warn(` [Library] Could not read tags of ${relativePath}:`, err.message);
+            stats.failed += 1;
+        }
+
+        const track = toTrack(fullPath, metadata);
+        await pgclient.query(
+            `INSERT INTO "LocalTrack" (path, title, artist, album, year, duration, format, size, "modifiedAt", "indexedAt")
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+               ON CONFLICT (path) DO UPDATE SET
+                 title = EXCLUDED.title, artist = EXCLUDED.artist, album = EXCLUDED.album,
+                 year = EXCLUDED.year, duration = EXCLUDED.duration, format = EXCLUDED.format,
+                 size = EXCLUDED.size, "modifiedAt" = EXCLUDED."modifiedAt", "indexedAt" = NOW()`,
+            [relativePath, track.title, track.artist, track.album, track.year, track.duration, track.format, fileStat.size, modifiedAt]
+        );
+        stats[known ? 'updated' : 'added'] += 1;
+    }
+
+    // Whatever was not seen on disk is gone
+    if (existing.size > 0) {
+        await pgclient.query(
+            'DELETE FROM "LocalTrack" WHERE id = ANY($1)',
+            [[...existing.values()].map(row => row.id)]
+        );
+        stats.removed = existing.size;
+    }
+
+    console.log(`📀 [Library] ${stats.total} tracks: ${stats.added} added, ${stats.updated} updated, ${stats.removed} removed`);
+    return stats;
+}
+
+let scanning = null; // promise of the running scan
+
+/**
+ * Scan in the background unless a scan is running - returns its promise
+ */
+export function startLibraryScan() {
+    if (!scanning) {
+        scanning = scanLibrary()
+            .catch(err => {
+                console.error(' [Library] Scan failed:', err.message);
+                return null;
+            })
+            .finally(() => { scanning = null; });
+    }
+    return scanning;
+}
+
+export function isScanning() {
+    return Boolean(scanning);
+}
+
+const likePattern = text => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+const words = text => (text || '').toLowerCase().split(/\s+/).filter(Boolean);
+const trackKey = track => `${track.title.toLowerCase().trim()}|${track.artist.toLowerCase().trim()}`;
+
+/**
+ * Find a track for a request (a music source search, see musicSources.js)
+ * - title (+ artist): every word of the title in the track title, artist in its artist
+ * - artist only: any track by that artist that isn't in exclude ("title|artist" keys)
+ * Returns { title, artist, album, year, duration, localTrackId } or null.
+ */
+export async function searchLocalLibrary({ title = null, artist = null, exclude = [] } = {}) {
+    const conditions = [];
+    const params = [];
+    for (const word of words(title)) {
+        params.push(likePattern(word));
+        conditions.push(`title ILIKE $${params.length}`);
+    }
+    if (artist?.trim()) {
+        params.push(likePattern(artist.trim()));
+        conditions.push(`artist ILIKE $${params.length}`);
+    }
+    if (conditions.length === 0) return null;
+
+    const result = await pgclient.query(
+        `SELECT * FROM "LocalTrack"
+           WHERE ${conditions.join(' AND ')}
+           ORDER BY length(title), title
+           LIMIT ${SEARCH_LIMIT}`,
+        params
+    );
+
+    const skip = new Set(exclude);
+    const track = result.rows.find(row => !skip.has(trackKey(row)));
+    if (!track) return null;
+
+    return {
+        title: track.title,
+        artist: track.artist,
+        album: track.album,
+        year: track.year,
+        duration: track.duration,
+        localTrackId: track.id
+    };
+}
+
+/**
+ * A LocalTrack row with its absolute file path, or null
+ */
+export async function getLocalTrack(id) {
+    const result = await pgclient.query('SELECT * FROM "LocalTrack" WHERE id = $1', [id]);
+    const track = result.rows[0];
+    const dir = getLibraryDir();
+    if (!track || !dir) return null;
+    return { ...track, filePath: path.join(dir, track.path) };
+}
+
+/**
+ * { enabled, tracks, scanning }
+ */
+export async function getLibraryStatus() {
+    const result = await pgclient.query('SELECT COUNT(*) FROM "LocalTrack"');
+    return {
+        enabled: isLocalLibraryEnabled(),
+        tracks: parseInt(result.rows[0].count),
+        scanning: isScanning()
+    };
+}
+
+export default {
+    AUDIO_EXTENSIONS,
+    getLibraryDir,
+    isLocalLibraryEnabled,
+    toTrack,
+    scanLibrary,
+    startLibraryScan,
+    isScanning,
+    searchLocalLibrary,
+    getLocalTrack,
+    getLibraryStatus
+};
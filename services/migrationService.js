@@ -0,0 +1,221 @@
+/**
+  * Migration Service
+  * Versioned schema changes from the migrations/ folder
+  *
+  * Each migration is a pair of files:
+  *   migrations/0002_add_something.up.sql   - applies the change
+  *   migrations/0002_add_something.down.sql - reverts it
+  *
+  * Applied versions are tracked in the schema_migrations table. Each
+  * migration runs in its own transaction together with its bookkeeping row.
+  */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pgclient, { withClient } from '../db.js';
+
+export const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+const LOCK_ID = 7236103; // pg_advisory_lock key - one migrator at a time
+
+
+// ============================================================================
+// Reading migrations
+// ============================================================================
+
+/**
+ * All migrations on disk, oldest first
+ * Returns [{ version, name, upFile, downFile }]
+ */
+export function listMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(dir)) {
+        const match = file.match(FILE_PATTERN);
+        if (!match) continue;
+
+        const [, version, name, direction] = match;
+        const migration = migrations.get(version) || { version, name, upFile: null, downFile: null };
+
+        if (migration.name !== name) {
+            throw new Error(`Migration ${version} has two names: "${migration.name}" and "${name}"`);
+        }
+        migration[direction === 'up' ? 'upFile' : 'downFile'] = path.join(dir, file);
+        migrations.set(version, migration);
+    }
+
+    const sorted = [...migrations.values()].sort((a, b) => a.version.localeCompare(b.version));
+    for (const migration of sorted) {
+        if (!migration.upFile) {
+            throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+        }
+    }
+    return sorted;
+}
+
+async function ensureMigrationsTable() {
+    await pgclient.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+           version text PRIMARY KEY,
+           name text NOT NULL,
+           "appliedAt" timestamp without time zone NOT NULL DEFAULT CURRENT_TIMESTAMP
+         )`
+    );
+}
+
+/**
+ * Versions recorded in schema_migrations, oldest first
+ */
+export async function getAppliedMigrations() {
+    await ensureMigrationsTable();
+    const result = await pgclient.query('SELECT version, name, "appliedAt" FROM schema_migrations ORDER BY version');
+    return result.rows;
+}
+
+/**
+ * Compare the database with the migrations on disk
+ * Returns { applied, pending, unknown } - unknown = applied but missing on disk
+ */
+export async function getMigrationStatus(dir = MIGRATIONS_DIR) {
+    const migrations = listMigrations(dir);
+    const applied = await getAppliedMigrations();
+    const appliedVersions = new Set(applied.map(m => m.version));
+    const onDisk = new Set(migrations.map(m => m.version));
+
+    return {
+        applied,
+        pending: migrations.filter(m => !appliedVersions.has(m.version)),
+        unknown: applied.filter(m => !onDisk.has(m.version))
+    };
+}
+
+
+// ============================================================================
+// Running migrations
+// ============================================================================
+
+/**
+ * Run fn(client) holding the migration lock
+ * Advisory locks belong to a session, so everything runs on one connection.
+ */
+async function withMigrationLock(fn) {
+    return withClient(async (client) => {
+        await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+        try {
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+        }
+    });
+}
+
+async function runInTransaction(client, sql, bookkeeping) {
+    await client.query('BEGIN');
+    try {
+        await client.query(sql);
+        await bookkeeping();
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+/**
+ * Apply every pending migration, oldest first
+ * Stops at the first failure (that migration is rolled back, earlier ones stay)
+ * Returns the migrations that were applied
+ */
+export async function migrateUp({ dir = MIGRATIONS_DIR, log = console.log } = {}) {
+    return withMigrationLock(async (client) => {
+        const { pending } = await getMigrationStatus(dir);
+
+        for (const migration of pending) {
+            log(` Applying migration ${migration.version}_${migration.name}...`);
+            await runInTransaction(client, fs.readFileSync(migration.upFile, 'utf8'), () => client.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                [migration.version, migration.name]
+            ));
+        }
+        return pending;
+    });
+}
+
+/**
+ * Revert the last `steps` applied migrations, newest first
+ * Returns the migrations that were reverted
+ */
+export async function migrateDown({ steps = 1, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+    return withMigrationLock(async (client) => {
+        const migrations = new Map(listMigrations(dir).map(m => [m.version, m]));
+        const applied = await getAppliedMigrations();
+        const toRevert = applied.slice(-steps).reverse();
+
+        for (const { version, name } of toRevert) {
+            const migration = migrations.get(version);
+            if (!migration?.downFile) {
+                throw new Error(`Cannot roll back ${version}_${name}: no .down.sql file`);
+            }
+
+            log(` Reverting migration ${version}_${name}...`);
+            await runInTransaction(client, fs.readFileSync(migration.downFile, 'utf8'), () => client.query(
+                'DELETE FROM schema_migrations WHERE version = $1',
+                [version]
+            ));
+        }
+        return toRevert;
+    });
+}
+
+/**
+ * Mark migrations up to `version` as applied without running them
+ * For databases created from the old schema.sql, which match 0001 exactly -
+ * run migrateUp afterwards for everything since
+ */
+export async function baseline(version, { dir = MIGRATIONS_DIR } = {}) {
+    return withMigrationLock(async (client) => {
+        const { pending } = await getMigrationStatus(dir);
+        const marked = pending.filter(m => m.version <= version);
+
+        for (const migration of marked) {
+            await client.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                [migration.version, migration.name]
+            );
+        }
+        return marked;
+    });
+}
+
+/**
+ * Throw if the database is missing migrations (used at server startup)
+ */
+export async function assertSchemaUpToDate(dir = MIGRATIONS_DIR) {
+    const { pending, unknown } = await getMigrationStatus(dir);
+
+    if (unknown.length > 0) {
+        console.warn(` Database has migrations this code doesn't know about: ${unknown.map(m => m.version).join(', ')}`);
+    }
+
+    if (pending.length > 0) {
+        const error = new Error(
+            `Database schema is behind - ${pending.length} pending migration(s): ` +
+            `${pending.map(m => `${m.version}_${m.name}`).join(', ')}. Run "npm run migrate".`
+        );
+        error.pending = pending;
+        throw error;
+    }
+}
+
+export default {
+    MIGRATIONS_DIR,
+    listMigrations,
+    getAppliedMigrations,
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    baseline,
+    assertSchemaUpToDate
+};
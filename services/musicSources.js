@@ -0,0 +1,79 @@
+/**
+  * Music Sources
+  * Where the DJ looks for songs that are not in the catalog yet
+  *
+  * A source is { name, label, isEnabled(), search(request) }:
+  *   request: { title, artist, mood, exclude }  - title and/or artist, exclude = "title|artist" keys
+  *   search resolves to { title, artist, year?, album?, duration?, youtubeId?, localTrackId?, coverUrl? } or null
+  *
+  * MUSIC_SOURCES sets the order they are tried in (default: local,youtube).
+  * Sources that are not configured (no LOCAL_MUSIC_DIR, no YOUTUBE_API_KEY) are skipped.
+  */
+
+import { searchYouTube } from './youtubeSearch.js';
+import { isLocalLibraryEnabled, searchLocalLibrary } from './localLibrary.js';
+
+const DEFAULT_ORDER = 'local,youtube';
+
+const youtubeSource = {
+    name: 'youtube',
+    label: 'YouTube',
+    isEnabled: () => Boolean(process.env.YOUTUBE_API_KEY),
+    search: ({ title, artist, mood }) => searchYouTube(
+        title ? (artist ? `${title} ${artist}` : title) : `${artist} ${mood || ''} song`,
+        { title, artist }
+    )
+};
+
+const localSource = {
+    name: 'local',
+    label: 'your music library',
+    isEnabled: isLocalLibraryEnabled,
+    search: request => searchLocalLibrary(request)
+};
+
+const sources = new Map([youtubeSource, localSource].map(source => [source.name, source]));
+
+/**
+ * Add (or replace) a source - it is used once its name is in MUSIC_SOURCES
+ */
+export function registerMusicSource(source) {
+    if (!source?.name || typeof source.search !== 'function') {
+        throw new Error('A music source needs a name and a search function');
+    }
+    sources.set(source.name, { label: source.name, isEnabled: () => true, ...source });
+}
+
+/**
+ * Enabled sources, in MUSIC_SOURCES order
+ */
+export function getMusicSources() {
+    const order = (process.env.MUSIC_SOURCES || DEFAULT_ORDER)
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    return [...new Set(order)]
+        .map(name => sources.get(name))
+        .filter(source => source && source.isEnabled());
+}
+
+/**
+ * Human-readable name of a source ("YouTube", "your music library")
+ */
+export function getMusicSourceLabel(name) {
+    return sources.get(name)?.label || name;
+}
+
+/**
+ * Search one source by name - the result is tagged with { source: name }
+ */
+export async function searchMusicSource(name, request) {
+    const source = sources.get(name);
+    if (!source) throw new Error(`Unknown music source: ${name}`);
+
+    const result = await source.search({ title: null, artist: null, mood: null, exclude: [], ...request });
+    return result ? { ...result, source: name } : null;
+}
+
+export default { registerMusicSource, getMusicSources, getMusicSourceLabel, searchMusicSource };
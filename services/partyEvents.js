@@ -0,0 +1,118 @@
+/**
+  * Party Events Service
+  * In-memory pub/sub for real-time party updates (chat, queue, members)
+  *
+  * Each party keeps a short buffer of recent events so clients that drop
+  * their connection can resume from the last event id they saw.
+  */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { envInt } from './envConfig.js';
+
+const BUFFER_SIZE = envInt('PARTY_EVENT_BUFFER_SIZE', 200, { min: 1 });
+
+// Event ids look like "<bootId>-<seq>" so ids from before a restart are detected
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected client
+
+const buffers = new Map(); // partyId -> { events: [{ id, seq, type, data, createdAt }], droppedSeq }
+const streams = new Map(); // partyId -> Map(userId -> Set of close callbacks)
+let seq = 0;
+
+/**
+ * Publish an event to everyone listening on a party
+ */
+export function publishPartyEvent(partyId, type, data) {
+    seq += 1;
+    const event = {
+        id: `${BOOT_ID}-${seq}`,
+        seq,
+        type,
+        data,
+        createdAt: new Date().toISOString()
+    };
+
+    const buffer = buffers.get(partyId) || { events: [], droppedSeq: 0 };
+    buffer.events.push(event);
+    if (buffer.events.length > BUFFER_SIZE) {
+        buffer.droppedSeq = buffer.events.shift().seq;
+    }
+    buffers.set(partyId, buffer);
+
+    emitter.emit(partyId, event);
+    return event;
+}
+
+/**
+ * Get events missed since lastEventId
+ * Returns { events, complete } - complete=false means the client missed
+ * more than the buffer holds (or the server restarted) and must refetch
+ */
+export function getEventsSince(partyId, lastEventId) {
+    const buffer = buffers.get(partyId) || { events: [], droppedSeq: 0 };
+    if (!lastEventId) return { events: [], complete: true };
+
+    const [bootId, lastSeqStr] = String(lastEventId).split('-');
+    const lastSeq = parseInt(lastSeqStr);
+
+    if (bootId !== BOOT_ID || Number.isNaN(lastSeq)) {
+        return { events: [], complete: false };
+    }
+
+    const events = buffer.events.filter(e => e.seq > lastSeq);
+
+    // Events newer than lastSeq were evicted from the buffer - client missed some
+    const complete = buffer.droppedSeq <= lastSeq;
+
+    return { events, complete };
+}
+
+/**
+ * Listen for new events on a party - returns an unsubscribe function
+ * Pass the listening userId and a close callback so disconnectPartyMember
+ * can end the stream when that user is removed from the party.
+ */
+export function subscribeToParty(partyId, listener, { userId, close } = {}) {
+    emitter.on(partyId, listener);
+    if (!userId || !close) return () => emitter.off(partyId, listener);
+
+    const partyStreams = streams.get(partyId) || new Map();
+    const userStreams = partyStreams.get(userId) || new Set();
+    userStreams.add(close);
+    partyStreams.set(userId, userStreams);
+    streams.set(partyId, partyStreams);
+
+    return () => {
+        emitter.off(partyId, listener);
+        userStreams.delete(close);
+        if (userStreams.size === 0 && partyStreams.get(userId) === userStreams) partyStreams.delete(userId);
+        if (partyStreams.size === 0 && streams.get(partyId) === partyStreams) streams.delete(partyId);
+    };
+}
+
+/**
+ * Close every event stream a user has open on a party (kicked or banned)
+ */
+export function disconnectPartyMember(partyId, userId) {
+    const userStreams = streams.get(partyId)?.get(userId);
+    if (!userStreams) return;
+    [...userStreams].forEach(close => close());
+}
+
+/**
+ * Drop buffered events for a party (e.g. when it is deleted)
+ */
+export function clearPartyEvents(partyId) {
+    buffers.delete(partyId);
+}
+
+export default {
+    publishPartyEvent,
+    getEventsSince,
+    subscribeToParty,
+    disconnectPartyMember,
+    clearPartyEvents
+};
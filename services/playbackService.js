@@ -0,0 +1,343 @@
+/**
+  * Playback Service
+  * Server-owned playback state machine for each party
+  *
+  *   STOPPED --play--> PLAYING --pause--> PAUSED --play--> PLAYING
+  *   PLAYING --skip/next/song ends--> PLAYING (next PENDING song) or STOPPED
+  *
+  * Only one song per party is ever PLAYING. When the current song's duration
+  * elapses the server advances to the next PENDING song on its own.
+  * With autopilot on, the queue is topped up whenever a song starts, and
+  * before giving up on an empty queue.
+  */
+
+import pgclient from '../db.js';
+import { getQueue } from './queueService.js';
+import { publishPartyEvent } from './partyEvents.js';
+import { topUpQueue } from './autopilotService.js';
+
+export const PLAYBACK_ACTIONS = ['play', 'pause', 'skip', 'next'];
+
+const MAX_TIMER_MS = 2 ** 31 - 1; // longest delay setTimeout honours
+
+const timers = new Map(); // partyId -> timeout for auto-advance
+const locks = new Map();  // partyId -> promise of the last queued operation
+
+/**
+ * Run playback operations for a party one at a time
+ */
+function withPartyLock(partyId, fn) {
+    const previous = locks.get(partyId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn);
+    locks.set(partyId, run);
+    run.finally(() => {
+        if (locks.get(partyId) === run) locks.delete(partyId);
+    }).catch(() => {});
+    return run;
+}
+
+function clearAdvanceTimer(partyId) {
+    clearTimeout(timers.get(partyId));
+    timers.delete(partyId);
+}
+
+async function getParty(partyId) {
+    const result = await pgclient.query(
+        'SELECT * FROM "Party" WHERE id = $1',
+        [partyId]
+    );
+    return result.rows[0] || null;
+}
+
+async function getSong(songId) {
+    if (!songId) return null;
+    const result = await pgclient.query(
+        'SELECT * FROM "Song" WHERE id = $1',
+        [songId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Build the now-playing payload from a party row
+ */
+async function buildNowPlaying(party) {
+    const song = await getSong(party.currentSongId);
+    const now = Date.now();
+
+    let positionMs = 0;
+    if (party.playbackStatus === 'PLAYING' && party.playbackStartedAt) {
+        positionMs = now - new Date(party.playbackStartedAt).getTime();
+    } else if (party.playbackStatus === 'PAUSED') {
+        positionMs = party.playbackPositionMs || 0;
+    }
+
+    const durationMs = song?.duration ? song.duration * 1000 : null;
+    if (durationMs) positionMs = Math.min(positionMs, durationMs);
+
+    return {
+        status: party.playbackStatus,
+        song,
+        positionMs,
+        durationMs,
+        startedAt: party.playbackStatus === 'PLAYING' ? party.playbackStartedAt : null,
+        serverTime: new Date(now).toISOString()
+    };
+}
+
+/**
+ * Auto-advance when the current song ends (only if its duration is known)
+ */
+function scheduleAdvance(partyId, nowPlaying) {
+    clearAdvanceTimer(partyId);
+
+    if (nowPlaying.status !== 'PLAYING' || !nowPlaying.durationMs) return;
+
+    const remainingMs = Math.max(0, nowPlaying.durationMs - nowPlaying.positionMs);
+    const songId = nowPlaying.song.id;
+
+    // setTimeout fires at once for delays past 2^31-1 ms - wait in steps instead
+    const delayMs = Math.min(remainingMs, MAX_TIMER_MS);
+
+    const timer = setTimeout(() => {
+        timers.delete(partyId);
+        if (delayMs < remainingMs) {
+            scheduleAdvance(partyId, { ...nowPlaying, positionMs: nowPlaying.positionMs + delayMs });
+            return;
+        }
+        advance(partyId, { expectedSongId: songId, reason: 'ended' })
+            .catch(err => console.error(' [Playback] Auto-advance failed:', err.message));
+    }, delayMs);
+    timer.unref();
+
+    timers.set(partyId, timer);
+}
+
+/**
+ * Save playback state, publish it and (re)schedule auto-advance
+ */
+async function savePlayback(partyId, { status, currentSongId, startedAt = null, positionMs = 0 }, reason) {
+    const result = await pgclient.query(
+        `UPDATE "Party"
+           SET "playbackStatus" = $1, "currentSongId" = $2,
+               "playbackStartedAt" = $3, "playbackPositionMs" = $4, "updatedAt" = NOW()
+           WHERE id = $5
+           RETURNING *`,
+        [status, currentSongId, startedAt, positionMs, partyId]
+    );
+
+    const nowPlaying = await buildNowPlaying(result.rows[0]);
+    scheduleAdvance(partyId, nowPlaying);
+    publishPartyEvent(partyId, 'playback.changed', { reason, nowPlaying });
+
+    return nowPlaying;
+}
+
+async function setSongStatus(partyId, songId, status) {
+    const result = await pgclient.query(
+        `UPDATE "Song" SET status = $1
+           WHERE id = $2 AND "partyId" = $3
+           RETURNING *`,
+        [status, songId, partyId]
+    );
+    if (result.rows[0]) {
+        publishPartyEvent(partyId, 'song.updated', { song: result.rows[0] });
+    }
+    return result.rows[0] || null;
+}
+
+async function nextPendingSongId(partyId) {
+    const queue = await getQueue(partyId);
+    return queue.find(s => s.status === 'PENDING')?.id || null;
+}
+
+/**
+ * Mark whatever is PLAYING as PLAYED and start the given (or next) song
+ */
+async function startSong(partyId, songId, reason) {
+    // Finish any song that is still PLAYING - only one may play at a time
+    const playing = await pgclient.query(
+        `SELECT id FROM "Song" WHERE "partyId" = $1 AND status = 'PLAYING'`,
+        [partyId]
+    );
+    for (const row of playing.rows) {
+        if (row.id !== songId) await setSongStatus(partyId, row.id, 'PLAYED');
+    }
+
+    if (!songId) {
+        songId = await nextPendingSongId(partyId);
+    }
+
+    // Queue ran dry - autopilot may still find something
+    if (!songId && (await topUpQueue(partyId)).length > 0) {
+        songId = await nextPendingSongId(partyId);
+    }
+
+    if (!songId) {
+        return savePlayback(partyId, { status: 'STOPPED', currentSongId: null }, 'queue-empty');
+    }
+
+    await setSongStatus(partyId, songId, 'PLAYING');
+    const nowPlaying = await savePlayback(partyId, {
+        status: 'PLAYING',
+        currentSongId: songId,
+        startedAt: new Date()
+    }, reason);
+
+    await topUpQueue(partyId);
+    return nowPlaying;
+}
+
+/**
+ * Move on from the current song (skip, client-reported end, or timer)
+ * expectedSongId guards against a stale timer advancing a newer song
+ */
+export function advance(partyId, { expectedSongId = null, reason = 'next' } = {}) {
+    return withPartyLock(partyId, async () => {
+        const party = await getParty(partyId);
+        if (!party) return null;
+
+        if (expectedSongId && party.currentSongId !== expectedSongId) {
+            return buildNowPlaying(party);
+        }
+
+        if (party.currentSongId) {
+            await setSongStatus(partyId, party.currentSongId, 'PLAYED');
+        }
+
+        return startSong(partyId, null, reason);
+    });
+}
+
+/**
+ * Start playing - resumes if paused, otherwise starts songId or the next PENDING song
+ */
+export function play(partyId, songId = null) {
+    return withPartyLock(partyId, async () => {
+        const party = await getParty(partyId);
+        if (!party) return null;
+
+        if (songId) {
+            const song = await getSong(songId);
+            if (!song || song.partyId !== partyId) {
+                const err = new Error('Song not found');
+                err.status = 404;
+                throw err;
+            }
+            if (song.id === party.currentSongId && party.playbackStatus === 'PLAYING') {
+                return buildNowPlaying(party);
+            }
+            if (song.id !== party.currentSongId || party.playbackStatus !== 'PAUSED') {
+                return startSong(partyId, songId, 'play');
+            }
+        }
+
+        // Resume from pause
+        if (party.playbackStatus === 'PAUSED' && party.currentSongId) {
+            return savePlayback(partyId, {
+                status: 'PLAYING',
+                currentSongId: party.currentSongId,
+                startedAt: new Date(Date.now() - (party.playbackPositionMs || 0))
+            }, 'resume');
+        }
+
+        if (party.playbackStatus === 'PLAYING') {
+            return buildNowPlaying(party);
+        }
+
+        return startSong(partyId, null, 'play');
+    });
+}
+
+/**
+ * Pause the current song, remembering its position
+ */
+export function pause(partyId) {
+    return withPartyLock(partyId, async () => {
+        const party = await getParty(partyId);
+        if (!party) return null;
+
+        if (party.playbackStatus !== 'PLAYING') {
+            return buildNowPlaying(party);
+        }
+
+        const current = await buildNowPlaying(party);
+        return savePlayback(partyId, {
+            status: 'PAUSED',
+            currentSongId: party.currentSongId,
+            positionMs: current.positionMs
+        }, 'pause');
+    });
+}
+
+/**
+ * Run a playback action from the API
+ */
+export function handlePlaybackAction(partyId, action, { songId = null } = {}) {
+    switch (action) {
+        case 'play':
+            return play(partyId, songId);
+        case 'pause':
+            return pause(partyId);
+        case 'skip':
+            return advance(partyId, { reason: 'skip' });
+        case 'next':
+            return advance(partyId, { expectedSongId: songId, reason: 'next' });
+        default: {
+            const err = new Error(`Invalid action. Must be ${PLAYBACK_ACTIONS.join(', ')}`);
+            err.status = 400;
+            throw err;
+        }
+    }
+}
+
+/**
+ * Current playback state for a party
+ */
+export async function getNowPlaying(partyId) {
+    const party = await getParty(partyId);
+    if (!party) return null;
+    return buildNowPlaying(party);
+}
+
+/**
+ * Stop playback and forget timers (e.g. when a party is deleted)
+ */
+export function stopPlayback(partyId) {
+    clearAdvanceTimer(partyId);
+}
+
+/**
+ * Re-arm auto-advance timers after a server restart
+ */
+export async function resumePlaybackTimers() {
+    const result = await pgclient.query(
+        `SELECT * FROM "Party" WHERE "playbackStatus" = 'PLAYING'`
+    );
+
+    for (const party of result.rows) {
+        const nowPlaying = await buildNowPlaying(party);
+
+        // Song finished while the server was down - move on right away
+        if (nowPlaying.durationMs && nowPlaying.positionMs >= nowPlaying.durationMs) {
+            await advance(party.id, { expectedSongId: party.currentSongId, reason: 'ended' });
+        } else {
+            scheduleAdvance(party.id, nowPlaying);
+        }
+    }
+
+    if (result.rows.length > 0) {
+        console.log(` Resumed playback for ${result.rows.length} parties`);
+    }
+}
+
+export default {
+    PLAYBACK_ACTIONS,
+    play,
+    pause,
+    advance,
+    handlePlaybackAction,
+    getNowPlaying,
+    stopPlayback,
+    resumePlaybackTimers
+};
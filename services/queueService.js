@@ -0,0 +1,177 @@
+/**
+  * Queue Service
+  * Helpers for inspecting and re-checking a party's song queue
+  */
+
+import pgclient from '../db.js';
+import { checkVibeMatch } from './songSearch.js';
+import { sequenceByEnergy, DEFAULT_SONG_SECONDS } from './energyCurve.js';
+
+export const QUEUE_MODES = ['fifo', 'votes', 'fair-rotation', 'energy-curve'];
+
+// Longest track a song can claim to be (seconds) - anything above is bad input
+export const MAX_SONG_DURATION_SECONDS = 24 * 60 * 60;
+
+const STATUS_ORDER = { PLAYED: 0, PLAYING: 1, PENDING: 2 };
+
+/**
+ * Order PENDING songs according to the party's queue mode
+ * - fifo: first requested, first played
+ * - votes: highest (upvotes - downvotes) first, ties by request time
+ * - fair-rotation: one song per member per round, in request order
+ * - energy-curve: follow the party's target energy curve (energyPlan, see energyCurve.js)
+ */
+export function orderPendingSongs(songs, mode = 'fifo', { energyPlan = null } = {}) {
+    const byCreated = [...songs].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    if (mode === 'votes') {
+        return byCreated.sort((a, b) => b.voteScore - a.voteScore);
+    }
+
+    if (mode === 'fair-rotation') {
+        const roundOf = new Map();
+        const seenPerMember = new Map();
+        for (const song of byCreated) {
+            const round = seenPerMember.get(song.addedBy) || 0;
+            roundOf.set(song.id, round);
+            seenPerMember.set(song.addedBy, round + 1);
+        }
+        return byCreated.sort((a, b) => roundOf.get(a.id) - roundOf.get(b.id));
+    }
+
+    if (mode === 'energy-curve') {
+        return sequenceByEnergy(byCreated, energyPlan || {});
+    }
+
+    return byCreated;
+}
+
+/**
+ * When each PENDING song should start, given the play order
+ * The current song's remaining time comes first (as if resumed now when paused);
+ * songs without a known duration count as DEFAULT_SONG_SECONDS.
+ */
+export function estimateStartTimes(pending, { playing = null, party = null, now = Date.now() } = {}) {
+    let offsetMs = 0;
+    if (playing) {
+        const durationMs = (playing.duration || DEFAULT_SONG_SECONDS) * 1000;
+        const positionMs = party?.playbackStatus === 'PLAYING' && party.playbackStartedAt
+            ? now - new Date(party.playbackStartedAt).getTime()
+            : party?.playbackPositionMs || 0;
+        offsetMs = Math.max(0, durationMs - positionMs);
+    }
+
+    return pending.map((song) => {
+        const estimatedStartAt = new Date(now + offsetMs).toISOString();
+        offsetMs += (song.duration || DEFAULT_SONG_SECONDS) * 1000;
+        return { ...song, estimatedStartAt };
+    });
+}
+
+/**
+ * Get a party's full queue with vote counts, ordered by its queue mode
+ * Played/playing songs come first (history), then PENDING songs in play order.
+ * Pass userId to include that user's own vote (myVote: 1, -1 or 0).
+ * PENDING songs get their estimatedStartAt (see estimateStartTimes), and in
+ * energy-curve mode their targetEnergy.
+ */
+export async function getQueue(partyId, { userId = null, mode = null } = {}) {
+    const partyResult = await pgclient.query(
+        `SELECT "queueMode", "energyCurve", "plannedDurationMinutes", "createdAt",
+                "playbackStatus", "playbackStartedAt", "playbackPositionMs"
+           FROM "Party" WHERE id = $1`,
+        [partyId]
+    );
+    const party = partyResult.rows[0] || null;
+    mode = mode || party?.queueMode || 'fifo';
+
+    const result = await pgclient.query(
+        `SELECT s.*,
+                COUNT(v.id) FILTER (WHERE v.value = 1)::int as upvotes,
+                COUNT(v.id) FILTER (WHERE v.value = -1)::int as downvotes,
+                COALESCE(SUM(v.value), 0)::int as "voteScore",
+                COALESCE(MAX(v.value) FILTER (WHERE v."userId" = $2), 0)::int as "myVote"
+           FROM "Song" s
+           LEFT JOIN "SongVote" v ON v."songId" = s.id
+           WHERE s."partyId" = $1
+           GROUP BY s.id
+           ORDER BY s."createdAt" ASC`,
+        [partyId, userId]
+    );
+
+    const history = result.rows
+        .filter(s => s.status !== 'PENDING')
+        .sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status]);
+
+    // The curve is planned from when the party was created; the first
+    // PENDING song plays after the current one
+    const energyPlan = mode === 'energy-curve' && party ? {
+        curve: party.energyCurve,
+        plannedMs: party.plannedDurationMinutes * 60 * 1000,
+        elapsedMs: Date.now() - new Date(party.createdAt).getTime(),
+        previousEnergy: history.find(s => s.status === 'PLAYING')?.energy ?? null
+    } : null;
+
+    const pending = orderPendingSongs(result.rows.filter(s => s.status === 'PENDING'), mode, { energyPlan });
+    const playing = history.find(s => s.status === 'PLAYING') || null;
+
+    return [...history, ...estimateStartTimes(pending, { playing, party })];
+}
+
+/**
+ * Get a party's PENDING songs, joined with catalog data (mood, genre, year, energy, explicit)
+ * so they can be vibe-checked. Catalog match is by youtubeId, then title+artist.
+ * With the party's vibeEmbedding, each song also gets its vibeSimilarity.
+ */
+export async function getPendingSongsWithCatalog(partyId, { vibeEmbedding = null } = {}) {
+    const result = await pgclient.query(
+        `SELECT s.*, sc.mood, sc.genre, sc.year, sc.explicit,
+                COALESCE(s.energy, sc.energy) as energy,
+                COALESCE(s.duration, sc.duration) as duration,
+                1 - (sc.embedding <=> $2::vector) as "vibeSimilarity"
+           FROM "Song" s
+           LEFT JOIN LATERAL (
+               SELECT mood, genre, year, energy, explicit, duration, embedding
+                 FROM "SongCatalog" c
+                 WHERE (s."youtubeId" IS NOT NULL AND c."youtubeId" = s."youtubeId")
+                    OR (LOWER(c.title) = LOWER(s.title) AND LOWER(c.artist) = LOWER(s.artist))
+                 ORDER BY (c."youtubeId" = s."youtubeId") DESC NULLS LAST
+                 LIMIT 1
+           ) sc ON true
+           WHERE s."partyId" = $1 AND s.status = 'PENDING'
+           ORDER BY s."createdAt" ASC`,
+        [partyId, vibeEmbedding]
+    );
+    return result.rows;
+}
+
+/**
+ * Re-run the vibe check over every PENDING song in a party's queue
+ * Returns { checked, violating: [{ song, vibeCheck }], removed: [songId] }
+ */
+export async function revalidatePendingQueue(partyId, vibeRules, { autoRemove = false, vibeEmbedding = null } = {}) {
+    const pendingSongs = await getPendingSongsWithCatalog(partyId, { vibeEmbedding });
+
+    const violating = [];
+    for (const song of pendingSongs) {
+        const vibeCheck = checkVibeMatch(song, vibeRules);
+        if (!vibeCheck.matches) {
+            violating.push({ song, vibeCheck });
+        }
+    }
+
+    let removed = [];
+    if (autoRemove && violating.length > 0) {
+        const result = await pgclient.query(
+            `DELETE FROM "Song"
+               WHERE "partyId" = $1 AND status = 'PENDING' AND id = ANY($2::text[])
+               RETURNING id`,
+            [partyId, violating.map(v => v.song.id)]
+        );
+        removed = result.rows.map(r => r.id);
+    }
+
+    return { checked: pendingSongs.length, violating, removed };
+}
+
+export default { QUEUE_MODES, orderPendingSongs, estimateStartTimes, getQueue, getPendingSongsWithCatalog, revalidatePendingQueue };
@@ -0,0 +1,185 @@
+/**
+  * Request Limits Service
+  * Per-party anti-spam limits on song requests (Party."requestLimits", merged
+  * over DEFAULT_REQUEST_LIMITS - any limit set to null is off):
+  *
+  *   maxPendingPerMember    songs one member can have waiting in the queue
+  *   maxRequests            requests per windowMinutes (messages to the DJ + manual adds)
+  *   denialCooldownSeconds  wait after the DJ turned one of your songs down
+  *
+  * Every request is logged in SongRequest. reserveSongRequest checks and logs
+  * in one step under a per-member lock, so parallel requests can't all pass
+  * the same check. The chat route reserves before the DJ runs, so spam costs
+  * no LLM calls; limited users get an in-character reply instead (limit.reply).
+  */
+
+import pgclient from '../db.js';
+
+export const DEFAULT_REQUEST_LIMITS = {
+    maxPendingPerMember: 5,
+    maxRequests: 20,
+    windowMinutes: 10,
+    denialCooldownSeconds: 30
+};
+
+export const REQUEST_LIMIT_RULES = ['denialCooldownSeconds', 'maxRequests', 'maxPendingPerMember'];
+
+// field -> [min, max]
+const LIMIT_RANGES = {
+    maxPendingPerMember: [1, 100],
+    maxRequests: [1, 1000],
+    windowMinutes: [1, 1440],
+    denialCooldownSeconds: [1, 3600]
+};
+
+/**
+ * Merge limit edits over the defaults and validate them
+ * Throws an error with status 400 if a field is out of range.
+ */
+export function normalizeRequestLimits(limits) {
+    const merged = { ...DEFAULT_REQUEST_LIMITS, ...(limits || {}) };
+
+    const normalized = {};
+    for (const [field, [min, max]] of Object.entries(LIMIT_RANGES)) {
+        const value = merged[field];
+        const optional = field !== 'windowMinutes';
+
+        if (value === null && optional) {
+            normalized[field] = null;
+            continue;
+        }
+        if (!Number.isInteger(value) || value < min || value > max) {
+            const err = new Error(`requestLimits.${field} must be an integer from ${min} to ${max}${optional ? ', or null for no limit' : ''}`);
+            err.status = 400;
+            throw err;
+        }
+        normalized[field] = value;
+    }
+
+    return normalized;
+}
+
+/**
+ * 45 -> "45 seconds", 600 -> "10 minutes"
+ */
+function formatWait(seconds) {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * What a member has used up: PENDING songs, requests in the window,
+ * and seconds until the window frees up / the denial cooldown ends
+ */
+async function getRequestUsage(partyId, userId, limits, client) {
+    const result = await client.query(
+        `SELECT
+            (SELECT COUNT(*) FROM "Song"
+               WHERE "partyId" = $1 AND "addedBy" = $2 AND status = 'PENDING')::int AS pending,
+            COUNT(*) FILTER (WHERE "createdAt" > LOCALTIMESTAMP - make_interval(mins => $3))::int AS requests,
+            CEIL(EXTRACT(EPOCH FROM
+                MIN("createdAt") FILTER (WHERE "createdAt" > LOCALTIMESTAMP - make_interval(mins => $3))
+                + make_interval(mins => $3) - LOCALTIMESTAMP))::int AS "windowResetSeconds",
+            CEIL(EXTRACT(EPOCH FROM
+                MAX("createdAt") FILTER (WHERE denied)
+                + make_interval(secs => $4) - LOCALTIMESTAMP))::int AS "cooldownSeconds"
+           FROM "SongRequest"
+           WHERE "partyId" = $1 AND "userId" = $2`,
+        [partyId, userId, limits.windowMinutes, limits.denialCooldownSeconds || 0]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Check a member's next request against the party's limits
+ * party: { id, requestLimits }; rules: which limits to enforce (default: all)
+ * client: a transaction client holding lockMemberRequests, to act on the result
+ *
+ * Returns { limit, songAllowance }
+ * - limit: null, or the first limit hit: { rule, message, reply, retryAfterSeconds }
+ *   (message for API clients, reply in the DJ's voice; retryAfterSeconds is null
+ *   for the pending cap - that frees up as songs play)
+ * - songAllowance: how many more songs the member may queue (null = no cap)
+ */
+export async function checkRequestLimits(party, userId, { rules = REQUEST_LIMIT_RULES, client = pgclient } = {}) {
+    const limits = normalizeRequestLimits(party.requestLimits);
+    const usage = await getRequestUsage(party.id, userId, limits, client);
+
+    const songAllowance = limits.maxPendingPerMember === null
+        ? null
+        : Math.max(0, limits.maxPendingPerMember - usage.pending);
+
+    let limit = null;
+    if (rules.includes('denialCooldownSeconds') && limits.denialCooldownSeconds && usage.cooldownSeconds > 0) {
+        const wait = formatWait(usage.cooldownSeconds);
+        limit = {
+            rule: 'denialCooldownSeconds',
+            message: `Your last request was denied - wait ${wait} before requesting again`,
+            reply: `That last one didn't fit the vibe - take a breather and try again in ${wait}! 🎧`,
+            retryAfterSeconds: usage.cooldownSeconds
+        };
+    } else if (rules.includes('maxRequests') && limits.maxRequests && usage.requests >= limits.maxRequests) {
+        const wait = formatWait(Math.max(1, usage.windowResetSeconds));
+        limit = {
+            rule: 'maxRequests',
+            message: `Request limit reached (${limits.maxRequests} per ${limits.windowMinutes} minutes) - try again in ${wait}`,
+            reply: `Whoa, you're keeping me busy! 😅 That's ${limits.maxRequests} requests in ${limits.windowMinutes} minutes - give me ${wait} and hit me with the next one.`,
+            retryAfterSeconds: Math.max(1, usage.windowResetSeconds)
+        };
+    } else if (rules.includes('maxPendingPerMember') && songAllowance === 0) {
+        limit = {
+            rule: 'maxPendingPerMember',
+            message: `You already have ${usage.pending} songs waiting in the queue (limit ${limits.maxPendingPerMember})`,
+            reply: `You've got ${usage.pending} songs waiting in the queue already! 🎶 Let some of them play, then hit me with more.`,
+            retryAfterSeconds: null
+        };
+    }
+
+    return { limit, songAllowance };
+}
+
+/**
+ * Hold a member's request lock for a party until the transaction ends
+ */
+export async function lockMemberRequests(client, partyId, userId) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1), hashtext($2))', [partyId, userId]);
+}
+
+/**
+ * Check a member's request and log it if it's allowed (inside a transaction)
+ * source: 'chat' | 'manual'; rules: as for checkRequestLimits
+ *
+ * Returns { limit, songAllowance, requestId } - requestId is null when limited
+ */
+export async function reserveSongRequest(client, party, userId, { source, rules = REQUEST_LIMIT_RULES }) {
+    await lockMemberRequests(client, party.id, userId);
+
+    const { limit, songAllowance } = await checkRequestLimits(party, userId, { rules, client });
+    if (limit) return { limit, songAllowance, requestId: null };
+
+    const result = await client.query(
+        `INSERT INTO "SongRequest" ("partyId", "userId", source)
+           VALUES ($1, $2, $3)
+           RETURNING id`,
+        [party.id, userId, source]
+    );
+    return { limit, songAllowance, requestId: result.rows[0].id };
+}
+
+/**
+ * The DJ turned a song in this request down - starts the denial cooldown
+ */
+export async function markRequestDenied(client, requestId) {
+    await client.query('UPDATE "SongRequest" SET denied = true WHERE id = $1', [requestId]);
+}
+
+export default {
+    DEFAULT_REQUEST_LIMITS,
+    REQUEST_LIMIT_RULES,
+    normalizeRequestLimits,
+    checkRequestLimits,
+    lockMemberRequests,
+    reserveSongRequest,
+    markRequestDenied
+};
@@ -3,25 +3,21 @@
   * Uses AI to analyze song mood, energy, themes
   */
 
-import { ChatOpenAI } from '@langchain/openai';
-import dotenv from 'dotenv';
-dotenv.config();
+import { getChatModel } from './llmProvider.js';
 
-const llm = new ChatOpenAI({
-    modelName: process.env.OPENROUTER_MODEL || 'google/gemini-2.0-flash-001',
+// Bump whenever the prompt or output changes - catalog songs analyzed by an
+// older version are redone by services/catalogReanalysis.js
+export const ANALYZER_VERSION = 1;
+
+const llm = getChatModel({
+    purpose: 'song-analyzer',
     temperature: 0.3,
-    configuration: {
-        apiKey: process.env.OPENROUTER_API_KEY,
-        baseURL: 'https://openrouter.ai/api/v1',
-        defaultHeaders: {
-            'HTTP-Referer': 'http://localhost:3000',
-            'X-Title': 'Mazaj AI DJ - Song Analyzer',
-        },
-    },
+    title: 'Mazaj AI DJ - Song Analyzer',
 });
 
 /**
  * Analyze a song using AI to get mood, energy, themes
+ * If the LLM call fails, returns a generic guess with fallback: true.
  */
 export async function analyzeSong(title, artist, year = null) {
     try {
@@ -68,6 +64,7 @@ export async function analyzeSong(title, artist, year = null) {
             genre: analysis.genre || 'Pop',
             explicit: analysis.explicit || false,
             decade: analysis.decade || null,
+            fallback: false,
         };
 
     } catch (error) {
@@ -83,8 +80,9 @@ export async function analyzeSong(title, artist, year = null) {
             genre: 'Pop',
             explicit: false,
             decade: null,
+            fallback: true,
         };
     }
 }
 
-export default { analyzeSong };
+export default { ANALYZER_VERSION, analyzeSong };
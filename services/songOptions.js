@@ -0,0 +1,107 @@
+/**
+  * Song Options Service
+  * "Pick one of these" choices the AI DJ offers in chat
+  *
+  * Options are stored on the AI message (ChatMessage.metadata.options) and
+  * resolved later by POST /api/chat/:partyId/choose or by a chat reply like
+  * "the second one", "number 2" or the song title.
+  * metadata.chosenIndex (1-based) is set once one of them is queued.
+  */
+
+import pgclient from '../db.js';
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+const NUMBER_WORDS = ['one', 'two', 'three', 'four', 'five'];
+
+/**
+ * Catalog song -> stored option (enough to queue and vibe-check it again)
+ */
+export function toSongOption(song) {
+    return {
+        catalogId: song.id || null,
+        title: song.title,
+        artist: song.artist,
+        year: song.year || null,
+        youtubeId: song.youtubeId || null,
+        localTrackId: song.localTrackId || null,
+        duration: song.duration ?? null,
+        coverUrl: song.coverUrl || null,
+        mood: song.mood || [],
+        genre: song.genre || null,
+        energy: song.energy ?? null
+    };
+}
+
+// "ok, I'll take the ..." / "... one please" around the actual choice
+const CHOICE_PREFIX = /^(?:(?:ok(?:ay)?|yes|yeah|sure)[,!.]?\s+)?(?:(?:i'?ll take|i'?ll go with|let'?s do|let'?s go with|go with|play|queue|add|give me|i want|pick)\s+)?(?:the\s+)?/;
+const CHOICE_SUFFIX = /(?:\s+(?:one|song|option|please|pls))*[.!?\s]*$/;
+
+/**
+ * Resolve a choice to a 1-based option index, or null
+ * choice: a number, or text like "2", "#2", "number 2", "the second one", "last", or a title.
+ * Text must be only the choice (plus filler) - "remove my last song" is not a choice.
+ */
+export function resolveChoice(choice, options) {
+    if (!options?.length || choice === null || choice === undefined) return null;
+
+    const inRange = index => (index >= 1 && index <= options.length ? index : null);
+
+    if (typeof choice === 'number') return inRange(choice);
+
+    const text = String(choice).toLowerCase().trim();
+    const core = text.replace(CHOICE_PREFIX, '').replace(CHOICE_SUFFIX, '');
+    if (!core) return null;
+
+    const numbered = core.match(/^(?:number\s*|no\.?\s*|option\s*|#)?(\d+)(?:st|nd|rd|th)?$/);
+    if (numbered) return inRange(parseInt(numbered[1]));
+
+    if (core === 'last') return options.length;
+    if (ORDINALS.includes(core)) return inRange(ORDINALS.indexOf(core) + 1);
+    if (NUMBER_WORDS.includes(core)) return inRange(NUMBER_WORDS.indexOf(core) + 1);
+
+    // Longest title first, so "Blue" doesn't win over "Blue in Green"
+    const byTitle = options
+        .map((option, i) => ({ title: option.title.toLowerCase(), index: i + 1 }))
+        .filter(option => option.title.length >= 3 && text.includes(option.title))
+        .sort((a, b) => b.title.length - a.title.length);
+    return byTitle[0]?.index || null;
+}
+
+function toOffer(row) {
+    if (!row?.metadata?.options?.length) return null;
+    return {
+        messageId: row.id,
+        options: row.metadata.options,
+        chosenIndex: row.metadata.chosenIndex || null
+    };
+}
+
+/**
+ * Options on a given AI message - { messageId, options, chosenIndex } or null
+ */
+export async function getOptionsMessage(partyId, messageId) {
+    const result = await pgclient.query(
+        `SELECT id, metadata FROM "ChatMessage"
+           WHERE id = $1 AND "partyId" = $2 AND role = 'ASSISTANT'`,
+        [messageId, partyId]
+    );
+    return toOffer(result.rows[0]);
+}
+
+/**
+ * Options still open in the party's chat: the latest AI message offered
+ * some and none was chosen yet. Returns { messageId, options } or null.
+ */
+export async function getPendingOptions(partyId) {
+    const result = await pgclient.query(
+        `SELECT id, metadata FROM "ChatMessage"
+           WHERE "partyId" = $1 AND role = 'ASSISTANT'
+           ORDER BY "createdAt" DESC
+           LIMIT 1`,
+        [partyId]
+    );
+    const offer = toOffer(result.rows[0]);
+    return offer && !offer.chosenIndex ? offer : null;
+}
+
+export default { toSongOption, resolveChoice, getOptionsMessage, getPendingOptions };
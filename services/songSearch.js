@@ -4,14 +4,15 @@
   */
 
 import pgclient from '../db.js';
-import OpenAI from 'openai';
-import dotenv from 'dotenv';
-dotenv.config();
+import { createEmbedding, toVectorString } from './llmProvider.js';
+import { evaluateVibeRules, evaluateVibeRulesWithJudge } from './vibeRuleEngine.js';
+import { toEnergyLevel } from './energyCurve.js';
+import { ANALYZER_VERSION } from './songAnalyzer.js';
 
-// OpenAI client for generating embeddings
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
+// What catalog lookups return: song details plus its stored analysis
+export const CATALOG_SONG_COLUMNS = `id, title, artist, album, year, "youtubeId", "coverUrl", mood, genre, energy,
+    themes, "lyricsSummary", explicit, decade, "analyzedAt", "analyzerVersion", "localTrackId",
+    "featuredArtists", duration`;
 
 /**
  * Search songs by title and artist (text search)
@@ -19,7 +20,7 @@ const openai = new OpenAI({
 export async function searchSongsByText(query, limit = 10) {
     try {
         const result = await pgclient.query(
-            `SELECT id, title, artist, album, year, "youtubeId", "coverUrl", mood, genre
+            `SELECT ${CATALOG_SONG_COLUMNS}
                FROM "SongCatalog"
                WHERE LOWER(title) LIKE LOWER($1)
                   OR LOWER(artist) LIKE LOWER($1)
@@ -39,7 +40,7 @@ export async function searchSongsByText(query, limit = 10) {
 export async function findExactSong(title, artist) {
     try {
         const result = await pgclient.query(
-            `SELECT id, title, artist, album, year, "youtubeId", "coverUrl", mood, genre
+            `SELECT ${CATALOG_SONG_COLUMNS}
                FROM "SongCatalog"
                WHERE LOWER(title) = LOWER($1)
                  AND LOWER(artist) LIKE LOWER($2)
@@ -59,16 +60,12 @@ export async function findExactSong(title, artist) {
 export async function searchSongsBySemantic(query, limit = 10) {
     try {
         // Generate embedding for the search query
-        const embeddingResponse = await openai.embeddings.create({
-            model: 'text-embedding-3-small',
-            input: query,
-        });
-        const queryEmbedding = embeddingResponse.data[0].embedding;
-        const embeddingString = `[${queryEmbedding.join(',')}]`;
+        const queryEmbedding = await createEmbedding(query, { purpose: 'semantic-search' });
+        const embeddingString = toVectorString(queryEmbedding);
 
         // Search using cosine similarity
         const result = await pgclient.query(
-            `SELECT id, title, artist, album, year, "youtubeId", "coverUrl", mood, genre,
+            `SELECT ${CATALOG_SONG_COLUMNS},
                       1 - (embedding <=> $1::vector) as similarity
                FROM "SongCatalog"
                WHERE embedding IS NOT NULL
@@ -86,17 +83,29 @@ export async function searchSongsBySemantic(query, limit = 10) {
 
 /**
  * Get songs matching specific moods
+ * With the party's vibeEmbedding, closest to the vibe first (with a vibeSimilarity
+ * score); otherwise in random order.
  */
-export async function getSongsByMood(moods, limit = 10) {
+export async function getSongsByMood(moods, limit = 10, { vibeEmbedding = null } = {}) {
     try {
-        const result = await pgclient.query(
-            `SELECT id, title, artist, album, year, "youtubeId", "coverUrl", mood, genre
-               FROM "SongCatalog"
-               WHERE mood && $1::text[]
-               ORDER BY RANDOM()
-               LIMIT $2`,
-            [moods, limit]
-        );
+        const result = vibeEmbedding
+            ? await pgclient.query(
+                `SELECT ${CATALOG_SONG_COLUMNS},
+                          1 - (embedding <=> $3::vector) as "vibeSimilarity"
+                   FROM "SongCatalog"
+                   WHERE mood && $1::text[]
+                   ORDER BY embedding <=> $3::vector NULLS LAST
+                   LIMIT $2`,
+                [moods, limit, vibeEmbedding]
+            )
+            : await pgclient.query(
+                `SELECT ${CATALOG_SONG_COLUMNS}
+                   FROM "SongCatalog"
+                   WHERE mood && $1::text[]
+                   ORDER BY RANDOM()
+                   LIMIT $2`,
+                [moods, limit]
+            );
         return result.rows;
     } catch (error) {
         console.error(' Error getting songs by mood:', error.message);
@@ -105,52 +114,144 @@ export async function getSongsByMood(moods, limit = 10) {
 }
 
 /**
- * Check if a song matches vibe rules
+ * Cosine similarity between a song's catalog embedding and the party's vibeEmbedding
+ * The song is matched by catalog id (id or catalogId), youtubeId, then title+artist.
+ * Returns null if the song has no catalog embedding.
  */
-export function checkVibeMatch(song, vibeRules) {
-    if (!vibeRules) return { matches: true, reason: 'No rules set' };
+export async function getVibeSimilarity(song, vibeEmbedding) {
+    if (!vibeEmbedding) return null;
 
-    // Check blocked moods
-    if (vibeRules.blockedMoods && song.mood) {
-        const blockedMood = vibeRules.blockedMoods.find(m =>
-            song.mood.includes(m.toLowerCase())
+    try {
+        const result = await pgclient.query(
+            `SELECT 1 - (embedding <=> $1::vector) as similarity
+               FROM "SongCatalog"
+               WHERE embedding IS NOT NULL
+                 AND (id = $2
+                      OR ($3::text IS NOT NULL AND "youtubeId" = $3)
+                      OR (LOWER(title) = LOWER($4) AND LOWER(artist) = LOWER($5)))
+               ORDER BY (id = $2) DESC, ("youtubeId" = $3) DESC NULLS LAST
+               LIMIT 1`,
+            [vibeEmbedding, song.catalogId || song.id || null, song.youtubeId || null, song.title, song.artist]
         );
-        if (blockedMood) {
-            return { matches: false, reason: `Song mood "${blockedMood}" is not allowed for this vibe` };
-        }
+        return result.rows[0] ? Number(result.rows[0].similarity) : null;
+    } catch (error) {
+        console.error(' Error computing vibe similarity:', error.message);
+        return null;
     }
+}
 
-    // Check allowed moods
-    if (vibeRules.allowedMoods && vibeRules.allowedMoods.length > 0 && song.mood) {
-        const hasAllowedMood = vibeRules.allowedMoods.some(m =>
-            song.mood.includes(m.toLowerCase())
-        );
-        if (!hasAllowedMood) {
-            return { matches: false, reason: `Song doesn't match the required mood (${vibeRules.allowedMoods.join(', ')})` };
-        }
-    }
+/**
+ * The song with its vibeSimilarity filled in (unless it already has one)
+ */
+export async function withVibeSimilarity(song, vibeEmbedding) {
+    if (!vibeEmbedding || song.vibeSimilarity != null) return song;
+    return { ...song, vibeSimilarity: await getVibeSimilarity(song, vibeEmbedding) };
+}
 
-    // Check era/year
-    if (vibeRules.allowedEras && song.year) {
-        if (vibeRules.allowedEras.min && song.year < vibeRules.allowedEras.min) {
-            return { matches: false, reason: `Song is from ${song.year}, but party requires ${vibeRules.allowedEras.min}+` };
-        }
-        if (vibeRules.allowedEras.max && song.year > vibeRules.allowedEras.max) {
-            return { matches: false, reason: `Song is from ${song.year}, but party is for pre-${vibeRules.allowedEras.max}` };
-        }
-    }
+/**
+ * Check if a song matches vibe rules
+ * song.vibeSimilarity (see getVibeSimilarity) is checked too when present.
+ * Returns { matches, score, reason, violations, priorityArtist } - see vibeRuleEngine.js
+ */
+export function checkVibeMatch(song, vibeRules) {
+    return evaluateVibeRules(song, vibeRules);
+}
 
-    // Check blocked artists
-    if (vibeRules.blockedArtists && vibeRules.blockedArtists.length > 0) {
-        const isBlocked = vibeRules.blockedArtists.some(a =>
-            song.artist.toLowerCase().includes(a.toLowerCase())
-        );
-        if (isBlocked) {
-            return { matches: false, reason: `Artist "${song.artist}" is blocked for this party` };
-        }
+/**
+ * Same as checkVibeMatch, plus the LLM judge for the party's customRules
+ * Pass the party's vibeEmbedding to also gate on vibe similarity.
+ * Slower (one LLM call) - use for the final decision on a single song
+ */
+export async function checkVibeMatchWithJudge(song, vibeRules, { vibeEmbedding = null } = {}) {
+    return evaluateVibeRulesWithJudge(await withVibeSimilarity(song, vibeEmbedding), vibeRules);
+}
+
+/**
+ * Catalog columns for an analyzeSong result, stamped with ANALYZER_VERSION
+ * A fallback analysis (the LLM call failed) stores nothing but leaves the song
+ * unstamped, so the re-analysis job tries it again.
+ */
+export function analysisColumns(analysis) {
+    if (!analysis || analysis.fallback) {
+        return { energy: null, themes: [], lyricsSummary: null, explicit: null, decade: null, analyzedAt: null, analyzerVersion: null };
     }
+    return {
+        energy: toEnergyLevel(analysis.energy),
+        themes: analysis.themes || [],
+        lyricsSummary: analysis.lyricsSummary || null,
+        explicit: typeof analysis.explicit === 'boolean' ? analysis.explicit : null,
+        decade: analysis.decade || null,
+        analyzedAt: new Date(),
+        analyzerVersion: ANALYZER_VERSION
+    };
+}
 
-    return { matches: true, reason: 'Song matches the vibe!' };
+// Fields the analyzer sets - kept when curated (see "curatedFields")
+export const ANALYZED_FIELDS = ['mood', 'genre', 'energy'];
+
+/**
+ * Save an analyzeSong result on an existing catalog song
+ * Replaces the analyzer's fields, except mood/genre/energy listed in the
+ * song's "curatedFields" (set by an admin or the import file). Re-embeds the
+ * song when its mood or genre changes, or when it has no embedding yet (and
+ * clears an import error then). No-op for a fallback.
+ * Returns true if the analysis was saved.
+ */
+export async function storeSongAnalysis(catalogId, analysis) {
+    if (!analysis || analysis.fallback) return false;
+
+    const current = await pgclient.query(
+        `SELECT title, artist, mood, genre, energy, "curatedFields", embedding IS NULL AS "needsEmbedding"
+           FROM "SongCatalog" WHERE id = $1`,
+        [catalogId]
+    );
+    const song = current.rows[0];
+    if (!song) return false;
+
+    const stored = analysisColumns(analysis);
+    const curated = new Set(song.curatedFields);
+    const mood = curated.has('mood') ? song.mood : (analysis.mood || []);
+    const genre = curated.has('genre') ? song.genre : (analysis.genre || null);
+    const energy = curated.has('energy') ? song.energy : stored.energy;
+
+    // Embed before writing - it's an API call
+    const reembed = song.needsEmbedding ||
+        genre !== song.genre ||
+        JSON.stringify(mood) !== JSON.stringify(song.mood || []);
+    const embedding = reembed
+        ? toVectorString(await createEmbedding(catalogEmbeddingText({ ...song, mood, genre }), { purpose: 'catalog' }))
+        : null;
+
+    const result = await pgclient.query(
+        `UPDATE "SongCatalog" SET
+           mood = $2, genre = $3, energy = $4,
+           themes = $5, "lyricsSummary" = $6, explicit = $7, decade = $8,
+           "analyzedAt" = $9, "analyzerVersion" = $10,
+           embedding = COALESCE($11::vector, embedding),
+           "importError" = CASE WHEN $11::vector IS NULL THEN "importError" END
+         WHERE id = $1`,
+        [
+            catalogId,
+            mood,
+            genre,
+            energy,
+            stored.themes,
+            stored.lyricsSummary,
+            stored.explicit,
+            stored.decade,
+            stored.analyzedAt,
+            stored.analyzerVersion,
+            embedding
+        ]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Text a catalog song's embedding is built from (title, artist, mood, genre)
+ */
+export function catalogEmbeddingText(song) {
+    return `${song.title} ${song.artist} ${song.mood?.join(' ')} ${song.genre}`;
 }
 
 /**
@@ -161,30 +262,40 @@ export async function addSongToCatalog(song, analysis) {
         console.log(` Adding "${song.title}" by ${song.artist} to catalog...`);
 
         // Generate embedding for the song
-        const textToEmbed = `${song.title} ${song.artist} ${analysis.mood?.join(' ')} ${analysis.genre}`;
+        const textToEmbed = catalogEmbeddingText({ ...song, mood: analysis.mood, genre: analysis.genre });
+
+        const embedding = await createEmbedding(textToEmbed, { purpose: 'catalog' });
+        const embeddingString = toVectorString(embedding);
 
-        const embeddingResponse = await openai.embeddings.create({
-            model: 'text-embedding-3-small',
-            input: textToEmbed,
-        });
-        const embedding = embeddingResponse.data[0].embedding;
-        const embeddingString = `[${embedding.join(',')}]`;
+        const stored = analysisColumns(analysis);
 
         // Insert into SongCatalog
         const result = await pgclient.query(
             `INSERT INTO "SongCatalog"
-               (id, title, artist, year, "youtubeId", "coverUrl", mood, genre, embedding, "createdAt")
-               VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8::vector, NOW())
+               (id, title, artist, "featuredArtists", album, year, duration, "youtubeId", "localTrackId", "coverUrl", mood, genre, energy,
+                themes, "lyricsSummary", explicit, decade, "analyzedAt", "analyzerVersion", embedding, "createdAt")
+               VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19::vector, NOW())
                ON CONFLICT DO NOTHING
                RETURNING *`,
             [
                 song.title,
                 song.artist,
+                song.featuredArtists || [],
+                song.album || null,
                 song.year || null,
+                song.duration || null,
                 song.youtubeId || null,
+                song.localTrackId || null,
                 song.coverUrl || null,
                 analysis.mood || [],
                 analysis.genre || null,
+                stored.energy,
+                stored.themes,
+                stored.lyricsSummary,
+                stored.explicit,
+                stored.decade,
+                stored.analyzedAt,
+                stored.analyzerVersion,
                 embeddingString
             ]
         );
@@ -206,6 +317,13 @@ export default {
     findExactSong,
     searchSongsBySemantic,
     getSongsByMood,
+    getVibeSimilarity,
+    withVibeSimilarity,
     checkVibeMatch,
+    checkVibeMatchWithJudge,
+    analysisColumns,
+    ANALYZED_FIELDS,
+    storeSongAnalysis,
+    catalogEmbeddingText,
     addSongToCatalog
 };
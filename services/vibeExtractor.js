@@ -2,23 +2,14 @@
 /**
  * Vibe Extractor Service
  * Converts natural language vibe descriptions into structured rules
+ * (and an embedding for semantic matching against the song catalog)
  */
 
-import { ChatOpenAI } from '@langchain/openai';
-import dotenv from 'dotenv';
-dotenv.config();
+import { getChatModel, createEmbedding, toVectorString } from './llmProvider.js';
 
-const llm = new ChatOpenAI({
-    modelName: process.env.OPENROUTER_MODEL || 'google/gemini-2.0-flash-001',
+const llm = getChatModel({
+    purpose: 'vibe-extractor',
     temperature: 0.3, // Lower temperature for more consistent JSON
-    configuration: {
-        apiKey: process.env.OPENROUTER_API_KEY,
-        baseURL: 'https://openrouter.ai/api/v1',
-        defaultHeaders: {
-            'HTTP-Referer': 'http://localhost:3000',
-            'X-Title': 'Mazaj AI DJ',
-        },
-    },
 });
 
 /**
@@ -36,13 +27,15 @@ export async function extractVibeRules(vibeDescription) {
       "blockedMoods": [],
       "allowedEras": { "min": 1980, "max": 2024 },
       "energyRange": { "min": 1, "max": 10 },
+      "maxDurationSeconds": 600,
       "explicitAllowed": true,
       "blockedArtists": [],
       "priorityArtists": [],
       "customRules": ["any specific rules mentioned"]
   }
 
-  Only include fields that are clearly specified or implied. Use null for unspecified fields.`;
+  Only include fields that are clearly specified or implied. Use null for unspecified fields.
+  maxDurationSeconds is only for an explicit track length limit (e.g. "no songs over 5 minutes" -> 300).`;
 
         const response = await llm.invoke([
             { role: 'system', content: systemPrompt },
@@ -77,4 +70,18 @@ export async function extractVibeRules(vibeDescription) {
     }
 }
 
-export default { extractVibeRules };
\ No newline at end of file
+/**
+ * Embed a vibe description for Party."vibeEmbedding"
+ * Returns a pgvector string, or null if embedding fails (vibe checks then skip similarity)
+ */
+export async function embedVibe(vibeDescription) {
+    try {
+        const embedding = await createEmbedding(vibeDescription, { purpose: 'vibe' });
+        return toVectorString(embedding);
+    } catch (error) {
+        console.error(' Error embedding vibe:', error.message);
+        return null;
+    }
+}
+
+export default { extractVibeRules, embedVibe };
\ No newline at end of file
@@ -0,0 +1,411 @@
+/**
+  * Vibe Rule Engine
+  * Evaluates a song against every field produced by extractVibeRules
+  *
+  * Each rule is either "hard" (any violation rejects the song) or "soft"
+  * (a violation lowers the song's score). A song matches when it has no hard
+  * violations and its score stays at or above vibeRules.minScore.
+  *
+  * vibeSimilarity is the one rule not from the extractor: when the song comes
+  * with a similarity to the party's vibeEmbedding, falling short of
+  * vibeRules.minVibeSimilarity (default VIBE_SIMILARITY_MIN) costs score.
+  * It's soft by default since embeddings of short vibe descriptions are noisy;
+  * set ruleSeverity.vibeSimilarity to "hard" to gate on it.
+  */
+
+import { getChatModel } from './llmProvider.js';
+import { envFloat } from './envConfig.js';
+
+const llm = getChatModel({
+    purpose: 'vibe-judge',
+    temperature: 0, // Judge should be as deterministic as possible
+    title: 'Mazaj AI DJ - Vibe Judge',
+});
+
+// Default severity per rule - override per party with vibeRules.ruleSeverity
+export const DEFAULT_RULE_SEVERITY = {
+    blockedArtists: 'hard',
+    blockedGenres: 'hard',
+    blockedMoods: 'hard',
+    explicitAllowed: 'hard',
+    allowedEras: 'hard',
+    allowedGenres: 'hard',
+    allowedMoods: 'hard',
+    energyRange: 'soft',
+    maxDuration: 'hard',
+    customRules: 'soft',
+    vibeSimilarity: 'soft',
+};
+
+// How much a soft violation costs (score starts at 1)
+const SOFT_PENALTY = {
+    blockedArtists: 1,
+    blockedGenres: 0.5,
+    blockedMoods: 0.4,
+    explicitAllowed: 0.5,
+    allowedEras: 0.3,
+    allowedGenres: 0.4,
+    allowedMoods: 0.3,
+    energyRange: 0.1, // per energy point outside the range
+    maxDuration: 0.5,
+    customRules: 0.3, // per failed custom rule
+    vibeSimilarity: 0.3,
+};
+
+const PRIORITY_ARTIST_BONUS = 0.2;
+const DEFAULT_MIN_SCORE = 0.5;
+
+// Cosine similarity below this means the song is about something else entirely
+export const DEFAULT_MIN_VIBE_SIMILARITY = envFloat('VIBE_SIMILARITY_MIN', 0.15, { min: -1 });
+
+const LIST_RULES = ['allowedGenres', 'blockedGenres', 'allowedMoods', 'blockedMoods', 'blockedArtists', 'priorityArtists', 'customRules'];
+
+// field -> [min, max] for { min, max } rules
+const RANGE_RULES = {
+    energyRange: [1, 10],
+    allowedEras: [1000, 3000]
+};
+
+function invalidRule(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+/**
+ * Validate direct vibeRules edits (PATCH /api/party/:id/vibe)
+ * Returns the edits with strings trimmed and unknown fields dropped.
+ * Throws an error with status 400 if a field has the wrong shape; any field
+ * can be set to null to clear it.
+ */
+export function normalizeRuleEdits(edits) {
+    if (!edits || typeof edits !== 'object' || Array.isArray(edits)) {
+        throw invalidRule('vibeRules must be an object');
+    }
+
+    const normalized = {};
+    const isSet = (field) => edits[field] !== undefined && edits[field] !== null;
+    const keep = (field) => {
+        if (edits[field] === null) normalized[field] = null;
+        return isSet(field);
+    };
+
+    for (const field of LIST_RULES) {
+        if (!keep(field)) continue;
+        const list = edits[field];
+        if (!Array.isArray(list) || !list.every(item => typeof item === 'string' && item.trim())) {
+            throw invalidRule(`vibeRules.${field} must be a list of names`);
+        }
+        normalized[field] = list.map(item => item.trim());
+    }
+
+    for (const [field, [lowest, highest]] of Object.entries(RANGE_RULES)) {
+        if (!keep(field)) continue;
+        const range = edits[field];
+        const bound = (value) => value === undefined || value === null ||
+            (Number.isInteger(value) && value >= lowest && value <= highest);
+        if (typeof range !== 'object' || Array.isArray(range) || !bound(range.min) || !bound(range.max) ||
+            (range.min != null && range.max != null && range.min > range.max)) {
+            throw invalidRule(`vibeRules.${field} must be { min, max } with whole numbers from ${lowest} to ${highest}, min not above max`);
+        }
+        normalized[field] = { min: range.min ?? null, max: range.max ?? null };
+    }
+
+    if (keep('explicitAllowed')) {
+        if (typeof edits.explicitAllowed !== 'boolean') {
+            throw invalidRule('vibeRules.explicitAllowed must be true or false');
+        }
+        normalized.explicitAllowed = edits.explicitAllowed;
+    }
+
+    if (keep('maxDurationSeconds')) {
+        if (!Number.isInteger(edits.maxDurationSeconds) || edits.maxDurationSeconds < 60) {
+            throw invalidRule('vibeRules.maxDurationSeconds must be at least 60 seconds, or null for no limit');
+        }
+        normalized.maxDurationSeconds = edits.maxDurationSeconds;
+    }
+
+    if (keep('minScore')) {
+        if (typeof edits.minScore !== 'number' || edits.minScore < 0 || edits.minScore > 1) {
+            throw invalidRule('vibeRules.minScore must be a number from 0 to 1');
+        }
+        normalized.minScore = edits.minScore;
+    }
+
+    if (keep('minVibeSimilarity')) {
+        if (typeof edits.minVibeSimilarity !== 'number' || edits.minVibeSimilarity < -1 || edits.minVibeSimilarity > 1) {
+            throw invalidRule('vibeRules.minVibeSimilarity must be a number from -1 to 1');
+        }
+        normalized.minVibeSimilarity = edits.minVibeSimilarity;
+    }
+
+    if (keep('ruleSeverity')) {
+        const severity = edits.ruleSeverity;
+        const valid = typeof severity === 'object' && !Array.isArray(severity) &&
+            Object.entries(severity).every(([rule, level]) => rule in DEFAULT_RULE_SEVERITY && ['hard', 'soft'].includes(level));
+        if (!valid) {
+            throw invalidRule(`vibeRules.ruleSeverity must map rules (${Object.keys(DEFAULT_RULE_SEVERITY).join(', ')}) to "hard" or "soft"`);
+        }
+        normalized.ruleSeverity = { ...severity };
+    }
+
+    return normalized;
+}
+
+/**
+ * Normalize genre/mood names so "Hip Hop", "hip-hop" and "hiphop" compare equal
+ */
+function normalize(value) {
+    return String(value).toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+function hasValues(list) {
+    return Array.isArray(list) && list.length > 0;
+}
+
+function toList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * "jazz fusion" matches "jazz", "r&b" matches "R&B"
+ */
+function genreMatches(songGenre, ruleGenre) {
+    const song = normalize(songGenre);
+    const rule = normalize(ruleGenre);
+    return song === rule || song.includes(rule) || rule.includes(song);
+}
+
+function artistMatches(songArtist, ruleArtist) {
+    return songArtist.toLowerCase().includes(String(ruleArtist).toLowerCase());
+}
+
+/**
+ * 754 -> "12:34"
+ */
+function formatMinutes(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function severityOf(rule, vibeRules) {
+    return vibeRules.ruleSeverity?.[rule] || DEFAULT_RULE_SEVERITY[rule] || 'soft';
+}
+
+/**
+ * Turn a list of violations into the final verdict
+ */
+function buildResult(violations, vibeRules, { priorityArtist = false } = {}) {
+    const minScore = vibeRules.minScore ?? DEFAULT_MIN_SCORE;
+
+    let score = 1;
+    for (const v of violations) {
+        if (v.severity === 'soft') score -= v.penalty;
+    }
+    if (priorityArtist) score += PRIORITY_ARTIST_BONUS;
+    score = Math.max(0, Math.min(1, Math.round(score * 100) / 100));
+
+    const hardViolations = violations.filter(v => v.severity === 'hard');
+    const matches = hardViolations.length === 0 && score >= minScore;
+
+    // First reason kept for callers that only show one message
+    let reason = 'Song matches the vibe!';
+    if (hardViolations.length > 0) {
+        reason = hardViolations[0].message;
+    } else if (!matches) {
+        reason = violations.map(v => v.message).join('; ');
+    }
+
+    return { matches, score, reason, violations, priorityArtist };
+}
+
+/**
+ * Evaluate all structured vibe rules for a song (no LLM calls)
+ * Rules are skipped when the song is missing the data to check them
+ */
+export function evaluateVibeRules(song, vibeRules) {
+    if (!vibeRules) {
+        return { matches: true, score: 1, reason: 'No rules set', violations: [], priorityArtist: false };
+    }
+
+    const violations = [];
+    const addViolation = (rule, message, penalty = SOFT_PENALTY[rule]) => {
+        violations.push({ rule, severity: severityOf(rule, vibeRules), message, penalty });
+    };
+
+    const songMoods = toList(song.mood).map(m => String(m).toLowerCase());
+    const artist = song.artist || '';
+
+    // Blocked artists
+    if (hasValues(vibeRules.blockedArtists) && artist) {
+        const blocked = vibeRules.blockedArtists.find(a => artistMatches(artist, a));
+        if (blocked) {
+            addViolation('blockedArtists', `Artist "${song.artist}" is blocked for this party`);
+        }
+    }
+
+    // Blocked genres
+    if (hasValues(vibeRules.blockedGenres) && song.genre) {
+        const blocked = vibeRules.blockedGenres.find(g => genreMatches(song.genre, g));
+        if (blocked) {
+            addViolation('blockedGenres', `Genre "${song.genre}" is not allowed for this vibe`);
+        }
+    }
+
+    // Allowed genres
+    if (hasValues(vibeRules.allowedGenres) && song.genre) {
+        const allowed = vibeRules.allowedGenres.some(g => genreMatches(song.genre, g));
+        if (!allowed) {
+            addViolation('allowedGenres', `Genre "${song.genre}" doesn't fit (${vibeRules.allowedGenres.join(', ')} only)`);
+        }
+    }
+
+    // Blocked moods
+    if (hasValues(vibeRules.blockedMoods) && songMoods.length > 0) {
+        const blockedMood = vibeRules.blockedMoods.find(m => songMoods.includes(m.toLowerCase()));
+        if (blockedMood) {
+            addViolation('blockedMoods', `Song mood "${blockedMood}" is not allowed for this vibe`);
+        }
+    }
+
+    // Allowed moods
+    if (hasValues(vibeRules.allowedMoods) && songMoods.length > 0) {
+        const hasAllowedMood = vibeRules.allowedMoods.some(m => songMoods.includes(m.toLowerCase()));
+        if (!hasAllowedMood) {
+            addViolation('allowedMoods', `Song doesn't match the required mood (${vibeRules.allowedMoods.join(', ')})`);
+        }
+    }
+
+    // Era / year
+    if (vibeRules.allowedEras && song.year) {
+        if (vibeRules.allowedEras.min && song.year < vibeRules.allowedEras.min) {
+            addViolation('allowedEras', `Song is from ${song.year}, but party requires ${vibeRules.allowedEras.min}+`);
+        } else if (vibeRules.allowedEras.max && song.year > vibeRules.allowedEras.max) {
+            addViolation('allowedEras', `Song is from ${song.year}, but party is for pre-${vibeRules.allowedEras.max}`);
+        }
+    }
+
+    // Energy range (penalty grows with distance from the range)
+    if (vibeRules.energyRange && song.energy != null) {
+        const { min, max } = vibeRules.energyRange;
+        const distance = (min != null && song.energy < min) ? min - song.energy
+            : (max != null && song.energy > max) ? song.energy - max
+                : 0;
+        if (distance > 0) {
+            addViolation(
+                'energyRange',
+                `Song energy ${song.energy}/10 is outside the party's ${min ?? 1}-${max ?? 10} range`,
+                Math.round(SOFT_PENALTY.energyRange * distance * 100) / 100
+            );
+        }
+    }
+
+    // Track length (vibeRules.maxDurationSeconds - a per-party cap, e.g. no hour-long mixes)
+    if (vibeRules.maxDurationSeconds && song.duration && song.duration > vibeRules.maxDurationSeconds) {
+        addViolation('maxDuration', `Song is ${formatMinutes(song.duration)} long, but this party plays tracks up to ${formatMinutes(vibeRules.maxDurationSeconds)}`);
+    }
+
+    // Explicit content
+    if (vibeRules.explicitAllowed === false && song.explicit === true) {
+        addViolation('explicitAllowed', 'Explicit songs are not allowed at this party');
+    }
+
+    // Semantic distance from the vibe description
+    const minSimilarity = vibeRules.minVibeSimilarity ?? DEFAULT_MIN_VIBE_SIMILARITY;
+    if (song.vibeSimilarity != null && song.vibeSimilarity < minSimilarity) {
+        addViolation('vibeSimilarity', `Song is too far from the party vibe (similarity ${song.vibeSimilarity.toFixed(2)}, needs ${minSimilarity})`);
+    }
+
+    // Priority artists (bonus, never a violation)
+    const priorityArtist = hasValues(vibeRules.priorityArtists) && !!artist &&
+        vibeRules.priorityArtists.some(a => artistMatches(artist, a));
+
+    return buildResult(violations, vibeRules, { priorityArtist });
+}
+
+/**
+ * Ask the LLM whether a song satisfies the party's free-text custom rules
+ * Returns [{ rule, passes, reason }] - empty if the judge is unavailable
+ */
+export async function judgeCustomRules(song, customRules) {
+    if (!hasValues(customRules)) return [];
+
+    try {
+        const songInfo = {
+            title: song.title,
+            artist: song.artist,
+            year: song.year || null,
+            genre: song.genre || null,
+            mood: song.mood || null,
+            energy: song.energy ?? null,
+            explicit: song.explicit ?? null,
+        };
+
+        const response = await llm.invoke([
+            {
+                role: 'system',
+                content: `You are a strict music judge for a party DJ. Decide whether a song follows each of the party's rules.
+
+  Return ONLY valid JSON:
+  {
+    "results": [
+      { "rule": "the rule text", "passes": true, "reason": "short reason" }
+    ]
+  }
+
+  Judge each rule independently. If a rule is unrelated to songs (e.g. about food or dress code), it passes.`
+            },
+            {
+                role: 'user',
+                content: `Song: ${JSON.stringify(songInfo)}\nRules:\n${customRules.map((r, i) => `${i + 1}. ${r}`).join('\n')}`
+            }
+        ]);
+
+        let jsonStr = response.content;
+        if (jsonStr.includes('```')) {
+            const match = jsonStr.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+            if (match) jsonStr = match[1];
+        }
+
+        const parsed = JSON.parse(jsonStr);
+        return Array.isArray(parsed.results) ? parsed.results : [];
+
+    } catch (error) {
+        console.error(' [Vibe Judge] Error:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Full vibe check: structured rules first, then the LLM judge for customRules
+ * The judge only runs if the song already passes the structured rules
+ */
+export async function evaluateVibeRulesWithJudge(song, vibeRules) {
+    const result = evaluateVibeRules(song, vibeRules);
+    if (!result.matches || !hasValues(vibeRules?.customRules)) return result;
+
+    const judgements = await judgeCustomRules(song, vibeRules.customRules);
+    const failed = judgements.filter(j => j.passes === false);
+    if (failed.length === 0) return result;
+
+    const violations = [
+        ...result.violations,
+        ...failed.map(j => ({
+            rule: 'customRules',
+            severity: severityOf('customRules', vibeRules),
+            message: j.reason ? `${j.rule}: ${j.reason}` : `Breaks the rule "${j.rule}"`,
+            penalty: SOFT_PENALTY.customRules,
+        }))
+    ];
+
+    return buildResult(violations, vibeRules, { priorityArtist: result.priorityArtist });
+}
+
+export default {
+    DEFAULT_RULE_SEVERITY,
+    DEFAULT_MIN_VIBE_SIMILARITY,
+    normalizeRuleEdits,
+    evaluateVibeRules,
+    judgeCustomRules,
+    evaluateVibeRulesWithJudge
+};
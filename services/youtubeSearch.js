@@ -1,16 +1,352 @@
-
 /**
   * YouTube Search Service
   * Search YouTube for songs not found in catalog
+  *
+  * Each search result is parsed into title / artist / featured artists and
+  * scored against the request: title and artist similarity, how trustworthy
+  * the channel is (VEVO, "- Topic", the artist's own), a sane duration (from
+  * the videos endpoint) and penalties for live/cover/remix/sped-up versions
+  * the user didn't ask for. The best-scoring video wins.
+  *
+  * Parsing is regression-tested against recorded API responses in
+  * test/fixtures/youtube (record new ones with scripts/record-youtube-fixture.js).
   */
 
 import dotenv from 'dotenv';
 dotenv.config();
 
+const API_URL = 'https://www.googleapis.com/youtube/v3';
+
+// Channels that upload anything
+const GENERIC_CHANNELS = ['release', 'various artists', 'music', 'songs', 'lyrics'];
+
+// Not a single song
+const COMPILATION = /\b(compilation|playlist|full album|mix 20\d\d|top \d+|greatest hits|non ?stop)\b/i;
+
+// Versions nobody gets unless they ask for them (same words in the request = no penalty)
+const VARIANTS = {
+    live: /\blive\b/i,
+    cover: /\bcover\b/i,
+    remix: /\b(remix|rmx|bootleg|mashup)\b/i,
+    'sped up': /\b(sped ?up|speed ?up|nightcore)\b/i,
+    slowed: /\b(slowed|reverb)\b/i,
+    karaoke: /\bkaraoke\b/i,
+    instrumental: /\binstrumental\b/i,
+    '8d': /\b8d\b/i,
+    acoustic: /\bacoustic\b/i
+};
+const variantsOf = text => Object.keys(VARIANTS).filter(name => VARIANTS[name].test(text));
+
+// Bracketed bits that describe the upload, not the song
+const NOISE = /\b(official|video|audio|lyrics?|visuali[sz]er|clip|hd|hq|4k|remaster(ed)?|music video|mv|color coded|with lyrics)\b/i;
+
+// "feat. X", "ft X", "featuring X" (and "with X" inside brackets)
+const FEATURING = /\s*\b(?:feat\.?|ft\.?|featuring)\s+(.+)$/i;
+const BRACKET_FEATURING = /^(?:feat\.?|ft\.?|featuring|with)\s+(.+)$/i;
+
+const MIN_DURATION = 60;        // seconds - shorter is a snippet/teaser
+const LONG_DURATION = 10 * 60;  // longer is suspicious
+const MAX_DURATION = 15 * 60;   // longer is a mix/album
+
+const ENTITIES = { '&amp;': '&', '&quot;': '"', '&#39;': "'", '&apos;': "'", '&lt;': '<', '&gt;': '>' };
+
+/**
+ * The search API returns HTML-escaped titles ("Don&#39;t Stop")
+ */
+function decodeEntities(text = '') {
+    return text
+        .replace(/&(amp|quot|#39|apos|lt|gt);/g, entity => ENTITIES[entity])
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)));
+}
+
+function normalize(text = '') {
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function bigrams(text) {
+    const compact = normalize(text).replace(/\s+/g, ' ');
+    const grams = [];
+    for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+    return grams;
+}
+
+/**
+ * Dice coefficient over character bigrams, 0..1 - tolerant to typos and word order
+ */
+export function similarity(a, b) {
+    const left = bigrams(a);
+    const right = bigrams(b);
+    if (left.length === 0 || right.length === 0) return normalize(a) === normalize(b) && normalize(a) ? 1 : 0;
+
+    const counts = new Map();
+    for (const gram of left) counts.set(gram, (counts.get(gram) || 0) + 1);
+
+    let shared = 0;
+    for (const gram of right) {
+        if (counts.get(gram) > 0) {
+            shared += 1;
+            counts.set(gram, counts.get(gram) - 1);
+        }
+    }
+    return (2 * shared) / (left.length + right.length);
+}
+
+function splitArtists(text) {
+    return text
+        .split(/\s*(?:,|&|\band\b|\bx\b(?=\s+[A-Z]))\s*/)
+        .map(name => name.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Channel name -> artist ("Miles Davis - Topic", "AdeleVEVO", "Adele Official")
+ */
+export function channelArtist(channelTitle = '') {
+    const channel = decodeEntities(channelTitle).trim();
+
+    // VEVO channels are one word: "TheBeatlesVEVO", "DJKhaledVEVO"
+    if (/\S+VEVO$/.test(channel) && !/\s/.test(channel)) {
+        return channel.replace(/VEVO$/, '')
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/([A-Z])([A-Z][a-z])/g, '$1 $2');
+    }
+
+    return channel
+        .replace(/\s*-\s*Topic$/i, '')
+        .replace(/\s*VEVO$/i, '')
+        .replace(/\s*Official(\s+Channel)?$/i, '')
+        .trim();
+}
+
+/**
+ * Video title + channel -> { title, artist, featuredArtists, variants }
+ * - "Artist - Title (feat. X) [Official Video]" -> Title / Artist / [X]
+ * - no "Artist - " prefix: the channel is the artist ("- Topic" channels title songs plainly)
+ * - upload noise in brackets is dropped; live/remix/... brackets are kept in the title
+ */
+export function parseVideoTitle(rawTitle, channelTitle = '') {
+    let text = decodeEntities(rawTitle)
+        .replace(/\s*\|.*$/, '') // "Title | Channel stuff"
+        .trim();
+    const featuredArtists = [];
+
+    // Bracketed parts: featuring -> featured, upload noise -> dropped, the rest stays
+    text = text.replace(/\s*[([]([^)\]]*)[)\]]/g, (match, inside) => {
+        const featuring = inside.trim().match(BRACKET_FEATURING);
+        if (featuring) {
+            featuredArtists.push(...splitArtists(featuring[1]));
+            return '';
+        }
+        if (/^\s*(19|20)\d{2}\s*$/.test(inside)) return '';
+        if (!NOISE.test(inside)) return match;
+        // "[Official Live Video]" -> " (Live)"
+        const kept = inside.replace(new RegExp(NOISE.source, 'gi'), '').replace(/\s{2,}/g, ' ').trim();
+        return variantsOf(inside).length > 0 && kept ? ` (${kept})` : '';
+    }).trim();
+
+    const separator = text.match(/\s+[-–—]\s+/);
+    let artist;
+    let title;
+    if (separator) {
+        artist = text.slice(0, separator.index).trim();
+        title = text.slice(separator.index + separator[0].length).trim();
+    } else {
+        artist = channelArtist(channelTitle);
+        title = text;
+    }
+
+    // Unbracketed "ft. X" after the artist or the title
+    for (const part of ['artist', 'title']) {
+        const value = part === 'artist' ? artist : title;
+        const featuring = value.match(FEATURING);
+        if (featuring) {
+            featuredArtists.push(...splitArtists(featuring[1].replace(/[-–—]\s*$/, '')));
+            if (part === 'artist') artist = value.slice(0, featuring.index).trim();
+            else title = value.slice(0, featuring.index).trim();
+        }
+    }
+
+    title = title.replace(/\s*\b(official\s+(music\s+)?(video|audio)|music video|lyric video)\b\s*/gi, ' ')
+        .replace(/\s{2,}/g, ' ')
+        .replace(/^["'“]+|["'”]+$/g, '')
+        .trim();
+
+    return {
+        title,
+        artist: artist || channelArtist(channelTitle),
+        featuredArtists: [...new Set(featuredArtists)],
+        variants: variantsOf(decodeEntities(rawTitle))
+    };
+}
+
+/**
+ * ISO 8601 duration ("PT3M45S") -> seconds
+ */
+export function parseDuration(iso) {
+    const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/.exec(iso || '');
+    if (!match) return null;
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(n => parseInt(n) || 0);
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+}
+
+/**
+ * The release year, if the upload says it - never the upload date
+ * (auto-generated "- Topic" uploads have "Released on: 2019-05-03" in the description)
+ */
+export function releaseYear(rawTitle, description = '') {
+    const released = description.match(/Released on:\s*(\d{4})/i);
+    if (released) return parseInt(released[1]);
+
+    const inTitle = decodeEntities(rawTitle).match(/[([]\s*((?:19|20)\d{2})\s*[)\]]/);
+    return inTitle ? parseInt(inTitle[1]) : null;
+}
+
+/**
+ * How much to trust an upload by its channel
+ */
+function channelTrust(channelTitle, parsed) {
+    const channel = decodeEntities(channelTitle);
+    if (/VEVO$/i.test(channel) || /\s-\sTopic$/i.test(channel)) return 0.15;
+    if (similarity(channelArtist(channel), parsed.artist) >= 0.8) return 0.1;
+    if (/official/i.test(channel)) return 0.05;
+    return 0;
+}
+
+function durationPenalty(duration) {
+    if (duration === null || duration === undefined) return 0;
+    if (duration < MIN_DURATION || duration > MAX_DURATION) return 0.3;
+    if (duration > LONG_DURATION) return 0.1;
+    return 0;
+}
+
+/**
+ * Score a parsed video against the request, 0..1-ish (higher is better)
+ * request: { query, title, artist } - title/artist when the request was parsed, else just the query
+ */
+export function scoreVideo(video, request) {
+    const { parsed, channelTitle, duration } = video;
+    const wanted = normalize(request.query || `${request.title || ''} ${request.artist || ''}`);
+    const artists = [parsed.artist, ...parsed.featuredArtists, channelArtist(channelTitle)];
+
+    let score = 0;
+    if (request.title) {
+        score += 0.55 * similarity(request.title, parsed.title);
+        score += request.artist ? 0.3 * Math.max(...artists.map(a => similarity(request.artist, a))) : 0.15;
+    } else if (request.artist) {
+        score += 0.85 * Math.max(...artists.map(a => similarity(request.artist, a)));
+    } else {
+        score += 0.85 * similarity(wanted, `${parsed.artist} ${parsed.title}`);
+    }
+
+    score += channelTrust(channelTitle, parsed);
+    score -= durationPenalty(duration);
+    // Unrequested versions lose, requested ones win ("bohemian rhapsody live")
+    const requested = variantsOf(wanted);
+    score -= 0.25 * parsed.variants.filter(name => !requested.includes(name)).length;
+    score += 0.15 * parsed.variants.filter(name => requested.includes(name)).length;
+    if (/\blyrics?\b/i.test(video.rawTitle)) score -= 0.05; // mostly fan uploads
+
+    return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Is this upload ever a song? (compilations, generic channels)
+ */
+function isCandidate(item) {
+    const channelTitle = (item.snippet.channelTitle || '').toLowerCase();
+    const title = decodeEntities(item.snippet.title || '');
+
+    if (GENERIC_CHANNELS.includes(channelTitle)) {
+        console.log(`  Skipping generic channel: ${item.snippet.channelTitle}`);
+        return false;
+    }
+    if (COMPILATION.test(title)) {
+        console.log(`  Skipping compilation: ${title}`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Search API URL for a query (Music category only - videoCategoryId=10)
+ */
+export function searchUrl(query, key) {
+    return `${API_URL}/search?part=snippet&type=video&videoCategoryId=10&maxResults=10` +
+        `&q=${encodeURIComponent(query + " official")}&key=${key}`;
+}
+
+/**
+ * Videos API URL for durations and full descriptions
+ */
+export function videosUrl(ids, key) {
+    return `${API_URL}/videos?part=contentDetails,snippet&id=${ids.join(',')}&key=${key}`;
+}
+
+/**
+ * videoId -> { duration, description } from a videos API response
+ */
+function videoDetails(videosResponse) {
+    return new Map((videosResponse?.items || []).map(item => [item.id, {
+        duration: parseDuration(item.contentDetails?.duration),
+        description: item.snippet?.description || ''
+    }]));
+}
+
+/**
+ * Rank search response items for a request - best first
+ * Each entry: { item, parsed, channelTitle, duration, description, rawTitle, score }
+ */
+export function rankResults(items, details, request) {
+    return items
+        .filter(item => item.id?.videoId && item.snippet && isCandidate(item))
+        .map((item) => {
+            const detail = details.get(item.id.videoId) || {};
+            const video = {
+                item,
+                rawTitle: decodeEntities(item.snippet.title || ''),
+                channelTitle: item.snippet.channelTitle || '',
+                parsed: parseVideoTitle(item.snippet.title || '', item.snippet.channelTitle || ''),
+                duration: detail.duration ?? null,
+                description: detail.description || item.snippet.description || ''
+            };
+            return { ...video, score: scoreVideo(video, request) };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The song in a search (+ videos) API response that best fits the request, or null
+ * Pure - the recorded fixtures in test/fixtures/youtube go through here.
+ */
+export function pickBestResult(searchResponse, videosResponse, request) {
+    const ranked = rankResults(searchResponse?.items || [], videoDetails(videosResponse), request);
+    if (ranked.length === 0) return null;
+
+    const best = ranked[0];
+    const thumbnails = best.item.snippet.thumbnails || {};
+    return {
+        title: best.parsed.title,
+        artist: best.parsed.artist,
+        featuredArtists: best.parsed.featuredArtists,
+        youtubeId: best.item.id.videoId,
+        coverUrl: thumbnails.high?.url || thumbnails.default?.url || null,
+        year: releaseYear(best.rawTitle, best.description),
+        duration: best.duration,
+        score: best.score
+    };
+}
+
 /**
  * Search YouTube for a song using the Data API v3
+ * query: the search text; request (optional): { title, artist } it was built from, for ranking.
+ * Returns { title, artist, featuredArtists, youtubeId, coverUrl, year, duration } or null.
  */
-export async function searchYouTube(query) {
+export async function searchYouTube(query, { title = null, artist = null } = {}) {
     const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
 
     if (!YOUTUBE_API_KEY) {
@@ -21,12 +357,7 @@ export async function searchYouTube(query) {
     try {
         console.log(`🔎 [YouTube] Searching for: "${query}"`);
 
-        // Search for music videos (videoCategoryId=10 is Music)
-        const searchUrl = `https://www.googleapis.com/youtube/v3/search?` +
-            `part=snippet&type=video&videoCategoryId=10&maxResults=10` +
-            `&q=${encodeURIComponent(query + " official")}&key=${YOUTUBE_API_KEY}`;
-
-        const searchResponse = await fetch(searchUrl);
+        const searchResponse = await fetch(searchUrl(query, YOUTUBE_API_KEY));
         const searchData = await searchResponse.json();
 
         if (searchData.error) {
@@ -39,101 +370,27 @@ export async function searchYouTube(query) {
             return null;
         }
 
-        // Filter and find the best result
-        const validResults = searchData.items.filter(video => {
-            const channelTitle = video.snippet.channelTitle || '';
-            const title = video.snippet.title || '';
-
-            // Skip auto-generated "Topic" channels (low quality)
-            if (channelTitle.endsWith(' - Topic')) {
-                console.log(`  Skipping Topic channel: ${channelTitle}`);
-                return false;
-            }
-
-            // Skip if channel name is generic/suspicious
-            const badChannels = ['Release', 'Various Artists', 'Music', 'Songs', 'Lyrics'];
-            if (badChannels.some(bad => channelTitle.toLowerCase() === bad.toLowerCase())) {
-                console.log(`  Skipping generic channel: ${channelTitle}`);
-                return false;
+        // Durations and release info - ranking copes without them
+        let videosData = null;
+        try {
+            const ids = searchData.items.map(item => item.id?.videoId).filter(Boolean);
+            videosData = await (await fetch(videosUrl(ids, YOUTUBE_API_KEY))).json();
+            if (videosData.error) {
+                console.warn(' YouTube videos API error:', videosData.error.message);
+                videosData = null;
             }
+        } catch (error) {
+            console.warn(' YouTube videos lookup failed:', error.message);
+        }
 
-            // Skip compilations and mixes
-            if (title.toLowerCase().includes('compilation') ||
-                title.toLowerCase().includes('mix 20') ||
-                title.toLowerCase().includes('playlist')) {
-                console.log(`  Skipping compilation: ${title}`);
-                return false;
-            }
-
-            return true;
-        });
-
-        if (validResults.length === 0) {
+        const best = pickBestResult(searchData, videosData, { query, title, artist });
+        if (!best) {
             console.log('No valid YouTube results after filtering');
             return null;
         }
 
-        // Prefer VEVO or official artist channels
-        let video = validResults.find(v =>
-            v.snippet.channelTitle.includes('VEVO') ||
-            v.snippet.channelTitle.toLowerCase().includes('official')
-        ) || validResults[0];
-
-        const snippet = video.snippet;
-
-        // Parse title to extract song name and artist
-        let title = snippet.title;
-        let artist = snippet.channelTitle;
-
-        // Clean up VEVO channel names -> actual artist name
-        if (artist.endsWith('VEVO')) {
-            artist = artist.replace('VEVO', '').trim();
-        }
-
-        // Try to parse "Artist - Title" format
-        if (title.includes(' - ')) {
-            const parts = title.split(' - ');
-            artist = parts[0].trim();
-            title = parts.slice(1).join(' - '); // Handle multiple dashes
-        }
-
-        // Clean up title - remove common suffixes
-        title = title
-            .replace(/\(Official.*?\)/gi, '')
-            .replace(/\[Official.*?\]/gi, '')
-            .replace(/\(Audio\)/gi, '')
-            .replace(/\(Lyric.*?\)/gi, '')
-            .replace(/\(Music Video\)/gi, '')
-            .replace(/\(Video Clip\)/gi, '')
-            .replace(/\(Clip Officiel\)/gi, '')
-            .replace(/Official Video/gi, '')
-            .replace(/Official Audio/gi, '')
-            .replace(/Official Music Video/gi, '')
-            .replace(/\|.*$/g, '') // Remove everything after |
-            .replace(/ft\..*$/gi, '') // Remove featuring info at end
-            .replace(/feat\..*$/gi, '')
-            .trim();
-
-        // Clean up artist name
-        artist = artist
-            .replace(/VEVO$/i, '')
-            .replace(/Official$/i, '')
-            .replace(/ - Topic$/i, '')
-            .trim();
-
-        // Extract year from publish date
-        const publishDate = new Date(snippet.publishedAt);
-        const year = publishDate.getFullYear();
-
-        const result = {
-            title,
-            artist,
-            youtubeId: video.id.videoId,
-            coverUrl: snippet.thumbnails.high?.url || snippet.thumbnails.default?.url,
-            year,
-        };
-
-        console.log(`✅ [YouTube] Found: "${result.title}" by ${result.artist}`);
+        const { score, ...result } = best;
+        console.log(`✅ [YouTube] Found: "${result.title}" by ${result.artist} (score ${score})`);
         return result;
 
     } catch (error) {
@@ -142,4 +399,16 @@ export async function searchYouTube(query) {
     }
 }
 
-export default { searchYouTube };
\ No newline at end of file
+export default {
+    similarity,
+    channelArtist,
+    parseVideoTitle,
+    parseDuration,
+    releaseYear,
+    scoreVideo,
+    searchUrl,
+    videosUrl,
+    rankResults,
+    pickBestResult,
+    searchYouTube
+};
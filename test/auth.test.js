@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createUser } from './helpers/testServer.js';
+
+describe('Auth routes', () => {
+    let server;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    describe('POST /api/auth/signup', () => {
+        it('creates a user, hashes the password and returns tokens', async () => {
+            const res = await server.api.post('/api/auth/signup')
+                .send({ email: 'signup@test.com', password: 'secret', name: 'Sam' });
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.user.email, 'signup@test.com');
+            assert.ok(res.body.accessToken);
+            assert.ok(res.body.refreshToken);
+            assert.equal(res.body.user.password, undefined);
+
+            const stored = await server.pgclient.query('SELECT password FROM "User" WHERE email = $1', ['signup@test.com']);
+            assert.match(stored.rows[0].password, /^scrypt\$/);
+        });
+
+        it('rejects duplicate emails', async () => {
+            await server.api.post('/api/auth/signup').send({ email: 'dup@test.com', password: 'x' });
+            const res = await server.api.post('/api/auth/signup').send({ email: 'dup@test.com', password: 'x' });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'User already exists');
+        });
+
+        it('requires email and password', async () => {
+            const res = await server.api.post('/api/auth/signup').send({ email: 'nopass@test.com' });
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('POST /api/auth/login', () => {
+        it('logs in with the right password', async () => {
+            const user = await createUser(server.app);
+            const res = await server.api.post('/api/auth/login')
+                .send({ email: user.user.email, password: user.password });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.user.id, user.user.id);
+            assert.ok(res.body.accessToken);
+        });
+
+        it('rejects a wrong password', async () => {
+            const user = await createUser(server.app);
+            const res = await server.api.post('/api/auth/login')
+                .send({ email: user.user.email, password: 'wrong' });
+
+            assert.equal(res.status, 401);
+        });
+
+        it('accepts a legacy plain text password once and upgrades it to a hash', async () => {
+            await server.pgclient.query(
+                `INSERT INTO "User" (email, password, name) VALUES ('legacy@test.com', 'plain', 'Old')`
+            );
+
+            const res = await server.api.post('/api/auth/login')
+                .send({ email: 'legacy@test.com', password: 'plain' });
+            assert.equal(res.status, 200);
+
+            const stored = await server.pgclient.query('SELECT password FROM "User" WHERE email = $1', ['legacy@test.com']);
+            assert.match(stored.rows[0].password, /^scrypt\$/);
+        });
+    });
+
+    describe('POST /api/auth/refresh and /logout', () => {
+        it('rotates the refresh token', async () => {
+            const user = await createUser(server.app);
+
+            const res = await server.api.post('/api/auth/refresh').send({ refreshToken: user.refreshToken });
+            assert.equal(res.status, 200);
+            assert.notEqual(res.body.refreshToken, user.refreshToken);
+
+            // Old token is revoked after rotation
+            const reuse = await server.api.post('/api/auth/refresh').send({ refreshToken: user.refreshToken });
+            assert.equal(reuse.status, 401);
+        });
+
+        it('rotates a refresh token only once when it is used concurrently', async () => {
+            const user = await createUser(server.app);
+
+            const results = await Promise.all([1, 2, 3].map(() =>
+                server.api.post('/api/auth/refresh').send({ refreshToken: user.refreshToken })
+            ));
+            assert.deepEqual(results.map(r => r.status).sort(), [200, 401, 401]);
+        });
+
+        it('revokes the refresh token on logout', async () => {
+            const user = await createUser(server.app);
+
+            const res = await server.api.post('/api/auth/logout').send({ refreshToken: user.refreshToken });
+            assert.equal(res.status, 200);
+
+            const after = await server.api.post('/api/auth/refresh').send({ refreshToken: user.refreshToken });
+            assert.equal(after.status, 401);
+        });
+    });
+
+    describe('GET /api/auth/me', () => {
+        it('returns the logged-in user', async () => {
+            const user = await createUser(server.app);
+            const res = await server.api.get('/api/auth/me').set('Authorization', user.auth);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.user.id, user.user.id);
+            assert.equal(res.body.user.isAdmin, false);
+        });
+
+        it('rejects missing and invalid tokens', async () => {
+            assert.equal((await server.api.get('/api/auth/me')).status, 401);
+            assert.equal((await server.api.get('/api/auth/me').set('Authorization', 'Bearer nope')).status, 401);
+        });
+    });
+});
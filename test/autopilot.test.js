@@ -0,0 +1,126 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createUser, createParty, joinParty } from './helpers/testServer.js';
+import { seedCatalogSong } from './helpers/fixtures.js';
+import { resetFakeResponders } from '../services/fakeLLM.js';
+
+describe('Autopilot', () => {
+    let server;
+    let host;
+    let guest;
+    let party;
+    let autopilot;
+
+    const setAutopilot = (user, body) => server.api
+        .patch(`/api/party/${party.id}/autopilot`)
+        .set('Authorization', user.auth)
+        .send(body);
+
+    const playback = action => server.api
+        .post(`/api/party/${party.id}/playback`)
+        .set('Authorization', host.auth)
+        .send({ action });
+
+    const partySongs = async () => (await server.pgclient.query(
+        'SELECT * FROM "Song" WHERE "partyId" = $1 ORDER BY "createdAt"',
+        [party.id]
+    )).rows;
+
+    before(async () => {
+        server = await startTestServer();
+        autopilot = await import('../services/autopilotService.js');
+
+        // Three songs fit "chill jazz, no explicit", the metal one never does
+        await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis' }, { embed: false });
+        await seedCatalogSong(server.pgclient, { title: 'Blue in Green', artist: 'Miles Davis' }, { embed: false });
+        await seedCatalogSong(server.pgclient, { title: 'Take Five', artist: 'Dave Brubeck' }, { embed: false });
+        await seedCatalogSong(server.pgclient, { title: 'Raining Blood', artist: 'Slayer', mood: ['angry'], genre: 'metal' }, { embed: false });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        resetFakeResponders();
+        host = await createUser(server.app);
+        guest = await createUser(server.app);
+        party = await createParty(server.app, host);
+        await joinParty(server.app, guest, party.id);
+    });
+
+    describe('PATCH /api/party/:id/autopilot', () => {
+        it('fills a short queue with vibe-compliant songs from different artists', async () => {
+            const res = await setAutopilot(host, { enabled: true, minPending: 2 });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.party.autopilotEnabled, true);
+            assert.equal(res.body.added.length, 2);
+            assert.equal(new Set(res.body.added.map(s => s.artist)).size, 2);
+            assert.ok(res.body.added.every(s => s.addedBy === autopilot.AUTOPILOT_USER_ID && s.artist !== 'Slayer'));
+
+            const messages = await server.pgclient.query('SELECT * FROM "ChatMessage" WHERE "partyId" = $1', [party.id]);
+            assert.equal(messages.rows.length, 1);
+            assert.equal(messages.rows[0].role, 'ASSISTANT');
+            assert.equal(messages.rows[0].metadata.autopilot, true);
+            assert.match(messages.rows[0].content, /running low/);
+        });
+
+        it('adds nothing while the queue is long enough', async () => {
+            await server.api.post(`/api/party/${party.id}/queue`).set('Authorization', host.auth).send({ title: 'Song A', artist: 'Someone' });
+
+            const res = await setAutopilot(host, { enabled: true, minPending: 1 });
+            assert.deepEqual(res.body.added, []);
+        });
+
+        it('is host/co-host only and validates its settings', async () => {
+            const denied = await setAutopilot(guest, { enabled: true });
+            assert.equal(denied.status, 403);
+
+            const invalid = await setAutopilot(host, { minPending: 50 });
+            assert.equal(invalid.status, 400);
+
+            const empty = await setAutopilot(host, {});
+            assert.equal(empty.status, 400);
+        });
+    });
+
+    describe('during playback', () => {
+        it('tops up as songs play and never repeats one', async () => {
+            await setAutopilot(host, { enabled: true, minPending: 1 });
+            await playback('play');
+
+            let songs = await partySongs();
+            assert.equal(songs.filter(s => s.status === 'PENDING').length, 1);
+
+            await playback('skip');
+            await playback('skip');
+
+            // All three fitting songs are used up - playback stops instead of repeating
+            const res = await playback('skip');
+            assert.equal(res.body.nowPlaying.status, 'STOPPED');
+
+            songs = await partySongs();
+            assert.equal(songs.length, 3);
+            assert.equal(new Set(songs.map(s => s.title)).size, 3);
+            assert.ok(songs.every(s => s.status === 'PLAYED'));
+        });
+
+        it('leaves the queue alone when autopilot is off', async () => {
+            const res = await playback('play');
+            assert.equal(res.body.nowPlaying.status, 'STOPPED');
+            assert.deepEqual(await partySongs(), []);
+        });
+    });
+
+    describe('pickBalanced', () => {
+        const song = (title, artist) => ({ title, artist });
+
+        it('prefers artists that were heard least recently, keeping rank order on ties', () => {
+            const candidates = [song('a1', 'A'), song('a2', 'A'), song('b1', 'B'), song('c1', 'C')];
+
+            const picks = autopilot.pickBalanced(candidates, 3, ['b']);
+            assert.deepEqual(picks.map(s => s.title), ['a1', 'c1', 'a2']);
+        });
+    });
+});
@@ -0,0 +1,393 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createUser } from './helpers/testServer.js';
+import { seedCatalogSong, mockSongAnalysis } from './helpers/fixtures.js';
+import { resetFakeResponders, setFakeResponder } from '../services/fakeLLM.js';
+
+describe('Catalog admin', () => {
+    let server;
+    let admin;
+    let user;
+    let importer;
+
+    const embeddingOf = async (id) => (await server.pgclient.query(
+        'SELECT embedding::text FROM "SongCatalog" WHERE id = $1',
+        [id]
+    )).rows[0]?.embedding;
+
+    const auditOf = async (catalogId) => (await server.api
+        .get(`/api/catalog/audit?catalogId=${catalogId}`)
+        .set('Authorization', admin.auth)).body.entries;
+
+    before(async () => {
+        server = await startTestServer();
+        importer = await import('../services/catalogImport.js');
+        admin = await createUser(server.app);
+        user = await createUser(server.app);
+        await server.pgclient.query('UPDATE "User" SET "isAdmin" = true WHERE id = $1', [admin.user.id]);
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        resetFakeResponders();
+        await server.pgclient.query('DELETE FROM "SongCatalog"');
+    });
+
+    it('is admin-only', async () => {
+        const denied = await server.api.get('/api/catalog').set('Authorization', user.auth);
+        assert.equal(denied.status, 403);
+
+        const anonymous = await server.api.get('/api/catalog');
+        assert.equal(anonymous.status, 401);
+    });
+
+    describe('GET /api/catalog', () => {
+        it('searches, filters and paginates', async () => {
+            await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis' }, { embed: false });
+            await seedCatalogSong(server.pgclient, { title: 'Blue in Green', artist: 'Miles Davis' }, { embed: false });
+            await seedCatalogSong(server.pgclient, { title: 'Thunderstruck', artist: 'AC/DC', mood: ['energetic'], genre: 'rock' }, { embed: false });
+
+            const miles = await server.api.get('/api/catalog?q=miles&limit=1').set('Authorization', admin.auth);
+            assert.equal(miles.status, 200);
+            assert.deepEqual(miles.body.pagination, { total: 2, limit: 1, offset: 0 });
+            assert.equal(miles.body.songs[0].title, 'Blue in Green');
+
+            const rock = await server.api.get('/api/catalog?mood=Energetic&genre=rock').set('Authorization', admin.auth);
+            assert.deepEqual(rock.body.songs.map(s => s.title), ['Thunderstruck']);
+        });
+    });
+
+    describe('POST /api/catalog', () => {
+        it('creates an embedded song and audits it', async () => {
+            const res = await server.api.post('/api/catalog').set('Authorization', admin.auth)
+                .send({ title: ' Take Five ', artist: 'Dave Brubeck', mood: ['Calm', 'calm'], genre: 'jazz', energy: 4 });
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.song.title, 'Take Five');
+            assert.deepEqual(res.body.song.mood, ['calm']);
+            assert.equal(res.body.song.hasEmbedding, true);
+
+            const audit = await auditOf(res.body.song.id);
+            assert.equal(audit[0].action, 'CREATE');
+            assert.equal(audit[0].userId, admin.user.id);
+            assert.equal(audit[0].changes.after.artist, 'Dave Brubeck');
+        });
+
+        it('validates its input', async () => {
+            const missing = await server.api.post('/api/catalog').set('Authorization', admin.auth).send({ title: 'No Artist' });
+            assert.equal(missing.status, 400);
+
+            const badMood = await server.api.post('/api/catalog').set('Authorization', admin.auth)
+                .send({ title: 'A', artist: 'B', mood: 'calm' });
+            assert.equal(badMood.status, 400);
+
+            const badEnergy = await server.api.post('/api/catalog').set('Authorization', admin.auth)
+                .send({ title: 'A', artist: 'B', energy: 11 });
+            assert.equal(badEnergy.status, 400);
+        });
+    });
+
+    describe('PATCH /api/catalog/:id', () => {
+        it('re-embeds when an embedded field changes and records the diff', async () => {
+            const song = await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davies' });
+            const before = await embeddingOf(song.id);
+
+            const res = await server.api.patch(`/api/catalog/${song.id}`).set('Authorization', admin.auth)
+                .send({ artist: 'Miles Davis' });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.changes, { artist: { from: 'Miles Davies', to: 'Miles Davis' } });
+            assert.notEqual(await embeddingOf(song.id), before);
+
+            const audit = await auditOf(song.id);
+            assert.equal(audit[0].action, 'UPDATE');
+            assert.equal(audit[0].changes.reembedded, true);
+            assert.equal(audit[0].userName, admin.user.name);
+        });
+
+        it('keeps the embedding for other fields and skips no-op edits', async () => {
+            const song = await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis' });
+            const before = await embeddingOf(song.id);
+
+            const res = await server.api.patch(`/api/catalog/${song.id}`).set('Authorization', admin.auth)
+                .send({ year: 1959 });
+            assert.equal(res.body.song.year, 1959);
+            assert.equal(await embeddingOf(song.id), before);
+
+            const noop = await server.api.patch(`/api/catalog/${song.id}`).set('Authorization', admin.auth)
+                .send({ year: 1959 });
+            assert.deepEqual(noop.body.changes, {});
+            assert.equal((await auditOf(song.id)).length, 1);
+        });
+
+        it('404s for an unknown song', async () => {
+            const res = await server.api.patch('/api/catalog/nope').set('Authorization', admin.auth).send({ year: 2000 });
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('POST /api/catalog/:id/merge', () => {
+        it('fills gaps from duplicates, combines moods and deletes the duplicates', async () => {
+            const target = await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis' });
+            const duplicate = await seedCatalogSong(server.pgclient,
+                { title: 'So What (Remastered)', artist: 'Miles Davis', year: 1959, mood: ['relaxed'] }, { embed: false });
+
+            const res = await server.api.post(`/api/catalog/${target.id}/merge`).set('Authorization', admin.auth)
+                .send({ duplicateIds: [duplicate.id] });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.song.title, 'So What');
+            assert.equal(res.body.song.year, 1959);
+            assert.deepEqual(res.body.song.mood, ['calm', 'relaxed']);
+            assert.deepEqual(res.body.merged, [duplicate.id]);
+
+            const gone = await server.api.get(`/api/catalog/${duplicate.id}`).set('Authorization', admin.auth);
+            assert.equal(gone.status, 404);
+
+            assert.equal((await auditOf(target.id))[0].action, 'MERGE');
+            assert.equal((await auditOf(duplicate.id))[0].changes.mergedInto, target.id);
+        });
+
+        it('rejects merging a song into itself or unknown duplicates', async () => {
+            const target = await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis' }, { embed: false });
+
+            const self = await server.api.post(`/api/catalog/${target.id}/merge`).set('Authorization', admin.auth)
+                .send({ duplicateIds: [target.id] });
+            assert.equal(self.status, 400);
+
+            const unknown = await server.api.post(`/api/catalog/${target.id}/merge`).set('Authorization', admin.auth)
+                .send({ duplicateIds: ['nope'] });
+            assert.equal(unknown.status, 404);
+        });
+    });
+
+    describe('DELETE /api/catalog/:id', () => {
+        it('deletes the song and keeps its audit trail', async () => {
+            const song = await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis' }, { embed: false });
+
+            const res = await server.api.delete(`/api/catalog/${song.id}`).set('Authorization', admin.auth);
+            assert.equal(res.status, 200);
+
+            const again = await server.api.delete(`/api/catalog/${song.id}`).set('Authorization', admin.auth);
+            assert.equal(again.status, 404);
+
+            const audit = await auditOf(song.id);
+            assert.equal(audit[0].action, 'DELETE');
+            assert.equal(audit[0].changes.before.title, 'So What');
+        });
+    });
+
+    describe('imports', () => {
+        const catalogRows = async () => (await server.pgclient.query(
+            `SELECT title, artist, album, year, duration, mood, genre, energy, embedding IS NOT NULL as "hasEmbedding", "importJobId"
+               FROM "SongCatalog" ORDER BY title`
+        )).rows;
+
+        it('imports CSV, skips duplicates and invalid rows, then analyzes and embeds in the background', async () => {
+            await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis' }, { embed: false });
+            mockSongAnalysis({ mood: ['energetic'], genre: 'rock', energy: 9 });
+
+            const csv = [
+                'Title,Artist,Album,Year,Duration,YouTube ID,Mood,Genre',
+                '"Take Five","Dave Brubeck","Time Out",1959,5:24,,calm;happy,jazz',
+                'so what,MILES DAVIS,,,,,,',
+                'Thunderstruck,AC/DC,"The Razors Edge, Remastered",1990,292,,,',
+                'Thunderstruck,AC/DC,,,,,,',
+                'Bad Year,Someone,,nineteen,,,,',
+                'Bad Length,Someone,,,four minutes,,,'
+            ].join('\r\n');
+
+            const res = await server.api.post('/api/catalog/imports').set('Authorization', admin.auth)
+                .set('Content-Type', 'text/csv').send(csv);
+
+            assert.equal(res.status, 202);
+            assert.equal(res.body.job.total, 6);
+            assert.equal(res.body.job.imported, 2);
+            assert.equal(res.body.job.duplicates, 2);
+            assert.equal(res.body.job.invalid, 2);
+            assert.deepEqual(res.body.job.errors.map(e => e.row), [5, 6]);
+
+            await importer.startImportWorker();
+
+            const job = await server.api.get(`/api/catalog/imports/${res.body.job.id}`).set('Authorization', admin.auth);
+            assert.equal(job.body.job.status, 'DONE');
+            assert.equal(job.body.job.processed, 2);
+            assert.equal(job.body.job.pending, 0);
+
+            const [, takeFive, thunderstruck] = await catalogRows();
+            assert.deepEqual(takeFive.mood, ['calm', 'happy']);
+            assert.deepEqual([takeFive.duration, thunderstruck.duration], [324, 292]);
+            assert.equal(takeFive.hasEmbedding, true);
+            assert.equal(thunderstruck.album, 'The Razors Edge, Remastered');
+            assert.deepEqual([thunderstruck.mood, thunderstruck.genre, thunderstruck.energy], [['energetic'], 'rock', 9]);
+            assert.equal(thunderstruck.hasEmbedding, true);
+        });
+
+        it('imports a JSON list', async () => {
+            const res = await server.api.post('/api/catalog/imports').set('Authorization', admin.auth)
+                .send({ songs: [{ title: 'Blue in Green', artist: 'Miles Davis', year: 1959, mood: ['calm'], genre: 'jazz' }] });
+
+            assert.equal(res.status, 202);
+            await importer.startImportWorker();
+
+            const [song] = await catalogRows();
+            assert.equal(song.title, 'Blue in Green');
+            assert.equal(song.hasEmbedding, true);
+
+            const list = await server.api.get('/api/catalog/imports').set('Authorization', admin.auth);
+            assert.equal(list.body.jobs[0].id, res.body.job.id);
+        });
+
+        it('accepts JSON files over the default body limit', async () => {
+            const lyrics = 'la '.repeat(200);
+            const songs = Array.from({ length: 200 }, (_, i) => ({ title: `Track ${i}`, artist: 'Session Band', lyrics, mood: ['calm'], genre: 'jazz' }));
+            const body = { songs };
+            assert.ok(JSON.stringify(body).length > 100 * 1024);
+
+            const res = await server.api.post('/api/catalog/imports').set('Authorization', admin.auth).send(body);
+            assert.equal(res.status, 202);
+            assert.equal(res.body.job.imported, 200);
+            await importer.startImportWorker();
+        });
+
+        it('fails rows whose analysis fails and leaves them to re-analysis', async () => {
+            setFakeResponder('song-analyzer', 'not json');
+            const res = await server.api.post('/api/catalog/imports').set('Authorization', admin.auth)
+                .send({ songs: [{ title: 'So What', artist: 'Miles Davis' }] });
+
+            await importer.startImportWorker();
+
+            const job = await importer.getImportJob(res.body.job.id);
+            assert.deepEqual([job.processed, job.failed], [0, 1]);
+            const [failed] = await catalogRows();
+            assert.deepEqual([failed.mood, failed.genre, failed.hasEmbedding], [[], null, false]);
+
+            mockSongAnalysis({ mood: ['calm'], genre: 'jazz' });
+            const reanalysis = await import('../services/catalogReanalysis.js');
+            assert.deepEqual(await reanalysis.reanalyzeCatalog({ delayMs: 0 }), { analyzed: 1, failed: 0 });
+
+            const [song] = await catalogRows();
+            assert.deepEqual([song.mood, song.genre, song.hasEmbedding], [['calm'], 'jazz', true]);
+            const { importError } = (await server.pgclient.query('SELECT "importError" FROM "SongCatalog"')).rows[0];
+            assert.equal(importError, null);
+        });
+
+        it('rejects files it cannot read', async () => {
+            const noArtist = await server.api.post('/api/catalog/imports').set('Authorization', admin.auth)
+                .set('Content-Type', 'text/csv').send('title\nSo What');
+            assert.equal(noArtist.status, 400);
+
+            const empty = await server.api.post('/api/catalog/imports').set('Authorization', admin.auth).send({ songs: [] });
+            assert.equal(empty.status, 400);
+
+            const denied = await server.api.post('/api/catalog/imports').set('Authorization', user.auth).send({ songs: [] });
+            assert.equal(denied.status, 403);
+        });
+
+        it('resumes an interrupted job where it stopped', async () => {
+            // A job that was killed after enriching its first song
+            const job = (await server.pgclient.query(
+                `INSERT INTO "CatalogImportJob" (format, status, total, imported, processed)
+                   VALUES ('json', 'RUNNING', 2, 2, 1) RETURNING id`
+            )).rows[0];
+            const done = await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis' });
+            await server.pgclient.query('UPDATE "SongCatalog" SET "importJobId" = $1 WHERE id = $2', [job.id, done.id]);
+            const doneEmbedding = (await server.pgclient.query('SELECT embedding::text FROM "SongCatalog" WHERE id = $1', [done.id])).rows[0].embedding;
+            await server.pgclient.query(
+                `INSERT INTO "SongCatalog" (title, artist, mood, genre, "importJobId") VALUES ('Take Five', 'Dave Brubeck', '{calm}', 'jazz', $1)`,
+                [job.id]
+            );
+
+            assert.equal(await importer.resumeCatalogImports(), 1);
+            await importer.startImportWorker();
+
+            const progress = await importer.getImportJob(job.id);
+            assert.equal(progress.status, 'DONE');
+            assert.equal(progress.processed, 2);
+            assert.ok((await catalogRows()).every(s => s.hasEmbedding));
+
+            // The finished song was left alone
+            const after = (await server.pgclient.query('SELECT embedding::text FROM "SongCatalog" WHERE id = $1', [done.id])).rows[0].embedding;
+            assert.equal(after, doneEmbedding);
+        });
+
+        it('parses quoted CSV fields', () => {
+            assert.deepEqual(
+                importer.parseCsv('a,"b, ""c""",d\n"multi\nline",,\n\n'),
+                [['a', 'b, "c"', 'd'], ['multi\nline', '', '']]
+            );
+        });
+    });
+
+    describe('reanalysis', () => {
+        let reanalysis;
+        let analyzer;
+
+        before(async () => {
+            reanalysis = await import('../services/catalogReanalysis.js');
+            analyzer = await import('../services/songAnalyzer.js');
+        });
+
+        it('re-analyzes stale songs and keeps curated mood, genre and energy', async () => {
+            const stale = await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis', energy: 2 }, { embed: false });
+            const current = await seedCatalogSong(server.pgclient, { title: 'Take Five', artist: 'Dave Brubeck' }, { embed: false });
+            await server.pgclient.query('UPDATE "SongCatalog" SET "analyzerVersion" = $1 WHERE id = $2', [analyzer.ANALYZER_VERSION, current.id]);
+            await server.api.patch(`/api/catalog/${stale.id}`).set('Authorization', admin.auth).send({ genre: 'bebop', energy: 3 });
+            mockSongAnalysis({ mood: ['happy'], genre: 'pop', energy: 8, themes: ['cool'], explicit: true, decade: '1950s' });
+
+            const started = await server.api.post('/api/catalog/reanalysis').set('Authorization', admin.auth);
+            assert.equal(started.status, 202);
+            assert.equal(started.body.reanalysis.stale, 1);
+            await reanalysis.startReanalysis(); // the run the request started
+
+            const song = (await server.api.get(`/api/catalog/${stale.id}`).set('Authorization', admin.auth)).body.song;
+            assert.deepEqual([song.mood, song.genre, song.energy], [['happy'], 'bebop', 3]);
+            assert.deepEqual([song.themes, song.explicit, song.decade], [['cool'], true, '1950s']);
+            assert.deepEqual(song.curatedFields.sort(), ['energy', 'genre']);
+            assert.equal(song.analyzerVersion, analyzer.ANALYZER_VERSION);
+            assert.equal(song.hasEmbedding, true);
+
+            const untouched = (await server.api.get(`/api/catalog/${current.id}`).set('Authorization', admin.auth)).body.song;
+            assert.equal(untouched.explicit, null);
+
+            const status = await server.api.get('/api/catalog/reanalysis').set('Authorization', admin.auth);
+            assert.equal(status.body.reanalysis.stale, 0);
+        });
+
+        it('replaces an older analyzer version\'s values and re-embeds', async () => {
+            const old = await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis', mood: ['calm'], genre: 'jazz', energy: 3 });
+            const embedding = await embeddingOf(old.id);
+
+            // As if ANALYZER_VERSION had been raised since
+            await server.pgclient.query('UPDATE "SongCatalog" SET "analyzerVersion" = $1 WHERE id = $2', [analyzer.ANALYZER_VERSION - 1, old.id]);
+            mockSongAnalysis({ mood: ['energetic'], genre: 'rock', energy: 9 });
+
+            assert.deepEqual(await reanalysis.reanalyzeCatalog({ delayMs: 0 }), { analyzed: 1, failed: 0 });
+
+            const song = (await server.api.get(`/api/catalog/${old.id}`).set('Authorization', admin.auth)).body.song;
+            assert.deepEqual([song.mood, song.genre, song.energy], [['energetic'], 'rock', 9]);
+            assert.equal(song.analyzerVersion, analyzer.ANALYZER_VERSION);
+            assert.notEqual(await embeddingOf(old.id), embedding);
+        });
+
+        it('leaves songs stale when the analysis fails', async () => {
+            await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis' }, { embed: false });
+            setFakeResponder('song-analyzer', 'not json');
+
+            const result = await reanalysis.reanalyzeCatalog({ delayMs: 0 });
+            assert.deepEqual(result, { analyzed: 0, failed: 1 });
+            assert.equal(await reanalysis.countStaleSongs(), 1);
+        });
+
+        it('marks a song stale when its title or artist is edited', async () => {
+            const song = await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davies' }, { embed: false });
+            await server.pgclient.query('UPDATE "SongCatalog" SET "analyzerVersion" = $1 WHERE id = $2', [analyzer.ANALYZER_VERSION, song.id]);
+
+            await server.api.patch(`/api/catalog/${song.id}`).set('Authorization', admin.auth).send({ artist: 'Miles Davis' });
+            assert.equal(await reanalysis.countStaleSongs(), 1);
+        });
+    });
+});
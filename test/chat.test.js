@@ -0,0 +1,375 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createUser, createParty, joinParty } from './helpers/testServer.js';
+import { mockYouTube, seedCatalogSong, failWritesTo } from './helpers/fixtures.js';
+import { resetFakeResponders } from '../services/fakeLLM.js';
+
+describe('Chat routes', () => {
+    let server;
+    let host;
+    let guest;
+    let party;
+    let youtube;
+
+    const send = (user, content) => server.api
+        .post('/api/chat/send')
+        .set('Authorization', user.auth)
+        .send({ partyId: party.id, content });
+
+    before(async () => {
+        server = await startTestServer();
+        await seedCatalogSong(server.pgclient, { title: 'Take Five', artist: 'Dave Brubeck' });
+        await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis' });
+        await seedCatalogSong(server.pgclient, { title: 'Blue in Green', artist: 'Miles Davis' });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        resetFakeResponders();
+        youtube = mockYouTube([]);
+        host = await createUser(server.app);
+        guest = await createUser(server.app);
+        party = await createParty(server.app, host);
+        await joinParty(server.app, guest, party.id);
+    });
+
+    afterEach(() => {
+        youtube.restore();
+    });
+
+    describe('POST /api/chat/send', () => {
+        it('saves both messages for general chat', async () => {
+            const res = await send(guest, 'hello DJ');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.userMessage.senderId, guest.user.id);
+            assert.equal(res.body.userMessage.role, 'USER');
+            assert.equal(res.body.aiResponse.role, 'ASSISTANT');
+            assert.equal(res.body.aiResponse.type, 'CHAT');
+            assert.deepEqual(res.body.updatedQueue, []);
+        });
+
+        it('adds approved songs to the queue', async () => {
+            const res = await send(guest, 'play Take Five by Dave Brubeck');
+
+            assert.equal(res.body.aiResponse.type, 'AI_ACCEPT');
+            assert.equal(res.body.updatedQueue.length, 1);
+            assert.equal(res.body.updatedQueue[0].title, 'Take Five');
+            assert.equal(res.body.updatedQueue[0].addedBy, guest.user.id);
+        });
+
+        it('saves the per-song breakdown in the AI message metadata', async () => {
+            const res = await send(guest, 'play Take Five by Dave Brubeck, play Nothing Like This Exists');
+
+            assert.equal(res.body.aiResponse.type, 'AI_ACCEPT');
+            assert.deepEqual(res.body.aiResponse.metadata.results.map(r => r.status), ['ACCEPTED', 'NOT_FOUND']);
+            assert.equal(res.body.updatedQueue.length, 1);
+        });
+
+        it('saves rejections with the AI_REJECT type', async () => {
+            const res = await send(guest, 'play Nothing Like This Exists');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.aiResponse.type, 'AI_REJECT');
+            assert.deepEqual(res.body.updatedQueue, []);
+        });
+
+        it('saves nothing if the song cannot be queued', async () => {
+            const restore = await failWritesTo(server.pgclient, 'Song');
+            try {
+                const res = await send(guest, 'play Take Five by Dave Brubeck');
+                assert.equal(res.status, 500);
+            } finally {
+                await restore();
+            }
+
+            const messages = await server.pgclient.query('SELECT id FROM "ChatMessage" WHERE "partyId" = $1', [party.id]);
+            assert.equal(messages.rows.length, 0);
+        });
+
+        it('answers "what\'s next?" from the queue', async () => {
+            await send(guest, 'play Take Five by Dave Brubeck');
+            const res = await send(guest, "what's next?");
+
+            assert.equal(res.body.aiResponse.type, 'CHAT');
+            assert.match(res.body.aiResponse.content, /Take Five/);
+            assert.equal(res.body.updatedQueue.length, 1);
+        });
+
+        it("removes the sender's last pending song", async () => {
+            await send(host, 'play Take Five by Dave Brubeck');
+            await send(guest, 'play Take Five by Dave Brubeck');
+
+            const res = await send(guest, 'remove my last song');
+
+            assert.match(res.body.aiResponse.content, /Removed "Take Five"/);
+            assert.deepEqual(res.body.updatedQueue.map(s => s.addedBy), [host.user.id]);
+        });
+
+        it('skips the current song for hosts only', async () => {
+            await send(guest, 'play Take Five by Dave Brubeck');
+            await server.api.post(`/api/party/${party.id}/playback`).set('Authorization', host.auth).send({ action: 'play' });
+
+            const denied = await send(guest, 'skip this');
+            assert.equal(denied.body.updatedQueue[0].status, 'PLAYING');
+
+            const res = await send(host, 'skip this');
+            assert.match(res.body.aiResponse.content, /Skipping "Take Five"/);
+            assert.equal(res.body.updatedQueue[0].status, 'PLAYED');
+        });
+
+        it('only lets party members send messages', async () => {
+            const outsider = await createUser(server.app);
+            const res = await send(outsider, 'hello');
+            assert.equal(res.status, 403);
+        });
+
+        it('requires content', async () => {
+            const res = await send(guest, '');
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('request limits', () => {
+        const setLimits = requestLimits => server.api
+            .patch(`/api/party/${party.id}/request-limits`)
+            .set('Authorization', host.auth)
+            .send({ requestLimits });
+
+        it('limits requests per window and replies in character without calling the DJ', async () => {
+            await setLimits({ maxRequests: 2, windowMinutes: 5 });
+            await send(guest, 'hello');
+            await send(guest, "what's next?");
+
+            const res = await send(guest, 'play Take Five by Dave Brubeck');
+
+            assert.equal(res.status, 429);
+            assert.equal(res.body.limit.rule, 'maxRequests');
+            assert.ok(Number(res.headers['retry-after']) > 0);
+            assert.match(res.body.aiResponse.content, /2 requests in 5 minutes/);
+
+            // Nothing saved, other members unaffected
+            const messages = await server.pgclient.query('SELECT id FROM "ChatMessage" WHERE "partyId" = $1', [party.id]);
+            assert.equal(messages.rows.length, 4);
+            assert.equal((await send(host, 'hello')).status, 200);
+        });
+
+        it('lets only maxRequests of many parallel sends reach the DJ', async () => {
+            await setLimits({ maxRequests: 2, windowMinutes: 5 });
+
+            const results = await Promise.all([1, 2, 3, 4, 5].map(n => send(guest, `hello ${n}`)));
+
+            assert.deepEqual(results.map(r => r.status).sort(), [200, 200, 429, 429, 429]);
+            const messages = await server.pgclient.query('SELECT id FROM "ChatMessage" WHERE "partyId" = $1', [party.id]);
+            assert.equal(messages.rows.length, 4);
+        });
+
+        it('keeps parallel requests within the pending cap', async () => {
+            await setLimits({ maxPendingPerMember: 1 });
+
+            const results = await Promise.all([
+                send(guest, 'play Take Five by Dave Brubeck'),
+                send(guest, 'play So What by Miles Davis')
+            ]);
+
+            const statuses = results.flatMap(r => r.body.aiResponse.metadata.results.map(result => result.status));
+            assert.deepEqual(statuses.sort(), ['ACCEPTED', 'LIMITED']);
+            const queued = await server.pgclient.query('SELECT id FROM "Song" WHERE "partyId" = $1', [party.id]);
+            assert.equal(queued.rows.length, 1);
+        });
+
+        it('cools down after a denied song', async () => {
+            await seedCatalogSong(server.pgclient, { title: 'Raining Blood', artist: 'Slayer', mood: ['angry'], genre: 'metal' }, { embed: false });
+
+            const denied = await send(guest, 'play Raining Blood by Slayer');
+            assert.deepEqual(denied.body.aiResponse.metadata.results.map(r => r.status), ['DENIED']);
+
+            const res = await send(guest, 'play Take Five by Dave Brubeck');
+            assert.equal(res.status, 429);
+            assert.equal(res.body.limit.rule, 'denialCooldownSeconds');
+            assert.match(res.body.aiResponse.content, /didn't fit the vibe/);
+
+            await setLimits({ denialCooldownSeconds: null });
+            assert.equal((await send(guest, 'play Take Five by Dave Brubeck')).body.aiResponse.type, 'AI_ACCEPT');
+        });
+
+        it('lets the DJ turn down songs over the pending cap but still chat', async () => {
+            await setLimits({ maxPendingPerMember: 1 });
+            await send(guest, 'play Take Five by Dave Brubeck');
+
+            const res = await send(guest, 'play So What by Miles Davis');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.aiResponse.type, 'AI_REJECT');
+            assert.deepEqual(res.body.aiResponse.metadata.results.map(r => r.status), ['LIMITED']);
+            assert.match(res.body.aiResponse.content, /limit of songs waiting/);
+            assert.equal(res.body.updatedQueue.length, 1);
+
+            const next = await send(guest, "what's next?");
+            assert.match(next.body.aiResponse.content, /Take Five/);
+        });
+
+        it('queues only as many songs of a batch as the cap allows', async () => {
+            await setLimits({ maxPendingPerMember: 1 });
+
+            const res = await send(guest, 'queue 2 songs by Miles Davis');
+
+            assert.deepEqual(res.body.aiResponse.metadata.results.map(r => r.status), ['ACCEPTED', 'LIMITED']);
+            assert.equal(res.body.updatedQueue.length, 1);
+        });
+    });
+
+    describe('POST /api/chat/send?stream=1', () => {
+        // Collect the raw SSE body and split it into { event, data } pairs
+        const sendStream = (user, content) => server.api
+            .post('/api/chat/send?stream=1')
+            .set('Authorization', user.auth)
+            .send({ partyId: party.id, content })
+            .buffer(true)
+            .parse((res, callback) => {
+                let body = '';
+                res.on('data', chunk => { body += chunk; });
+                res.on('end', () => callback(null, body));
+            });
+
+        const parseEvents = body => body.trim().split('\n\n').map(block => ({
+            event: block.match(/^event: (.+)$/m)[1],
+            data: JSON.parse(block.match(/^data: (.+)$/m)[1])
+        }));
+
+        it('streams progress, reply tokens and the saved result', async () => {
+            const res = await sendStream(guest, 'play Take Five by Dave Brubeck');
+            assert.match(res.headers['content-type'], /^text\/event-stream/);
+
+            const events = parseEvents(res.body);
+            const stages = events.filter(e => e.event === 'progress').map(e => e.data.stage);
+            assert.deepEqual(stages, ['parsing', 'catalog', 'vibe']);
+
+            const tokens = events.filter(e => e.event === 'token').map(e => e.data.text);
+            assert.ok(tokens.length > 1);
+
+            const done = events.at(-1);
+            assert.equal(done.event, 'done');
+            assert.equal(done.data.aiResponse.type, 'AI_ACCEPT');
+            assert.equal(tokens.join(''), done.data.aiResponse.content);
+            assert.equal(done.data.updatedQueue[0].title, 'Take Five');
+        });
+
+        it('reports catalog and YouTube searches', async () => {
+            const res = await sendStream(guest, 'play Nothing Like This Exists');
+            const stages = parseEvents(res.body).filter(e => e.event === 'progress').map(e => e.data.stage);
+            assert.deepEqual(stages, ['parsing', 'catalog', 'youtube']);
+        });
+
+        it('sends an error event if saving fails', async () => {
+            const restore = await failWritesTo(server.pgclient, 'ChatMessage');
+            try {
+                const res = await sendStream(guest, 'hello DJ');
+                const events = parseEvents(res.body);
+                assert.equal(events.at(-1).event, 'error');
+                assert.equal(events.at(-1).data.success, false);
+            } finally {
+                await restore();
+            }
+        });
+
+        it('answers validation errors with plain JSON', async () => {
+            const res = await server.api.post('/api/chat/send?stream=1')
+                .set('Authorization', guest.auth)
+                .send({ partyId: party.id });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.success, false);
+        });
+    });
+
+    describe('Song options', () => {
+        const choose = (user, body) => server.api
+            .post(`/api/chat/${party.id}/choose`)
+            .set('Authorization', user.auth)
+            .send(body);
+
+        it('saves the offered options in the AI message metadata', async () => {
+            const res = await send(guest, 'play any song by Miles Davis');
+
+            const options = res.body.aiResponse.metadata.options;
+            assert.deepEqual(options.map(o => o.artist), ['Miles Davis', 'Miles Davis']);
+            assert.ok(options.every(o => o.catalogId && o.title));
+            assert.deepEqual(res.body.updatedQueue, []);
+        });
+
+        it('queues the chosen option once', async () => {
+            const { body } = await send(guest, 'play any song by Miles Davis');
+            const second = body.aiResponse.metadata.options[1];
+
+            const res = await choose(guest, { messageId: body.aiResponse.id, choice: 2 });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.chosen, 2);
+            assert.equal(res.body.song.title, second.title);
+            assert.deepEqual(res.body.updatedQueue.map(s => s.title), [second.title]);
+
+            const again = await choose(host, { messageId: body.aiResponse.id, choice: 1 });
+            assert.equal(again.status, 409);
+        });
+
+        it('resolves titles and rejects unknown choices', async () => {
+            await send(guest, 'play any song by Miles Davis');
+
+            const invalid = await choose(guest, { choice: 'number 7' });
+            assert.equal(invalid.status, 400);
+
+            const res = await choose(guest, { choice: 'blue in green please' });
+            assert.equal(res.body.song.title, 'Blue in Green');
+        });
+
+        it('returns 404 without open options', async () => {
+            await send(guest, 'hello DJ');
+            const res = await choose(guest, { choice: 1 });
+            assert.equal(res.status, 404);
+        });
+
+        it('queues an option picked in chat without searching again', async () => {
+            const { body } = await send(guest, 'play any song by Miles Davis');
+            const second = body.aiResponse.metadata.options[1];
+
+            const res = await send(guest, 'the second one');
+
+            assert.equal(res.body.aiResponse.type, 'AI_ACCEPT');
+            assert.deepEqual(res.body.updatedQueue.map(s => s.title), [second.title]);
+            assert.equal(youtube.calls.length, 0);
+
+            const offer = await server.pgclient.query('SELECT metadata FROM "ChatMessage" WHERE id = $1', [body.aiResponse.id]);
+            assert.equal(offer.rows[0].metadata.chosenIndex, 2);
+        });
+    });
+
+    describe('GET /api/chat/:partyId/history', () => {
+        it('returns messages oldest first with sender info', async () => {
+            await send(guest, 'hello DJ');
+
+            const res = await server.api.get(`/api/chat/${party.id}/history`).set('Authorization', host.auth);
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.pagination.total, 2);
+            assert.deepEqual(res.body.messages.map(m => m.role), ['USER', 'ASSISTANT']);
+            assert.equal(res.body.messages[0].senderName, guest.user.name);
+        });
+    });
+
+    describe('DELETE /api/chat/:partyId/messages/:messageId', () => {
+        it('lets the host delete a message but not guests', async () => {
+            const { body } = await send(guest, 'hello DJ');
+            const messageId = body.userMessage.id;
+
+            const denied = await server.api.delete(`/api/chat/${party.id}/messages/${messageId}`).set('Authorization', guest.auth);
+            assert.equal(denied.status, 403);
+
+            const res = await server.api.delete(`/api/chat/${party.id}/messages/${messageId}`).set('Authorization', host.auth);
+            assert.equal(res.status, 200);
+
+            const missing = await server.api.delete(`/api/chat/${party.id}/messages/${messageId}`).set('Authorization', host.auth);
+            assert.equal(missing.status, 404);
+        });
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/testServer.js';
+
+describe('db', () => {
+    let server;
+    let db;
+
+    before(async () => {
+        server = await startTestServer();
+        db = await import('../db.js');
+        await server.pgclient.query('CREATE TABLE tx_test (value text)');
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    const values = async () => (await server.pgclient.query('SELECT value FROM tx_test ORDER BY value')).rows.map(r => r.value);
+
+    it('commits a transaction and returns its result', async () => {
+        const result = await db.withTransaction(async (client) => {
+            await client.query(`INSERT INTO tx_test VALUES ('a'), ('b')`);
+            return 'done';
+        });
+
+        assert.equal(result, 'done');
+        assert.deepEqual(await values(), ['a', 'b']);
+    });
+
+    it('rolls back everything when the callback throws', async () => {
+        await assert.rejects(db.withTransaction(async (client) => {
+            await client.query(`INSERT INTO tx_test VALUES ('c')`);
+            throw new Error('boom');
+        }), /boom/);
+
+        assert.deepEqual(await values(), ['a', 'b']);
+    });
+
+    it('returns connections to the pool', async () => {
+        await db.withTransaction(client => client.query('SELECT 1'));
+        await db.withClient(client => client.query('SELECT 1'));
+
+        const stats = db.getPoolStats();
+        assert.equal(stats.waiting, 0);
+        assert.equal(stats.idle, stats.total);
+    });
+
+    it('reports database status in /health', async () => {
+        const res = await server.api.get('/health');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.database.status, 'up');
+    });
+});
@@ -0,0 +1,384 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createUser, createParty } from './helpers/testServer.js';
+import { youtubeItem, youtubeVideos, mockYouTube, mockSongAnalysis, seedCatalogSong } from './helpers/fixtures.js';
+import { resetFakeResponders, setFakeResponder } from '../services/fakeLLM.js';
+
+const VIBE = {
+    vibeDescription: 'chill jazz, no explicit',
+    vibeRules: { allowedGenres: ['jazz'], allowedMoods: ['calm'], explicitAllowed: false }
+};
+
+describe('DJ agent', () => {
+    let server;
+    let invokeDJAgent;
+    let getTokenUsage;
+    let resetTokenUsage;
+    let youtube;
+
+    const ask = userMessage => invokeDJAgent({ ...VIBE, userMessage, partyId: null });
+    const semanticSearches = () => getTokenUsage().byModel
+        .filter(e => e.purpose === 'semantic-search')
+        .reduce((sum, e) => sum + e.calls, 0);
+
+    before(async () => {
+        server = await startTestServer();
+        ({ invokeDJAgent } = await import('../agents/djAgent.js'));
+        ({ getTokenUsage, resetTokenUsage } = await import('../services/llmProvider.js'));
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        resetFakeResponders();
+        resetTokenUsage();
+        await server.pgclient.query('DELETE FROM "SongCatalog"');
+        youtube = mockYouTube([]);
+    });
+
+    afterEach(() => {
+        youtube.restore();
+    });
+
+    it('chats when the message is not a song request', async () => {
+        const result = await ask('this party is great!');
+
+        assert.equal(result.type, 'CHAT');
+        assert.equal(result.song, null);
+        assert.ok(result.message);
+        assert.equal(youtube.calls.length, 0);
+    });
+
+    it('finds an exact catalog match', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Take Five', artist: 'Dave Brubeck' });
+
+        const result = await ask('play Take Five by Dave Brubeck');
+
+        assert.equal(result.type, 'AI_ACCEPT');
+        assert.equal(result.song.title, 'Take Five');
+        assert.equal(semanticSearches(), 0);
+        assert.equal(youtube.calls.length, 0);
+    });
+
+    it('falls back to semantic search for near matches', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Take Five (Remastered)', artist: 'The Dave Brubeck Quartet' });
+
+        const result = await ask('play Take Five by Brubeck');
+
+        assert.equal(result.type, 'AI_ACCEPT');
+        assert.equal(result.song.title, 'Take Five (Remastered)');
+        assert.ok(semanticSearches() > 0);
+        assert.equal(youtube.calls.length, 0);
+    });
+
+    it('falls back to text search for songs without embeddings', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Blue Monk', artist: 'Thelonious Monk' }, { embed: false });
+
+        const result = await ask('play Blue Monk');
+
+        assert.equal(result.type, 'AI_ACCEPT');
+        assert.equal(result.song.artist, 'Thelonious Monk');
+        assert.equal(youtube.calls.length, 0);
+    });
+
+    it('discovers songs on YouTube and adds them to the catalog', async () => {
+        youtube.restore();
+        youtube = mockYouTube([
+            youtubeItem({ videoId: 'zqNTltOGh5c', title: 'Miles Davis - So What (Official Audio)', channelTitle: 'Miles Davis' })
+        ]);
+        mockSongAnalysis({ mood: ['calm'], genre: 'jazz', themes: ['cool'], lyricsSummary: 'Instrumental', decade: '1950s' });
+
+        const result = await ask('play So What by Miles Davis');
+
+        assert.equal(result.type, 'AI_ACCEPT');
+        assert.equal(result.song.title, 'So What');
+        assert.equal(result.song.youtubeId, 'zqNTltOGh5c');
+        assert.equal(youtube.calls.length, 1);
+
+        const catalog = await server.pgclient.query('SELECT title, embedding IS NOT NULL AS embedded FROM "SongCatalog"');
+        assert.deepEqual(catalog.rows, [{ title: 'So What', embedded: true }]);
+
+        // The whole analysis is kept, so the next lookup has it
+        const { findExactSong } = await import('../services/songSearch.js');
+        const { ANALYZER_VERSION } = await import('../services/songAnalyzer.js');
+        const stored = await findExactSong('So What', 'Miles Davis');
+        assert.deepEqual(
+            [stored.energy, stored.themes, stored.lyricsSummary, stored.explicit, stored.decade, stored.analyzerVersion],
+            [3, ['cool'], 'Instrumental', false, '1950s', ANALYZER_VERSION]
+        );
+        assert.ok(stored.analyzedAt);
+    });
+
+    it('keeps featured artists apart from the artist', async () => {
+        youtube.restore();
+        youtube = mockYouTube([
+            youtubeItem({ videoId: 'Zr8pWb6Oc8c', title: 'Norah Jones - Here We Go Again (feat. Ray Charles)', channelTitle: 'NorahJonesVEVO' })
+        ]);
+        mockSongAnalysis({ mood: ['calm'], genre: 'jazz' });
+
+        const result = await ask('play Here We Go Again by Norah Jones');
+
+        assert.equal(result.type, 'AI_ACCEPT');
+        assert.equal(result.song.artist, 'Norah Jones');
+
+        const catalog = await server.pgclient.query('SELECT artist, "featuredArtists", year FROM "SongCatalog"');
+        assert.deepEqual(catalog.rows, [{ artist: 'Norah Jones', featuredArtists: ['Ray Charles'], year: null }]);
+    });
+
+    it('stores track durations and denies tracks over the party cap', async () => {
+        const items = [youtubeItem({ videoId: 'ylXk1LBvIqU', title: 'John Coltrane - My Favorite Things', channelTitle: 'John Coltrane' })];
+        youtube.restore();
+        youtube = mockYouTube({ search: { items }, videos: youtubeVideos(items, { durations: { ylXk1LBvIqU: 'PT13M41S' } }) });
+        mockSongAnalysis({ mood: ['calm'], genre: 'jazz' });
+
+        const capped = await invokeDJAgent({
+            ...VIBE,
+            vibeRules: { ...VIBE.vibeRules, maxDurationSeconds: 600 },
+            userMessage: 'play My Favorite Things by John Coltrane',
+            partyId: null
+        });
+        assert.equal(capped.type, 'AI_REJECT');
+        assert.deepEqual(capped.violations.map(v => v.rule), ['maxDuration']);
+
+        const result = await ask('play My Favorite Things by John Coltrane');
+        assert.equal(result.type, 'AI_ACCEPT');
+        assert.equal(result.song.duration, 821);
+
+        const catalog = await server.pgclient.query('SELECT duration FROM "SongCatalog"');
+        assert.deepEqual(catalog.rows, [{ duration: 821 }]);
+    });
+
+    it('denies songs that break the vibe and suggests verified alternatives', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Blue in Green', artist: 'Miles Davis', mood: ['calm'], genre: 'jazz' });
+        youtube.restore();
+        youtube = mockYouTube([
+            youtubeItem({ videoId: 'z8ZqFlw6hYg', title: 'Slayer - Raining Blood', channelTitle: 'Slayer' })
+        ]);
+        mockSongAnalysis({ mood: ['angry'], genre: 'metal' });
+
+        const result = await ask('play Raining Blood by Slayer');
+
+        assert.equal(result.type, 'AI_REJECT');
+        assert.equal(result.song, null);
+        assert.equal(result.suggestion.title, 'Blue in Green');
+        assert.deepEqual(result.violations.map(v => v.rule).sort(), ['allowedGenres', 'allowedMoods']);
+    });
+
+    it('penalizes catalog songs far from the party vibe embedding, and denies them when the rule is hard', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Take Five', artist: 'Dave Brubeck' });
+        const { fakeEmbedding } = await import('../services/fakeLLM.js');
+        const { toVectorString } = await import('../services/llmProvider.js');
+        const farEmbedding = toVectorString(fakeEmbedding('loud stadium anthems'));
+
+        const soft = await invokeDJAgent({
+            ...VIBE,
+            vibeEmbedding: farEmbedding,
+            userMessage: 'play Take Five by Dave Brubeck'
+        });
+        assert.equal(soft.type, 'AI_ACCEPT');
+
+        const far = await invokeDJAgent({
+            ...VIBE,
+            vibeRules: { ...VIBE.vibeRules, ruleSeverity: { vibeSimilarity: 'hard' } },
+            vibeEmbedding: farEmbedding,
+            userMessage: 'play Take Five by Dave Brubeck'
+        });
+        assert.equal(far.type, 'AI_REJECT');
+        assert.deepEqual(far.violations.map(v => v.rule), ['vibeSimilarity']);
+
+        const close = await invokeDJAgent({
+            ...VIBE,
+            vibeRules: { ...VIBE.vibeRules, ruleSeverity: { vibeSimilarity: 'hard' } },
+            vibeEmbedding: toVectorString(fakeEmbedding('calm jazz')),
+            userMessage: 'play Take Five by Dave Brubeck'
+        });
+        assert.equal(close.type, 'AI_ACCEPT');
+    });
+
+    it('ranks mood matches by similarity to the party vibe', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Autumn Leaves', artist: 'Cannonball Adderley' });
+        await seedCatalogSong(server.pgclient, { title: 'Take Five', artist: 'Dave Brubeck' });
+        const { getSongsByMood } = await import('../services/songSearch.js');
+        const { fakeEmbedding } = await import('../services/fakeLLM.js');
+        const { toVectorString } = await import('../services/llmProvider.js');
+
+        const songs = await getSongsByMood(['calm'], 10, { vibeEmbedding: toVectorString(fakeEmbedding('take five calm jazz')) });
+
+        assert.deepEqual(songs.map(s => s.title), ['Take Five', 'Autumn Leaves']);
+        assert.ok(songs[0].vibeSimilarity > songs[1].vibeSimilarity);
+    });
+
+    it('offers options for "any song by" requests', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Blue in Green', artist: 'Miles Davis' });
+        await seedCatalogSong(server.pgclient, { title: 'Flamenco Sketches', artist: 'Miles Davis' });
+
+        const result = await ask('play any songs by Miles Davis');
+
+        assert.equal(result.type, 'CHAT');
+        assert.equal(result.song, null);
+        assert.deepEqual(result.options.map(s => s.title).sort(), ['Blue in Green', 'Flamenco Sketches']);
+    });
+
+    it('reports progress and streams the reply through hooks', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Take Five', artist: 'Dave Brubeck' });
+        const progress = [];
+        const tokens = [];
+
+        const result = await invokeDJAgent({
+            ...VIBE,
+            userMessage: 'play Take Five by Dave Brubeck',
+            onProgress: p => progress.push(p.stage),
+            onToken: text => tokens.push(text)
+        });
+
+        assert.deepEqual(progress, ['parsing', 'catalog', 'vibe']);
+        assert.equal(tokens.join(''), result.message);
+    });
+
+    it('sends canned replies as a single token', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Blue in Green', artist: 'Miles Davis' });
+        await seedCatalogSong(server.pgclient, { title: 'Flamenco Sketches', artist: 'Miles Davis' });
+        const tokens = [];
+
+        const result = await invokeDJAgent({
+            ...VIBE,
+            userMessage: 'play any songs by Miles Davis',
+            onToken: text => tokens.push(text)
+        });
+
+        assert.deepEqual(tokens, [result.message]);
+    });
+
+    it('handles several song requests in one message, in order', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Take Five', artist: 'Dave Brubeck' });
+        await seedCatalogSong(server.pgclient, { title: 'Blue Monk', artist: 'Thelonious Monk' });
+
+        const result = await ask('play Take Five by Dave Brubeck then Blue Monk by Thelonious Monk');
+
+        assert.equal(result.type, 'AI_ACCEPT');
+        assert.deepEqual(result.songs.map(s => s.title), ['Take Five', 'Blue Monk']);
+        assert.equal(result.song.title, 'Take Five');
+    });
+
+    it('accepts part of a multi-song message and rejects the rest', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Take Five', artist: 'Dave Brubeck' });
+
+        const result = await ask('play Take Five by Dave Brubeck, play Definitely Not A Real Song');
+
+        assert.equal(result.type, 'AI_ACCEPT');
+        assert.deepEqual(result.songs.map(s => s.title), ['Take Five']);
+        assert.equal(youtube.calls.length, 1);
+    });
+
+    it('queues a number of songs by an artist that fit the vibe', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Blue in Green', artist: 'Miles Davis' });
+        await seedCatalogSong(server.pgclient, { title: 'Pharaoh\'s Dance', artist: 'Miles Davis', mood: ['dark'], genre: 'rock' });
+        await seedCatalogSong(server.pgclient, { title: 'Flamenco Sketches', artist: 'Miles Davis' });
+        await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis' });
+
+        const result = await ask('queue two Miles Davis songs');
+
+        assert.equal(result.type, 'AI_ACCEPT');
+        assert.equal(result.songs.length, 2);
+        assert.ok(!result.songs.some(s => s.title === 'Pharaoh\'s Dance'));
+        assert.deepEqual(result.results.map(r => r.status), ['ACCEPTED', 'ACCEPTED']);
+        assert.equal(youtube.calls.length, 0);
+    });
+
+    it('reports batches that come up short', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Blue in Green', artist: 'Miles Davis' });
+
+        const result = await ask('play three Miles Davis songs');
+
+        assert.deepEqual(result.songs.map(s => s.title), ['Blue in Green']);
+        assert.deepEqual(result.results.map(r => r.status), ['ACCEPTED', 'NOT_FOUND']);
+        assert.match(result.results[1].reason, /1 of 3/);
+        assert.equal(youtube.calls.length, 1);
+    });
+
+    it('handles batches for several artists in one message', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Blue in Green', artist: 'Miles Davis' });
+        await seedCatalogSong(server.pgclient, { title: 'So What', artist: 'Miles Davis' });
+        await seedCatalogSong(server.pgclient, { title: 'Take Five', artist: 'Dave Brubeck' });
+
+        const result = await ask('queue two Miles Davis songs and then some Dave Brubeck');
+
+        assert.deepEqual(result.songs.map(s => s.artist), ['Miles Davis', 'Miles Davis', 'Dave Brubeck']);
+    });
+
+    it('reports a per-song accept/deny breakdown', async () => {
+        await seedCatalogSong(server.pgclient, { title: 'Take Five', artist: 'Dave Brubeck' });
+        await seedCatalogSong(server.pgclient, { title: 'Raining Blood', artist: 'Slayer', mood: ['angry'], genre: 'metal' });
+
+        const result = await ask('play Take Five by Dave Brubeck, play Raining Blood by Slayer');
+
+        assert.equal(result.type, 'AI_ACCEPT');
+        assert.deepEqual(result.results.map(r => [r.request, r.status]), [
+            ['"Take Five" by Dave Brubeck', 'ACCEPTED'],
+            ['"Raining Blood" by Slayer', 'DENIED']
+        ]);
+        assert.ok(result.results[1].violations.length > 0);
+    });
+
+    it('only lets hosts skip songs', async () => {
+        const result = await invokeDJAgent({ ...VIBE, userMessage: 'skip this', partyId: null, role: 'GUEST' });
+
+        assert.equal(result.type, 'CHAT');
+        assert.equal(result.actions.skipSongId, null);
+        assert.match(result.message, /host/);
+    });
+
+    it('rejects songs that cannot be found anywhere', async () => {
+        const result = await ask('play Definitely Not A Real Song');
+
+        assert.equal(result.type, 'AI_REJECT');
+        assert.equal(result.song, null);
+        assert.equal(youtube.calls.length, 1);
+    });
+
+    describe('party conversation', () => {
+        let host;
+        let party;
+
+        const checkpoints = async () => (await server.pgclient.query(
+            'SELECT COUNT(*)::int AS count FROM "AgentCheckpoint" WHERE "threadId" = $1',
+            [party.id]
+        )).rows[0].count;
+
+        beforeEach(async () => {
+            host = await createUser(server.app);
+            party = await createParty(server.app, host);
+        });
+
+        it('checkpoints the conversation in Postgres and plans with it', async () => {
+            const turn = userMessage => invokeDJAgent({ ...VIBE, userMessage, partyId: party.id, userId: host.user.id, role: 'HOST' });
+
+            await turn('hello DJ');
+            assert.equal(await checkpoints(), 1);
+
+            let plannerMessages = null;
+            setFakeResponder('dj-planner', (messages) => {
+                plannerMessages = messages;
+                return { content: '', toolCalls: [] };
+            });
+            await turn('what did I just say?');
+
+            assert.deepEqual(
+                plannerMessages.filter(m => m.role !== 'system').map(m => m.content).slice(0, 2),
+                ['hello DJ', "I'm Mazaj, your AI DJ! Request a song anytime."]
+            );
+            assert.equal(await checkpoints(), 1);
+        });
+
+        it('forgets the conversation when the party is deleted', async () => {
+            await invokeDJAgent({ ...VIBE, userMessage: 'hello DJ', partyId: party.id });
+            assert.equal(await checkpoints(), 1);
+
+            const res = await server.api.delete(`/api/party/${party.id}`).set('Authorization', host.auth);
+            assert.equal(res.status, 200);
+            assert.equal(await checkpoints(), 0);
+        });
+    });
+});
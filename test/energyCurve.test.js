@@ -0,0 +1,58 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { targetEnergy, normalizeEnergyCurve, sequenceByEnergy, toEnergyLevel } from '../services/energyCurve.js';
+
+const curve = { start: 2, peak: 8, end: 4, warmUp: 0.5, coolDown: 0.25 };
+
+describe('energyCurve', () => {
+    it('warms up, holds the peak and cools down', () => {
+        assert.equal(targetEnergy(curve, 0), 2);
+        assert.equal(targetEnergy(curve, 0.25), 5);
+        assert.equal(targetEnergy(curve, 0.6), 8);
+        assert.equal(targetEnergy(curve, 0.875), 6);
+        assert.equal(targetEnergy(curve, 2), 4);
+    });
+
+    it('validates curve edits over the defaults', () => {
+        assert.deepEqual(normalizeEnergyCurve({ peak: 9 }), { start: 3, peak: 9, end: 4, warmUp: 0.25, coolDown: 0.2 });
+        assert.throws(() => normalizeEnergyCurve({ peak: 11 }), { status: 400 });
+        assert.throws(() => normalizeEnergyCurve({ warmUp: 0.7, coolDown: 0.5 }), { status: 400 });
+    });
+
+    it('rounds and clamps energy levels', () => {
+        assert.equal(toEnergyLevel(7.6), 8);
+        assert.equal(toEnergyLevel(14), 10);
+        assert.equal(toEnergyLevel(null), null);
+        assert.equal(toEnergyLevel('loud'), null);
+    });
+
+    describe('sequenceByEnergy', () => {
+        const song = (id, energy) => ({ id, energy, duration: 600 });
+
+        it('follows the warm-up with the closest energy per slot', () => {
+            // 1 hour party, 10-minute songs: targets 2, 4, 6, 8
+            const ordered = sequenceByEnergy(
+                [song('loud', 8), song('soft', 2), song('mid', 5), song('build', 7)],
+                { curve: { ...curve, warmUp: 0.5 }, plannedMs: 60 * 60 * 1000 }
+            );
+
+            assert.deepEqual(ordered.map(s => s.id), ['soft', 'mid', 'build', 'loud']);
+            assert.deepEqual(ordered.map(s => s.targetEnergy), [2, 4, 6, 8]);
+        });
+
+        it('avoids big jumps from the song playing now', () => {
+            // At the peak, 6 and 10 are equally far from 8 - 6 is the smaller jump from 4
+            const ordered = sequenceByEnergy(
+                [song('banger', 10), song('groove', 6)],
+                { curve, plannedMs: 60 * 60 * 1000, elapsedMs: 40 * 60 * 1000, previousEnergy: 4 }
+            );
+            assert.equal(ordered[0].id, 'groove');
+        });
+
+        it('keeps request order between songs of equal fit', () => {
+            const ordered = sequenceByEnergy([song('a', null), song('b', null)], { curve, plannedMs: 60 * 60 * 1000 });
+            assert.deepEqual(ordered.map(s => s.id), ['a', 'b']);
+        });
+    });
+});
@@ -0,0 +1,33 @@
+import './helpers/env.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { envInt, envFloat } from '../services/envConfig.js';
+
+describe('envConfig', () => {
+    afterEach(() => {
+        delete process.env.TEST_NUMBER;
+    });
+
+    it('uses the fallback when the variable is unset or blank', () => {
+        assert.equal(envInt('TEST_NUMBER', 5), 5);
+        process.env.TEST_NUMBER = ' ';
+        assert.equal(envInt('TEST_NUMBER', 5), 5);
+    });
+
+    it('keeps an explicit 0', () => {
+        process.env.TEST_NUMBER = '0';
+        assert.equal(envInt('TEST_NUMBER', 2), 0);
+        assert.equal(envFloat('TEST_NUMBER', 0.15), 0);
+    });
+
+    it('falls back on values that are not numbers or below the minimum', () => {
+        process.env.TEST_NUMBER = 'lots';
+        assert.equal(envInt('TEST_NUMBER', 300), 300);
+        process.env.TEST_NUMBER = '0';
+        assert.equal(envInt('TEST_NUMBER', 10, { min: 1 }), 10);
+        process.env.TEST_NUMBER = '-3';
+        assert.equal(envInt('TEST_NUMBER', 5), 5);
+        process.env.TEST_NUMBER = '0.4';
+        assert.equal(envFloat('TEST_NUMBER', 0.15), 0.4);
+    });
+});
@@ -0,0 +1,20 @@
+/**
+  * Test Environment
+  * Imported before anything else so modules that read env at load time
+  * (llmProvider, authService, db) see the test configuration
+  */
+
+process.env.NODE_ENV = 'test';
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDING_PROVIDER = 'fake';
+process.env.YOUTUBE_API_KEY = 'test-youtube-key';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.CATALOG_IMPORT_DELAY_MS = '0';
+
+// The test runner reads a test file's stdout as its own serialized messages
+// mixed with text, and Node 20 misreads a line starting with an emoji that
+// lands right after a message ("Unable to deserialize cloned data") - keep
+// the app's logging on stderr
+console.log = console.error;
+console.info = console.error;
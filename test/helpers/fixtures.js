@@ -0,0 +1,135 @@
+/**
+  * Test Fixtures
+  * YouTube API responses, song analyses and catalog seeding
+  */
+
+import { setFakeResponder } from '../../services/fakeLLM.js';
+
+/**
+ * One item of a YouTube Data API v3 search response
+ */
+export function youtubeItem({ videoId, title, channelTitle, publishedAt = '2015-06-01T00:00:00Z' }) {
+    return {
+        id: { kind: 'youtube#video', videoId },
+        snippet: {
+            title,
+            channelTitle,
+            publishedAt,
+            thumbnails: { high: { url: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` } }
+        }
+    };
+}
+
+/**
+ * The videos endpoint response for search items (4 minutes each unless given)
+ */
+export function youtubeVideos(items, { durations = {}, descriptions = {} } = {}) {
+    return {
+        items: items.map(item => ({
+            id: item.id.videoId,
+            snippet: { ...item.snippet, description: descriptions[item.id.videoId] || '' },
+            contentDetails: { duration: durations[item.id.videoId] || 'PT4M' }
+        }))
+    };
+}
+
+/**
+ * Replace global fetch so YouTube API calls return the given items
+ * Pass search items, or a recorded { search, videos } response pair (test/fixtures/youtube).
+ * Other requests go to the real fetch. Returns { calls, videoCalls, restore } (calls = searches).
+ */
+export function mockYouTube(items = []) {
+    const realFetch = globalThis.fetch;
+    const calls = [];
+    const videoCalls = [];
+    const { search, videos } = Array.isArray(items)
+        ? { search: { items }, videos: youtubeVideos(items) }
+        : items;
+
+    globalThis.fetch = async (url, options) => {
+        if (String(url).startsWith('https://www.googleapis.com/youtube/')) {
+            const isVideos = String(url).includes('/youtube/v3/videos');
+            (isVideos ? videoCalls : calls).push(String(url));
+            return new Response(JSON.stringify(isVideos ? videos : search), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+        return realFetch(url, options);
+    };
+
+    return {
+        calls,
+        videoCalls,
+        restore: () => { globalThis.fetch = realFetch; }
+    };
+}
+
+/**
+ * Make analyzeSong return a fixed analysis
+ */
+export function mockSongAnalysis(analysis) {
+    setFakeResponder('song-analyzer', JSON.stringify({
+        known: true,
+        mood: ['calm'],
+        energy: 3,
+        themes: [],
+        lyricsSummary: '',
+        genre: 'jazz',
+        explicit: false,
+        decade: null,
+        ...analysis
+    }));
+}
+
+/**
+ * Make extractVibeRules return fixed rules
+ */
+export function mockVibeRules(rules) {
+    setFakeResponder('vibe-extractor', JSON.stringify(rules));
+}
+
+/**
+ * Add a song to the catalog (with a fake embedding unless embed: false)
+ */
+export async function seedCatalogSong(pgclient, song, { embed = true } = {}) {
+    const analysis = { mood: song.mood || ['calm'], genre: song.genre || 'jazz', energy: song.energy ?? null };
+
+    if (embed) {
+        // Loaded lazily - songSearch imports db.js, which must not load before startTestServer
+        const { addSongToCatalog } = await import('../../services/songSearch.js');
+        return addSongToCatalog(song, analysis);
+    }
+
+    const result = await pgclient.query(
+        `INSERT INTO "SongCatalog" (title, artist, year, "youtubeId", mood, genre, energy)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+        [song.title, song.artist, song.year || null, song.youtubeId || null, analysis.mood, analysis.genre, analysis.energy]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Make every INSERT/UPDATE/DELETE on a table fail (to test rollbacks)
+ * Returns an async restore function
+ */
+export async function failWritesTo(pgclient, table, operation = 'INSERT') {
+    const name = `test_fail_${table.toLowerCase()}_${operation.toLowerCase()}`;
+
+    await pgclient.query(`
+        CREATE OR REPLACE FUNCTION ${name}() RETURNS trigger AS $$
+        BEGIN
+            RAISE EXCEPTION 'test: % on % is disabled', TG_OP, TG_TABLE_NAME;
+        END;
+        $$ LANGUAGE plpgsql;
+        CREATE TRIGGER ${name} BEFORE ${operation} ON public."${table}"
+            FOR EACH ROW EXECUTE FUNCTION ${name}();
+    `);
+
+    return async () => {
+        await pgclient.query(`DROP TRIGGER ${name} ON public."${table}"; DROP FUNCTION ${name}();`);
+    };
+}
+
+export default { youtubeItem, youtubeVideos, mockYouTube, mockSongAnalysis, mockVibeRules, seedCatalogSong, failWritesTo };
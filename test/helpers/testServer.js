@@ -0,0 +1,122 @@
+/**
+  * Test Server
+  * Boots the Express app against a disposable in-process Postgres
+  *
+  * Each test file runs in its own process and gets a fresh PGlite database
+  * (real Postgres compiled to WASM, with pgvector) built by the migrations,
+  * served over a local socket so db.js connects to it like any Postgres.
+  * All LLM and embedding calls use the fake provider (see services/fakeLLM.js).
+  */
+
+import './env.js';
+import { PGlite } from '@electric-sql/pglite';
+import { vector } from '@electric-sql/pglite-pgvector';
+import { PGLiteSocketServer } from '@electric-sql/pglite-socket';
+import request from 'supertest';
+
+// Extended-query messages (Parse, Bind, Describe, Execute, Close, Flush) - a
+// connection's batch of these only ends with Sync
+const BATCH_MESSAGES = new Set(['P', 'B', 'D', 'E', 'C', 'H'].map(c => c.charCodeAt(0)));
+
+/**
+ * The socket server runs one protocol message at a time, taking turns between
+ * connections, and only keeps a connection's messages together while
+ * db.isInTransaction(). Parallel requests then run each other's statements
+ * ("bind message supplies 2 parameters, but prepared statement requires 1") -
+ * report a half-sent batch as a transaction too, so it finishes first.
+ */
+function keepBatchesTogether(db) {
+    let midBatch = false;
+    return new Proxy(db, {
+        get(target, prop) {
+            if (prop === 'isInTransaction') {
+                return () => midBatch || target.isInTransaction();
+            }
+            if (prop === 'execProtocolRawStream') {
+                return (message, options) => {
+                    midBatch = BATCH_MESSAGES.has(message[0]);
+                    return target.execProtocolRawStream(message, options);
+                };
+            }
+            const value = Reflect.get(target, prop, target);
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+}
+
+/**
+ * Start a fresh database + app
+ * Returns { app, pgclient, api, stop }
+ */
+export async function startTestServer() {
+    const db = await PGlite.create({ extensions: { vector } });
+    // db.js uses a pool - allow as many connections as it may open
+    const socketServer = new PGLiteSocketServer({ db: keepBatchesTogether(db), port: 0, host: '127.0.0.1', maxConnections: 20 });
+    await socketServer.start();
+
+    process.env.DATABASE_URL = `postgres://postgres@${socketServer.getServerConn()}/postgres`;
+
+    // Import after DATABASE_URL is set - db.js reads it at load time
+    const { default: pgclient } = await import('../../db.js');
+    const { migrateUp } = await import('../../services/migrationService.js');
+    await migrateUp({ log: () => {} });
+
+    const { default: app } = await import('../../app.js');
+
+    const stop = async () => {
+        await pgclient.end();
+        await socketServer.stop();
+        await db.close();
+    };
+
+    return { app, pgclient, api: request(app), stop };
+}
+
+let userCount = 0;
+
+/**
+ * Sign up a new user - returns { user, accessToken, refreshToken, auth }
+ * auth is the Authorization header value
+ */
+export async function createUser(app, overrides = {}) {
+    userCount += 1;
+    const body = {
+        email: `user${userCount}-${Date.now()}@test.com`,
+        password: 'password123',
+        name: `User ${userCount}`,
+        ...overrides
+    };
+
+    const res = await request(app).post('/api/auth/signup').send(body);
+    if (res.status !== 201) {
+        throw new Error(`Signup failed: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+
+    return { ...res.body, password: body.password, auth: `Bearer ${res.body.accessToken}` };
+}
+
+/**
+ * Create a party hosted by user - returns the party row
+ */
+export async function createParty(app, host, vibeDescription = 'chill jazz, no explicit') {
+    const res = await request(app)
+        .post('/api/party')
+        .set('Authorization', host.auth)
+        .send({ name: 'Test Party', vibeDescription });
+
+    if (res.status !== 201) {
+        throw new Error(`Create party failed: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+    return res.body.party;
+}
+
+/**
+ * Join user to a party
+ */
+export async function joinParty(app, user, partyId) {
+    return request(app)
+        .post(`/api/party/${partyId}/join`)
+        .set('Authorization', user.auth);
+}
+
+export default { startTestServer, createUser, createParty, joinParty };
@@ -0,0 +1,109 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startTestServer } from './helpers/testServer.js';
+
+const quiet = { log: () => {} };
+
+describe('Migrations', () => {
+    let server;
+    let migrations;
+
+    before(async () => {
+        server = await startTestServer();
+        migrations = await import('../services/migrationService.js');
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    const tableExists = async (name) => {
+        const result = await server.pgclient.query('SELECT to_regclass($1) AS oid', [`public."${name}"`]);
+        return result.rows[0].oid !== null;
+    };
+
+    it('lists migrations in version order with up and down files', () => {
+        const list = migrations.listMigrations();
+        assert.equal(list[0].version, '0001');
+        assert.equal(list[0].name, 'initial_schema');
+        assert.ok(list.every(m => m.upFile && m.downFile));
+    });
+
+    it('records applied migrations and reports nothing pending', async () => {
+        const status = await migrations.getMigrationStatus();
+        assert.deepEqual(status.pending, []);
+        assert.equal(status.applied[0].version, '0001');
+        await migrations.assertSchemaUpToDate();
+    });
+
+    it('is a no-op when the database is up to date', async () => {
+        assert.deepEqual(await migrations.migrateUp(quiet), []);
+    });
+
+    it('rolls back and re-applies every migration', async () => {
+        const count = migrations.listMigrations().length;
+
+        const reverted = await migrations.migrateDown({ steps: count, ...quiet });
+        assert.equal(reverted.length, count);
+        assert.equal(await tableExists('Party'), false);
+        await assert.rejects(migrations.assertSchemaUpToDate(), /Database schema is behind/);
+
+        const applied = await migrations.migrateUp(quiet);
+        assert.equal(applied.length, count);
+        assert.equal(await tableExists('Party'), true);
+    });
+
+    it('rolls back a failed migration and keeps earlier ones', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mazaj-migrations-'));
+        for (const file of fs.readdirSync(migrations.MIGRATIONS_DIR)) {
+            fs.copyFileSync(path.join(migrations.MIGRATIONS_DIR, file), path.join(dir, file));
+        }
+        fs.writeFileSync(path.join(dir, '9998_add_test_table.up.sql'), 'CREATE TABLE migration_test (id int);');
+        fs.writeFileSync(path.join(dir, '9998_add_test_table.down.sql'), 'DROP TABLE migration_test;');
+        fs.writeFileSync(path.join(dir, '9999_broken.up.sql'), 'CREATE TABLE broken (id int); SELECT no_such_function();');
+
+        try {
+            await assert.rejects(migrations.migrateUp({ dir, ...quiet }), /no_such_function/);
+
+            const status = await migrations.getMigrationStatus(dir);
+            assert.deepEqual(status.pending.map(m => m.version), ['9999']);
+            assert.equal(await tableExists('broken'), false);
+
+            await assert.rejects(migrations.migrateDown({ steps: 1, dir: migrations.MIGRATIONS_DIR, ...quiet }), /no \.down\.sql/);
+
+            const reverted = await migrations.migrateDown({ steps: 1, dir, ...quiet });
+            assert.deepEqual(reverted.map(m => m.version), ['9998']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('baselines a database created from the old schema.sql and migrates it the rest of the way', async () => {
+        const count = migrations.listMigrations().length;
+        await migrations.migrateDown({ steps: count, ...quiet });
+
+        // What schema.sql created, with a member who joined twice
+        const [initial] = migrations.listMigrations();
+        await server.pgclient.query(fs.readFileSync(initial.upFile, 'utf8'));
+        await server.pgclient.query(
+            `INSERT INTO "User" (id, email, name, password) VALUES ('u1', 'host@example.com', 'Host', 'x'), ('u2', 'guest@example.com', 'Guest', 'x');
+             INSERT INTO "Party" (id, code, "hostId", "vibeDescription") VALUES ('p1', 'ABC123', 'u1', 'chill');
+             INSERT INTO "PartyMember" ("partyId", "userId") VALUES ('p1', 'u1'), ('p1', 'u2'), ('p1', 'u2');`
+        );
+
+        const marked = await migrations.baseline('0001');
+        assert.deepEqual(marked.map(m => m.version), ['0001']);
+
+        const applied = await migrations.migrateUp(quiet);
+        assert.equal(applied.length, count - 1);
+        await migrations.assertSchemaUpToDate();
+
+        const members = await server.pgclient.query('SELECT "userId", role FROM "PartyMember" ORDER BY "userId"');
+        assert.deepEqual(members.rows, [{ userId: 'u1', role: 'HOST' }, { userId: 'u2', role: 'GUEST' }]);
+
+        await server.pgclient.query('DELETE FROM "PartyMember"; DELETE FROM "Party"; DELETE FROM "User"');
+    });
+});
@@ -0,0 +1,272 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startTestServer, createUser } from './helpers/testServer.js';
+import { mockYouTube, mockSongAnalysis } from './helpers/fixtures.js';
+import { resetFakeResponders, setFakeResponder } from '../services/fakeLLM.js';
+
+const VIBE = {
+    vibeDescription: 'chill jazz, no explicit',
+    vibeRules: { allowedGenres: ['jazz'], allowedMoods: ['calm'], explicitAllowed: false }
+};
+
+/**
+ * A silent 8 kHz mono WAV of `seconds`, tagged with a RIFF INFO list
+ */
+function wavFile(seconds, { title, artist, album, year } = {}) {
+    const chunk = (id, data) => {
+        const padded = data.length % 2 ? Buffer.concat([data, Buffer.alloc(1)]) : data;
+        const header = Buffer.alloc(8);
+        header.write(id, 0, 'ascii');
+        header.writeUInt32LE(data.length, 4);
+        return Buffer.concat([header, padded]);
+    };
+    const text = value => Buffer.from(`${value}\0`, 'latin1');
+
+    const fmt = Buffer.alloc(16);
+    fmt.writeUInt16LE(1, 0);       // PCM
+    fmt.writeUInt16LE(1, 2);       // mono
+    fmt.writeUInt32LE(8000, 4);    // sample rate
+    fmt.writeUInt32LE(8000, 8);    // byte rate
+    fmt.writeUInt16LE(1, 12);      // block align
+    fmt.writeUInt16LE(8, 14);      // bits per sample
+
+    const tags = [['INAM', title], ['IART', artist], ['IPRD', album], ['ICRD', year]]
+        .filter(([, value]) => value !== undefined)
+        .map(([id, value]) => chunk(id, text(value)));
+    const info = tags.length ? [chunk('LIST', Buffer.concat([Buffer.from('INFO'), ...tags]))] : [];
+
+    const body = Buffer.concat([
+        Buffer.from('WAVE'),
+        chunk('fmt ', fmt),
+        chunk('data', Buffer.alloc(8000 * seconds, 128)),
+        ...info
+    ]);
+    return chunk('RIFF', body);
+}
+
+describe('Music sources', () => {
+    let server;
+    let library;
+    let invokeDJAgent;
+    let dir;
+    let youtube;
+
+    const writeTrack = (name, seconds, tags) => fs.writeFile(path.join(dir, name), wavFile(seconds, tags));
+    const ask = userMessage => invokeDJAgent({ ...VIBE, userMessage, partyId: null });
+
+    before(async () => {
+        server = await startTestServer();
+        library = await import('../services/localLibrary.js');
+        ({ invokeDJAgent } = await import('../agents/djAgent.js'));
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        resetFakeResponders();
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mazaj-library-'));
+        process.env.LOCAL_MUSIC_DIR = dir;
+        await server.pgclient.query('DELETE FROM "SongCatalog"');
+        await server.pgclient.query('DELETE FROM "LocalTrack"');
+        youtube = mockYouTube([]);
+    });
+
+    afterEach(async () => {
+        youtube.restore();
+        delete process.env.LOCAL_MUSIC_DIR;
+        delete process.env.MUSIC_SOURCES;
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    describe('local library scan', () => {
+        it('indexes tags and duration, and falls back to the file name', async () => {
+            await fs.mkdir(path.join(dir, 'jazz'));
+            await writeTrack('jazz/take5.wav', 3, { title: 'Take Five', artist: 'Dave Brubeck', album: 'Time Out', year: '1959' });
+            await writeTrack('02 - Miles Davis - So What.wav', 2);
+            await fs.writeFile(path.join(dir, 'notes.txt'), 'not music');
+
+            const stats = await library.scanLibrary();
+            assert.deepEqual(stats, { added: 2, updated: 0, removed: 0, failed: 0, total: 2 });
+
+            const rows = (await server.pgclient.query('SELECT * FROM "LocalTrack" ORDER BY title')).rows;
+            assert.deepEqual(
+                rows.map(({ path: file, title, artist, album, year, duration }) => ({ file, title, artist, album, year, duration })),
+                [
+                    { file: '02 - Miles Davis - So What.wav', title: 'So What', artist: 'Miles Davis', album: null, year: null, duration: 2 },
+                    { file: path.join('jazz', 'take5.wav'), title: 'Take Five', artist: 'Dave Brubeck', album: 'Time Out', year: 1959, duration: 3 }
+                ]
+            );
+        });
+
+        it('re-reads changed files and drops deleted ones', async () => {
+            await writeTrack('a.wav', 1, { title: 'Blue in Green', artist: 'Miles Davis' });
+            await writeTrack('b.wav', 1, { title: 'Naima', artist: 'John Coltrane' });
+            await library.scanLibrary();
+
+            const unchanged = await library.scanLibrary();
+            assert.deepEqual(unchanged, { added: 0, updated: 0, removed: 0, failed: 0, total: 2 });
+
+            await writeTrack('a.wav', 2, { title: 'Blue in Green (Take 3)', artist: 'Miles Davis' });
+            await fs.rm(path.join(dir, 'b.wav'));
+
+            const stats = await library.scanLibrary();
+            assert.equal(stats.updated, 1);
+            assert.equal(stats.removed, 1);
+
+            const rows = (await server.pgclient.query('SELECT title, duration FROM "LocalTrack"')).rows;
+            assert.deepEqual(rows, [{ title: 'Blue in Green (Take 3)', duration: 2 }]);
+        });
+
+        it('searches by title words and by artist', async () => {
+            await writeTrack('1.wav', 1, { title: 'Take Five', artist: 'Dave Brubeck' });
+            await writeTrack('2.wav', 1, { title: 'Blue Rondo a la Turk', artist: 'Dave Brubeck' });
+            await library.scanLibrary();
+
+            const byTitle = await library.searchLocalLibrary({ title: 'five take', artist: 'brubeck' });
+            assert.equal(byTitle.title, 'Take Five');
+            assert.equal(byTitle.duration, 1);
+            assert.ok(byTitle.localTrackId);
+
+            assert.equal(await library.searchLocalLibrary({ title: 'take_five' }), null);
+            assert.equal(await library.searchLocalLibrary({ title: '   ' }), null);
+            assert.equal(await library.searchLocalLibrary({ artist: ' ' }), null);
+
+            const byArtist = await library.searchLocalLibrary({ artist: 'Dave Brubeck', exclude: ['take five|dave brubeck'] });
+            assert.equal(byArtist.title, 'Blue Rondo a la Turk');
+        });
+    });
+
+    describe('DJ agent', () => {
+        it('finds songs in the local library before YouTube', async () => {
+            await writeTrack('take5.wav', 3, { title: 'Take Five', artist: 'Dave Brubeck', year: '1959' });
+            await library.scanLibrary();
+            mockSongAnalysis({ mood: ['calm'], genre: 'jazz' });
+
+            const stages = [];
+            const result = await invokeDJAgent({
+                ...VIBE,
+                userMessage: 'play take five by dave brubeck',
+                partyId: null,
+                onProgress: ({ stage }) => stages.push(stage)
+            });
+
+            assert.equal(result.type, 'AI_ACCEPT');
+            assert.equal(result.song.title, 'Take Five');
+            assert.equal(result.song.duration, 3);
+            assert.ok(result.song.localTrackId);
+            assert.equal(result.song.youtubeId, null);
+            assert.ok(stages.includes('local'));
+            assert.equal(youtube.calls.length, 0);
+
+            const catalog = await server.pgclient.query('SELECT "localTrackId" FROM "SongCatalog" WHERE title = $1', ['Take Five']);
+            assert.equal(catalog.rows[0].localTrackId, result.song.localTrackId);
+        });
+
+        it('tops up a batch from the sources, judging each find', async () => {
+            await writeTrack('1.wav', 1, { title: 'Take Five', artist: 'Dave Brubeck' });
+            await writeTrack('2.wav', 1, { title: 'Blue Rondo a la Turk', artist: 'Dave Brubeck' });
+            await writeTrack('3.wav', 1, { title: 'In Your Own Sweet Way', artist: 'Dave Brubeck' });
+            await library.scanLibrary();
+            mockSongAnalysis({ mood: ['calm'], genre: 'jazz' });
+            setFakeResponder('vibe-judge', messages => JSON.stringify({
+                results: [{
+                    rule: 'Nothing about Turkey',
+                    passes: !messages.some(m => m.content.includes('Blue Rondo')),
+                    reason: 'Mentions Turkey'
+                }]
+            }));
+
+            const result = await invokeDJAgent({
+                vibeDescription: VIBE.vibeDescription,
+                vibeRules: { ...VIBE.vibeRules, customRules: ['Nothing about Turkey'], ruleSeverity: { customRules: 'hard' } },
+                userMessage: 'queue two Dave Brubeck songs',
+                partyId: null
+            });
+
+            assert.deepEqual(result.songs.map(s => s.title), ['Take Five', 'In Your Own Sweet Way']);
+            assert.deepEqual(result.results.map(r => r.status), ['ACCEPTED', 'ACCEPTED']);
+        });
+
+        it('falls through to the next source and honours MUSIC_SOURCES', async () => {
+            mockSongAnalysis({ mood: ['calm'], genre: 'jazz' });
+
+            const missing = await ask('play so what by miles davis');
+            assert.deepEqual(missing.results.map(r => r.status), ['NOT_FOUND']);
+            assert.equal(youtube.calls.length, 1);
+
+            process.env.MUSIC_SOURCES = 'local';
+            await ask('play naima by john coltrane');
+            assert.equal(youtube.calls.length, 1);
+        });
+
+        it('still asks YouTube when the local library search fails', async () => {
+            mockSongAnalysis({ mood: ['calm'], genre: 'jazz' });
+            await server.pgclient.query('ALTER TABLE "LocalTrack" RENAME TO "LocalTrackMoved"');
+            try {
+                const result = await ask('play so what by miles davis');
+                assert.deepEqual(result.results.map(r => r.status), ['NOT_FOUND']);
+                assert.equal(youtube.calls.length, 1);
+            } finally {
+                await server.pgclient.query('ALTER TABLE "LocalTrackMoved" RENAME TO "LocalTrack"');
+            }
+        });
+
+        it('says so when no source is enabled', async () => {
+            process.env.MUSIC_SOURCES = 'nope';
+
+            const result = await ask('play so what by miles davis');
+            assert.deepEqual(result.results.map(r => r.status), ['NOT_FOUND']);
+            assert.equal(youtube.calls.length, 0);
+        });
+    });
+
+    describe('library routes', () => {
+        it('reports status and streams audio to logged-in users only', async () => {
+            const user = await createUser(server.app);
+            await writeTrack('take5.wav', 1, { title: 'Take Five', artist: 'Dave Brubeck' });
+            await library.scanLibrary();
+            const { id } = (await server.pgclient.query('SELECT id FROM "LocalTrack"')).rows[0];
+
+            const status = await server.api.get('/api/library').set('Authorization', user.auth);
+            assert.deepEqual(status.body.library, { enabled: true, tracks: 1, scanning: false });
+
+            const track = await server.api.get(`/api/library/tracks/${id}`).set('Authorization', user.auth);
+            assert.equal(track.body.track.title, 'Take Five');
+            assert.equal(track.body.track.filePath, undefined);
+
+            const audio = await server.api.get(`/api/library/tracks/${id}/audio`).set('Authorization', user.auth);
+            assert.equal(audio.status, 200);
+            assert.equal(audio.headers['content-type'], 'audio/wav');
+            assert.equal(Number(audio.headers['content-length']), (await fs.stat(path.join(dir, 'take5.wav'))).size);
+
+            const anonymous = await server.api.get(`/api/library/tracks/${id}/audio`);
+            assert.equal(anonymous.status, 401);
+
+            await fs.rm(path.join(dir, 'take5.wav'));
+            const gone = await server.api.get(`/api/library/tracks/${id}/audio`).set('Authorization', user.auth);
+            assert.equal(gone.status, 404);
+        });
+
+        it('lets only admins start a scan', async () => {
+            const user = await createUser(server.app);
+            const admin = await createUser(server.app);
+            await server.pgclient.query('UPDATE "User" SET "isAdmin" = true WHERE id = $1', [admin.user.id]);
+            await writeTrack('naima.wav', 1, { title: 'Naima', artist: 'John Coltrane' });
+
+            const denied = await server.api.post('/api/library/scan').set('Authorization', user.auth);
+            assert.equal(denied.status, 403);
+
+            const res = await server.api.post('/api/library/scan').set('Authorization', admin.auth);
+            assert.equal(res.status, 202);
+            await library.startLibraryScan();
+
+            const tracks = await server.pgclient.query('SELECT title FROM "LocalTrack"');
+            assert.deepEqual(tracks.rows, [{ title: 'Naima' }]);
+        });
+    });
+});
@@ -0,0 +1,652 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createUser, createParty, joinParty } from './helpers/testServer.js';
+import { mockVibeRules, failWritesTo } from './helpers/fixtures.js';
+import { resetFakeResponders } from '../services/fakeLLM.js';
+
+describe('Party routes', () => {
+    let server;
+    let host;
+    let guest;
+    let party;
+
+    before(async () => {
+        server = await startTestServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    beforeEach(async () => {
+        resetFakeResponders();
+        host = await createUser(server.app);
+        guest = await createUser(server.app);
+        party = await createParty(server.app, host);
+    });
+
+    const addSong = (user, title, artist = 'Artist', extra = {}) => server.api
+        .post(`/api/party/${party.id}/queue`)
+        .set('Authorization', user.auth)
+        .send({ title, artist, ...extra });
+
+    describe('POST /api/party', () => {
+        it('creates a party with extracted vibe rules and the host as HOST member', async () => {
+            assert.match(party.code, /^MZ-/);
+            assert.equal(party.hostId, host.user.id);
+            assert.deepEqual(party.vibeRules.allowedGenres, ['jazz']);
+            assert.equal(party.vibeRules.explicitAllowed, false);
+
+            const members = await server.api.get(`/api/party/${party.id}/members`).set('Authorization', host.auth);
+            assert.equal(members.body.members.length, 1);
+            assert.equal(members.body.members[0].role, 'HOST');
+        });
+
+        it('creates nothing if the host membership cannot be saved', async () => {
+            const before = await server.pgclient.query('SELECT COUNT(*)::int AS count FROM "Party"');
+            const restore = await failWritesTo(server.pgclient, 'PartyMember');
+            try {
+                const res = await server.api.post('/api/party').set('Authorization', host.auth).send({ vibeDescription: 'jazz' });
+                assert.equal(res.status, 500);
+            } finally {
+                await restore();
+            }
+
+            const after = await server.pgclient.query('SELECT COUNT(*)::int AS count FROM "Party"');
+            assert.equal(after.rows[0].count, before.rows[0].count);
+        });
+
+        it('requires a vibe description', async () => {
+            const res = await server.api.post('/api/party').set('Authorization', host.auth).send({ name: 'x' });
+            assert.equal(res.status, 400);
+        });
+
+        it('requires authentication', async () => {
+            const res = await server.api.post('/api/party').send({ vibeDescription: 'x' });
+            assert.equal(res.status, 401);
+        });
+    });
+
+    describe('GET /api/party/:id, /code/:code, /user/:userId', () => {
+        it('gets a party by id and by code', async () => {
+            const byId = await server.api.get(`/api/party/${party.id}`).set('Authorization', guest.auth);
+            assert.equal(byId.status, 200);
+            assert.equal(byId.body.party.id, party.id);
+
+            const byCode = await server.api.get(`/api/party/code/${party.code}`).set('Authorization', guest.auth);
+            assert.equal(byCode.body.party.id, party.id);
+
+            const missing = await server.api.get('/api/party/nope').set('Authorization', guest.auth);
+            assert.equal(missing.status, 404);
+        });
+
+        it('lists parties hosted by a user with members', async () => {
+            const res = await server.api.get(`/api/party/user/${host.user.id}`).set('Authorization', host.auth);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.parties[0].id, party.id);
+            assert.equal(res.body.parties[0].members.length, 1);
+        });
+    });
+
+    describe('POST /api/party/:id/join and members', () => {
+        it('joins as GUEST and is idempotent', async () => {
+            const res = await joinParty(server.app, guest, party.id);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Joined party successfully');
+
+            const again = await joinParty(server.app, guest, party.id);
+            assert.equal(again.body.message, 'Already a member');
+
+            const members = await server.api.get(`/api/party/${party.id}/members`).set('Authorization', guest.auth);
+            assert.deepEqual(members.body.members.map(m => m.role), ['HOST', 'GUEST']);
+        });
+
+        it('hides party details from non-members', async () => {
+            const res = await server.api.get(`/api/party/${party.id}/members`).set('Authorization', guest.auth);
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('member moderation', () => {
+        beforeEach(async () => {
+            await joinParty(server.app, guest, party.id);
+        });
+
+        it('lets the host promote a guest to co-host', async () => {
+            const res = await server.api.patch(`/api/party/${party.id}/members/${guest.user.id}/role`)
+                .set('Authorization', host.auth)
+                .send({ role: 'CO_HOST' });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.member.role, 'CO_HOST');
+
+            // Co-hosts can now add songs manually
+            const add = await addSong(guest, 'So What', 'Miles Davis');
+            assert.equal(add.status, 201);
+        });
+
+        it('does not let guests change roles', async () => {
+            const res = await server.api.patch(`/api/party/${party.id}/members/${host.user.id}/role`)
+                .set('Authorization', guest.auth)
+                .send({ role: 'GUEST' });
+            assert.equal(res.status, 403);
+        });
+
+        it('kicks a member', async () => {
+            const res = await server.api.delete(`/api/party/${party.id}/members/${guest.user.id}`).set('Authorization', host.auth);
+            assert.equal(res.status, 200);
+
+            const queue = await server.api.get(`/api/party/${party.id}/queue`).set('Authorization', guest.auth);
+            assert.equal(queue.status, 403);
+        });
+
+        it('bans and unbans a member', async () => {
+            const ban = await server.api.post(`/api/party/${party.id}/members/${guest.user.id}/ban`).set('Authorization', host.auth);
+            assert.equal(ban.status, 200);
+
+            const rejoin = await joinParty(server.app, guest, party.id);
+            assert.equal(rejoin.status, 403);
+
+            const unban = await server.api.delete(`/api/party/${party.id}/members/${guest.user.id}/ban`).set('Authorization', host.auth);
+            assert.equal(unban.status, 200);
+
+            const rejoinAfter = await joinParty(server.app, guest, party.id);
+            assert.equal(rejoinAfter.status, 200);
+        });
+
+        it('returns 404 when kicking or banning an unknown user', async () => {
+            const kick = await server.api.delete(`/api/party/${party.id}/members/no-such-user`).set('Authorization', host.auth);
+            assert.equal(kick.status, 404);
+
+            const ban = await server.api.post(`/api/party/${party.id}/members/no-such-user/ban`).set('Authorization', host.auth);
+            assert.equal(ban.status, 404);
+        });
+
+        it('closes the event streams of kicked and banned users', async () => {
+            const listener = server.app.listen(0);
+            const url = `http://127.0.0.1:${listener.address().port}/api/party/${party.id}/events`;
+            const readAll = async res => {
+                const reader = res.body.getReader();
+                let text = '';
+                for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                    text += new TextDecoder().decode(chunk.value);
+                }
+                return text;
+            };
+
+            try {
+                const guestStream = await fetch(url, { headers: { Authorization: guest.auth } });
+                const hostController = new AbortController();
+                const hostStream = await fetch(url, { headers: { Authorization: host.auth }, signal: hostController.signal });
+
+                await server.api.delete(`/api/party/${party.id}/members/${guest.user.id}`).set('Authorization', host.auth);
+                assert.match(await readAll(guestStream), /event: member.kicked/);
+
+                // Everyone else stays connected
+                const { value } = await hostStream.body.getReader().read();
+                assert.match(new TextDecoder().decode(value), /event: member.kicked/);
+                hostController.abort();
+
+                await joinParty(server.app, guest, party.id);
+                const rejoined = await fetch(url, { headers: { Authorization: guest.auth } });
+                await server.api.post(`/api/party/${party.id}/members/${guest.user.id}/ban`).set('Authorization', host.auth);
+                assert.match(await readAll(rejoined), /event: member.banned/);
+            } finally {
+                listener.close();
+            }
+        });
+
+        it('does not let anyone kick the host', async () => {
+            const res = await server.api.delete(`/api/party/${party.id}/members/${host.user.id}`).set('Authorization', host.auth);
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('PATCH /api/party/:id/vibe', () => {
+        it('re-validates pending songs and auto-removes violators', async () => {
+            await addSong(host, 'Take Five', 'Dave Brubeck');
+            await server.pgclient.query(
+                `INSERT INTO "SongCatalog" (title, artist, mood, genre) VALUES ('Take Five', 'Dave Brubeck', '{calm}', 'jazz')`
+            );
+
+            const res = await server.api.patch(`/api/party/${party.id}/vibe`)
+                .set('Authorization', host.auth)
+                .send({ vibeRules: { allowedGenres: ['metal'] }, autoRemove: true });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.version, 2);
+            assert.equal(res.body.revalidation.checked, 1);
+            assert.equal(res.body.revalidation.violating[0].violations[0].rule, 'allowedGenres');
+            assert.equal(res.body.revalidation.removed.length, 1);
+
+            const history = await server.api.get(`/api/party/${party.id}/vibe/history`).set('Authorization', host.auth);
+            assert.deepEqual(history.body.history.map(h => h.version), [2, 1]);
+        });
+
+        it('re-extracts rules from a new description', async () => {
+            mockVibeRules({ allowedGenres: ['pop'] });
+            const res = await server.api.patch(`/api/party/${party.id}/vibe`)
+                .set('Authorization', host.auth)
+                .send({ vibeDescription: 'pop hits' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.party.vibeDescription, 'pop hits');
+            assert.deepEqual(res.body.party.vibeRules.allowedGenres, ['pop']);
+        });
+
+        it('embeds the vibe description on create and when it changes, without returning it', async () => {
+            const embedding = async () => (await server.pgclient.query(
+                'SELECT "vibeEmbedding"::text AS embedding FROM "Party" WHERE id = $1',
+                [party.id]
+            )).rows[0].embedding;
+
+            const original = await embedding();
+            assert.ok(original);
+            assert.equal('vibeEmbedding' in party, false);
+
+            const fetched = await server.api.get(`/api/party/${party.id}`).set('Authorization', host.auth);
+            assert.equal('vibeEmbedding' in fetched.body.party, false);
+
+            const edited = await server.api.patch(`/api/party/${party.id}/vibe`).set('Authorization', host.auth).send({ vibeRules: { minScore: 0.6 } });
+            assert.equal('vibeEmbedding' in edited.body.party, false);
+            assert.equal(await embedding(), original);
+
+            await server.api.patch(`/api/party/${party.id}/vibe`).set('Authorization', host.auth).send({ vibeDescription: 'pop hits' });
+            assert.notEqual(await embedding(), original);
+        });
+
+        it('caps track length and keeps the cap across a new description', async () => {
+            await addSong(host, 'Short', 'Artist', { duration: 200 });
+            await addSong(host, 'Hour-long Mix', 'Artist', { duration: 3600 });
+
+            const invalid = await server.api.patch(`/api/party/${party.id}/vibe`)
+                .set('Authorization', host.auth)
+                .send({ vibeRules: { maxDurationSeconds: 30 } });
+            assert.equal(invalid.status, 400);
+
+            const res = await server.api.patch(`/api/party/${party.id}/vibe`)
+                .set('Authorization', host.auth)
+                .send({ vibeRules: { maxDurationSeconds: 600 } });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.revalidation.violating.map(v => v.song.title), ['Hour-long Mix']);
+            assert.equal(res.body.revalidation.violating[0].violations[0].rule, 'maxDuration');
+
+            mockVibeRules({ allowedGenres: ['pop'] });
+            const redescribed = await server.api.patch(`/api/party/${party.id}/vibe`)
+                .set('Authorization', host.auth)
+                .send({ vibeDescription: 'pop hits' });
+            assert.equal(redescribed.body.party.vibeRules.maxDurationSeconds, 600);
+
+            const cleared = await server.api.patch(`/api/party/${party.id}/vibe`)
+                .set('Authorization', host.auth)
+                .send({ vibeRules: { maxDurationSeconds: null } });
+            assert.equal(cleared.body.party.vibeRules.maxDurationSeconds, null);
+        });
+
+        it('validates rule edits and drops unknown fields', async () => {
+            const edit = (vibeRules) => server.api.patch(`/api/party/${party.id}/vibe`)
+                .set('Authorization', host.auth)
+                .send({ vibeRules });
+
+            for (const bad of [
+                { allowedGenres: 'jazz' },
+                { blockedArtists: ['Nickelback', 42] },
+                { energyRange: { min: 8, max: 3 } },
+                { energyRange: { min: 0, max: 11 } },
+                { ruleSeverity: { energyRange: 'strict' } },
+                { ruleSeverity: { loudness: 'hard' } },
+                { explicitAllowed: 'no' },
+                { unknownRule: true }
+            ]) {
+                const res = await edit(bad);
+                assert.equal(res.status, 400, JSON.stringify(bad));
+            }
+
+            const res = await edit({ energyRange: { min: 2, max: 5 }, ruleSeverity: { vibeSimilarity: 'hard' }, blockedArtists: [' Nickelback '], unknownRule: true });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.party.vibeRules.energyRange, { min: 2, max: 5 });
+            assert.deepEqual(res.body.party.vibeRules.blockedArtists, ['Nickelback']);
+            assert.equal('unknownRule' in res.body.party.vibeRules, false);
+        });
+
+        it('is host/co-host only', async () => {
+            await joinParty(server.app, guest, party.id);
+            const res = await server.api.patch(`/api/party/${party.id}/vibe`)
+                .set('Authorization', guest.auth)
+                .send({ vibeDescription: 'metal' });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('queue', () => {
+        it('adds songs manually (host only for guests) and lists the queue', async () => {
+            await joinParty(server.app, guest, party.id);
+
+            const denied = await addSong(guest, 'Song', 'Artist');
+            assert.equal(denied.status, 403);
+
+            const added = await addSong(host, 'Blue in Green', 'Miles Davis', { duration: 300 });
+            assert.equal(added.status, 201);
+            assert.equal(added.body.song.addedBy, host.user.id);
+            assert.equal(added.body.song.duration, 300);
+
+            const queue = await server.api.get(`/api/party/${party.id}/queue`).set('Authorization', guest.auth);
+            assert.equal(queue.body.queue.length, 1);
+            assert.equal(queue.body.queue[0].voteScore, 0);
+        });
+
+        it('validates durations and applies the track length cap to manual adds', async () => {
+            for (const duration of [-5, 0, 2.5, 'long', 99999999]) {
+                const res = await addSong(host, 'Bad', 'Artist', { duration });
+                assert.equal(res.status, 400, String(duration));
+            }
+
+            await server.api.patch(`/api/party/${party.id}/vibe`)
+                .set('Authorization', host.auth)
+                .send({ vibeRules: { maxDurationSeconds: 600 } });
+
+            const tooLong = await addSong(host, 'Hour-long Mix', 'Artist', { duration: 3600 });
+            assert.equal(tooLong.status, 400);
+            assert.equal(tooLong.body.message, 'Song is 60:00 long, but this party plays tracks up to 10:00');
+
+            assert.equal((await addSong(host, 'Short', 'Artist', { duration: '200' })).status, 201);
+            assert.equal((await addSong(host, 'Unknown length', 'Artist')).status, 201);
+        });
+
+        it('estimates when each pending song starts', async () => {
+            await addSong(host, 'First', 'Artist', { duration: 300 });
+            await addSong(host, 'Second', 'Artist');
+            await addSong(host, 'Third', 'Artist');
+
+            const before = Date.now();
+            const queue = await server.api.get(`/api/party/${party.id}/queue`).set('Authorization', host.auth);
+            const starts = queue.body.queue.map(s => new Date(s.estimatedStartAt).getTime() - before);
+
+            // Nothing playing: starts now, then after 300s, then after the 210s default
+            assert.ok(starts[0] >= 0 && starts[0] < 5000);
+            assert.equal(starts[1] - starts[0], 300 * 1000);
+            assert.equal(starts[2] - starts[1], 210 * 1000);
+        });
+
+        it('validates manual adds', async () => {
+            const res = await addSong(host, '', '');
+            assert.equal(res.status, 400);
+        });
+
+        it('updates song status through PATCH', async () => {
+            const a = (await addSong(host, 'A')).body.song;
+            const b = (await addSong(host, 'B')).body.song;
+
+            await server.api.patch(`/api/party/${party.id}/queue/${a.id}`).set('Authorization', host.auth).send({ status: 'PLAYING' });
+            const res = await server.api.patch(`/api/party/${party.id}/queue/${b.id}`).set('Authorization', host.auth).send({ status: 'PLAYING' });
+            assert.equal(res.status, 200);
+
+            // Only one song plays at a time
+            const queue = await server.api.get(`/api/party/${party.id}/queue`).set('Authorization', host.auth);
+            assert.deepEqual(queue.body.queue.map(s => [s.title, s.status]), [['A', 'PLAYED'], ['B', 'PLAYING']]);
+
+            const invalid = await server.api.patch(`/api/party/${party.id}/queue/${a.id}`).set('Authorization', host.auth).send({ status: 'NOPE' });
+            assert.equal(invalid.status, 400);
+        });
+
+        it('counts one vote per member and orders by votes', async () => {
+            await joinParty(server.app, guest, party.id);
+            const a = (await addSong(host, 'A')).body.song;
+            const b = (await addSong(host, 'B')).body.song;
+
+            await server.api.post(`/api/party/${party.id}/queue/${b.id}/upvote`).set('Authorization', guest.auth);
+            await server.api.post(`/api/party/${party.id}/queue/${b.id}/upvote`).set('Authorization', guest.auth);
+            const vote = await server.api.post(`/api/party/${party.id}/queue/${a.id}/downvote`).set('Authorization', host.auth);
+            assert.equal(vote.body.voteScore, -1);
+
+            const mode = await server.api.patch(`/api/party/${party.id}/queue-mode`).set('Authorization', host.auth).send({ mode: 'votes' });
+            assert.equal(mode.status, 200);
+            assert.deepEqual(mode.body.queue.map(s => [s.title, s.upvotes, s.downvotes]), [['B', 1, 0], ['A', 0, 1]]);
+
+            const unvote = await server.api.delete(`/api/party/${party.id}/queue/${a.id}/vote`).set('Authorization', host.auth);
+            assert.equal(unvote.body.voteScore, 0);
+        });
+
+        it('rejects unknown queue modes', async () => {
+            const res = await server.api.patch(`/api/party/${party.id}/queue-mode`).set('Authorization', host.auth).send({ mode: 'random' });
+            assert.equal(res.status, 400);
+
+            const preview = await server.api.get(`/api/party/${party.id}/queue?mode=random`).set('Authorization', host.auth);
+            assert.equal(preview.status, 400);
+        });
+
+        it('sequences pending songs along the energy curve', async () => {
+            await addSong(host, 'Loud', 'Artist', { energy: 9, duration: 600 });
+            await addSong(host, 'Soft', 'Artist', { energy: 2, duration: 600 });
+            await addSong(host, 'Mid', 'Artist', { energy: 5, duration: 600 });
+
+            const curve = await server.api.patch(`/api/party/${party.id}/energy-curve`)
+                .set('Authorization', host.auth)
+                .send({ plannedDurationMinutes: 60, energyCurve: { start: 2, peak: 9, warmUp: 0.5 } });
+            assert.equal(curve.status, 200);
+            assert.equal(curve.body.party.energyCurve.peak, 9);
+
+            // Party just started: warm up from 2 towards 9
+            const preview = await server.api.get(`/api/party/${party.id}/queue?mode=energy-curve`).set('Authorization', host.auth);
+            assert.deepEqual(preview.body.queue.map(s => s.title), ['Soft', 'Mid', 'Loud']);
+            assert.equal(preview.body.queue[0].targetEnergy, 2);
+
+            // The party's own mode is unchanged
+            const fifo = await server.api.get(`/api/party/${party.id}/queue`).set('Authorization', host.auth);
+            assert.deepEqual(fifo.body.queue.map(s => s.title), ['Loud', 'Soft', 'Mid']);
+        });
+
+        it('validates energy values and curves', async () => {
+            const badEnergy = await addSong(host, 'A', 'Artist', { energy: 12 });
+            assert.equal(badEnergy.status, 400);
+
+            const badCurve = await server.api.patch(`/api/party/${party.id}/energy-curve`)
+                .set('Authorization', host.auth)
+                .send({ energyCurve: { warmUp: 0.9, coolDown: 0.5 } });
+            assert.equal(badCurve.status, 400);
+
+            await joinParty(server.app, guest, party.id);
+            const denied = await server.api.patch(`/api/party/${party.id}/energy-curve`)
+                .set('Authorization', guest.auth)
+                .send({ plannedDurationMinutes: 120 });
+            assert.equal(denied.status, 403);
+        });
+    });
+
+    describe('PATCH /api/party/:id/request-limits', () => {
+        const setLimits = (user, requestLimits) => server.api
+            .patch(`/api/party/${party.id}/request-limits`)
+            .set('Authorization', user.auth)
+            .send({ requestLimits });
+
+        it('merges edits over the defaults and resets with null', async () => {
+            const res = await setLimits(host, { maxPendingPerMember: 2, denialCooldownSeconds: null });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.requestLimits, { maxPendingPerMember: 2, maxRequests: 20, windowMinutes: 10, denialCooldownSeconds: null });
+
+            const merged = await setLimits(host, { maxRequests: 5 });
+            assert.deepEqual(merged.body.requestLimits, { maxPendingPerMember: 2, maxRequests: 5, windowMinutes: 10, denialCooldownSeconds: null });
+
+            const reset = await setLimits(host, null);
+            assert.equal(reset.body.party.requestLimits, null);
+            assert.equal(reset.body.requestLimits.maxPendingPerMember, 5);
+        });
+
+        it('validates limits and is host/co-host only', async () => {
+            assert.equal((await setLimits(host, { windowMinutes: null })).status, 400);
+            assert.equal((await setLimits(host, { maxRequests: 0 })).status, 400);
+            assert.equal((await setLimits(host, [])).status, 400);
+
+            await joinParty(server.app, guest, party.id);
+            assert.equal((await setLimits(guest, { maxRequests: 100 })).status, 403);
+        });
+
+        it('applies to manual adds', async () => {
+            await setLimits(host, { maxPendingPerMember: 2 });
+            await addSong(host, 'One', 'Artist');
+            await addSong(host, 'Two', 'Artist');
+
+            const res = await addSong(host, 'Three', 'Artist');
+            assert.equal(res.status, 429);
+            assert.equal(res.body.limit.rule, 'maxPendingPerMember');
+
+            await setLimits(host, { maxPendingPerMember: null, maxRequests: 2 });
+            const limited = await addSong(host, 'Three', 'Artist');
+            assert.equal(limited.status, 429);
+            assert.equal(limited.body.limit.rule, 'maxRequests');
+            assert.ok(Number(limited.headers['retry-after']) > 0);
+        });
+
+        it('holds for parallel manual adds', async () => {
+            await setLimits(host, { maxPendingPerMember: 2 });
+
+            const results = await Promise.all(['A', 'B', 'C', 'D'].map(title => addSong(host, title)));
+
+            assert.deepEqual(results.map(r => r.status).sort(), [201, 201, 429, 429]);
+            const queued = await server.pgclient.query('SELECT id FROM "Song" WHERE "partyId" = $1', [party.id]);
+            assert.equal(queued.rows.length, 2);
+        });
+    });
+
+    describe('playback', () => {
+        it('plays, pauses, resumes and skips', async () => {
+            await addSong(host, 'A', 'Artist', { duration: 200 });
+            await addSong(host, 'B', 'Artist', { duration: 200 });
+            const control = action => server.api.post(`/api/party/${party.id}/playback`).set('Authorization', host.auth).send({ action });
+
+            const play = await control('play');
+            assert.equal(play.body.nowPlaying.status, 'PLAYING');
+            assert.equal(play.body.nowPlaying.song.title, 'A');
+            assert.equal(play.body.nowPlaying.durationMs, 200000);
+
+            const pause = await control('pause');
+            assert.equal(pause.body.nowPlaying.status, 'PAUSED');
+
+            const resume = await control('play');
+            assert.equal(resume.body.nowPlaying.song.title, 'A');
+
+            const skip = await control('skip');
+            assert.equal(skip.body.nowPlaying.song.title, 'B');
+
+            const end = await control('skip');
+            assert.equal(end.body.nowPlaying.status, 'STOPPED');
+
+            const now = await server.api.get(`/api/party/${party.id}/now-playing`).set('Authorization', host.auth);
+            assert.equal(now.body.nowPlaying.status, 'STOPPED');
+        });
+
+        it('does not skip songs too long for a single timer', async () => {
+            // Longer than setTimeout's 2^31-1 ms limit (e.g. old catalog data)
+            await server.pgclient.query(
+                `INSERT INTO "Song" (title, artist, duration, "addedBy", status, "partyId")
+                   VALUES ('Endless', 'Artist', 3000000, $1, 'PENDING', $2)`,
+                [host.user.id, party.id]
+            );
+            const control = action => server.api.post(`/api/party/${party.id}/playback`).set('Authorization', host.auth).send({ action });
+
+            await control('play');
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const now = await server.api.get(`/api/party/${party.id}/now-playing`).set('Authorization', host.auth);
+            assert.equal(now.body.nowPlaying.status, 'PLAYING');
+            assert.equal(now.body.nowPlaying.song.title, 'Endless');
+            await control('skip');
+        });
+
+        it('is host/co-host only and validates the action', async () => {
+            await joinParty(server.app, guest, party.id);
+            const denied = await server.api.post(`/api/party/${party.id}/playback`).set('Authorization', guest.auth).send({ action: 'skip' });
+            assert.equal(denied.status, 403);
+
+            const invalid = await server.api.post(`/api/party/${party.id}/playback`).set('Authorization', host.auth).send({ action: 'rewind' });
+            assert.equal(invalid.status, 400);
+        });
+    });
+
+    describe('GET /api/party/:id/events', () => {
+        it('streams events and resumes from Last-Event-ID', async () => {
+            const listener = server.app.listen(0);
+            const url = `http://127.0.0.1:${listener.address().port}/api/party/${party.id}/events`;
+
+            try {
+                const controller = new AbortController();
+                const res = await fetch(url, { headers: { Authorization: host.auth }, signal: controller.signal });
+                assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+                await addSong(host, 'Second');
+                const reader = res.body.getReader();
+                const { value } = await reader.read();
+                const text = new TextDecoder().decode(value);
+                assert.match(text, /event: song.added/);
+                assert.match(text, /"title":"Second"/);
+
+                const lastEventId = text.match(/^id: (.+)$/m)[1];
+                controller.abort();
+
+                // Missed an event while disconnected
+                await addSong(host, 'Third');
+                const resumeController = new AbortController();
+                const resumed = await fetch(url, {
+                    headers: { Authorization: host.auth, 'Last-Event-ID': lastEventId },
+                    signal: resumeController.signal
+                });
+                const { value: missed } = await resumed.body.getReader().read();
+                assert.match(new TextDecoder().decode(missed), /"title":"Third"/);
+                resumeController.abort();
+            } finally {
+                listener.close();
+            }
+        });
+
+        it('announces joins without private profile fields', async () => {
+            const listener = server.app.listen(0);
+            const url = `http://127.0.0.1:${listener.address().port}/api/party/${party.id}/events`;
+
+            try {
+                const controller = new AbortController();
+                const res = await fetch(url, { headers: { Authorization: host.auth }, signal: controller.signal });
+
+                await joinParty(server.app, guest, party.id);
+                const { value } = await res.body.getReader().read();
+                const event = JSON.parse(new TextDecoder().decode(value).match(/^data: (.+)$/m)[1]);
+                controller.abort();
+
+                assert.equal(event.type, 'member.joined');
+                assert.deepEqual(Object.keys(event.data.member).sort(), ['avatarUrl', 'id', 'joinedAt', 'name', 'role']);
+                assert.equal(event.data.member.id, guest.user.id);
+            } finally {
+                listener.close();
+            }
+        });
+    });
+
+    describe('DELETE /api/party/:id', () => {
+        it('deletes the party and everything in it (host only)', async () => {
+            await joinParty(server.app, guest, party.id);
+            await addSong(host, 'A');
+
+            const denied = await server.api.delete(`/api/party/${party.id}`).set('Authorization', guest.auth);
+            assert.equal(denied.status, 403);
+
+            const res = await server.api.delete(`/api/party/${party.id}`).set('Authorization', host.auth);
+            assert.equal(res.status, 200);
+
+            const gone = await server.api.get(`/api/party/${party.id}`).set('Authorization', host.auth);
+            assert.equal(gone.status, 404);
+        });
+
+        it('deletes nothing if a step fails', async () => {
+            await addSong(host, 'A');
+            const restore = await failWritesTo(server.pgclient, 'Party', 'DELETE');
+            try {
+                const res = await server.api.delete(`/api/party/${party.id}`).set('Authorization', host.auth);
+                assert.equal(res.status, 500);
+            } finally {
+                await restore();
+            }
+
+            const queue = await server.api.get(`/api/party/${party.id}/queue`).set('Authorization', host.auth);
+            assert.equal(queue.body.queue.length, 1);
+        });
+    });
+});
@@ -0,0 +1,57 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderPendingSongs, estimateStartTimes } from '../services/queueService.js';
+
+const song = (id, addedBy, minute, voteScore = 0) => ({
+    id,
+    addedBy,
+    voteScore,
+    createdAt: new Date(Date.UTC(2024, 0, 1, 20, minute))
+});
+
+const songs = [
+    song('a1', 'alice', 0, 0),
+    song('a2', 'alice', 1, 3),
+    song('a3', 'alice', 2, 0),
+    song('b1', 'bob', 3, 1),
+    song('c1', 'carol', 4, 3)
+];
+
+describe('orderPendingSongs', () => {
+    it('orders by request time in fifo mode', () => {
+        assert.deepEqual(orderPendingSongs([...songs].reverse(), 'fifo').map(s => s.id), ['a1', 'a2', 'a3', 'b1', 'c1']);
+    });
+
+    it('orders by vote score, oldest first on ties', () => {
+        assert.deepEqual(orderPendingSongs(songs, 'votes').map(s => s.id), ['a2', 'c1', 'b1', 'a1', 'a3']);
+    });
+
+    it('takes turns between members in fair-rotation mode', () => {
+        assert.deepEqual(orderPendingSongs(songs, 'fair-rotation').map(s => s.id), ['a1', 'b1', 'c1', 'a2', 'a3']);
+    });
+});
+
+describe('estimateStartTimes', () => {
+    const now = Date.UTC(2024, 0, 1, 21, 0);
+    const at = seconds => new Date(now + seconds * 1000).toISOString();
+    const pending = [{ id: 'a', duration: 200 }, { id: 'b', duration: null }, { id: 'c', duration: 180 }];
+
+    it('starts after what is left of the playing song', () => {
+        const party = { playbackStatus: 'PLAYING', playbackStartedAt: new Date(now - 60 * 1000) };
+        const result = estimateStartTimes(pending, { playing: { duration: 240 }, party, now });
+
+        // 180s left, then 200s, then the 210s default for the unknown duration
+        assert.deepEqual(result.map(s => s.estimatedStartAt), [at(180), at(380), at(590)]);
+    });
+
+    it('resumes from the saved position when paused', () => {
+        const party = { playbackStatus: 'PAUSED', playbackPositionMs: 200 * 1000 };
+        const result = estimateStartTimes(pending, { playing: { duration: 240 }, party, now });
+        assert.equal(result[0].estimatedStartAt, at(40));
+    });
+
+    it('starts now when nothing is playing', () => {
+        assert.equal(estimateStartTimes(pending, { now })[0].estimatedStartAt, at(0));
+    });
+});
@@ -0,0 +1,57 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import request from 'supertest';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { signAccessToken } from '../services/authService.js';
+
+function limitedApp(options) {
+    const app = express();
+    app.use(rateLimit(options));
+    app.get('/', (req, res) => res.json({ success: true }));
+    return app;
+}
+
+describe('rateLimit', () => {
+    it('limits each client per window', async () => {
+        const app = limitedApp({ windowMs: 60 * 1000, max: 2 });
+
+        const first = await request(app).get('/');
+        assert.equal(first.status, 200);
+        assert.equal(first.headers['ratelimit-limit'], '2');
+        assert.equal(first.headers['ratelimit-remaining'], '1');
+
+        await request(app).get('/');
+        const limited = await request(app).get('/');
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.success, false);
+        assert.ok(Number(limited.headers['retry-after']) > 0);
+
+        // Logged-in users get their own counter
+        const token = signAccessToken({ id: 'user-1', email: 'dj@example.com' });
+        const user = await request(app).get('/').set('Authorization', `Bearer ${token}`);
+        assert.equal(user.status, 200);
+
+        // An invalid token counts against the IP
+        const forged = await request(app).get('/').set('Authorization', 'Bearer nope');
+        assert.equal(forged.status, 429);
+    });
+
+    it('starts a new window once the old one ends', async () => {
+        const app = limitedApp({ windowMs: 50, max: 1 });
+
+        await request(app).get('/');
+        assert.equal((await request(app).get('/')).status, 429);
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.equal((await request(app).get('/')).status, 200);
+    });
+
+    it('is off with max 0', async () => {
+        const app = limitedApp({ windowMs: 60 * 1000, max: 0 });
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await request(app).get('/')).status, 200);
+        }
+    });
+});
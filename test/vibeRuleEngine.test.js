@@ -0,0 +1,119 @@
+import './helpers/env.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateVibeRules, evaluateVibeRulesWithJudge, normalizeRuleEdits } from '../services/vibeRuleEngine.js';
+import { setFakeResponder, resetFakeResponders } from '../services/fakeLLM.js';
+
+const jazzSong = { title: 'Take Five', artist: 'Dave Brubeck', genre: 'jazz', mood: ['calm'], year: 1959, energy: 3 };
+
+describe('vibeRuleEngine', () => {
+    afterEach(() => {
+        resetFakeResponders();
+    });
+
+    it('matches when there are no rules', () => {
+        assert.equal(evaluateVibeRules(jazzSong, null).matches, true);
+    });
+
+    it('rejects hard violations and lists every violation', () => {
+        const result = evaluateVibeRules(
+            { ...jazzSong, genre: 'metal', mood: ['angry'] },
+            { allowedGenres: ['jazz'], blockedMoods: ['angry'] }
+        );
+
+        assert.equal(result.matches, false);
+        assert.deepEqual(result.violations.map(v => [v.rule, v.severity]), [
+            ['allowedGenres', 'hard'],
+            ['blockedMoods', 'hard']
+        ]);
+    });
+
+    it('normalizes genre names', () => {
+        const result = evaluateVibeRules({ ...jazzSong, genre: 'Hip Hop' }, { allowedGenres: ['hip-hop'] });
+        assert.equal(result.matches, true);
+    });
+
+    it('turns soft violations into a score checked against minScore', () => {
+        const rules = { allowedGenres: ['jazz'], ruleSeverity: { allowedGenres: 'soft' } };
+        const pop = { ...jazzSong, genre: 'pop' };
+
+        const lenient = evaluateVibeRules(pop, rules);
+        assert.equal(lenient.matches, true);
+        assert.equal(lenient.score, 0.6);
+
+        const strict = evaluateVibeRules(pop, { ...rules, minScore: 0.7 });
+        assert.equal(strict.matches, false);
+    });
+
+    it('penalizes energy by distance from the range', () => {
+        const result = evaluateVibeRules({ ...jazzSong, energy: 9 }, { energyRange: { min: 2, max: 5 } });
+
+        assert.equal(result.violations[0].penalty, 0.4);
+        assert.equal(result.score, 0.6);
+        assert.equal(result.matches, true);
+    });
+
+    it('gives priority artists a bonus', () => {
+        const result = evaluateVibeRules(
+            { ...jazzSong, energy: 10 },
+            { energyRange: { max: 4 }, priorityArtists: ['brubeck'] }
+        );
+
+        assert.equal(result.priorityArtist, true);
+        assert.equal(result.score, 0.6);
+    });
+
+    it('skips rules the song has no data for', () => {
+        const result = evaluateVibeRules({ title: 'Unknown', artist: 'Someone' }, { allowedGenres: ['jazz'], allowedMoods: ['calm'] });
+        assert.equal(result.matches, true);
+    });
+
+    it('caps track length with maxDurationSeconds', () => {
+        const rules = { maxDurationSeconds: 600 };
+        const mix = evaluateVibeRules({ ...jazzSong, duration: 3600 }, rules);
+
+        assert.equal(mix.matches, false);
+        assert.equal(mix.violations[0].rule, 'maxDuration');
+        assert.equal(mix.violations[0].message, 'Song is 60:00 long, but this party plays tracks up to 10:00');
+        assert.equal(evaluateVibeRules({ ...jazzSong, duration: 324 }, rules).matches, true);
+        assert.equal(evaluateVibeRules(jazzSong, rules).matches, true);
+    });
+
+    it('gates on similarity to the party vibe when the song has one', () => {
+        const far = evaluateVibeRules({ ...jazzSong, vibeSimilarity: 0.05 }, { allowedGenres: ['jazz'] });
+        assert.equal(far.matches, true);
+        assert.equal(far.score, 0.7);
+        assert.deepEqual(far.violations.map(v => [v.rule, v.severity]), [['vibeSimilarity', 'soft']]);
+
+        const close = evaluateVibeRules({ ...jazzSong, vibeSimilarity: 0.6 }, { allowedGenres: ['jazz'] });
+        assert.equal(close.matches, true);
+        assert.equal(close.score, 1);
+
+        const strict = evaluateVibeRules({ ...jazzSong, vibeSimilarity: 0.6 }, { minVibeSimilarity: 0.7, ruleSeverity: { vibeSimilarity: 'hard' } });
+        assert.equal(strict.matches, false);
+    });
+
+    it('normalizes rule edits', () => {
+        assert.deepEqual(
+            normalizeRuleEdits({ allowedMoods: [' calm '], energyRange: { max: 4 }, allowedEras: null, notARule: 1 }),
+            { allowedMoods: ['calm'], energyRange: { min: null, max: 4 }, allowedEras: null }
+        );
+        assert.throws(() => normalizeRuleEdits({ minScore: 2 }), { status: 400 });
+        assert.throws(() => normalizeRuleEdits({ allowedEras: { min: 1990.5 } }), { status: 400 });
+        assert.throws(() => normalizeRuleEdits([]), { status: 400 });
+    });
+
+    it('asks the judge about custom rules', async () => {
+        setFakeResponder('vibe-judge', JSON.stringify({
+            results: [{ rule: 'No songs about money', passes: false, reason: 'It is about money' }]
+        }));
+
+        const result = await evaluateVibeRulesWithJudge(jazzSong, {
+            customRules: ['No songs about money'],
+            ruleSeverity: { customRules: 'hard' }
+        });
+
+        assert.equal(result.matches, false);
+        assert.equal(result.violations[0].rule, 'customRules');
+    });
+});
@@ -0,0 +1,124 @@
+import './helpers/env.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    parseVideoTitle,
+    parseDuration,
+    releaseYear,
+    scoreVideo,
+    pickBestResult,
+    searchYouTube
+} from '../services/youtubeSearch.js';
+import { mockYouTube } from './helpers/fixtures.js';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'youtube');
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => ({ name: path.basename(file, '.json'), ...JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8')) }));
+
+describe('youtubeSearch', () => {
+    let youtube = null;
+
+    afterEach(() => {
+        youtube?.restore();
+        youtube = null;
+    });
+
+    describe('recorded responses', () => {
+        for (const fixture of fixtures) {
+            it(`${fixture.name}: ${fixture.description}`, () => {
+                const { score, coverUrl, ...result } = pickBestResult(fixture.search, fixture.videos, fixture.request);
+
+                assert.deepEqual(result, fixture.expected);
+                assert.ok(coverUrl.includes(fixture.expected.youtubeId));
+                assert.equal(typeof score, 'number');
+            });
+        }
+    });
+
+    describe('parseVideoTitle', () => {
+        const cases = [
+            ['Luis Fonsi - Despacito ft. Daddy Yankee', 'LuisFonsiVEVO', 'Despacito', 'Luis Fonsi', ['Daddy Yankee']],
+            ['Calvin Harris ft. Rihanna - This Is What You Came For', 'CalvinHarrisVEVO', 'This Is What You Came For', 'Calvin Harris', ['Rihanna']],
+            ['Marshmello - Here With Me (with CHVRCHES) [Official Live Video]', 'Marshmello', 'Here With Me (Live)', 'Marshmello', ['CHVRCHES']],
+            ['Blinding Lights', 'The Weeknd - Topic', 'Blinding Lights', 'The Weeknd', []],
+            ['Hey Jude (Remastered 2015)', 'TheBeatlesVEVO', 'Hey Jude', 'The Beatles', []],
+            ['Lil Nas X - Old Town Road (feat. Billy Ray Cyrus) [Remix]', 'LilNasXVEVO', 'Old Town Road [Remix]', 'Lil Nas X', ['Billy Ray Cyrus']],
+            ['Simon &amp; Garfunkel - The Sound of Silence (Audio)', 'Simon & Garfunkel', 'The Sound of Silence', 'Simon & Garfunkel', []]
+        ];
+
+        for (const [raw, channel, title, artist, featuredArtists] of cases) {
+            it(`parses "${raw}"`, () => {
+                const parsed = parseVideoTitle(raw, channel);
+                assert.deepEqual(
+                    { title: parsed.title, artist: parsed.artist, featuredArtists: parsed.featuredArtists },
+                    { title, artist, featuredArtists }
+                );
+            });
+        }
+    });
+
+    it('reads durations and release years', () => {
+        assert.equal(parseDuration('PT4M42S'), 282);
+        assert.equal(parseDuration('PT1H2M3S'), 3723);
+        assert.equal(parseDuration('P0D'), 0);
+        assert.equal(parseDuration('nonsense'), null);
+
+        assert.equal(releaseYear('So What', 'Kind Of Blue\n\nReleased on: 1959-08-17'), 1959);
+        assert.equal(releaseYear('Take Five (1959)'), 1959);
+        assert.equal(releaseYear('Take Five'), null);
+    });
+
+    it('penalizes odd durations and unrequested versions', () => {
+        const video = (rawTitle, duration) => ({
+            rawTitle,
+            channelTitle: 'Queen Official',
+            parsed: parseVideoTitle(rawTitle, 'Queen Official'),
+            duration
+        });
+        const request = { query: 'bohemian rhapsody queen', title: 'bohemian rhapsody', artist: 'queen' };
+        const normal = scoreVideo(video('Queen - Bohemian Rhapsody', 359), request);
+
+        assert.ok(scoreVideo(video('Queen - Bohemian Rhapsody', 30), request) < normal);
+        assert.ok(scoreVideo(video('Queen - Bohemian Rhapsody', 36000), request) < normal);
+        assert.ok(scoreVideo(video('Queen - Bohemian Rhapsody (Live Aid 1985)', 359), request) < normal);
+
+        // Asked for the live version - no penalty
+        const live = { query: 'bohemian rhapsody live queen', title: 'bohemian rhapsody live', artist: 'queen' };
+        assert.ok(
+            scoreVideo(video('Queen - Bohemian Rhapsody (Live Aid 1985)', 359), live) >
+            scoreVideo(video('Queen - Bohemian Rhapsody', 359), live)
+        );
+    });
+
+    describe('searchYouTube', () => {
+        it('searches, looks up the videos and returns the best match', async () => {
+            const fixture = fixtures.find(f => f.name === 'topic-release-year');
+            youtube = mockYouTube(fixture);
+
+            const result = await searchYouTube(fixture.request.query, fixture.request);
+
+            assert.equal(result.youtubeId, 'zqNTltOGh5c');
+            assert.equal(result.year, 1959);
+            assert.equal(result.duration, 562);
+            assert.equal(result.score, undefined);
+            assert.equal(youtube.calls.length, 1);
+            assert.equal(youtube.videoCalls.length, 1);
+            assert.ok(youtube.videoCalls[0].includes('id=zqNTltOGh5c,ylXk1LBvIqU,DEC8nqT6Rrk'));
+        });
+
+        it('still ranks when the videos lookup fails', async () => {
+            const fixture = fixtures.find(f => f.name === 'featured-artist-vevo');
+            youtube = mockYouTube({ search: fixture.search, videos: { error: { message: 'quotaExceeded' } } });
+
+            const result = await searchYouTube(fixture.request.query, fixture.request);
+
+            assert.equal(result.youtubeId, 'kJQP7kiw5Fk');
+            assert.deepEqual(result.featuredArtists, ['Daddy Yankee']);
+            assert.equal(result.duration, null);
+        });
+    });
+});